@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ACCESS_FILE = process.env.API_ACCESS_FILE
+  ? path.resolve(process.env.API_ACCESS_FILE)
+  : path.join(__dirname, 'api-access.json');
+const USAGE_FILE = process.env.API_USAGE_FILE
+  ? path.resolve(process.env.API_USAGE_FILE)
+  : path.join(__dirname, 'api-usage.json');
+
+const ROLES = ['client', 'admin'];
+const QUOTA_PERIODS = ['day', 'month'];
+
+/**
+ * Limits for keys that don't set their own (overridden by "defaults" in api-access.json)
+ */
+const DEFAULT_LIMITS = {
+  rateLimit: { requests: 60, windowSeconds: 60 },
+  quota: { requests: 10000, period: 'day' }
+};
+
+/**
+ * Usage counts are written to api-usage.json at most this often
+ */
+const USAGE_WRITE_DELAY_MS = 5000;
+
+/**
+ * Hash an API key; only hashes are stored in api-access.json
+ * @param {string} key - API key as sent by the client
+ * @returns {string} SHA-256 hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Generate a new random API key
+ * @returns {string} Key such as "cdk_3q2-..." (32 random bytes)
+ */
+function generateApiKey() {
+  return `cdk_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Check a rateLimit or quota setting from api-access.json
+ * @param {*} value - Setting (null disables the limit)
+ * @param {string} kind - rateLimit or quota
+ * @param {string} where - Where the setting is, for error messages
+ * @throws {Error} If the setting is invalid
+ */
+function validateLimit(value, kind, where) {
+  if (value === null) return;
+
+  const valid = kind === 'rateLimit'
+    ? value && Number.isInteger(value.requests) && value.requests > 0 && Number.isInteger(value.windowSeconds) && value.windowSeconds > 0
+    : value && Number.isInteger(value.requests) && value.requests > 0 && QUOTA_PERIODS.includes(value.period);
+
+  if (!valid) {
+    throw new Error(kind === 'rateLimit'
+      ? `${where}: rateLimit needs positive integer "requests" and "windowSeconds", or null`
+      : `${where}: quota needs a positive integer "requests" and "period" (${QUOTA_PERIODS.join(' or ')}), or null`);
+  }
+}
+
+/**
+ * Load and validate the API access configuration
+ *
+ * api-access.json holds:
+ * - cors.allowedOrigins: browser origins allowed to call the API ("*" for any)
+ * - defaults: rateLimit { requests, windowSeconds } and quota { requests, period } for keys without their own
+ * - keys: { id, name, role (client or admin), keyHash, rateLimit, quota, disabled }
+ *
+ * @param {string} [filePath] - Config file (defaults to api-access.json next to this module)
+ * @returns {Object|null} Access config with keys indexed by hash, or null if the file doesn't exist
+ * @throws {Error} If the file is invalid
+ */
+function loadAccessConfig(filePath = ACCESS_FILE) {
+  if (!fs.existsSync(filePath)) return null;
+
+  const fileName = path.basename(filePath);
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!config || !Array.isArray(config.keys)) {
+    throw new Error(`${fileName} must contain a "keys" array`);
+  }
+
+  const defaults = { ...DEFAULT_LIMITS, ...(config.defaults || {}) };
+  validateLimit(defaults.rateLimit, 'rateLimit', `${fileName} defaults`);
+  validateLimit(defaults.quota, 'quota', `${fileName} defaults`);
+
+  const keys = new Map(); // key hash -> key entry
+  const ids = new Set();
+  config.keys.forEach((entry, index) => {
+    const where = `Key at index ${index} in ${fileName}`;
+    if (!entry || typeof entry.id !== 'string' || !entry.id.trim()) {
+      throw new Error(`${where} is missing "id"`);
+    }
+    if (ids.has(entry.id)) {
+      throw new Error(`Duplicate key id "${entry.id}" in ${fileName}`);
+    }
+    if (typeof entry.keyHash !== 'string' || !/^[0-9a-f]{64}$/.test(entry.keyHash)) {
+      throw new Error(`${where} needs "keyHash", the SHA-256 hex digest of the key`);
+    }
+    if (!ROLES.includes(entry.role || 'client')) {
+      throw new Error(`${where}: role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const rateLimit = entry.rateLimit !== undefined ? entry.rateLimit : defaults.rateLimit;
+    const quota = entry.quota !== undefined ? entry.quota : defaults.quota;
+    validateLimit(rateLimit, 'rateLimit', where);
+    validateLimit(quota, 'quota', where);
+
+    ids.add(entry.id);
+    keys.set(entry.keyHash, {
+      id: entry.id,
+      name: entry.name || entry.id,
+      role: entry.role || 'client',
+      disabled: entry.disabled === true,
+      rateLimit: rateLimit,
+      quota: quota
+    });
+  });
+
+  const allowedOrigins = (config.cors && config.cors.allowedOrigins) || [];
+  if (!Array.isArray(allowedOrigins) || allowedOrigins.some(origin => typeof origin !== 'string')) {
+    throw new Error(`${fileName}: cors.allowedOrigins must be an array of origins`);
+  }
+
+  return {
+    file: filePath,
+    allowedOrigins: allowedOrigins,
+    keys: keys
+  };
+}
+
+/**
+ * Get the API key sent with a request, as "X-API-Key: <key>" or "Authorization: Bearer <key>"
+ * @param {Object} req - Express request
+ * @returns {string|null} Key, or null if none was sent
+ */
+function getApiKeyFromRequest(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+
+  const authHeader = req.get('authorization') || '';
+  return authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+}
+
+/**
+ * Start of the quota period containing a time, and the start of the next one (UTC)
+ * @param {number} now - Time in milliseconds
+ * @param {string} period - day or month
+ * @returns {{start: string, resetAt: number}} Period start (YYYY-MM-DD) and next period start in ms
+ */
+function getQuotaPeriod(now, period) {
+  const date = new Date(now);
+  const start = period === 'month'
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  const next = new Date(start);
+  if (period === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+  else next.setUTCDate(next.getUTCDate() + 1);
+
+  return { start: new Date(start).toISOString().slice(0, 10), resetAt: next.getTime() };
+}
+
+/**
+ * Track requests per key for rate limits (in memory) and quotas (kept in api-usage.json)
+ * Rate limits use fixed windows of windowSeconds; quotas reset at the start of each UTC day or month
+ * @param {string} [usageFile] - Where quota counts are kept between restarts
+ * @returns {{consume: Function, flush: Function}} Tracker
+ */
+function createUsageTracker(usageFile = USAGE_FILE) {
+  const windows = new Map(); // key id -> { start, count }
+  let quotas = {}; // key id -> { period, count }
+  let writeTimer = null;
+
+  try {
+    if (fs.existsSync(usageFile)) quotas = JSON.parse(fs.readFileSync(usageFile, 'utf8')) || {};
+  } catch (error) {
+    console.warn(`⚠️  Could not read ${path.basename(usageFile)}, quota counts start from 0:`, error.message);
+  }
+
+  const flush = () => {
+    if (writeTimer) clearTimeout(writeTimer);
+    writeTimer = null;
+    try {
+      fs.writeFileSync(usageFile, JSON.stringify(quotas, null, 2), 'utf8');
+    } catch (error) {
+      console.error(`Error writing ${path.basename(usageFile)}:`, error.message);
+    }
+  };
+
+  /**
+   * Count a request for a key, unless it is over its rate limit or quota
+   * @param {Object} entry - Key entry from loadAccessConfig
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {{allowed: boolean, reason?: string, retryAfter?: number, headers: Object}} Outcome and headers to send
+   */
+  const consume = (entry, now = Date.now()) => {
+    const headers = {};
+    let window = null;
+    let quota = null;
+    let quotaPeriod = null;
+
+    if (entry.rateLimit) {
+      const windowMs = entry.rateLimit.windowSeconds * 1000;
+      const start = Math.floor(now / windowMs) * windowMs;
+      window = windows.get(entry.id);
+      if (!window || window.start !== start) {
+        window = { start: start, count: 0 };
+        windows.set(entry.id, window);
+      }
+
+      const resetIn = Math.ceil((start + windowMs - now) / 1000);
+      headers['X-RateLimit-Limit'] = entry.rateLimit.requests;
+      headers['X-RateLimit-Remaining'] = Math.max(0, entry.rateLimit.requests - window.count - 1);
+      headers['X-RateLimit-Reset'] = resetIn;
+      if (window.count >= entry.rateLimit.requests) {
+        headers['X-RateLimit-Remaining'] = 0;
+        return { allowed: false, reason: 'rateLimit', retryAfter: resetIn, headers };
+      }
+    }
+
+    if (entry.quota) {
+      quotaPeriod = getQuotaPeriod(now, entry.quota.period);
+      quota = quotas[entry.id];
+      if (!quota || quota.period !== quotaPeriod.start) {
+        quota = { period: quotaPeriod.start, count: 0 };
+        quotas[entry.id] = quota;
+      }
+
+      headers['X-Quota-Limit'] = entry.quota.requests;
+      headers['X-Quota-Remaining'] = Math.max(0, entry.quota.requests - quota.count - 1);
+      headers['X-Quota-Reset'] = new Date(quotaPeriod.resetAt).toISOString();
+      if (quota.count >= entry.quota.requests) {
+        headers['X-Quota-Remaining'] = 0;
+        return { allowed: false, reason: 'quota', retryAfter: Math.ceil((quotaPeriod.resetAt - now) / 1000), headers };
+      }
+    }
+
+    // Only requests that are let through count towards the limits
+    if (window) window.count++;
+    if (quota) {
+      quota.count++;
+      if (!writeTimer) {
+        writeTimer = setTimeout(flush, USAGE_WRITE_DELAY_MS);
+        writeTimer.unref();
+      }
+    }
+
+    return { allowed: true, headers };
+  };
+
+  return { consume, flush };
+}
+
+/**
+ * Command line: manage keys in api-access.json
+ *   node access.js create <id> [--role=admin] [--name="Partner A"]
+ *   node access.js list
+ */
+function main(args) {
+  const [command, id] = args;
+  const config = fs.existsSync(ACCESS_FILE)
+    ? JSON.parse(fs.readFileSync(ACCESS_FILE, 'utf8'))
+    : { cors: { allowedOrigins: [] }, defaults: DEFAULT_LIMITS, keys: [] };
+
+  if (command === 'create' && id) {
+    const option = (name) => {
+      const arg = args.find(value => value.startsWith(`--${name}=`));
+      return arg ? arg.slice(name.length + 3) : null;
+    };
+    const role = option('role') || 'client';
+    if (!ROLES.includes(role)) {
+      throw new Error(`--role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (config.keys.some(entry => entry.id === id)) {
+      throw new Error(`A key with id "${id}" already exists in ${path.basename(ACCESS_FILE)}`);
+    }
+
+    const key = generateApiKey();
+    config.keys.push({
+      id: id,
+      name: option('name') || id,
+      role: role,
+      keyHash: hashApiKey(key),
+      createdAt: new Date().toISOString()
+    });
+    fs.writeFileSync(ACCESS_FILE, JSON.stringify(config, null, 2), 'utf8');
+
+    console.log(`✅ Added ${role} key "${id}" to ${path.basename(ACCESS_FILE)}`);
+    console.log(`🔑 ${key}`);
+    console.log('This key is not stored anywhere; give it to the client now. Restart the server to use it.');
+  } else if (command === 'list') {
+    config.keys.forEach(entry => {
+      console.log(`${entry.id}\t${entry.role || 'client'}\t${entry.disabled ? 'disabled' : 'active'}\t${entry.name || ''}`);
+    });
+  } else {
+    console.log('Usage: node access.js create <id> [--role=client|admin] [--name="..."]');
+    console.log('       node access.js list');
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  ACCESS_FILE,
+  hashApiKey,
+  loadAccessConfig,
+  getApiKeyFromRequest,
+  createUsageTracker
+};
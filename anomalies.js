@@ -0,0 +1,206 @@
+/**
+ * Anomaly types and leaving flagged arrivals out of a dataset
+ * preprocess.js flags anomalies and can leave them out of demand.json (--exclude-anomalies);
+ * server.js removes them per request (?excludeAnomalies=) with removeAnomalies
+ */
+
+const { periodStart } = require('./forecast');
+
+const ANOMALY_TYPES = ['outlier', 'spike', 'collapse'];
+
+/**
+ * Quantities below this are rounding leftovers of a removed arrival, not demand
+ */
+const EPSILON = 1e-6;
+
+/**
+ * Round a quantity to 2 decimals, the precision preprocess.js writes quantities with,
+ * so subtracting an anomaly leaves no float noise
+ * @param {number} value - Quantity in tonnes
+ * @returns {number} Rounded quantity
+ */
+function roundQuantity(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Parse a list of anomaly types to exclude ("outlier,spike", or "all" for every type)
+ * @param {string} value - Comma-separated types
+ * @returns {Array<string>} Types in ANOMALY_TYPES order
+ * @throws {Error} If the list is empty or names an unknown type
+ */
+function parseAnomalyTypes(value) {
+  const names = String(value || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  if (names.includes('all')) return [...ANOMALY_TYPES];
+
+  const unknown = names.filter(name => !ANOMALY_TYPES.includes(name));
+  if (names.length === 0 || unknown.length > 0) {
+    throw new Error(`anomaly types must be "all" or a comma-separated list of: ${ANOMALY_TYPES.join(', ')}`);
+  }
+  return ANOMALY_TYPES.filter(type => names.includes(type));
+}
+
+/**
+ * Dated quantities an anomaly added to the aggregates
+ * Outliers are one row; spikes and collapses list their week's arrivals per day in `days`
+ * @param {Object} anomaly - Entry of anomalies.json
+ * @returns {Object|null} Day -> quantity (key "" for an undated row), or null if the report has no breakdown
+ */
+function getAnomalyQuantities(anomaly) {
+  if (anomaly.type === 'outlier') {
+    return { [anomaly.date || '']: anomaly.quantity };
+  }
+  return anomaly.days || null;
+}
+
+/**
+ * Subtract quantities from one crop's regional entries for a district
+ * Several entries for the district (different suitabilities) each lose their share
+ * @param {Object} crop - Crop from demand.json
+ * @param {string} district - District name
+ * @param {number} quantity - Quantity to remove
+ * @returns {{crop: Object|null, removed: number}} Adjusted copy (null if nothing is left) and quantity removed
+ */
+function removeFromCrop(crop, district, quantity) {
+  const matching = crop.regionalSuitability.filter(region => region.district === district);
+  const districtDemand = matching.reduce((sum, region) => sum + region.demandQuantity, 0);
+  if (districtDemand <= 0) return { crop, removed: 0 };
+
+  const removed = Math.min(quantity, districtDemand);
+  const regions = crop.regionalSuitability
+    .map(region => region.district === district
+      ? { ...region, demandQuantity: roundQuantity(region.demandQuantity - removed * region.demandQuantity / districtDemand) }
+      : region)
+    .filter(region => region.demandQuantity > EPSILON);
+
+  return {
+    crop: regions.length > 0
+      ? { ...crop, demandQuantity: roundQuantity(crop.demandQuantity - removed), regionalSuitability: regions }
+      : null,
+    removed: removed
+  };
+}
+
+/**
+ * Subtract dated quantities from a time series' day, week and month buckets
+ * Periods left without arrivals are dropped; prices are kept as they were
+ * @param {Object} series - Entry of demand-timeseries.json
+ * @param {Object} quantities - Day -> quantity
+ * @returns {Object} Adjusted copy of the series
+ */
+function removeFromSeries(series, quantities) {
+  const adjusted = { ...series, day: { ...series.day }, week: { ...series.week }, month: { ...series.month } };
+
+  Object.entries(quantities).forEach(([day, quantity]) => {
+    if (!day) return;
+    ['day', 'week', 'month'].forEach(granularity => {
+      const bucket = adjusted[granularity];
+      const period = periodStart(day, granularity);
+      if (bucket[period] === undefined) return;
+      bucket[period] = roundQuantity(bucket[period] - quantity);
+      if (bucket[period] <= EPSILON) delete bucket[period];
+    });
+  });
+
+  return adjusted;
+}
+
+/**
+ * Leave anomalies of some types out of a dataset's demand and time series
+ *
+ * The result matches what `preprocess.js --exclude-anomalies=<types>` writes, except that
+ * prices and computed suitability still include the removed arrivals. Anomalies already
+ * excluded during preprocessing are skipped, as are spikes and collapses from reports
+ * written before anomalies.json recorded their daily arrivals. Unchanged states, crops
+ * and series are shared with the original dataset.
+ *
+ * @param {Object} dataset - { demandData, timeSeriesData, anomalyReport }
+ * @param {Array<string>} types - Anomaly types to leave out
+ * @returns {Object} { demandData, timeSeriesData, removed: { anomalies, quantity, skipped } }
+ */
+function removeAnomalies(dataset, types) {
+  const { demandData, timeSeriesData, anomalyReport } = dataset;
+  const removed = { anomalies: 0, quantity: 0, skipped: 0 };
+  if (!anomalyReport) {
+    return { demandData, timeSeriesData, removed };
+  }
+
+  // "cropId|state|district" -> day -> quantity
+  const targets = new Map();
+  anomalyReport.anomalies.forEach(anomaly => {
+    if (!types.includes(anomaly.type) || anomaly.excluded) return;
+
+    const quantities = getAnomalyQuantities(anomaly);
+    if (!quantities) {
+      removed.skipped++;
+      return;
+    }
+
+    const key = [anomaly.cropId, anomaly.state, anomaly.district].join('|');
+    if (!targets.has(key)) targets.set(key, {});
+    const target = targets.get(key);
+    Object.entries(quantities).forEach(([day, quantity]) => {
+      target[day] = (target[day] || 0) + quantity;
+    });
+    removed.anomalies++;
+  });
+
+  if (targets.size === 0) {
+    return { demandData, timeSeriesData, removed };
+  }
+
+  const adjustedDemand = demandData.map(stateData => {
+    let stateRemoved = 0;
+    const categories = stateData.categories.map(category => {
+      let changed = false;
+      const crops = [];
+      category.crops.forEach(crop => {
+        let adjusted = crop;
+        new Set(crop.regionalSuitability.map(region => region.district)).forEach(district => {
+          const target = targets.get([crop.cropId, stateData.state, district].join('|'));
+          if (!target || !adjusted) return;
+
+          const quantity = Object.values(target).reduce((sum, value) => sum + value, 0);
+          const outcome = removeFromCrop(adjusted, district, quantity);
+          adjusted = outcome.crop;
+          stateRemoved += outcome.removed;
+          changed = true;
+        });
+        if (adjusted) crops.push(adjusted);
+      });
+
+      return changed ? { ...category, count: crops.length, crops: crops } : category;
+    });
+
+    if (stateRemoved === 0) return stateData;
+    removed.quantity += stateRemoved;
+    return {
+      ...stateData,
+      categories: categories,
+      summary: {
+        ...stateData.summary,
+        totalCrops: categories.reduce((sum, category) => sum + category.crops.length, 0),
+        totalDemand: roundQuantity(stateData.summary.totalDemand - stateRemoved)
+      }
+    };
+  });
+
+  const adjustedSeries = timeSeriesData
+    ? {
+      ...timeSeriesData,
+      series: timeSeriesData.series.map(series => {
+        const target = targets.get([series.cropId, series.state, series.district].join('|'));
+        return target ? removeFromSeries(series, target) : series;
+      })
+    }
+    : timeSeriesData;
+
+  removed.quantity = roundQuantity(removed.quantity);
+  return { demandData: adjustedDemand, timeSeriesData: adjustedSeries, removed };
+}
+
+module.exports = {
+  ANOMALY_TYPES,
+  parseAnomalyTypes,
+  removeAnomalies
+};
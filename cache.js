@@ -0,0 +1,136 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+/**
+ * Memory the cache may use for bodies and their compressed copies, unless told otherwise
+ */
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Bodies smaller than this aren't worth compressing
+ */
+const MIN_COMPRESS_BYTES = 1024;
+
+/**
+ * Cached bodies are compressed once and sent many times, so they get better
+ * compression than the per-response middleware (quality 4) uses
+ */
+const COMPRESSORS = {
+  br: (body) => brotliCompress(body, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 6 } }),
+  gzip: (body) => gzip(body, { level: 6 })
+};
+
+/**
+ * Create an in-memory response cache
+ * Entries are evicted least recently used first once bodies and their compressed copies
+ * take more than maxBytes; compressed copies are made on first request for an encoding
+ * @param {number} [maxBytes] - Memory budget in bytes
+ * @returns {{get: Function, set: Function, encode: Function, clear: Function, stats: Function}} Cache
+ */
+function createResponseCache(maxBytes = DEFAULT_MAX_BYTES) {
+  const entries = new Map(); // key -> { key, headers, body, encoded, size }, least recently used first
+  let bytes = 0;
+  let hits = 0;
+  let misses = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    bytes -= entry.size;
+  };
+
+  const evict = () => {
+    while (bytes > maxBytes && entries.size > 0) {
+      remove(entries.keys().next().value);
+    }
+  };
+
+  /**
+   * Get a cached response
+   * @param {string} key - Cache key
+   * @returns {Object|null} Entry with headers and body, or null on a miss
+   */
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      misses++;
+      return null;
+    }
+
+    // Move to the end so the least recently used entry is evicted first
+    entries.delete(key);
+    entries.set(key, entry);
+    hits++;
+    return entry;
+  };
+
+  /**
+   * Cache a response body
+   * @param {string} key - Cache key
+   * @param {Object} headers - Headers to send with the body on a hit
+   * @param {Buffer} body - Uncompressed body
+   */
+  const set = (key, headers, body) => {
+    remove(key);
+    if (body.length > maxBytes) return;
+
+    entries.set(key, { key: key, headers: headers, body: body, encoded: {}, size: body.length });
+    bytes += body.length;
+    evict();
+  };
+
+  /**
+   * Get an entry's body compressed with an encoding, compressing it on first use
+   * @param {Object} entry - Entry from get()
+   * @param {string} encoding - br or gzip
+   * @returns {Promise<Buffer|null>} Compressed body, or null if the body is too small to compress
+   */
+  const encode = (entry, encoding) => {
+    if (entry.body.length < MIN_COMPRESS_BYTES || !COMPRESSORS[encoding]) {
+      return Promise.resolve(null);
+    }
+
+    // Requests arriving while the body is being compressed share the same promise
+    if (!entry.encoded[encoding]) {
+      entry.encoded[encoding] = COMPRESSORS[encoding](entry.body)
+        .then(compressed => {
+          if (entries.get(entry.key) === entry) {
+            entry.size += compressed.length;
+            bytes += compressed.length;
+            evict();
+          }
+          return compressed;
+        })
+        .catch(error => {
+          delete entry.encoded[encoding];
+          throw error;
+        });
+    }
+    return entry.encoded[encoding];
+  };
+
+  /**
+   * Drop every entry (after the dataset is reloaded)
+   */
+  const clear = () => {
+    entries.clear();
+    bytes = 0;
+  };
+
+  /**
+   * Cache size and hit counts, for /health
+   * @returns {Object} { entries, bytes, maxBytes, hits, misses }
+   */
+  const stats = () => ({ entries: entries.size, bytes: bytes, maxBytes: maxBytes, hits: hits, misses: misses });
+
+  return { get, set, encode, clear, stats };
+}
+
+module.exports = {
+  DEFAULT_MAX_BYTES,
+  createResponseCache
+};
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CATALOG_FILE = path.join(__dirname, 'crop-catalog.json');
+
+/**
+ * Minimum similarity (1 - edit distance / length) for a fuzzy catalog match
+ */
+const FUZZY_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Normalize a crop name for catalog lookups
+ * Punctuation is treated as a word break, so "Bhindi(Ladies Finger)" becomes "bhindi ladies finger"
+ * @param {string} value - Name to normalize
+ * @returns {string} Lowercased words separated by single spaces
+ */
+function normalizeName(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Split a filename-derived crop name into the names worth looking up
+ * "Arhar (Tur/Red Gram)(Whole)" -> ["arhar", "tur", "red gram", "whole"]
+ * @param {string} cropName - Crop name from the CSV filename
+ * @returns {Array<string>} Normalized name without the bracketed parts, then each bracketed part
+ */
+function getNameParts(cropName) {
+  const base = normalizeName(String(cropName).replace(/\([^)]*\)?/g, ' '));
+  const bracketed = (String(cropName).match(/\(([^)]*)\)?/g) || [])
+    .flatMap(part => part.replace(/[()]/g, '').split(/[\/,]/))
+    .map(normalizeName);
+
+  return [base, ...bracketed].filter((part, index, parts) => part && parts.indexOf(part) === index);
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Load and validate the crop reference catalog
+ *
+ * crop-catalog.json lists reference crops with scientific name, local names,
+ * perishability, shelf life and growing season. aliases are other spellings of
+ * the crop's name (Agmarknet commodity names, English names) used for matching.
+ *
+ * @param {string} [filePath] - Catalog file (defaults to crop-catalog.json next to this module)
+ * @returns {Object} Catalog with entries and a normalized name index
+ * @throws {Error} If the file is missing or invalid
+ */
+function loadCatalog(filePath = CATALOG_FILE) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const config = JSON.parse(content);
+
+  if (!config || !Array.isArray(config.crops) || config.crops.length === 0) {
+    throw new Error(`${path.basename(filePath)} must contain a non-empty "crops" array`);
+  }
+
+  const nameIndex = new Map(); // normalized name -> entry
+  const aliasIndex = new Map(); // normalized alias or local name -> entry
+
+  config.crops.forEach((entry, index) => {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+      throw new Error(`Crop at index ${index} in ${path.basename(filePath)} is missing "name"`);
+    }
+
+    const name = normalizeName(entry.name);
+    if (nameIndex.has(name)) {
+      throw new Error(`Duplicate crop "${entry.name}" in ${path.basename(filePath)}`);
+    }
+    nameIndex.set(name, entry);
+
+    // First entry wins when two crops share an alias or local name
+    [...(entry.aliases || []), ...(entry.localNames || [])].forEach(alias => {
+      const key = normalizeName(alias);
+      if (key && !aliasIndex.has(key)) aliasIndex.set(key, entry);
+    });
+  });
+
+  return {
+    version: crypto.createHash('sha256').update(content).digest('hex').slice(0, 16),
+    crops: config.crops,
+    nameIndex: nameIndex,
+    aliasIndex: aliasIndex
+  };
+}
+
+/**
+ * Find the catalog entry for a crop name
+ * Order: exact name, alias or local name, a part of the name (bracketed parts
+ * or the name without them), then the closest name by edit distance
+ * @param {Object} catalog - Loaded catalog
+ * @param {string} cropName - Crop name (from the CSV filename or crop registry)
+ * @returns {{entry: Object, method: string, score: number}|null} Match, or null if nothing is close enough
+ */
+function matchCrop(catalog, cropName) {
+  const name = normalizeName(cropName);
+  if (!name) return null;
+
+  if (catalog.nameIndex.has(name)) {
+    return { entry: catalog.nameIndex.get(name), method: 'exact', score: 1 };
+  }
+  if (catalog.aliasIndex.has(name)) {
+    return { entry: catalog.aliasIndex.get(name), method: 'alias', score: 1 };
+  }
+
+  const parts = getNameParts(cropName);
+  for (const part of parts) {
+    const entry = catalog.nameIndex.get(part) || catalog.aliasIndex.get(part);
+    if (entry) return { entry: entry, method: 'partial', score: 1 };
+  }
+
+  let best = null;
+  [name, ...parts].forEach(part => {
+    [catalog.nameIndex, catalog.aliasIndex].forEach(index => {
+      index.forEach((entry, key) => {
+        const score = 1 - editDistance(part, key) / Math.max(part.length, key.length);
+        if (score >= FUZZY_MATCH_THRESHOLD && (!best || score > best.score)) {
+          best = { entry: entry, method: 'fuzzy', score: Math.round(score * 100) / 100 };
+        }
+      });
+    });
+  });
+
+  return best;
+}
+
+/**
+ * Build the metadata object attached to crops in demand.json
+ * @param {{entry: Object, method: string, score: number}} match - Result of matchCrop
+ * @returns {Object} Crop metadata
+ */
+function getCropMetadata(match) {
+  const { entry } = match;
+  return {
+    catalogName: entry.name,
+    matchMethod: match.method,
+    localNames: entry.localNames || [],
+    perishability: entry.perishability || null,
+    shelfLifeDays: typeof entry.shelfLifeDays === 'number' ? entry.shelfLifeDays : null,
+    growingSeason: entry.growingSeason || null,
+    harvestMonths: entry.harvestMonths || []
+  };
+}
+
+module.exports = {
+  CATALOG_FILE,
+  loadCatalog,
+  matchCrop,
+  getCropMetadata
+};
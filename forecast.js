@@ -0,0 +1,296 @@
+/**
+ * Local demand forecasting models for arrival time series
+ * Seasonal naive, moving average and Holt-Winters, with backtests and prediction intervals
+ */
+
+const MODELS = ['seasonal-naive', 'moving-average', 'holt-winters'];
+
+/**
+ * Periods per season for each granularity
+ */
+const SEASON_LENGTHS = { day: 7, week: 52, month: 12 };
+
+/**
+ * Two-sided normal quantiles for the supported interval levels
+ */
+const Z_SCORES = { 80: 1.2816, 90: 1.6449, 95: 1.96, 99: 2.5758 };
+
+/**
+ * Smoothing parameters tried when fitting Holt-Winters (each of alpha, beta, gamma)
+ */
+const SMOOTHING_GRID = [0.1, 0.3, 0.5, 0.7, 0.9];
+
+/**
+ * Get the start date of the day/week/month bucket containing a date (weeks start on Monday)
+ * @param {string} isoDate - Date in YYYY-MM-DD format
+ * @param {string} granularity - day, week or month
+ * @returns {string} Bucket start date in YYYY-MM-DD format
+ */
+function periodStart(isoDate, granularity) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  if (granularity === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  } else if (granularity === 'month') {
+    date.setUTCDate(1);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the start date of the period k periods after a period start
+ * @param {string} period - Period start date (YYYY-MM-DD)
+ * @param {string} granularity - day, week or month
+ * @param {number} k - Number of periods to move (may be negative)
+ * @returns {string} Period start date (YYYY-MM-DD)
+ */
+function addPeriods(period, granularity, k) {
+  const date = new Date(`${period}T00:00:00Z`);
+  if (granularity === 'month') {
+    date.setUTCMonth(date.getUTCMonth() + k);
+  } else {
+    date.setUTCDate(date.getUTCDate() + k * (granularity === 'week' ? 7 : 1));
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Turn period buckets into a gap-free series, with 0 for periods without arrivals
+ * @param {Object} buckets - Period start -> quantity (from demand-timeseries.json)
+ * @param {string} granularity - day, week or month
+ * @param {string} lastPeriod - Last period of the dataset; the series is extended to it
+ * @returns {{periods: Array<string>, values: Array<number>}} Consecutive periods and quantities
+ */
+function toContinuousSeries(buckets, granularity, lastPeriod) {
+  const keys = Object.keys(buckets || {}).sort();
+  const periods = [];
+  const values = [];
+  if (keys.length === 0) return { periods, values };
+
+  const end = lastPeriod && lastPeriod > keys[keys.length - 1] ? lastPeriod : keys[keys.length - 1];
+  for (let period = keys[0]; period <= end; period = addPeriods(period, granularity, 1)) {
+    periods.push(period);
+    values.push(buckets[period] || 0);
+  }
+
+  return { periods, values };
+}
+
+/**
+ * Seasonal naive: each period repeats the same period one season earlier
+ * @param {Array<number>} values - History
+ * @param {number} horizon - Periods to forecast
+ * @param {Object} options - { seasonLength }
+ * @returns {{forecast: Array<number>, residuals: Array<number>, parameters: Object}|null} Null if there is less than one season of history
+ */
+function seasonalNaive(values, horizon, options) {
+  const m = options.seasonLength;
+  if (values.length < m + 1) return null;
+
+  const residuals = [];
+  for (let t = m; t < values.length; t++) residuals.push(values[t] - values[t - m]);
+
+  const forecast = [];
+  for (let k = 0; k < horizon; k++) forecast.push(values[values.length - m + (k % m)]);
+
+  return { forecast, residuals, parameters: { seasonLength: m } };
+}
+
+/**
+ * Moving average: every future period is the mean of the last `window` periods
+ * @param {Array<number>} values - History
+ * @param {number} horizon - Periods to forecast
+ * @param {Object} options - { window }
+ * @returns {{forecast: Array<number>, residuals: Array<number>, parameters: Object}|null} Null if the history is shorter than the window
+ */
+function movingAverage(values, horizon, options) {
+  const window = options.window;
+  if (values.length < window + 1) return null;
+
+  const mean = (from, to) => values.slice(from, to).reduce((sum, value) => sum + value, 0) / (to - from);
+  const residuals = [];
+  for (let t = window; t < values.length; t++) residuals.push(values[t] - mean(t - window, t));
+
+  const level = mean(values.length - window, values.length);
+  return { forecast: new Array(horizon).fill(level), residuals, parameters: { window } };
+}
+
+/**
+ * Run additive Holt-Winters (or Holt's linear trend when seasonLength is 0) with fixed parameters
+ * @param {Array<number>} values - History
+ * @param {number} horizon - Periods to forecast
+ * @param {number} m - Season length, 0 for no seasonality
+ * @param {number} alpha - Level smoothing
+ * @param {number} beta - Trend smoothing
+ * @param {number} gamma - Seasonal smoothing
+ * @returns {{forecast: Array<number>, residuals: Array<number>, sse: number}} One-step residuals and forecast
+ */
+function runHoltWinters(values, horizon, m, alpha, beta, gamma) {
+  const residuals = [];
+  let level;
+  let trend;
+  let seasonals = [];
+  let start;
+
+  if (m > 0) {
+    const seasonMean = (season) => values.slice(season * m, (season + 1) * m).reduce((sum, value) => sum + value, 0) / m;
+    level = seasonMean(0);
+    trend = (seasonMean(1) - seasonMean(0)) / m;
+    seasonals = values.slice(0, m).map(value => value - level);
+    start = m;
+  } else {
+    level = values[0];
+    trend = values[1] - values[0];
+    start = 1;
+  }
+
+  for (let t = start; t < values.length; t++) {
+    const seasonal = m > 0 ? seasonals[t - m] : 0;
+    residuals.push(values[t] - (level + trend + seasonal));
+
+    const previousLevel = level;
+    level = alpha * (values[t] - seasonal) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    if (m > 0) seasonals[t] = gamma * (values[t] - level) + (1 - gamma) * seasonal;
+  }
+
+  const forecast = [];
+  for (let k = 1; k <= horizon; k++) {
+    const seasonal = m > 0 ? seasonals[values.length - m + ((k - 1) % m)] : 0;
+    forecast.push(level + k * trend + seasonal);
+  }
+
+  return { forecast, residuals, sse: residuals.reduce((sum, residual) => sum + residual * residual, 0) };
+}
+
+/**
+ * Holt-Winters additive exponential smoothing, fitted by grid search on one-step errors
+ * Needs two full seasons of history; with less it falls back to Holt's linear trend
+ * @param {Array<number>} values - History
+ * @param {number} horizon - Periods to forecast
+ * @param {Object} options - { seasonLength }
+ * @returns {{forecast: Array<number>, residuals: Array<number>, parameters: Object}|null} Null if there are fewer than 3 periods
+ */
+function holtWinters(values, horizon, options) {
+  const seasonal = values.length >= 2 * options.seasonLength;
+  const m = seasonal ? options.seasonLength : 0;
+  if (values.length < 3) return null;
+
+  let best = null;
+  SMOOTHING_GRID.forEach(alpha => {
+    SMOOTHING_GRID.forEach(beta => {
+      (seasonal ? SMOOTHING_GRID : [0]).forEach(gamma => {
+        const fit = runHoltWinters(values, horizon, m, alpha, beta, gamma);
+        if (!best || fit.sse < best.fit.sse) best = { fit, alpha, beta, gamma };
+      });
+    });
+  });
+
+  return {
+    forecast: best.fit.forecast,
+    residuals: best.fit.residuals,
+    parameters: {
+      seasonal: seasonal,
+      seasonLength: m || null,
+      alpha: best.alpha,
+      beta: best.beta,
+      gamma: seasonal ? best.gamma : null
+    }
+  };
+}
+
+const MODEL_FUNCTIONS = {
+  'seasonal-naive': seasonalNaive,
+  'moving-average': movingAverage,
+  'holt-winters': holtWinters
+};
+
+/**
+ * Error metrics of a forecast against actual values
+ * @param {Array<number>} actual - Actual values
+ * @param {Array<number>} predicted - Forecast values
+ * @returns {{mae: number, rmse: number, mape: number|null}} MAPE skips periods with no arrivals (null if all are 0)
+ */
+function errorMetrics(actual, predicted) {
+  const errors = actual.map((value, index) => value - predicted[index]);
+  const nonZero = actual.map((value, index) => [value, errors[index]]).filter(([value]) => value !== 0);
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  return {
+    mae: round(errors.reduce((sum, error) => sum + Math.abs(error), 0) / errors.length),
+    rmse: round(Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length)),
+    mape: nonZero.length > 0
+      ? round(nonZero.reduce((sum, [value, error]) => sum + Math.abs(error / value), 0) / nonZero.length * 100)
+      : null
+  };
+}
+
+/**
+ * Forecast a series with one model, backtested on the most recent periods
+ * The backtest holds out the last min(horizon, 20% of the history) periods, fits on the rest
+ * and compares the forecast with what actually arrived
+ * @param {string} model - Model name (see MODELS)
+ * @param {Array<number>} values - History
+ * @param {number} horizon - Periods to forecast
+ * @param {Object} options - { seasonLength, window, level }
+ * @returns {Object} { model, applicable, reason?, parameters, backtest, forecast, lower, upper }
+ */
+function runModel(model, values, horizon, options) {
+  const fit = MODEL_FUNCTIONS[model](values, horizon, options);
+  if (!fit) {
+    return { model, applicable: false, reason: 'Not enough history for this model' };
+  }
+
+  const holdout = Math.min(horizon, Math.max(1, Math.floor(values.length * 0.2)));
+  const backtestFit = values.length > holdout ? MODEL_FUNCTIONS[model](values.slice(0, -holdout), holdout, options) : null;
+  const backtest = backtestFit
+    ? { holdout, ...errorMetrics(values.slice(-holdout), backtestFit.forecast.map(value => Math.max(0, value))) }
+    : null;
+
+  // Interval: one-step residual spread, widened with the square root of the step
+  const sigma = fit.residuals.length > 1
+    ? Math.sqrt(fit.residuals.reduce((sum, residual) => sum + residual * residual, 0) / fit.residuals.length)
+    : 0;
+  const z = Z_SCORES[options.level];
+  const forecast = fit.forecast.map(value => Math.max(0, value));
+
+  return {
+    model,
+    applicable: true,
+    parameters: fit.parameters,
+    backtest,
+    forecast,
+    lower: forecast.map((value, index) => Math.max(0, value - z * sigma * Math.sqrt(index + 1))),
+    upper: forecast.map((value, index) => value + z * sigma * Math.sqrt(index + 1))
+  };
+}
+
+/**
+ * Forecast a series with the requested model, or with every model and pick the best
+ * "auto" picks the applicable model with the lowest backtest MAE
+ * @param {Array<number>} values - History (gap-free, see toContinuousSeries)
+ * @param {number} horizon - Periods to forecast
+ * @param {Object} options - { model, seasonLength, window, level }
+ * @returns {{chosen: Object|null, results: Array<Object>}} Chosen model result and all model results
+ */
+function forecastSeries(values, horizon, options) {
+  const models = options.model === 'auto' ? MODELS : [options.model];
+  const results = models.map(model => runModel(model, values, horizon, options));
+
+  const candidates = results.filter(result => result.applicable);
+  const chosen = candidates.length === 0 ? null : candidates.reduce((best, result) => {
+    const score = (entry) => entry.backtest ? entry.backtest.mae : Infinity;
+    return score(result) < score(best) ? result : best;
+  });
+
+  return { chosen, results };
+}
+
+module.exports = {
+  MODELS,
+  SEASON_LENGTHS,
+  Z_SCORES,
+  periodStart,
+  addPeriods,
+  toContinuousSeries,
+  forecastSeries
+};
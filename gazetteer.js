@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const GAZETTEER_FILE = path.join(__dirname, 'district-gazetteer.json');
+
+/**
+ * Mean Earth radius in kilometres (for great-circle distances)
+ */
+const EARTH_RADIUS_KM = 6371.0088;
+
+const BOUNDARY_TYPES = ['Polygon', 'MultiPolygon'];
+
+/**
+ * Normalize a district or state name for gazetteer lookups
+ * Strips diacritics and punctuation, lowercases and collapses whitespace
+ * @param {string} value - Name to normalize
+ * @returns {string} Normalized name
+ */
+function normalizeName(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check that a value is a [longitude, latitude] position
+ * @param {*} position - Value to check
+ * @returns {boolean} True for a position inside the valid coordinate ranges
+ */
+function isPosition(position) {
+  return Array.isArray(position) && position.length >= 2 &&
+    Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+    Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+}
+
+/**
+ * Check that a value is a GeoJSON Polygon or MultiPolygon geometry
+ * @param {*} geometry - Value to check
+ * @returns {boolean} True if every ring is a closed list of at least 4 positions
+ */
+function isBoundary(geometry) {
+  if (!geometry || !BOUNDARY_TYPES.includes(geometry.type) || !Array.isArray(geometry.coordinates)) return false;
+
+  const isRing = (ring) => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition) &&
+    ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+  const isPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+
+  return geometry.type === 'Polygon'
+    ? isPolygon(geometry.coordinates)
+    : geometry.coordinates.length > 0 && geometry.coordinates.every(isPolygon);
+}
+
+/**
+ * Load and validate the district gazetteer
+ *
+ * district-gazetteer.json lists districts with their state, a stable code (the
+ * state's ISO 3166-2 code and a district abbreviation, e.g. IN-KA-MYS), a centroid
+ * and optionally a GeoJSON Polygon/MultiPolygon boundary. aliases are other
+ * spellings and former names of the district used for matching.
+ *
+ * @param {string} [filePath] - Gazetteer file (defaults to district-gazetteer.json next to this module)
+ * @returns {Object} Gazetteer with entries, a state|name index and a code index
+ * @throws {Error} If the file is missing or invalid
+ */
+function loadGazetteer(filePath = GAZETTEER_FILE) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const config = JSON.parse(content);
+  const fileName = path.basename(filePath);
+
+  if (!config || !Array.isArray(config.districts) || config.districts.length === 0) {
+    throw new Error(`${fileName} must contain a non-empty "districts" array`);
+  }
+
+  const nameIndex = new Map(); // "state|name" -> entry
+  const aliasIndex = new Map(); // "state|alias" -> entry
+  const codeIndex = new Map(); // code -> entry
+
+  config.districts.forEach((entry, index) => {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim() ||
+        typeof entry.state !== 'string' || !entry.state.trim()) {
+      throw new Error(`District at index ${index} in ${fileName} is missing "name" or "state"`);
+    }
+    if (typeof entry.code !== 'string' || !entry.code.trim()) {
+      throw new Error(`District "${entry.name}" in ${fileName} is missing "code"`);
+    }
+    if (codeIndex.has(entry.code)) {
+      throw new Error(`Duplicate district code "${entry.code}" in ${fileName}`);
+    }
+    const centroid = entry.centroid || {};
+    if (!isPosition([centroid.lon, centroid.lat])) {
+      throw new Error(`District "${entry.name}" in ${fileName} needs a centroid with lat (-90 to 90) and lon (-180 to 180)`);
+    }
+    if (entry.boundary !== undefined && entry.boundary !== null && !isBoundary(entry.boundary)) {
+      throw new Error(`District "${entry.name}" in ${fileName} has a boundary that is not a valid GeoJSON Polygon or MultiPolygon`);
+    }
+
+    const state = normalizeName(entry.state);
+    const key = `${state}|${normalizeName(entry.name)}`;
+    if (nameIndex.has(key)) {
+      throw new Error(`Duplicate district "${entry.name}" (${entry.state}) in ${fileName}`);
+    }
+    nameIndex.set(key, entry);
+    codeIndex.set(entry.code, entry);
+
+    // First entry wins when two districts of a state share an alias
+    (entry.aliases || []).forEach(alias => {
+      const aliasKey = `${state}|${normalizeName(alias)}`;
+      if (!aliasIndex.has(aliasKey)) aliasIndex.set(aliasKey, entry);
+    });
+  });
+
+  return {
+    version: crypto.createHash('sha256').update(content).digest('hex').slice(0, 16),
+    districts: config.districts,
+    nameIndex: nameIndex,
+    aliasIndex: aliasIndex,
+    codeIndex: codeIndex
+  };
+}
+
+/**
+ * Find the gazetteer entry for a district of a state
+ * Order: exact name, then alias (names are only matched within the same state)
+ * @param {Object} gazetteer - Loaded gazetteer
+ * @param {string} state - State name
+ * @param {string} district - District name (from the CSV)
+ * @returns {{entry: Object, method: string}|null} Match, or null if the district isn't in the gazetteer
+ */
+function matchDistrict(gazetteer, state, district) {
+  const key = `${normalizeName(state)}|${normalizeName(district)}`;
+
+  if (gazetteer.nameIndex.has(key)) {
+    return { entry: gazetteer.nameIndex.get(key), method: 'exact' };
+  }
+  if (gazetteer.aliasIndex.has(key)) {
+    return { entry: gazetteer.aliasIndex.get(key), method: 'alias' };
+  }
+  return null;
+}
+
+/**
+ * Build the location object attached to regional suitability entries in demand.json
+ * Boundaries stay in the gazetteer; they are looked up by districtCode when needed
+ * @param {{entry: Object, method: string}} match - Result of matchDistrict
+ * @returns {Object} District location
+ */
+function getDistrictLocation(match) {
+  const { entry } = match;
+  return {
+    districtCode: entry.code,
+    gazetteerName: entry.name,
+    matchMethod: match.method,
+    latitude: entry.centroid.lat,
+    longitude: entry.centroid.lon,
+    hasBoundary: Boolean(entry.boundary)
+  };
+}
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in kilometres
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+module.exports = {
+  GAZETTEER_FILE,
+  loadGazetteer,
+  matchDistrict,
+  getDistrictLocation,
+  distanceKm
+};
@@ -0,0 +1,25 @@
+/**
+ * Request limits shared by the route checks in server.js and the OpenAPI spec (openapi.js),
+ * so the documented bounds and the enforced ones can't drift apart
+ */
+
+// Largest ?limit= on paginated routes and GraphQL lists
+const MAX_PAGE_LIMIT = 500;
+
+// Largest forecast horizon and moving average window, in periods
+const MAX_FORECAST_HORIZON = 52;
+
+// Largest ?n= on /api/analytics/top
+const MAX_TOP_N = 100;
+
+// Default and largest search radius of /api/demand/nearby
+const DEFAULT_NEARBY_RADIUS_KM = 50;
+const MAX_NEARBY_RADIUS_KM = 1000;
+
+module.exports = {
+  MAX_PAGE_LIMIT,
+  MAX_FORECAST_HORIZON,
+  MAX_TOP_N,
+  DEFAULT_NEARBY_RADIUS_KM,
+  MAX_NEARBY_RADIUS_KM
+};
@@ -0,0 +1,1240 @@
+/**
+ * OpenAPI 3 description of the routes in server.js
+ * The parameter definitions here also validate incoming requests (validateParameters),
+ * so /openapi.json describes exactly what the API accepts
+ */
+
+const { version: PACKAGE_VERSION } = require('./package.json');
+const { MODELS: FORECAST_MODELS, Z_SCORES } = require('./forecast');
+const { ANOMALY_TYPES } = require('./anomalies');
+const { TOP_DIMENSIONS } = require('./routes/analytics');
+const { MAX_PAGE_LIMIT, MAX_FORECAST_HORIZON, MAX_TOP_N, DEFAULT_NEARBY_RADIUS_KM, MAX_NEARBY_RADIUS_KM } = require('./limits');
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+const UNIT = 'tons per week';
+
+/**
+ * Query parameter definition
+ * @param {string} name - Parameter name
+ * @param {Object} schema - JSON schema of the value
+ * @param {string} description - Description
+ * @param {boolean} [required] - Whether the parameter is required
+ * @returns {Object} OpenAPI parameter object
+ */
+function queryParam(name, schema, description, required = false) {
+  return { name: name, in: 'query', required: required, description: description, schema: schema };
+}
+
+/**
+ * Path parameter definition
+ * @param {string} name - Parameter name
+ * @param {string} description - Description
+ * @returns {Object} OpenAPI parameter object
+ */
+function pathParam(name, description) {
+  return { name: name, in: 'path', required: true, description: description, schema: { type: 'string', minLength: 1 } };
+}
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const paramRef = (name) => ({ $ref: `#/components/parameters/${name}` });
+const arrayOf = (items) => ({ type: 'array', items: items });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+/**
+ * JSON response with a schema
+ * @param {string} description - Response description
+ * @param {Object} schema - Response schema
+ * @returns {Object} OpenAPI response object
+ */
+function jsonResponse(description, schema) {
+  return { description: description, content: { 'application/json': { schema: schema } } };
+}
+
+const errorResponse = (description) => jsonResponse(description, ref('Error'));
+const STANDARD_ERRORS = {
+  400: { $ref: '#/components/responses/BadRequest' },
+  500: errorResponse('Unexpected server error')
+};
+const AUTH_ERRORS = {
+  401: { $ref: '#/components/responses/Unauthorized' },
+  403: { $ref: '#/components/responses/Forbidden' },
+  429: { $ref: '#/components/responses/TooManyRequests' }
+};
+const VERSIONED_ERRORS = {
+  ...STANDARD_ERRORS,
+  404: errorResponse('Not found, or unknown dataset version (the body lists availableVersions)')
+};
+
+/**
+ * Build the OpenAPI document
+ * category and state filters list the values currently known (taxonomy categories and
+ * loaded states) as enums; `x-enum-source` tells the validator which list to use
+ * @param {Object} [options] - { categories, states } known values for the filters
+ * @returns {Object} OpenAPI 3 document
+ */
+function buildOpenApiSpec(options = {}) {
+  const categories = options.categories || [];
+  const states = options.states || [];
+
+  const enumOf = (values) => (values.length > 0 ? { enum: values } : {});
+
+  const parameters = {
+    State: queryParam('state', {
+      type: 'string',
+      ...enumOf(states),
+      'x-enum-source': 'states',
+      'x-case-insensitive': true
+    }, 'Only this state (case-insensitive)'),
+    Category: queryParam('category', {
+      type: 'string',
+      ...enumOf(categories),
+      'x-enum-source': 'categories',
+      'x-case-insensitive': true
+    }, 'Only this category from taxonomy.json (case-insensitive). See GET /api/categories'),
+    Format: queryParam('format', {
+      type: 'string',
+      enum: ['json', 'csv', 'ndjson', 'geojson'],
+      'x-case-insensitive': true
+    }, 'Response format (default: from the Accept header, else json)'),
+    Version: queryParam('version', { type: 'string', minLength: 1 },
+      'Dataset snapshot ID from GET /api/datasets (default: current)'),
+    ExcludeAnomalies: queryParam('excludeAnomalies', { type: 'string', minLength: 1, example: 'outlier,spike' },
+      `Leave flagged arrivals out of the aggregates: "all" or a comma-separated list of ${ANOMALY_TYPES.join(', ')}`),
+    Limit: queryParam('limit', { type: 'integer', minimum: 1, maximum: MAX_PAGE_LIMIT },
+      'Items per page (default: all)'),
+    Offset: queryParam('offset', { type: 'integer', minimum: 0, default: 0 }, 'Number of items to skip'),
+    From: queryParam('from', { type: 'string', format: 'date', pattern: DATE_PATTERN }, 'Start date (inclusive)'),
+    To: queryParam('to', { type: 'string', format: 'date', pattern: DATE_PATTERN }, 'End date (inclusive)'),
+    Granularity: queryParam('granularity', {
+      type: 'string',
+      enum: ['day', 'week', 'month'],
+      default: 'week',
+      'x-case-insensitive': true
+    }, 'Bucket size. Weeks start on Monday')
+  };
+
+  const demandContent = (schema) => ({
+    'application/json': { schema: schema },
+    'text/csv': { schema: { type: 'string' } },
+    'application/x-ndjson': { schema: { type: 'string' } },
+    'application/geo+json': { schema: ref('DistrictFeatureCollection') }
+  });
+
+  const schemas = {
+    Error: {
+      type: 'object',
+      required: ['error', 'message'],
+      properties: {
+        error: { type: 'string' },
+        message: { type: 'string' }
+      },
+      additionalProperties: true
+    },
+    RateLimitError: {
+      type: 'object',
+      required: ['error', 'message', 'retryAfter'],
+      properties: {
+        error: { type: 'string', enum: ['Rate limit exceeded', 'Quota exceeded'] },
+        message: { type: 'string' },
+        retryAfter: { type: 'integer', description: 'Seconds until the limit resets (also sent as Retry-After)' }
+      }
+    },
+    ValidationError: {
+      type: 'object',
+      required: ['error', 'message', 'parameter', 'in'],
+      properties: {
+        error: { type: 'string', example: 'Invalid parameter' },
+        message: { type: 'string', example: `limit must be an integer from 1 to ${MAX_PAGE_LIMIT}` },
+        parameter: { type: 'string', example: 'limit' },
+        in: { type: 'string', enum: ['query', 'path'] },
+        allowedValues: arrayOf({ type: 'string' })
+      }
+    },
+    Prices: nullable({
+      type: 'object',
+      description: 'Arrival-weighted prices in Rs./Quintal',
+      properties: {
+        minPrice: { type: 'number' },
+        maxPrice: { type: 'number' },
+        modalPrice: { type: 'number' },
+        lowestPrice: { type: 'number' },
+        highestPrice: { type: 'number' },
+        weightQuantity: { type: 'number' },
+        unit: { type: 'string' }
+      }
+    }),
+    CategoryRef: {
+      type: 'object',
+      properties: {
+        _id: { type: 'string' },
+        name: { type: 'string' }
+      }
+    },
+    CropMetadata: nullable({
+      type: 'object',
+      description: 'Crop catalog data, null if the crop is not in crop-catalog.json',
+      properties: {
+        catalogName: { type: 'string' },
+        matchMethod: { type: 'string', enum: ['exact', 'alias', 'partial', 'fuzzy'] },
+        localNames: arrayOf({ type: 'string' }),
+        perishability: nullable({ type: 'string' }),
+        shelfLifeDays: nullable({ type: 'integer' }),
+        growingSeason: nullable({ type: 'string' }),
+        harvestMonths: arrayOf({ type: 'string' })
+      }
+    }),
+    Location: nullable({
+      type: 'object',
+      description: 'District centroid and code from district-gazetteer.json, null if the district is not in the gazetteer',
+      properties: {
+        districtCode: { type: 'string', example: 'IN-KA-MYS' },
+        gazetteerName: { type: 'string' },
+        matchMethod: { type: 'string', enum: ['exact', 'alias'] },
+        latitude: { type: 'number' },
+        longitude: { type: 'number' },
+        hasBoundary: { type: 'boolean' }
+      }
+    }),
+    Region: {
+      type: 'object',
+      properties: {
+        geography: { type: 'string' },
+        state: { type: 'string' },
+        district: { type: 'string' },
+        location: ref('Location'),
+        suitability: { type: 'string' },
+        demandQuantity: { type: 'number' },
+        prices: ref('Prices'),
+        suitabilityMethod: { type: 'string' },
+        suitabilityScore: { type: 'number' },
+        suitabilityMetrics: { type: 'object', additionalProperties: { type: 'number' } }
+      }
+    },
+    Summary: {
+      type: 'object',
+      properties: {
+        totalStates: { type: 'integer' },
+        totalCategories: { type: 'integer' },
+        totalCrops: { type: 'integer' },
+        totalDemand: { type: 'number' },
+        unit: { type: 'string', example: UNIT },
+        lastUpdated: { type: 'string', format: 'date-time' }
+      }
+    },
+    Links: {
+      type: 'object',
+      properties: {
+        self: { type: 'string' },
+        next: nullable({ type: 'string' }),
+        prev: nullable({ type: 'string' })
+      }
+    },
+    DistrictCrop: {
+      type: 'object',
+      properties: {
+        cropId: { type: 'string', format: 'uuid' },
+        cropName: { type: 'string' },
+        scientificName: { type: 'string' },
+        categoryId: ref('CategoryRef'),
+        metadata: ref('CropMetadata'),
+        demandQuantity: { type: 'number', description: 'Demand in the district' },
+        stateDemandQuantity: { type: 'number', description: 'Demand in the whole state' },
+        prices: ref('Prices'),
+        regionalSuitability: arrayOf(ref('Region'))
+      }
+    },
+    StateCrop: {
+      type: 'object',
+      properties: {
+        cropId: { type: 'string', format: 'uuid' },
+        cropName: { type: 'string' },
+        scientificName: { type: 'string' },
+        categoryId: ref('CategoryRef'),
+        subcategory: nullable({ type: 'string' }),
+        metadata: ref('CropMetadata'),
+        demandQuantity: { type: 'number' },
+        prices: ref('Prices'),
+        regionalSuitability: arrayOf(ref('Region'))
+      }
+    },
+    DistrictState: {
+      type: 'object',
+      properties: {
+        state: { type: 'string' },
+        categories: arrayOf({
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            count: { type: 'integer' },
+            totalDemand: { type: 'number' },
+            crops: arrayOf(ref('DistrictCrop'))
+          }
+        }),
+        summary: ref('Summary')
+      }
+    },
+    CityDemand: {
+      type: 'object',
+      properties: {
+        city: { type: 'string' },
+        filters: { type: 'object', properties: { state: { type: 'string' }, category: { type: 'string' } } },
+        data: arrayOf(ref('DistrictState')),
+        summary: ref('Summary'),
+        matchedDistricts: arrayOf({ type: 'string' })
+      }
+    },
+    CityList: {
+      type: 'object',
+      properties: {
+        totalCities: { type: 'integer' },
+        cities: arrayOf({ type: 'string' }),
+        districts: arrayOf({
+          type: 'object',
+          properties: {
+            city: { type: 'string' },
+            state: { type: 'string' },
+            totalCrops: { type: 'integer' },
+            totalDemand: { type: 'number' },
+            unit: { type: 'string' },
+            location: ref('Location')
+          }
+        })
+      }
+    },
+    DistrictSuggestions: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        totalResults: { type: 'integer' },
+        results: arrayOf({
+          type: 'object',
+          properties: {
+            city: { type: 'string' },
+            state: { type: 'string' },
+            matchType: { type: 'string', enum: ['prefix', 'alias', 'contains', 'fuzzy'] },
+            alias: { type: 'string' }
+          }
+        })
+      }
+    },
+    AllCitiesPage: {
+      type: 'object',
+      properties: {
+        totalCities: { type: 'integer' },
+        count: { type: 'integer' },
+        offset: { type: 'integer' },
+        limit: nullable({ type: 'integer' }),
+        sort: { type: 'string' },
+        order: { type: 'string' },
+        filters: { type: 'object', additionalProperties: true },
+        links: ref('Links'),
+        cities: arrayOf({
+          type: 'object',
+          properties: {
+            city: { type: 'string' },
+            states: arrayOf(ref('DistrictState')),
+            summary: ref('Summary')
+          }
+        })
+      }
+    },
+    StateDemand: {
+      type: 'object',
+      properties: {
+        state: { type: 'string' },
+        filters: { type: 'object', properties: { category: { type: 'string' } } },
+        categories: arrayOf({
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            count: { type: 'integer' },
+            crops: arrayOf(ref('StateCrop'))
+          }
+        }),
+        summary: ref('Summary')
+      }
+    },
+    DistrictFeatureCollection: {
+      type: 'object',
+      description: 'One feature per district. The geometry is the district boundary when the gazetteer has one, ' +
+        'otherwise a Point at its centroid, and null for districts not in the gazetteer',
+      properties: {
+        type: { type: 'string', enum: ['FeatureCollection'] },
+        features: arrayOf({
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['Feature'] },
+            id: { type: 'string', description: 'District code, or "state|district" for districts not in the gazetteer' },
+            geometry: nullable({
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: ['Point', 'Polygon', 'MultiPolygon'] },
+                coordinates: { type: 'array', items: {} }
+              }
+            }),
+            properties: {
+              type: 'object',
+              properties: {
+                district: { type: 'string' },
+                state: { type: 'string' },
+                districtCode: nullable({ type: 'string' }),
+                latitude: nullable({ type: 'number' }),
+                longitude: nullable({ type: 'number' }),
+                distanceKm: { type: 'number', description: 'Only from /api/demand/nearby' },
+                totalCrops: { type: 'integer' },
+                totalDemand: { type: 'number' },
+                unit: { type: 'string', example: UNIT },
+                crops: arrayOf({
+                  type: 'object',
+                  properties: {
+                    cropId: { type: 'string', format: 'uuid' },
+                    cropName: { type: 'string' },
+                    category: { type: 'string' },
+                    suitability: { type: 'string' },
+                    demandQuantity: { type: 'number' },
+                    modalPrice: nullable({ type: 'number' }),
+                    priceUnit: nullable({ type: 'string' })
+                  }
+                })
+              }
+            }
+          }
+        })
+      }
+    },
+    NearbyDemand: {
+      type: 'object',
+      properties: {
+        center: { type: 'object', properties: { latitude: { type: 'number' }, longitude: { type: 'number' } } },
+        radiusKm: { type: 'number' },
+        filters: { type: 'object', additionalProperties: true },
+        totalDistricts: { type: 'integer' },
+        unlocatedDistricts: { type: 'integer', description: 'Districts in the dataset that have no location and were not searched' },
+        districts: arrayOf({
+          allOf: [ref('DistrictState')],
+          properties: {
+            city: { type: 'string' },
+            distanceKm: { type: 'number' },
+            location: ref('Location')
+          }
+        }),
+        summary: ref('Summary'),
+        nearest: {
+          type: 'object',
+          description: 'Closest district, only when none are within radiusKm',
+          properties: { city: { type: 'string' }, state: { type: 'string' }, distanceKm: { type: 'number' } }
+        }
+      }
+    },
+    Point: {
+      type: 'object',
+      properties: {
+        period: { type: 'string', format: 'date' },
+        quantity: { type: 'number' }
+      }
+    },
+    TimeSeries: {
+      type: 'object',
+      properties: {
+        filters: { type: 'object', additionalProperties: true },
+        granularity: { type: 'string' },
+        unit: { type: 'string', example: 'tonnes' },
+        totalSeries: { type: 'integer' },
+        total: arrayOf(ref('Point')),
+        series: arrayOf({
+          type: 'object',
+          properties: {
+            cropId: { type: 'string', format: 'uuid' },
+            cropName: { type: 'string' },
+            category: { type: 'string' },
+            state: { type: 'string' },
+            district: { type: 'string' },
+            total: { type: 'number' },
+            points: arrayOf(ref('Point'))
+          }
+        })
+      }
+    },
+    Forecast: {
+      type: 'object',
+      properties: {
+        filters: { type: 'object', additionalProperties: true },
+        granularity: { type: 'string' },
+        horizon: { type: 'integer' },
+        model: { type: 'string' },
+        level: { type: 'integer' },
+        unit: { type: 'string' },
+        totalSeries: { type: 'integer' },
+        truncated: { type: 'boolean' },
+        series: arrayOf({
+          type: 'object',
+          properties: {
+            cropId: { type: 'string', format: 'uuid' },
+            cropName: { type: 'string' },
+            category: { type: 'string' },
+            state: { type: 'string' },
+            district: { type: 'string' },
+            history: { type: 'object', additionalProperties: true },
+            model: nullable({ type: 'string' }),
+            models: arrayOf({ type: 'object', additionalProperties: true }),
+            forecast: arrayOf({
+              type: 'object',
+              properties: {
+                period: { type: 'string', format: 'date' },
+                quantity: { type: 'number' },
+                lower: { type: 'number' },
+                upper: { type: 'number' }
+              }
+            })
+          },
+          additionalProperties: true
+        })
+      }
+    },
+    Anomaly: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ANOMALY_TYPES },
+        direction: { type: 'string', enum: ['high', 'low'] },
+        state: { type: 'string' },
+        category: { type: 'string' },
+        cropName: { type: 'string' },
+        cropId: { type: 'string', format: 'uuid' },
+        district: { type: 'string' },
+        market: { type: 'string' },
+        rowNumber: { type: 'integer' },
+        date: { type: 'string', format: 'date' },
+        week: { type: 'string', format: 'date' },
+        previousWeek: { type: 'string', format: 'date' },
+        quantity: { type: 'number' },
+        previousQuantity: { type: 'number' },
+        days: {
+          type: 'object',
+          additionalProperties: { type: 'number' },
+          description: 'Arrivals of a spike/collapse week per day (tonnes)'
+        },
+        expected: { type: 'number' },
+        ratio: { type: 'number' },
+        robustZ: { type: 'number' },
+        file: { type: 'string' },
+        excluded: { type: 'boolean' }
+      }
+    },
+    AnomalyPage: {
+      type: 'object',
+      properties: {
+        generatedAt: { type: 'string', format: 'date-time' },
+        excludedFromAggregates: { type: 'boolean' },
+        excludedTypes: arrayOf({ type: 'string', enum: ANOMALY_TYPES }),
+        thresholds: { type: 'object', additionalProperties: { type: 'number' } },
+        totals: { type: 'object', additionalProperties: { type: 'number' } },
+        filters: { type: 'object', additionalProperties: true },
+        totalAnomalies: { type: 'integer' },
+        count: { type: 'integer' },
+        offset: { type: 'integer' },
+        limit: nullable({ type: 'integer' }),
+        sort: { type: 'string' },
+        links: ref('Links'),
+        anomalies: arrayOf(ref('Anomaly'))
+      }
+    },
+    CropPrices: {
+      type: 'object',
+      properties: {
+        cropName: { type: 'string' },
+        filters: { type: 'object', additionalProperties: true },
+        unit: { type: 'string', example: 'Rs./Quintal' },
+        weighting: { type: 'string' },
+        summary: ref('Prices'),
+        totalDistricts: { type: 'integer' },
+        districts: arrayOf({
+          type: 'object',
+          properties: {
+            state: { type: 'string' },
+            district: { type: 'string' },
+            prices: ref('Prices')
+          }
+        }),
+        granularity: { type: 'string' },
+        series: arrayOf({ type: 'object', additionalProperties: true })
+      }
+    },
+    CropSummary: {
+      type: 'object',
+      properties: {
+        cropId: { type: 'string', format: 'uuid' },
+        cropName: { type: 'string' },
+        scientificName: { type: 'string' },
+        categoryId: ref('CategoryRef'),
+        subcategory: nullable({ type: 'string' }),
+        metadata: ref('CropMetadata'),
+        totalStates: { type: 'integer' },
+        totalDistricts: { type: 'integer' },
+        totalDemand: { type: 'number' },
+        shareOfNationalDemand: { type: 'number' },
+        unit: { type: 'string' }
+      }
+    },
+    CropPage: {
+      type: 'object',
+      properties: {
+        totalCrops: { type: 'integer' },
+        count: { type: 'integer' },
+        offset: { type: 'integer' },
+        limit: nullable({ type: 'integer' }),
+        sort: { type: 'string' },
+        order: { type: 'string' },
+        filters: { type: 'object', additionalProperties: true },
+        links: ref('Links'),
+        crops: arrayOf(ref('CropSummary'))
+      }
+    },
+    CropDetail: {
+      type: 'object',
+      properties: {
+        cropId: { type: 'string', format: 'uuid' },
+        cropName: { type: 'string' },
+        scientificName: { type: 'string' },
+        categoryId: ref('CategoryRef'),
+        metadata: ref('CropMetadata'),
+        matchedBy: { type: 'string', enum: ['id', 'name'] },
+        summary: { type: 'object', additionalProperties: true },
+        states: arrayOf({ type: 'object', additionalProperties: true }),
+        districts: arrayOf({ type: 'object', additionalProperties: true })
+      },
+      additionalProperties: true
+    },
+    TopRanking: {
+      type: 'object',
+      properties: {
+        by: { type: 'string' },
+        n: { type: 'integer' },
+        filters: { type: 'object', additionalProperties: true },
+        totalDemand: { type: 'number' },
+        unit: { type: 'string' },
+        totalEntries: { type: 'integer' },
+        hhi: { type: 'number', description: 'Herfindahl-Hirschman index of the shares (0-10000)' },
+        top: arrayOf({ type: 'object', additionalProperties: true })
+      }
+    },
+    CategoryList: {
+      type: 'object',
+      properties: {
+        taxonomyVersion: { type: 'string' },
+        totalCategories: { type: 'integer' },
+        categories: arrayOf({
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            inTaxonomy: { type: 'boolean' },
+            aliases: arrayOf({ type: 'string' }),
+            subcategories: arrayOf({
+              type: 'object',
+              properties: { name: { type: 'string' }, cropCount: { type: 'integer' } }
+            }),
+            counts: { type: 'object', additionalProperties: true }
+          }
+        })
+      }
+    },
+    GraphQLRequest: {
+      type: 'object',
+      required: ['query'],
+      properties: {
+        query: { type: 'string' },
+        variables: nullable({ type: 'object', additionalProperties: true }),
+        operationName: nullable({ type: 'string' })
+      }
+    },
+    GraphQLResponse: {
+      type: 'object',
+      properties: {
+        data: nullable({ type: 'object', additionalProperties: true }),
+        errors: arrayOf({ type: 'object', properties: { message: { type: 'string' } }, additionalProperties: true })
+      }
+    },
+    Snapshot: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', example: '20240501T103000Z' },
+        version: { type: 'string' },
+        backend: { type: 'string', enum: ['json', 'sqlite'] },
+        files: arrayOf({ type: 'string' }),
+        startedAt: { type: 'string', format: 'date-time' },
+        finishedAt: { type: 'string', format: 'date-time' },
+        durationMs: { type: 'integer' },
+        options: { type: 'object', additionalProperties: true },
+        counts: { type: 'object', additionalProperties: { type: 'number' } },
+        current: { type: 'boolean' },
+        sourceFileCount: { type: 'integer' },
+        sourceFiles: arrayOf({
+          type: 'object',
+          properties: {
+            file: { type: 'string' },
+            hash: { type: 'string' },
+            size: { type: 'integer' },
+            rowsRead: { type: 'integer' },
+            rowsKept: { type: 'integer' }
+          }
+        })
+      }
+    },
+    SnapshotList: {
+      type: 'object',
+      properties: {
+        currentVersion: nullable({ type: 'string' }),
+        totalSnapshots: { type: 'integer' },
+        snapshots: arrayOf(ref('Snapshot'))
+      }
+    },
+    DatasetDiff: {
+      type: 'object',
+      properties: {
+        from: { type: 'object', additionalProperties: { type: 'string' } },
+        to: { type: 'object', additionalProperties: { type: 'string' } },
+        totals: { type: 'object', additionalProperties: true },
+        crops: { type: 'object', additionalProperties: true },
+        districts: { type: 'object', additionalProperties: true }
+      }
+    },
+    DatasetInfo: nullable({
+      type: 'object',
+      properties: {
+        version: { type: 'string' },
+        storage: { type: 'string' },
+        file: { type: 'string' },
+        fileModifiedAt: { type: 'string', format: 'date-time' },
+        lastUpdated: nullable({ type: 'string', format: 'date-time' }),
+        loadedAt: { type: 'string', format: 'date-time' },
+        counts: { type: 'object', additionalProperties: { type: 'integer' } }
+      }
+    }),
+    Health: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        dataLoaded: { type: 'boolean' },
+        timestamp: { type: 'string', format: 'date-time' },
+        dataset: ref('DatasetInfo'),
+        lastReload: nullable({ type: 'object', additionalProperties: true }),
+        responseCache: {
+          type: 'object',
+          properties: {
+            entries: { type: 'integer' },
+            bytes: { type: 'integer' },
+            maxBytes: { type: 'integer' },
+            hits: { type: 'integer' },
+            misses: { type: 'integer' }
+          }
+        }
+      }
+    }
+  };
+
+  const paths = {
+    '/api/demand/city/{cityName}': {
+      get: {
+        operationId: 'getCityDemand',
+        tags: ['Demand'],
+        summary: 'Crop demand in a city/district',
+        description: 'Matching ignores case, diacritics and punctuation and resolves renamed districts (district-aliases.json).',
+        parameters: [
+          pathParam('cityName', 'City/district name'),
+          paramRef('State'), paramRef('Category'), paramRef('Format'), paramRef('Version'), paramRef('ExcludeAnomalies')
+        ],
+        responses: {
+          200: { description: 'Demand by state and category', content: demandContent(ref('CityDemand')) },
+          ...VERSIONED_ERRORS,
+          503: errorResponse('Data not loaded')
+        }
+      }
+    },
+    '/api/demand/cities': {
+      get: {
+        operationId: 'listCities',
+        tags: ['Demand'],
+        summary: 'All cities/districts with their demand totals',
+        parameters: [paramRef('Version'), paramRef('ExcludeAnomalies')],
+        responses: { 200: jsonResponse('Cities', ref('CityList')), ...VERSIONED_ERRORS, 503: errorResponse('Data not loaded') }
+      }
+    },
+    '/api/demand/districts/autocomplete': {
+      get: {
+        operationId: 'autocompleteDistricts',
+        tags: ['Demand'],
+        summary: 'Suggest district names for a partial name',
+        parameters: [
+          queryParam('q', { type: 'string', minLength: 1 }, 'Partial district name', true),
+          queryParam('limit', { type: 'integer', minimum: 1, maximum: 50, default: 10 }, 'Maximum number of results'),
+          paramRef('Version')
+        ],
+        responses: { 200: jsonResponse('Suggestions', ref('DistrictSuggestions')), ...VERSIONED_ERRORS, 503: errorResponse('Data not loaded') }
+      }
+    },
+    '/api/demand/all-cities': {
+      get: {
+        operationId: 'listAllCities',
+        tags: ['Demand'],
+        summary: 'Every city with its crops by state and category (paginated)',
+        parameters: [
+          paramRef('Limit'), paramRef('Offset'),
+          queryParam('sort', { type: 'string', enum: ['city', 'totalDemand', 'totalCrops'], default: 'city' }, 'Sort field'),
+          queryParam('order', { type: 'string', enum: ['asc', 'desc'], 'x-case-insensitive': true },
+            'Sort order (default: asc for city, desc for the totals)'),
+          paramRef('State'), paramRef('Category'),
+          queryParam('minDemand', { type: 'number', minimum: 0 }, 'Only crops with at least this district demand'),
+          queryParam('fields', { type: 'string' }, 'Comma-separated fields per city (city, states, summary; nested with dots). JSON only'),
+          paramRef('Format'), paramRef('Version'), paramRef('ExcludeAnomalies')
+        ],
+        responses: {
+          200: { description: 'Page of cities', content: demandContent(ref('AllCitiesPage')) },
+          ...VERSIONED_ERRORS,
+          503: errorResponse('Data not loaded')
+        }
+      }
+    },
+    '/api/demand/state/{stateName}': {
+      get: {
+        operationId: 'getStateDemand',
+        tags: ['Demand'],
+        summary: 'Crop demand in a state',
+        parameters: [pathParam('stateName', 'State name (case-insensitive)'), paramRef('Category'), paramRef('Format'), paramRef('Version'),
+          paramRef('ExcludeAnomalies')],
+        responses: {
+          200: { description: 'State demand', content: demandContent(ref('StateDemand')) },
+          ...VERSIONED_ERRORS,
+          503: errorResponse('Data not loaded')
+        }
+      }
+    },
+    '/api/demand/nearby': {
+      get: {
+        operationId: 'getNearbyDemand',
+        tags: ['Demand'],
+        summary: 'Crop demand in districts within a distance of a point',
+        description: 'Distances are great-circle distances to district centroids from district-gazetteer.json, closest first. ' +
+          'Districts without a gazetteer location are not searched.',
+        parameters: [
+          queryParam('lat', { type: 'number', minimum: -90, maximum: 90 }, 'Latitude of the point', true),
+          queryParam('lon', { type: 'number', minimum: -180, maximum: 180 }, 'Longitude of the point', true),
+          queryParam('radiusKm', { type: 'number', minimum: 0, maximum: MAX_NEARBY_RADIUS_KM, default: DEFAULT_NEARBY_RADIUS_KM },
+            'Search radius in km (greater than 0)'),
+          paramRef('State'), paramRef('Category'),
+          queryParam('crop', { type: 'string' }, 'Only this crop (name, case-insensitive, or crop ID)'),
+          paramRef('Limit'), paramRef('Format'), paramRef('Version'), paramRef('ExcludeAnomalies')
+        ],
+        responses: {
+          200: { description: 'Districts in range with their demand', content: demandContent(ref('NearbyDemand')) },
+          ...VERSIONED_ERRORS,
+          503: errorResponse('Data not loaded')
+        }
+      }
+    },
+    '/api/demand/timeseries': {
+      get: {
+        operationId: 'getTimeSeries',
+        tags: ['Time series'],
+        summary: 'Dated arrivals per crop/district',
+        parameters: [
+          queryParam('crop', { type: 'string' }, 'Crop name (case-insensitive)'),
+          queryParam('district', { type: 'string' }, 'District name (case-insensitive)'),
+          paramRef('State'), paramRef('Granularity'), paramRef('From'), paramRef('To'), paramRef('Version'),
+          paramRef('ExcludeAnomalies')
+        ],
+        responses: { 200: jsonResponse('Time series', ref('TimeSeries')), ...VERSIONED_ERRORS, 503: errorResponse('Time series not loaded') }
+      }
+    },
+    '/api/forecast': {
+      get: {
+        operationId: 'getForecast',
+        tags: ['Time series'],
+        summary: 'Forecast arrivals per crop/district',
+        description: 'crop or district is required.',
+        parameters: [
+          queryParam('crop', { type: 'string' }, 'Crop name (case-insensitive)'),
+          queryParam('district', { type: 'string' }, 'District name (case-insensitive)'),
+          paramRef('State'), paramRef('Granularity'),
+          queryParam('horizon', { type: 'integer', minimum: 1, maximum: MAX_FORECAST_HORIZON, default: 4 }, 'Periods to forecast'),
+          queryParam('model', {
+            type: 'string',
+            enum: ['auto', ...FORECAST_MODELS],
+            default: 'auto',
+            'x-case-insensitive': true
+          }, 'Forecasting model; auto picks the lowest backtest error'),
+          queryParam('level', { type: 'integer', enum: Object.keys(Z_SCORES).map(Number), default: 80 }, 'Prediction interval level (%)'),
+          queryParam('window', { type: 'integer', minimum: 1, maximum: MAX_FORECAST_HORIZON, default: 4 }, 'Moving average window in periods'),
+          queryParam('includeHistory', { type: 'boolean', default: false }, 'Also return the history the forecast was fitted on'),
+          paramRef('Version'), paramRef('ExcludeAnomalies')
+        ],
+        responses: {
+          200: jsonResponse('Forecasts', ref('Forecast')),
+          ...STANDARD_ERRORS,
+          404: errorResponse('No dated arrivals for the filters, or unknown dataset version'),
+          503: errorResponse('Time series not loaded')
+        }
+      }
+    },
+    '/api/anomalies': {
+      get: {
+        operationId: 'listAnomalies',
+        tags: ['Time series'],
+        summary: 'Arrival outliers and week-over-week spikes/collapses',
+        parameters: [
+          queryParam('type', { type: 'string', enum: ANOMALY_TYPES, 'x-case-insensitive': true }, 'Anomaly type'),
+          queryParam('crop', { type: 'string' }, 'Crop name (case-insensitive)'),
+          paramRef('State'),
+          queryParam('district', { type: 'string' }, 'District name (case-insensitive)'),
+          queryParam('market', { type: 'string' }, 'Market name (case-insensitive)'),
+          paramRef('From'), paramRef('To'),
+          queryParam('minScore', { type: 'number', minimum: 0 }, 'Minimum absolute robust z-score'),
+          queryParam('excluded', { type: 'boolean' }, 'Only anomalies that were (not) left out of the aggregates'),
+          queryParam('excludeAnomalies', { type: 'string', minLength: 1, example: 'outlier,spike' },
+            'Types also left out at query time (as on the aggregate routes); marks those entries as excluded'),
+          queryParam('sort', { type: 'string', enum: ['score', 'date'], default: 'score', 'x-case-insensitive': true }, 'Sort order'),
+          paramRef('Limit'), paramRef('Offset'), paramRef('Version')
+        ],
+        responses: { 200: jsonResponse('Anomalies', ref('AnomalyPage')), ...VERSIONED_ERRORS, 503: errorResponse('anomalies.json not loaded') }
+      }
+    },
+    '/api/prices/{cropName}': {
+      get: {
+        operationId: 'getCropPrices',
+        tags: ['Crops'],
+        summary: 'Arrival-weighted prices for a crop',
+        parameters: [
+          pathParam('cropName', 'Crop name (case-insensitive)'),
+          paramRef('State'),
+          queryParam('district', { type: 'string' }, 'District name (case-insensitive)'),
+          paramRef('From'), paramRef('To'),
+          queryParam('granularity', { type: 'string', enum: ['day', 'week', 'month'], 'x-case-insensitive': true },
+            'Adds a price series per period'),
+          paramRef('Version')
+        ],
+        responses: {
+          200: jsonResponse('Prices', ref('CropPrices')),
+          ...STANDARD_ERRORS,
+          404: errorResponse('No price data for the crop and filters, or unknown dataset version'),
+          503: errorResponse('Data not loaded')
+        }
+      }
+    },
+    '/api/crops': {
+      get: {
+        operationId: 'listCrops',
+        tags: ['Crops'],
+        summary: 'List and search crops by national demand',
+        parameters: [
+          queryParam('q', { type: 'string' }, 'Search crop, scientific and local names'),
+          paramRef('Category'), paramRef('State'),
+          queryParam('sort', { type: 'string', enum: ['name', 'demand'], default: 'name' }, 'Sort field'),
+          queryParam('order', { type: 'string', enum: ['asc', 'desc'], 'x-case-insensitive': true },
+            'Sort order (default: asc for name, desc for demand)'),
+          paramRef('Limit'), paramRef('Offset'), paramRef('Version'), paramRef('ExcludeAnomalies')
+        ],
+        responses: { 200: jsonResponse('Crops', ref('CropPage')), ...VERSIONED_ERRORS, 503: errorResponse('Data not loaded') }
+      }
+    },
+    '/api/crops/{crop}': {
+      get: {
+        operationId: 'getCrop',
+        tags: ['Crops'],
+        summary: 'Where a crop is in demand, by crop ID or name',
+        parameters: [pathParam('crop', 'Crop ID (UUID) or name'), paramRef('Version'), paramRef('ExcludeAnomalies')],
+        responses: {
+          200: jsonResponse('Crop demand by state and district', ref('CropDetail')),
+          ...STANDARD_ERRORS,
+          404: errorResponse('No crop with this ID or name (the body lists suggestions), or unknown dataset version'),
+          503: errorResponse('Data not loaded')
+        }
+      }
+    },
+    '/api/analytics/top': {
+      get: {
+        operationId: 'getTopRankings',
+        tags: ['Analytics'],
+        summary: 'Top crops, districts or states by demand with shares and HHI',
+        parameters: [
+          queryParam('by', { type: 'string', enum: TOP_DIMENSIONS, default: 'crops', 'x-case-insensitive': true },
+            'What to rank'),
+          queryParam('n', { type: 'integer', minimum: 1, maximum: MAX_TOP_N, default: 10 }, 'Number of entries'),
+          paramRef('State'), paramRef('Category'), paramRef('Version'), paramRef('ExcludeAnomalies')
+        ],
+        responses: {
+          200: jsonResponse('Ranking', ref('TopRanking')),
+          ...STANDARD_ERRORS,
+          404: errorResponse('No demand for the filters, or unknown dataset version'),
+          503: errorResponse('Data not loaded')
+        }
+      }
+    },
+    '/api/categories': {
+      get: {
+        operationId: 'listCategories',
+        tags: ['Crops'],
+        summary: 'Category taxonomy with counts',
+        parameters: [paramRef('Version'), paramRef('ExcludeAnomalies')],
+        responses: { 200: jsonResponse('Categories', ref('CategoryList')), ...VERSIONED_ERRORS, 503: errorResponse('Data not loaded') }
+      }
+    },
+    '/graphql': {
+      get: {
+        operationId: 'graphqlQuery',
+        tags: ['GraphQL'],
+        summary: 'Run a GraphQL query (query string)',
+        description: 'Errors use the GraphQL format ({ errors: [...] }), not the Error schema.',
+        parameters: [
+          queryParam('query', { type: 'string' }, 'GraphQL query', true),
+          queryParam('variables', { type: 'string' }, 'Variables as a JSON object'),
+          queryParam('operationName', { type: 'string' }, 'Operation to run'),
+          paramRef('Version'), paramRef('ExcludeAnomalies')
+        ],
+        responses: {
+          200: jsonResponse('Query result', ref('GraphQLResponse')),
+          400: jsonResponse('Invalid query', ref('GraphQLResponse')),
+          503: jsonResponse('Data not loaded', ref('GraphQLResponse'))
+        }
+      },
+      post: {
+        operationId: 'graphqlRequest',
+        tags: ['GraphQL'],
+        summary: 'Run a GraphQL query (JSON body)',
+        description: 'Errors use the GraphQL format ({ errors: [...] }), not the Error schema.',
+        parameters: [paramRef('Version'), paramRef('ExcludeAnomalies')],
+        requestBody: { required: true, content: { 'application/json': { schema: ref('GraphQLRequest') } } },
+        responses: {
+          200: jsonResponse('Query result', ref('GraphQLResponse')),
+          400: jsonResponse('Invalid query', ref('GraphQLResponse')),
+          503: jsonResponse('Data not loaded', ref('GraphQLResponse'))
+        }
+      }
+    },
+    '/api/datasets': {
+      get: {
+        operationId: 'listDatasets',
+        tags: ['Datasets'],
+        summary: 'Dataset snapshots saved by preprocess runs, newest first',
+        responses: { 200: jsonResponse('Snapshots', ref('SnapshotList')), 500: STANDARD_ERRORS[500] }
+      }
+    },
+    '/api/datasets/diff': {
+      get: {
+        operationId: 'diffDatasets',
+        tags: ['Datasets'],
+        summary: 'Compare two dataset versions',
+        parameters: [
+          queryParam('from', { type: 'string', minLength: 1 }, 'Snapshot ID to compare from', true),
+          queryParam('to', { type: 'string', minLength: 1, default: 'current' }, 'Snapshot ID to compare to'),
+          queryParam('limit', { type: 'integer', minimum: 1, maximum: MAX_PAGE_LIMIT, default: 50 }, 'Maximum number of changed crops')
+        ],
+        responses: { 200: jsonResponse('Differences', ref('DatasetDiff')), ...VERSIONED_ERRORS, 503: errorResponse('Data not loaded') }
+      }
+    },
+    '/api/datasets/{version}': {
+      get: {
+        operationId: 'getDataset',
+        tags: ['Datasets'],
+        summary: "A snapshot's metadata and source file hashes",
+        parameters: [pathParam('version', 'Snapshot ID')],
+        responses: { 200: jsonResponse('Snapshot', ref('Snapshot')), ...VERSIONED_ERRORS }
+      }
+    },
+    '/health': {
+      get: {
+        operationId: 'getHealth',
+        tags: ['Admin'],
+        summary: 'Health check with the loaded dataset version',
+        security: [],
+        responses: { 200: jsonResponse('Server status', ref('Health')) }
+      }
+    },
+    '/admin/reload': {
+      post: {
+        operationId: 'reloadData',
+        tags: ['Admin'],
+        summary: 'Reload the dataset without restarting',
+        security: [{ adminBearer: [] }, { adminToken: [] }, { apiKey: [] }],
+        responses: {
+          200: jsonResponse('Reloaded', {
+            type: 'object',
+            properties: { status: { type: 'string' }, dataset: ref('DatasetInfo') }
+          }),
+          401: errorResponse('Missing or wrong admin token or API key'),
+          403: errorResponse('The API key does not have the admin role, or no ADMIN_TOKEN or admin key is set up'),
+          422: errorResponse('The new files failed to load (the body has servingVersion)'),
+          500: STANDARD_ERRORS[500]
+        }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        operationId: 'getOpenApiSpec',
+        tags: ['Admin'],
+        summary: 'This OpenAPI document',
+        security: [],
+        responses: { 200: jsonResponse('OpenAPI 3 document', { type: 'object', additionalProperties: true }) }
+      }
+    }
+  };
+
+  // Everything under /api and /graphql needs an API key when api-access.json exists;
+  // GETs that only change with the dataset (all but the snapshot list) support conditional requests
+  Object.keys(paths)
+    .filter(route => route.startsWith('/api/') || route === '/graphql')
+    .forEach(route => {
+      Object.entries(paths[route]).forEach(([method, operation]) => {
+        Object.assign(operation.responses, AUTH_ERRORS);
+        if (method === 'get' && route !== '/api/datasets') {
+          operation.responses[304] = { $ref: '#/components/responses/NotModified' };
+        }
+      });
+    });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'City-wise Crop Demand API',
+      version: PACKAGE_VERSION,
+      description: `Crop demand by state, district and category from Agmarknet arrivals. Quantities are in ${UNIT} unless noted.`
+    },
+    security: [{ apiKey: [] }, { apiKeyBearer: [] }],
+    tags: ['Demand', 'Time series', 'Crops', 'Analytics', 'GraphQL', 'Datasets', 'Admin'].map(name => ({ name: name })),
+    paths: paths,
+    components: {
+      parameters: parameters,
+      schemas: schemas,
+      responses: {
+        BadRequest: jsonResponse('Invalid parameter', { anyOf: [ref('ValidationError'), ref('Error')] }),
+        NotModified: { description: 'Not modified: If-None-Match matched the ETag, or nothing changed since If-Modified-Since' },
+        Unauthorized: errorResponse('Missing or invalid API key'),
+        Forbidden: errorResponse('The API key is disabled'),
+        TooManyRequests: {
+          ...jsonResponse('Rate limit or quota exceeded', ref('RateLimitError')),
+          headers: {
+            'Retry-After': { description: 'Seconds until the limit resets', schema: { type: 'integer' } }
+          }
+        }
+      },
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'API key from api-access.json' },
+        apiKeyBearer: { type: 'http', scheme: 'bearer', description: 'API key from api-access.json' },
+        adminBearer: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN or an admin API key' },
+        adminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token', description: 'ADMIN_TOKEN' }
+      }
+    }
+  };
+}
+
+/**
+ * Turn an Express route path into its OpenAPI path (":cityName" -> "{cityName}")
+ * @param {string} routePath - Express route path
+ * @returns {string} OpenAPI path
+ */
+function toOpenApiPath(routePath) {
+  return routePath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * Check one parameter value against its schema
+ * Query strings are parsed the way the routes read them: integers, numbers and true/false
+ * @param {string} name - Parameter name
+ * @param {*} value - Raw value from req.query or req.params
+ * @param {Object} schema - Parameter schema
+ * @param {Object} allowedValues - Lists for schemas with x-enum-source ({ states, categories })
+ * @returns {{message: string, allowedValues?: Array}|null} Problem, or null if the value is valid
+ */
+function checkValue(name, value, schema, allowedValues) {
+  if (typeof value !== 'string') {
+    return { message: `${name} must be given once, as a single value` };
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const number = value.trim() === '' ? NaN : Number(value);
+    if (!Number.isFinite(number) || (schema.type === 'integer' && !Number.isInteger(number))) {
+      return { message: `${name} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}` };
+    }
+    if (schema.enum && !schema.enum.includes(number)) {
+      return { message: `${name} must be one of: ${schema.enum.join(', ')}`, allowedValues: schema.enum };
+    }
+    if ((schema.minimum !== undefined && number < schema.minimum) || (schema.maximum !== undefined && number > schema.maximum)) {
+      const range = schema.maximum !== undefined ? `from ${schema.minimum} to ${schema.maximum}` : `at least ${schema.minimum}`;
+      return { message: `${name} must be ${schema.type === 'integer' ? 'an integer' : 'a number'} ${range}` };
+    }
+    return null;
+  }
+
+  if (schema.type === 'boolean') {
+    return ['true', 'false'].includes(value) ? null : { message: `${name} must be true or false` };
+  }
+
+  const text = value.trim();
+  if (schema.minLength && text.length < schema.minLength) {
+    return { message: `${name} must not be empty` };
+  }
+  if (schema.pattern && text && !new RegExp(schema.pattern).test(text)) {
+    return { message: schema.format === 'date' ? `${name} must be a date in YYYY-MM-DD format` : `${name} has an invalid format` };
+  }
+
+  // Values loaded at runtime (states, categories) are checked against the dataset being queried
+  const allowed = schema['x-enum-source'] ? allowedValues[schema['x-enum-source']] : schema.enum;
+  if (allowed && allowed.length > 0 && text) {
+    const matches = schema['x-case-insensitive']
+      ? allowed.some(option => String(option).toLowerCase() === text.toLowerCase())
+      : allowed.includes(text);
+    if (!matches) {
+      return { message: `${name} must be one of: ${allowed.join(', ')}`, allowedValues: allowed };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a request's query and path parameters against an operation of the spec
+ * @param {Object} spec - OpenAPI document (from buildOpenApiSpec)
+ * @param {Object} operation - Operation object (spec.paths[path][method])
+ * @param {Object} req - Express request
+ * @param {Object} [allowedValues] - { states, categories } of the dataset being queried
+ * @returns {Object|null} Error body naming the parameter, or null if the request is valid
+ */
+function validateParameters(spec, operation, req, allowedValues = {}) {
+  const resolve = (parameter) => parameter.$ref
+    ? spec.components.parameters[parameter.$ref.split('/').pop()]
+    : parameter;
+
+  for (const parameter of (operation.parameters || []).map(resolve)) {
+    const source = parameter.in === 'path' ? req.params : req.query;
+    const value = source[parameter.name];
+
+    if (value === undefined || value === '') {
+      if (parameter.required) {
+        return {
+          error: 'Missing parameter',
+          message: `${parameter.name} is required`,
+          parameter: parameter.name,
+          in: parameter.in
+        };
+      }
+      continue;
+    }
+
+    const problem = checkValue(parameter.name, value, parameter.schema, allowedValues);
+    if (problem) {
+      return {
+        error: 'Invalid parameter',
+        message: problem.message,
+        parameter: parameter.name,
+        in: parameter.in,
+        ...(problem.allowedValues ? { allowedValues: problem.allowedValues } : {})
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  buildOpenApiSpec,
+  toOpenApiPath,
+  validateParameters
+};
@@ -1,105 +1,212 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const csv = require('csv-parser');
-const { v4: uuidv4 } = require('uuid');
+const { v5: uuidv5 } = require('uuid');
+const { loadTaxonomy, mapCategory, getSubcategory } = require('./taxonomy');
+const { loadCatalog, matchCrop, getCropMetadata } = require('./catalog');
+const { loadGazetteer, matchDistrict, getDistrictLocation } = require('./gazetteer');
+const { STORAGE_BACKENDS, createStorage, writeFileAtomic } = require('./storage');
+const { DEFAULT_KEEP_SNAPSHOTS, saveSnapshot, pruneSnapshots } = require('./snapshots');
+const { parseAnomalyTypes } = require('./anomalies');
 
-const DATA_FOLDER = path.join(__dirname, 'data');
-const OUTPUT_FILE = path.join(__dirname, 'demand.json');
+const DATA_FOLDER = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, 'data');
+const SUITABILITY_CONFIG_FILE = path.join(__dirname, 'suitability.config.json');
+const PARTIAL_CACHE_DIR = process.env.PREPROCESS_CACHE_DIR
+  ? path.resolve(process.env.PREPROCESS_CACHE_DIR)
+  : path.join(__dirname, '.preprocess-cache');
+const INGESTION_REPORT_FILE = process.env.INGESTION_REPORT_FILE
+  ? path.resolve(process.env.INGESTION_REPORT_FILE)
+  : path.join(__dirname, 'ingestion-report.json');
+const QUARANTINE_FILE = path.join(__dirname, 'quarantine.csv');
+const CROP_REGISTRY_FILE = process.env.CROP_REGISTRY_FILE
+  ? path.resolve(process.env.CROP_REGISTRY_FILE)
+  : path.join(__dirname, 'crop-registry.json');
 
 /**
- * Valid category names
+ * UUIDv5 namespace for crop IDs - never change, or every cropId changes
  */
-const VALID_CATEGORIES = ['Vegetables', 'Fruits', 'Spices', 'Cereals', 'Pulses', 'Oil Seeds', 'Oils and Fats', 'Fibre Crops', 'Forest Products', 'Flowers', 'Dry Fruits', 'Beverages', 'Live Stock', 'Drug and Narcotics', 'Other'];
+const CROP_ID_NAMESPACE = '3e4cb8fe-fd0d-41bb-83ad-15f79520e3f3';
 
 /**
- * Map CSV Group categories to valid categories
- * @param {string} csvGroup - The Group value from CSV
- * @param {string} cropName - The crop name (from filename) to help determine category
- * @returns {string|null} Mapped category name or null if no mapping
+ * Bump when the partial aggregate format changes so stale cache entries are re-parsed
  */
-function mapCategoryToValid(csvGroup, cropName) {
-  if (!csvGroup) return null;
-  
-  const normalizedGroup = csvGroup.trim();
-  const cropNameLower = (cropName || '').toLowerCase().trim();
-  
-  // Direct matches for exact category names
-  const directMatch = VALID_CATEGORIES.find(cat => 
-    normalizedGroup.toLowerCase() === cat.toLowerCase()
-  );
-  if (directMatch) {
-    return directMatch;
-  }
-  
-  // Normalize group name for comparison (handle variations)
-  const normalizedGroupLower = normalizedGroup.toLowerCase();
-  
-  // Map Spices
-  if (normalizedGroupLower === 'spices') {
-    return 'Spices';
-  }
-  
-  // Map Cereals
-  if (normalizedGroupLower === 'cereals') {
-    return 'Cereals';
-  }
-  
-  // Map Pulses
-  if (normalizedGroupLower === 'pulses') {
-    return 'Pulses';
-  }
-  
-  // Map Oil Seeds (handle variations)
-  if (normalizedGroupLower === 'oil seeds' || normalizedGroupLower === 'oilseeds') {
-    return 'Oil Seeds';
-  }
-  
-  // Map Oils and Fats
-  if (normalizedGroupLower === 'oils and fats' || normalizedGroupLower === 'oil and fats') {
-    return 'Oils and Fats';
-  }
-  
-  // Map Fibre Crops (handle variations)
-  if (normalizedGroupLower === 'fibre crops' || normalizedGroupLower === 'fiber crops') {
-    return 'Fibre Crops';
-  }
-  
-  // Map Forest Products
-  if (normalizedGroupLower === 'forest products') {
-    return 'Forest Products';
-  }
-  
-  // Map Flowers
-  if (normalizedGroupLower === 'flowers') {
-    return 'Flowers';
-  }
-  
-  // Map Dry Fruits
-  if (normalizedGroupLower === 'dry fruits') {
-    return 'Dry Fruits';
-  }
-  
-  // Map Beverages
-  if (normalizedGroupLower === 'beverages') {
-    return 'Beverages';
-  }
-  
-  // Map Live Stock (handle variations like "Live Stock,Poultry,Fisheries")
-  if (normalizedGroupLower.includes('live stock') || normalizedGroupLower.includes('livestock')) {
-    return 'Live Stock';
+const PARTIAL_CACHE_VERSION = 4;
+
+/**
+ * Default maximum share of dropped rows allowed in --strict mode
+ */
+const DEFAULT_MAX_DROP_RATE = 0.1;
+
+/**
+ * Number of sample rows kept per drop/coercion reason in the ingestion report
+ */
+const MAX_SAMPLE_ROWS = 5;
+
+/**
+ * Anomaly detection thresholds
+ * - zScore: robust z-score (median/MAD) above which a value is unusual
+ * - outlierRatio: a row must also be this many times above/below the market's median arrival
+ * - spikeRatio: a week must also be this many times above/below the week before
+ * - minObservations: rows (or week pairs) a crop/market needs before it is checked
+ * Anomalies are cached with each file's partial, so bump PARTIAL_CACHE_VERSION after changing these
+ */
+const ANOMALY_THRESHOLDS = {
+  zScore: 3.5,
+  outlierRatio: 5,
+  spikeRatio: 3,
+  minObservations: 8
+};
+
+/**
+ * Default weights and score thresholds for computed suitability
+ * Overridden by suitability.config.json when present
+ */
+const DEFAULT_SUITABILITY_CONFIG = {
+  weights: {
+    share: 0.5,
+    consistency: 0.25,
+    seasonLength: 0.25
+  },
+  thresholds: {
+    high: 0.6,
+    medium: 0.3
   }
-  
-  // Map Drug and Narcotics
-  if (normalizedGroupLower === 'drug and narcotics' || normalizedGroupLower === 'drug & narcotics') {
-    return 'Drug and Narcotics';
+};
+
+/**
+ * Month abbreviations used by "DD Mon YYYY" dates in the market CSVs
+ */
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Category taxonomy (taxonomy.json), loaded in main before any CSV is read
+ */
+let taxonomy = null;
+
+/**
+ * Crop reference catalog (loaded in main from crop-catalog.json)
+ */
+let cropCatalog = null;
+
+/**
+ * Catalog match per crop: cropId -> { cropName, category, match }
+ * Used for the catalog section of the ingestion report
+ */
+const catalogMatches = new Map();
+
+/**
+ * District gazetteer (loaded in main from district-gazetteer.json)
+ */
+let districtGazetteer = null;
+
+/**
+ * Gazetteer match per district: "state|district" -> { state, district, match }
+ * Used for the gazetteer section of the ingestion report
+ */
+const gazetteerMatches = new Map();
+
+/**
+ * Crop registry: cropId -> { cropName, category, keys, previousIds, firstSeen }
+ * Loaded from crop-registry.json so renamed/merged crops keep their IDs
+ */
+let cropRegistry = null;
+
+/**
+ * crop-registry.json as it was read, so an unchanged registry is not rewritten
+ */
+let cropRegistryContent = null;
+
+/**
+ * Registry lookup: crop key -> cropId
+ */
+const cropKeyIndex = new Map();
+
+/**
+ * Build the normalized key a crop ID is derived from
+ * @param {string} category - Valid category name
+ * @param {string} cropName - Crop name
+ * @returns {string} Key like "vegetables|onion"
+ */
+function getCropKey(category, cropName) {
+  const normalize = (value) => value.toLowerCase().replace(/\s+/g, ' ').trim();
+  return `${normalize(category)}|${normalize(cropName)}`;
+}
+
+/**
+ * Load crop-registry.json (if present) and index its keys
+ * @param {boolean} enabled - false to skip the registry (--no-registry)
+ */
+function loadCropRegistry(enabled) {
+  cropRegistry = null;
+  cropRegistryContent = null;
+  cropKeyIndex.clear();
+  if (!enabled) return;
+
+  cropRegistryContent = fs.existsSync(CROP_REGISTRY_FILE) ? fs.readFileSync(CROP_REGISTRY_FILE, 'utf8') : null;
+  cropRegistry = cropRegistryContent ? JSON.parse(cropRegistryContent) : { crops: {} };
+
+  Object.entries(cropRegistry.crops).forEach(([cropId, entry]) => {
+    (entry.keys || []).forEach(key => cropKeyIndex.set(key, cropId));
+  });
+}
+
+/**
+ * Resolve the stable ID and canonical name for a crop
+ * IDs are UUIDv5 of the normalized category and crop name; registry entries win,
+ * so a crop whose key was added to an existing entry keeps that entry's ID and name
+ * @param {string} cropName - Crop name from the CSV file
+ * @param {string} category - Valid category name
+ * @returns {{cropId: string, cropName: string}} Stable ID and display name
+ */
+function resolveCrop(cropName, category) {
+  const key = getCropKey(category, cropName);
+
+  if (!cropRegistry) {
+    return { cropId: uuidv5(key, CROP_ID_NAMESPACE), cropName: cropName };
   }
-  
-  // Map Other category
-  if (normalizedGroupLower === 'other') {
-    return 'Other';
+
+  let cropId = cropKeyIndex.get(key);
+  if (!cropId) {
+    cropId = uuidv5(key, CROP_ID_NAMESPACE);
+    cropRegistry.crops[cropId] = cropRegistry.crops[cropId] || {
+      cropName: cropName,
+      category: category,
+      keys: [],
+      previousIds: [],
+      firstSeen: new Date().toISOString()
+    };
+    cropRegistry.crops[cropId].keys.push(key);
+    cropKeyIndex.set(key, cropId);
   }
-  
-  return null;
+
+  return { cropId: cropId, cropName: cropRegistry.crops[cropId].cropName };
+}
+
+/**
+ * Write the crop registry back, sorted by category and name
+ * The server reloads when crop-registry.json changes, so the file is only written
+ * (atomically) when its content differs from what was read
+ */
+function saveCropRegistry() {
+  if (!cropRegistry) return;
+
+  const crops = {};
+  Object.entries(cropRegistry.crops)
+    .sort(([, a], [, b]) => a.category.localeCompare(b.category) || a.cropName.localeCompare(b.cropName))
+    .forEach(([cropId, entry]) => {
+      // Registries written before lastSeen was dropped still have it
+      const { lastSeen, ...rest } = entry;
+      crops[cropId] = rest;
+    });
+
+  const content = JSON.stringify({ ...cropRegistry, crops }, null, 2);
+  if (content === cropRegistryContent) return;
+
+  writeFileAtomic(CROP_REGISTRY_FILE, content);
+  cropRegistryContent = content;
 }
 
 /**
@@ -108,6 +215,171 @@ function mapCategoryToValid(csvGroup, cropName) {
  */
 const stateDataMap = new Map();
 
+/**
+ * Dated arrivals: "state|category|crop|district" -> day/week/month buckets
+ */
+const timeSeriesMap = new Map();
+
+/**
+ * Price accumulators for crop and regional suitability objects
+ * Kept outside the objects so they don't leak into demand.json
+ */
+const priceAccumulators = new Map();
+
+/**
+ * Parse min/max/modal prices (Rs./Quintal) from a CSV row
+ * Min and max fall back to the modal price when missing
+ * @param {Object} row - CSV row object
+ * @returns {{min: number, max: number, modal: number}|null} Prices or null if no modal price
+ */
+function parsePrices(row) {
+  const parsePrice = (value) => {
+    const price = parseFloat(String(value || '').replace(/,/g, ''));
+    return price > 0 ? price : null;
+  };
+
+  const modal = parsePrice(row.modal_price || row['Modal Price (Rs./Quintal)'] || row['Modal Price']);
+  if (modal === null) return null;
+
+  const min = parsePrice(row.min_price || row['Min Price (Rs./Quintal)'] || row['Min Price']);
+  const max = parsePrice(row.max_price || row['Max Price (Rs./Quintal)'] || row['Max Price']);
+
+  return {
+    min: min !== null ? min : modal,
+    max: max !== null ? max : modal,
+    modal: modal,
+    usedModalFallback: min === null || max === null
+  };
+}
+
+/**
+ * Create an empty accumulator for arrival-weighted prices
+ * @returns {Object} Price accumulator
+ */
+function createPriceAccumulator() {
+  return {
+    weight: 0,
+    minSum: 0,
+    maxSum: 0,
+    modalSum: 0,
+    lowest: Infinity,
+    highest: 0
+  };
+}
+
+/**
+ * Add one row's prices to an accumulator, weighted by its arrivals
+ * @param {Object} accumulator - Price accumulator
+ * @param {Object} prices - Parsed prices from parsePrices
+ * @param {number} quantity - Arrival quantity used as weight
+ */
+function addPrices(accumulator, prices, quantity) {
+  accumulator.weight += quantity;
+  accumulator.minSum += prices.min * quantity;
+  accumulator.maxSum += prices.max * quantity;
+  accumulator.modalSum += prices.modal * quantity;
+  accumulator.lowest = Math.min(accumulator.lowest, prices.min);
+  accumulator.highest = Math.max(accumulator.highest, prices.max);
+}
+
+/**
+ * Turn an accumulator into weighted average price stats
+ * @param {Object} accumulator - Price accumulator
+ * @returns {Object|null} Price stats or null if no prices were seen
+ */
+function summarizePrices(accumulator) {
+  if (!accumulator || accumulator.weight <= 0) return null;
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    minPrice: round(accumulator.minSum / accumulator.weight),
+    maxPrice: round(accumulator.maxSum / accumulator.weight),
+    modalPrice: round(accumulator.modalSum / accumulator.weight),
+    lowestPrice: accumulator.lowest,
+    highestPrice: accumulator.highest,
+    weightQuantity: round(accumulator.weight),
+    unit: 'Rs./Quintal'
+  };
+}
+
+/**
+ * Merge one price accumulator into another
+ * @param {Object} target - Accumulator to add to
+ * @param {Object|null} source - Accumulator to add (ignored if null)
+ */
+function mergePriceAccumulator(target, source) {
+  if (!source || source.weight <= 0) return;
+
+  target.weight += source.weight;
+  target.minSum += source.minSum;
+  target.maxSum += source.maxSum;
+  target.modalSum += source.modalSum;
+  target.lowest = Math.min(target.lowest, source.lowest);
+  target.highest = Math.max(target.highest, source.highest);
+}
+
+/**
+ * Get (or create) the price accumulator for a crop or regional entry
+ * @param {Object} target - Crop or regional suitability object
+ * @returns {Object} Price accumulator
+ */
+function getPriceAccumulator(target) {
+  if (!priceAccumulators.has(target)) {
+    priceAccumulators.set(target, createPriceAccumulator());
+  }
+  return priceAccumulators.get(target);
+}
+
+/**
+ * Parse an arrival date from a CSV row into a UTC date
+ * Supports "DD Mon YYYY", "DD-MM-YYYY", "DD/MM/YYYY" and "YYYY-MM-DD"
+ * @param {string} value - Raw date value from CSV
+ * @returns {Date|null} Parsed date or null if missing/unparsable
+ */
+function parseArrivalDate(value) {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  let year, month, day;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/))) {
+    [, day, month, year] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[\s-]+([A-Za-z]{3})[A-Za-z]*[\s-]+(\d{4})$/))) {
+    day = Number(match[1]);
+    month = MONTH_ABBREVIATIONS.indexOf(match[2].toLowerCase()) + 1;
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject dates that rolled over (e.g. 31 Feb)
+  if (date.getUTCMonth() !== month - 1) return null;
+  return date;
+}
+
+/**
+ * Get the start of the day, week (Monday) and month buckets a date falls into
+ * @param {Date} date - UTC date
+ * @returns {{day: string, week: string, month: string}} ISO dates (YYYY-MM-DD)
+ */
+function getPeriodStarts(date) {
+  const weekStart = new Date(date.getTime());
+  weekStart.setUTCDate(weekStart.getUTCDate() - ((weekStart.getUTCDay() + 6) % 7));
+  const monthStart = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+  return {
+    day: date.toISOString().slice(0, 10),
+    week: weekStart.toISOString().slice(0, 10),
+    month: monthStart.toISOString().slice(0, 10)
+  };
+}
+
 /**
  * Extract crop name from filename (remove .csv extension)
  * @param {string} filePath - Path to the CSV file
@@ -118,27 +390,98 @@ function getCropNameFromFile(filePath) {
   return fileName.trim();
 }
 
+/**
+ * Create an empty per-file partial aggregate
+ * Partials are plain objects so they can be cached as JSON between runs
+ * @returns {Object} Partial aggregate
+ */
+function createPartial() {
+  return {
+    // "state|category|crop|district|suitability" -> aggregated cell
+    cells: {},
+    // Row-level ingestion stats for the ingestion report
+    report: {
+      rowsRead: 0,
+      rowsKept: 0,
+      dropped: {},
+      coerced: {},
+      unmappedGroups: {},
+      samples: {}
+    },
+    // Every dropped row with its reason, for quarantine.csv
+    rejectedRows: [],
+    // Outlier rows and week-over-week spikes/collapses (their rows are kept out of cells until merge)
+    anomalies: [],
+    // Kept rows waiting for anomaly checks; removed once the file is read (see finishPartial)
+    observations: []
+  };
+}
+
+/**
+ * Record a dropped row in the file's partial aggregate
+ * @param {Object} partial - Partial aggregate for the file being read
+ * @param {Object} row - CSV row object
+ * @param {string} reason - Drop reason (e.g. missing_state)
+ */
+function rejectRow(partial, row, reason) {
+  const report = partial.report;
+  report.dropped[reason] = (report.dropped[reason] || 0) + 1;
+  addSampleRow(report, reason, row);
+  partial.rejectedRows.push({ reason, row });
+}
+
+/**
+ * Record a kept row whose value had to be filled in or ignored
+ * @param {Object} partial - Partial aggregate for the file being read
+ * @param {Object} row - CSV row object
+ * @param {string} reason - Coercion reason (e.g. invalid_date)
+ */
+function noteCoercion(partial, row, reason) {
+  const report = partial.report;
+  report.coerced[reason] = (report.coerced[reason] || 0) + 1;
+  addSampleRow(report, reason, row);
+}
+
+/**
+ * Keep the first few offending rows per reason as samples
+ * @param {Object} report - Partial's report object
+ * @param {string} reason - Drop or coercion reason
+ * @param {Object} row - CSV row object
+ */
+function addSampleRow(report, reason, row) {
+  const samples = report.samples[reason] || (report.samples[reason] = []);
+  if (samples.length < MAX_SAMPLE_ROWS) {
+    samples.push(row);
+  }
+}
+
 /**
  * Process a single CSV file using streaming
  * @param {string} filePath - Path to the CSV file
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} Partial aggregate for this file
  */
 function processCSVFile(filePath) {
   return new Promise((resolve, reject) => {
     const cropNameFromFile = getCropNameFromFile(filePath);
+    const partial = createPartial();
     const stream = fs.createReadStream(filePath);
     
     stream
       .pipe(csv())
       .on('data', (row) => {
         try {
-          processRow(row, cropNameFromFile);
+          processRow(row, cropNameFromFile, partial);
         } catch (error) {
           console.error(`Error processing row in ${filePath}:`, error.message);
+          rejectRow(partial, row, 'row_error');
         }
       })
       .on('end', () => {
-        resolve();
+        try {
+          resolve(finishPartial(partial));
+        } catch (error) {
+          reject(error);
+        }
       })
       .on('error', (error) => {
         reject(error);
@@ -147,15 +490,125 @@ function processCSVFile(filePath) {
 }
 
 /**
- * Process a single CSV row
+ * Compute the SHA-256 hash of a file's contents
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Get the cache file path for a CSV file
+ * @param {string} fileName - CSV file name
+ * @returns {string} Cache file path
+ */
+function getCachePath(fileName) {
+  return path.join(PARTIAL_CACHE_DIR, `${fileName}.json`);
+}
+
+/**
+ * Read a cached partial aggregate, ignoring entries from other cache versions
+ * @param {string} fileName - CSV file name
+ * @returns {Object|null} Cache entry or null if missing/unusable
+ */
+function readCacheEntry(fileName) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(getCachePath(fileName), 'utf8'));
+    // Categories are resolved while parsing, so a taxonomy change invalidates the cache
+    return entry.cacheVersion === PARTIAL_CACHE_VERSION && entry.taxonomyVersion === taxonomy.version
+      ? entry
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the partial aggregate for a CSV file, re-parsing only if it changed
+ * Unchanged mtime and size reuse the cache directly; otherwise the content hash decides
+ * @param {string} filePath - Path to the CSV file
+ * @param {boolean} useCache - false to always re-parse
+ * @returns {Promise<{partial: Object, fromCache: boolean, hash: string, size: number}>}
+ */
+async function loadPartial(filePath, useCache) {
+  const fileName = path.basename(filePath);
+  const stats = await fs.promises.stat(filePath);
+  const cached = useCache ? readCacheEntry(fileName) : null;
+
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+    return { partial: cached.partial, fromCache: true, hash: cached.hash, size: stats.size };
+  }
+
+  const hash = await hashFile(filePath);
+  let partial;
+  let fromCache = false;
+
+  if (cached && cached.hash === hash) {
+    // Touched but not modified: keep the cached aggregate, refresh mtime
+    partial = cached.partial;
+    fromCache = true;
+  } else {
+    console.log(`Processing: ${fileName}`);
+    partial = await processCSVFile(filePath);
+  }
+
+  await fs.promises.writeFile(
+    getCachePath(fileName),
+    JSON.stringify({
+      cacheVersion: PARTIAL_CACHE_VERSION,
+      taxonomyVersion: taxonomy.version,
+      fileName: fileName,
+      hash: hash,
+      mtimeMs: stats.mtimeMs,
+      size: stats.size,
+      partial: partial
+    }),
+    'utf8'
+  );
+
+  return { partial, fromCache, hash, size: stats.size };
+}
+
+/**
+ * Remove cache entries for CSV files that no longer exist
+ * @param {Array<string>} csvFiles - Current CSV file names
+ * @returns {number} Number of removed entries
+ */
+function pruneCache(csvFiles) {
+  const current = new Set(csvFiles.map(file => `${file}.json`));
+  let removed = 0;
+
+  fs.readdirSync(PARTIAL_CACHE_DIR).forEach(cacheFile => {
+    if (!current.has(cacheFile)) {
+      fs.unlinkSync(path.join(PARTIAL_CACHE_DIR, cacheFile));
+      removed++;
+    }
+  });
+
+  return removed;
+}
+
+/**
+ * Process a single CSV row into the file's partial aggregate
  * @param {Object} row - CSV row object
  * @param {string} cropNameFromFile - Crop name extracted from filename
+ * @param {Object} partial - Partial aggregate for the file being read
  */
-function processRow(row, cropNameFromFile) {
+function processRow(row, cropNameFromFile, partial) {
+  partial.report.rowsRead++;
+
   // Map actual CSV column names to expected field names
   const state = (row.state || row['State Name'] || '').trim();
   const category = (row.category || row.Group || '').trim();
   const district = (row.district || row['District Name'] || '').trim();
+  const market = (row.market || row['Market Name'] || '').trim();
   
   // Use crop name from filename (more reliable than Variety which is often "Other")
   const cropName = cropNameFromFile || (row.crop_name || row.Variety || '').trim();
@@ -167,37 +620,407 @@ function processRow(row, cropNameFromFile) {
   const demandQuantityStr = row.demand_quantity || row['Arrivals (Tonnes)'] || row.Arrivals || '0';
   const demandQuantity = parseFloat(demandQuantityStr) || 0;
   
-  // Suitability - not in CSV, default to "Medium"
-  const suitability = (row.suitability || row.Suitability || 'Medium').trim();
+  // Arrival date - "Reported Date" in market CSVs, rows without one still count towards totals
+  const arrivalDateStr = (row.date || row['Reported Date'] || row['Arrival Date'] || row['Price Date'] || '').trim();
+  const arrivalDate = parseArrivalDate(arrivalDateStr);
+
+  // Min/max/modal prices in Rs./Quintal, null if the row has no modal price
+  const prices = parsePrices(row);
+
+  // Suitability - not in market CSVs, computed from arrivals in finalizeData when missing
+  const suitability = (row.suitability || row.Suitability || '').trim();
 
   // Skip rows with missing essential data
-  if (!state || !category || !cropName) {
-    return;
+  if (!state) {
+    return rejectRow(partial, row, 'missing_state');
+  }
+  if (!category) {
+    return rejectRow(partial, row, 'missing_category');
+  }
+  if (!cropName) {
+    return rejectRow(partial, row, 'missing_crop_name');
   }
   
   // Skip if demand quantity is 0 or invalid
   if (demandQuantity <= 0) {
-    return;
+    return rejectRow(
+      partial,
+      row,
+      isNaN(parseFloat(demandQuantityStr)) ? 'invalid_arrivals' : 'zero_or_negative_arrivals'
+    );
   }
 
-  // Map CSV category to valid category
-  let validCategory = null;
+  // Map CSV category to a taxonomy category (crop overrides, names/aliases, substrings)
+  const validCategory = mapCategory(taxonomy, category, cropName);
   
-  // First try case-insensitive direct match
-  const categoryLower = category.toLowerCase().trim();
-  const directMatch = VALID_CATEGORIES.find(cat => cat.toLowerCase() === categoryLower);
-  if (directMatch) {
-    validCategory = directMatch;
-  } else {
-    // Try mapping function for variations
-    validCategory = mapCategoryToValid(category, cropName);
+  // If no valid category, skip this row
+  if (!validCategory) {
+    partial.report.unmappedGroups[category] = (partial.report.unmappedGroups[category] || 0) + 1;
+    return rejectRow(partial, row, 'unmapped_category'); // Skip rows that don't map to valid categories
   }
-  
-  // If still no valid category, skip this row
-  if (!validCategory || !VALID_CATEGORIES.includes(validCategory)) {
-    return; // Skip rows that don't map to valid categories
+
+  // Row is kept - note values that were missing or could not be used
+  partial.report.rowsKept++;
+  if (!district) {
+    noteCoercion(partial, row, 'missing_district');
+  }
+  if (!arrivalDateStr) {
+    noteCoercion(partial, row, 'missing_date');
+  } else if (!arrivalDate) {
+    noteCoercion(partial, row, 'invalid_date');
+  }
+  if (!prices) {
+    noteCoercion(partial, row, 'missing_prices');
+  } else if (prices.usedModalFallback) {
+    noteCoercion(partial, row, 'min_max_price_from_modal');
   }
 
+  // Rows are aggregated once the whole file is read, so outliers can be kept apart
+  partial.observations.push({
+    state: state,
+    category: validCategory,
+    cropName: cropName,
+    scientificName: scientificName,
+    district: district,
+    market: market || district,
+    suitability: suitability || null,
+    rowNumber: partial.report.rowsRead,
+    day: arrivalDate ? arrivalDate.toISOString().slice(0, 10) : null,
+    quantity: demandQuantity,
+    prices: prices
+  });
+}
+
+/**
+ * Add a kept row to the crop/district cells of a partial aggregate
+ * @param {Object} cells - Partial's cells object
+ * @param {Object} observation - Kept row (see processRow)
+ */
+function addObservation(cells, observation) {
+  const { state, category, cropName, scientificName, district, suitability, day, quantity, prices } = observation;
+
+  // Aggregate rows for the same crop/district within the file
+  const cellKey = [state, category, cropName.toLowerCase(), district, suitability || ''].join('|');
+  if (!cells[cellKey]) {
+    cells[cellKey] = {
+      state: state,
+      category: category,
+      cropName: cropName,
+      scientificName: scientificName,
+      district: district,
+      suitability: suitability,
+      demandQuantity: 0,
+      prices: null,
+      days: {}
+    };
+  }
+
+  const cell = cells[cellKey];
+  cell.demandQuantity += quantity;
+
+  if (prices) {
+    cell.prices = cell.prices || createPriceAccumulator();
+    addPrices(cell.prices, prices, quantity);
+  }
+
+  if (day) {
+    const dayCell = cell.days[day] || (cell.days[day] = { quantity: 0, prices: null });
+    dayCell.quantity += quantity;
+
+    if (prices) {
+      dayCell.prices = dayCell.prices || createPriceAccumulator();
+      addPrices(dayCell.prices, prices, quantity);
+    }
+  }
+}
+
+/**
+ * Robust z-scores: distance from the median in units of scaled median absolute deviation
+ * Falls back to the mean absolute deviation when more than half the values are equal
+ * @param {Array<number>} values - Values to score
+ * @returns {Array<number>|null} Scores, or null if the values don't vary
+ */
+function robustZScores(values) {
+  const median = (list) => {
+    const sorted = [...list].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  };
+
+  const center = median(values);
+  const deviations = values.map(value => Math.abs(value - center));
+  let scale = median(deviations) * 1.4826;
+  if (scale === 0) {
+    scale = deviations.reduce((sum, deviation) => sum + deviation, 0) / deviations.length * 1.2533;
+  }
+  if (scale === 0) return null;
+
+  return values.map(value => (value - center) / scale);
+}
+
+/**
+ * Flag unusual arrivals for every crop/market in a file
+ *
+ * - Outliers: single rows whose log arrival has a robust z-score above the threshold
+ *   and that are at least outlierRatio times above (or below) the market's median row
+ * - Spikes/collapses: consecutive weeks whose log change has a robust z-score above the
+ *   threshold and that rise (or fall) at least spikeRatio times. Outlier rows are left out
+ *   of the weekly totals, so one mistyped row isn't reported twice, and weeks only partly
+ *   covered by the file's date range are skipped
+ *
+ * @param {Array<Object>} observations - Kept rows of the file
+ * @returns {Array<Object>} Anomalies; outliers carry their row as `observation`, spikes and
+ * collapses the rows of their week as `observations`
+ */
+function detectAnomalies(observations) {
+  const { zScore, outlierRatio, spikeRatio, minObservations } = ANOMALY_THRESHOLDS;
+  const round = (value) => Math.round(value * 100) / 100;
+  const anomalies = [];
+
+  // Weeks cut off by the first or last reported date would look like collapses
+  const days = observations.map(observation => observation.day).filter(Boolean).sort();
+  const isCompleteWeek = (week) => {
+    const weekEnd = new Date(`${week}T00:00:00Z`);
+    weekEnd.setUTCDate(weekEnd.getUTCDate() + 6);
+    return week >= days[0] && weekEnd.toISOString().slice(0, 10) <= days[days.length - 1];
+  };
+
+  const markets = new Map();
+  observations.forEach(observation => {
+    const marketKey = [observation.state, observation.category, observation.cropName.toLowerCase(),
+      observation.district, observation.market].join('|');
+    if (!markets.has(marketKey)) markets.set(marketKey, []);
+    markets.get(marketKey).push(observation);
+  });
+
+  markets.forEach(rows => {
+    if (rows.length < minObservations) return;
+    const { state, category, cropName, district, market } = rows[0];
+    const location = { state, category, cropName, district, market };
+
+    // Single-row outliers on the log scale (arrivals are heavily right-skewed)
+    const outliers = new Set();
+    const rowScores = robustZScores(rows.map(row => Math.log(row.quantity)));
+    const quantities = rows.map(row => row.quantity).sort((a, b) => a - b);
+    const middle = Math.floor(quantities.length / 2);
+    const medianQuantity = quantities.length % 2 ? quantities[middle] : (quantities[middle - 1] + quantities[middle]) / 2;
+
+    if (rowScores) {
+      rows.forEach((row, index) => {
+        const ratio = row.quantity / medianQuantity;
+        if (Math.abs(rowScores[index]) >= zScore && (ratio >= outlierRatio || ratio <= 1 / outlierRatio)) {
+          outliers.add(row);
+          anomalies.push({
+            type: 'outlier',
+            direction: ratio > 1 ? 'high' : 'low',
+            ...location,
+            rowNumber: row.rowNumber,
+            date: row.day,
+            quantity: round(row.quantity),
+            expected: round(medianQuantity),
+            ratio: round(ratio),
+            robustZ: round(rowScores[index]),
+            observation: row
+          });
+        }
+      });
+    }
+
+    // Week-over-week changes between consecutive weeks with arrivals
+    const weeks = new Map();
+    const weekRows = new Map();
+    rows.forEach(row => {
+      if (!row.day || outliers.has(row)) return;
+      const week = getPeriodStarts(new Date(`${row.day}T00:00:00Z`)).week;
+      if (!isCompleteWeek(week)) return;
+      weeks.set(week, (weeks.get(week) || 0) + row.quantity);
+      if (!weekRows.has(week)) weekRows.set(week, []);
+      weekRows.get(week).push(row);
+    });
+
+    const sortedWeeks = Array.from(weeks.keys()).sort();
+    const changes = [];
+    sortedWeeks.forEach((week, index) => {
+      if (index === 0) return;
+      const previousWeek = sortedWeeks[index - 1];
+      const expectedPrevious = new Date(`${week}T00:00:00Z`);
+      expectedPrevious.setUTCDate(expectedPrevious.getUTCDate() - 7);
+      if (expectedPrevious.toISOString().slice(0, 10) !== previousWeek) return;
+      changes.push({ week, previousWeek, quantity: weeks.get(week), previousQuantity: weeks.get(previousWeek) });
+    });
+
+    if (changes.length < minObservations) return;
+    const changeScores = robustZScores(changes.map(change => Math.log(change.quantity / change.previousQuantity)));
+    if (!changeScores) return;
+
+    changes.forEach((change, index) => {
+      const ratio = change.quantity / change.previousQuantity;
+      if (Math.abs(changeScores[index]) >= zScore && (ratio >= spikeRatio || ratio <= 1 / spikeRatio)) {
+        anomalies.push({
+          type: ratio > 1 ? 'spike' : 'collapse',
+          ...location,
+          week: change.week,
+          previousWeek: change.previousWeek,
+          quantity: round(change.quantity),
+          previousQuantity: round(change.previousQuantity),
+          ratio: round(ratio),
+          robustZ: round(changeScores[index]),
+          observations: weekRows.get(change.week)
+        });
+      }
+    });
+  });
+
+  return anomalies;
+}
+
+/**
+ * Rows an anomaly covers: the outlier row, or every row of a spike/collapse week
+ * @param {Object} anomaly - Anomaly from detectAnomalies
+ * @returns {Array<Object>} Kept rows
+ */
+function getAnomalyRows(anomaly) {
+  return anomaly.observation ? [anomaly.observation] : (anomaly.observations || []);
+}
+
+/**
+ * Check a file's kept rows for anomalies and aggregate them into cells
+ * Anomaly rows stay out of the cells; mergePartial adds them back unless their type is excluded
+ * @param {Object} partial - Partial aggregate with the file's observations
+ * @returns {Object} Partial aggregate ready to cache
+ */
+function finishPartial(partial) {
+  partial.anomalies = detectAnomalies(partial.observations);
+  const anomalyRows = new Set(partial.anomalies.flatMap(getAnomalyRows));
+
+  partial.observations.forEach(observation => {
+    if (!anomalyRows.has(observation)) addObservation(partial.cells, observation);
+  });
+
+  delete partial.observations;
+  return partial;
+}
+
+/**
+ * Match a crop against the reference catalog (once per crop ID)
+ * @param {string} cropId - Stable crop ID
+ * @param {string} cropName - Canonical crop name
+ * @param {string} category - Valid category name
+ * @returns {Object|null} Catalog match, or null if the crop isn't in the catalog
+ */
+function getCatalogMatch(cropId, cropName, category) {
+  if (!catalogMatches.has(cropId)) {
+    catalogMatches.set(cropId, {
+      cropName: cropName,
+      category: category,
+      match: matchCrop(cropCatalog, cropName)
+    });
+  }
+  return catalogMatches.get(cropId).match;
+}
+
+/**
+ * Summarize catalog matches for the ingestion report
+ * @returns {Object} Match counts, fuzzy matches to review and unmatched crops
+ */
+function buildCatalogReport() {
+  const report = {
+    catalogVersion: cropCatalog.version,
+    crops: catalogMatches.size,
+    matched: 0,
+    byMethod: {},
+    fuzzyMatches: [],
+    unmatched: []
+  };
+
+  catalogMatches.forEach(({ cropName, category, match }) => {
+    if (!match) {
+      report.unmatched.push({ cropName, category });
+      return;
+    }
+
+    report.matched++;
+    report.byMethod[match.method] = (report.byMethod[match.method] || 0) + 1;
+    if (match.method === 'fuzzy') {
+      report.fuzzyMatches.push({ cropName, category, catalogName: match.entry.name, score: match.score });
+    }
+  });
+
+  report.unmatched.sort((a, b) => a.cropName.localeCompare(b.cropName));
+  return report;
+}
+
+/**
+ * Look up a district's location in the gazetteer (once per state/district)
+ * @param {string} state - State name
+ * @param {string} district - District name
+ * @returns {Object|null} Location for the regional entry, or null if the district isn't in the gazetteer
+ */
+function getDistrictLocationFor(state, district) {
+  const key = `${state}|${district}`;
+  if (!gazetteerMatches.has(key)) {
+    const match = matchDistrict(districtGazetteer, state, district);
+    gazetteerMatches.set(key, {
+      state: state,
+      district: district,
+      match: match,
+      location: match ? getDistrictLocation(match) : null
+    });
+  }
+  return gazetteerMatches.get(key).location;
+}
+
+/**
+ * Summarize gazetteer matches for the ingestion report
+ * @returns {Object} Match counts and districts without a location
+ */
+function buildGazetteerReport() {
+  const report = {
+    gazetteerVersion: districtGazetteer.version,
+    districts: gazetteerMatches.size,
+    matched: 0,
+    byMethod: {},
+    unmatched: []
+  };
+
+  gazetteerMatches.forEach(({ state, district, match }) => {
+    if (!match) {
+      report.unmatched.push({ state, district });
+      return;
+    }
+
+    report.matched++;
+    report.byMethod[match.method] = (report.byMethod[match.method] || 0) + 1;
+  });
+
+  report.unmatched.sort((a, b) => a.state.localeCompare(b.state) || a.district.localeCompare(b.district));
+  return report;
+}
+
+/**
+ * Merge a file's partial aggregate into the state -> category -> crop maps
+ * @param {Object} partial - Partial aggregate from processCSVFile (or the cache)
+ * @param {Array<string>} excludeAnomalies - Anomaly types whose rows are left out of demand.json
+ */
+function mergePartial(partial, excludeAnomalies) {
+  partial.anomalies.forEach(anomaly => {
+    if (excludeAnomalies.includes(anomaly.type)) return;
+    getAnomalyRows(anomaly).forEach(observation => addObservation(partial.cells, observation));
+  });
+
+  Object.values(partial.cells).forEach(cell => {
+    mergeCell(cell);
+  });
+}
+
+/**
+ * Merge one aggregated crop/district cell
+ * @param {Object} cell - Cell from a partial aggregate
+ */
+function mergeCell(cell) {
+  const { state, category: validCategory, cropName, scientificName, district, suitability } = cell;
+  const demandQuantity = cell.demandQuantity;
+
   // Get or create state data
   if (!stateDataMap.has(state)) {
     stateDataMap.set(state, {
@@ -220,54 +1043,225 @@ function processRow(row, cropNameFromFile) {
     stateData.categoriesMap.set(validCategory, {
       name: validCategory,
       count: 0,
-      cropsMap: new Map() // cropName -> crop object
+      cropsMap: new Map() // cropId -> crop object
     });
   }
 
   const categoryData = stateData.categoriesMap.get(validCategory);
   
   // Get or create crop data
-  // Use crop name for key (since scientific name might be empty)
-  // Normalize for key comparison
-  const cropKey = cropName.toLowerCase().trim();
+  // Keyed by the stable crop ID, so crops merged in the registry share one entry
+  const { cropId, cropName: canonicalName } = resolveCrop(cropName, validCategory);
   
-  if (!categoryData.cropsMap.has(cropKey)) {
+  if (!categoryData.cropsMap.has(cropId)) {
+    const match = getCatalogMatch(cropId, canonicalName, validCategory);
+
     // Create new crop entry
-    const cropId = uuidv4();
-    categoryData.cropsMap.set(cropKey, {
+    categoryData.cropsMap.set(cropId, {
       cropId: cropId,
-      cropName: cropName,
-      scientificName: scientificName, // Empty string if not in CSV
+      cropName: canonicalName,
+      // CSV value wins; otherwise from the catalog, empty string if the crop didn't match
+      scientificName: scientificName || (match && match.entry.scientificName) || '',
       categoryId: {
         _id: validCategory.toLowerCase().replace(/\s+/g, '_'),
         name: validCategory
       },
+      subcategory: getSubcategory(taxonomy, validCategory, canonicalName),
+      metadata: match ? getCropMetadata(match) : null,
       demandQuantity: 0,
       regionalSuitability: []
     });
   }
 
-  const crop = categoryData.cropsMap.get(cropKey);
+  const crop = categoryData.cropsMap.get(cropId);
   
   // Add regional suitability entry
   const suitabilityEntry = {
     geography: 'India',
     district: district,
     state: state,
-    suitability: suitability || 'Medium'
+    // Centroid and code from district-gazetteer.json, null if the district isn't listed there
+    location: getDistrictLocationFor(state, district),
+    suitability: suitability,
+    demandQuantity: 0
   };
 
   // Check if this district/suitability combination already exists
-  const existingSuitability = crop.regionalSuitability.find(
+  let existingSuitability = crop.regionalSuitability.find(
     s => s.district === district && s.suitability === suitabilityEntry.suitability
   );
 
   if (!existingSuitability) {
     crop.regionalSuitability.push(suitabilityEntry);
+    existingSuitability = suitabilityEntry;
   }
 
+  // Sum district-level demand on the regional entry
+  existingSuitability.demandQuantity += demandQuantity;
+
   // Sum demand quantity (handle duplicates by summing)
   crop.demandQuantity += demandQuantity;
+
+  if (cell.prices) {
+    mergePriceAccumulator(getPriceAccumulator(crop), cell.prices);
+    mergePriceAccumulator(getPriceAccumulator(existingSuitability), cell.prices);
+  }
+
+  Object.entries(cell.days).forEach(([day, dayCell]) => {
+    addToTimeSeries(crop, state, validCategory, district, day, dayCell.quantity, dayCell.prices);
+  });
+}
+
+/**
+ * Add a dated arrival to the crop/district day, week and month buckets
+ * @param {Object} crop - Crop object the arrival belongs to
+ * @param {string} state - State name
+ * @param {string} category - Valid category name
+ * @param {string} district - District name
+ * @param {string} day - Arrival date (YYYY-MM-DD)
+ * @param {number} quantity - Arrival quantity in tonnes
+ * @param {Object|null} prices - Price accumulator for the day's arrivals, if any
+ */
+function addToTimeSeries(crop, state, category, district, day, quantity, prices) {
+  const seriesKey = [state, category, crop.cropName.toLowerCase(), district].join('|');
+
+  if (!timeSeriesMap.has(seriesKey)) {
+    timeSeriesMap.set(seriesKey, {
+      crop: crop,
+      state: state,
+      category: category,
+      district: district,
+      day: new Map(),
+      week: new Map(),
+      month: new Map(),
+      dayPrices: new Map()
+    });
+  }
+
+  const series = timeSeriesMap.get(seriesKey);
+  const periods = getPeriodStarts(new Date(`${day}T00:00:00Z`));
+
+  ['day', 'week', 'month'].forEach(granularity => {
+    const bucket = series[granularity];
+    const period = periods[granularity];
+    bucket.set(period, (bucket.get(period) || 0) + quantity);
+  });
+
+  // Daily prices are enough to compute weighted averages over any period
+  if (prices) {
+    if (!series.dayPrices.has(periods.day)) {
+      series.dayPrices.set(periods.day, createPriceAccumulator());
+    }
+    mergePriceAccumulator(series.dayPrices.get(periods.day), prices);
+  }
+}
+
+/**
+ * Load suitability weights/thresholds, falling back to the defaults
+ * @returns {Object} Suitability config
+ */
+function loadSuitabilityConfig() {
+  if (!fs.existsSync(SUITABILITY_CONFIG_FILE)) {
+    return DEFAULT_SUITABILITY_CONFIG;
+  }
+
+  const fileConfig = JSON.parse(fs.readFileSync(SUITABILITY_CONFIG_FILE, 'utf8'));
+  return {
+    weights: { ...DEFAULT_SUITABILITY_CONFIG.weights, ...fileConfig.weights },
+    thresholds: { ...DEFAULT_SUITABILITY_CONFIG.thresholds, ...fileConfig.thresholds }
+  };
+}
+
+/**
+ * Get the list of all week start dates covered by the dated arrivals
+ * @returns {Array<string>} Week start dates (YYYY-MM-DD), oldest first
+ */
+function getDatasetWeeks() {
+  let firstWeek = null;
+  let lastWeek = null;
+
+  timeSeriesMap.forEach(series => {
+    series.week.forEach((quantity, week) => {
+      if (!firstWeek || week < firstWeek) firstWeek = week;
+      if (!lastWeek || week > lastWeek) lastWeek = week;
+    });
+  });
+
+  const weeks = [];
+  if (!firstWeek) return weeks;
+
+  const cursor = new Date(`${firstWeek}T00:00:00Z`);
+  while (cursor.toISOString().slice(0, 10) <= lastWeek) {
+    weeks.push(cursor.toISOString().slice(0, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + 7);
+  }
+  return weeks;
+}
+
+/**
+ * Derive a High/Medium/Low suitability level for a crop in a district
+ *
+ * Metrics (each 0-1):
+ * - share: district's share of the crop's arrivals in the state
+ * - consistency: 1 / (1 + coefficient of variation) of weekly arrivals over the season
+ * - seasonLength: share of dataset weeks with any arrivals
+ * Consistency and season length need dated arrivals; without them the score uses share only.
+ *
+ * @param {Object} region - Regional suitability entry (with district demandQuantity)
+ * @param {Object} crop - Crop object (state-level demandQuantity)
+ * @param {Object|undefined} series - Time series entry for this crop/district
+ * @param {Array<string>} datasetWeeks - All weeks covered by the dataset
+ * @param {Object} config - Suitability config (weights and thresholds)
+ * @returns {Object} Suitability level, method, score and metrics
+ */
+function computeSuitability(region, crop, series, datasetWeeks, config) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const metrics = {
+    share: crop.demandQuantity > 0 ? region.demandQuantity / crop.demandQuantity : 0
+  };
+
+  if (series && series.week.size > 0 && datasetWeeks.length > 0) {
+    // Weekly arrivals between the first and last active week (gaps count as zero)
+    const activeWeeks = Array.from(series.week.keys()).sort();
+    const seasonWeeks = datasetWeeks.filter(
+      week => week >= activeWeeks[0] && week <= activeWeeks[activeWeeks.length - 1]
+    );
+    const values = seasonWeeks.map(week => series.week.get(week) || 0);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    const coefficientOfVariation = mean > 0 ? Math.sqrt(variance) / mean : 0;
+
+    metrics.consistency = 1 / (1 + coefficientOfVariation);
+    metrics.seasonLength = activeWeeks.length / datasetWeeks.length;
+  }
+
+  // Weighted average over the metrics that are available
+  let weightedSum = 0;
+  let totalWeight = 0;
+  Object.keys(metrics).forEach(metric => {
+    const weight = config.weights[metric] || 0;
+    weightedSum += metrics[metric] * weight;
+    totalWeight += weight;
+  });
+  const score = totalWeight > 0 ? weightedSum / totalWeight : 0;
+
+  let level = 'Low';
+  if (score >= config.thresholds.high) {
+    level = 'High';
+  } else if (score >= config.thresholds.medium) {
+    level = 'Medium';
+  }
+
+  Object.keys(metrics).forEach(metric => {
+    metrics[metric] = round(metrics[metric]);
+  });
+
+  return {
+    suitability: level,
+    suitabilityMethod: metrics.consistency !== undefined ? 'computed' : 'computed-share-only',
+    suitabilityScore: round(score),
+    suitabilityMetrics: metrics
+  };
 }
 
 /**
@@ -276,6 +1270,8 @@ function processRow(row, cropNameFromFile) {
  */
 function finalizeData() {
   const finalOutput = [];
+  const suitabilityConfig = loadSuitabilityConfig();
+  const datasetWeeks = getDatasetWeeks();
 
   stateDataMap.forEach((stateData, state) => {
     const categories = [];
@@ -286,7 +1282,7 @@ function finalizeData() {
     stateData.summary.totalDemand = 0;
 
     // Ensure ALL valid categories are included (even if empty)
-    VALID_CATEGORIES.forEach(categoryName => {
+    taxonomy.categoryNames.forEach(categoryName => {
       let categoryData = stateData.categoriesMap.get(categoryName);
       
       // If category doesn't exist, create empty category
@@ -299,7 +1295,7 @@ function finalizeData() {
       } else {
         // Convert cropsMap to array for existing categories
         const crops = [];
-        categoryData.cropsMap.forEach((crop, cropKey) => {
+        categoryData.cropsMap.forEach((crop, cropId) => {
           crops.push(crop);
         });
 
@@ -311,6 +1307,23 @@ function finalizeData() {
         stateData.summary.totalCrops += crops.length;
         crops.forEach(crop => {
           stateData.summary.totalDemand += crop.demandQuantity;
+
+          // Attach arrival-weighted price stats (null when the CSVs had no prices)
+          crop.prices = summarizePrices(priceAccumulators.get(crop));
+          crop.regionalSuitability.forEach(region => {
+            region.prices = summarizePrices(priceAccumulators.get(region));
+
+            // Keep suitability from the CSV when present, otherwise derive it from arrivals
+            if (region.suitability) {
+              region.suitabilityMethod = 'source';
+            } else {
+              const seriesKey = [state, categoryName, crop.cropName.toLowerCase(), region.district].join('|');
+              Object.assign(
+                region,
+                computeSuitability(region, crop, timeSeriesMap.get(seriesKey), datasetWeeks, suitabilityConfig)
+              );
+            }
+          });
         });
       }
 
@@ -321,8 +1334,8 @@ function finalizeData() {
       });
     });
 
-    // Update total categories (always 4)
-    stateData.summary.totalCategories = VALID_CATEGORIES.length;
+    // Update total categories (every taxonomy category is listed)
+    stateData.summary.totalCategories = taxonomy.categoryNames.length;
 
     // Set last updated timestamp
     stateData.summary.lastUpdated = new Date().toISOString();
@@ -337,10 +1350,303 @@ function finalizeData() {
   return finalOutput;
 }
 
+/**
+ * Convert time series Maps to plain objects sorted by period
+ * @returns {Object} Time series output (written to demand-timeseries.json)
+ */
+function finalizeTimeSeries() {
+  const toSortedObject = (bucket) => {
+    const result = {};
+    Array.from(bucket.keys()).sort().forEach(period => {
+      result[period] = bucket.get(period);
+    });
+    return result;
+  };
+
+  const series = [];
+  let firstDate = null;
+  let lastDate = null;
+
+  timeSeriesMap.forEach(entry => {
+    const days = Array.from(entry.day.keys()).sort();
+    if (!firstDate || days[0] < firstDate) firstDate = days[0];
+    if (!lastDate || days[days.length - 1] > lastDate) lastDate = days[days.length - 1];
+
+    series.push({
+      cropId: entry.crop.cropId,
+      cropName: entry.crop.cropName,
+      category: entry.category,
+      state: entry.state,
+      district: entry.district,
+      day: toSortedObject(entry.day),
+      week: toSortedObject(entry.week),
+      month: toSortedObject(entry.month),
+      prices: toSortedObject(new Map(
+        Array.from(entry.dayPrices.entries()).map(([day, accumulator]) => {
+          // Unit is recorded once at file level as priceUnit
+          const { unit, ...stats } = summarizePrices(accumulator);
+          return [day, stats];
+        })
+      ))
+    });
+  });
+
+  return {
+    unit: 'tonnes',
+    priceUnit: 'Rs./Quintal',
+    weekStartsOn: 'Monday',
+    dateRange: { from: firstDate, to: lastDate },
+    generatedAt: new Date().toISOString(),
+    series: series
+  };
+}
+
+/**
+ * Parse command line flags
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Options: full, strict, maxDropRate, quarantine, registry, excludeAnomalies, storage,
+ * snapshot, keepSnapshots
+ */
+function parseArgs(args) {
+  const options = {
+    full: args.includes('--full'),
+    strict: args.includes('--strict'),
+    maxDropRate: DEFAULT_MAX_DROP_RATE,
+    quarantine: args.includes('--quarantine'),
+    registry: !args.includes('--no-registry'),
+    excludeAnomalies: args.includes('--exclude-anomalies') ? ['outlier'] : [],
+    storage: process.env.STORAGE_BACKEND || 'json',
+    snapshot: !args.includes('--no-snapshot'),
+    keepSnapshots: DEFAULT_KEEP_SNAPSHOTS
+  };
+
+  const storageArg = args.find(arg => arg.startsWith('--storage='));
+  if (storageArg) {
+    options.storage = storageArg.split('=')[1];
+  }
+  if (!STORAGE_BACKENDS.includes(options.storage)) {
+    throw new Error(`--storage must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  // --exclude-anomalies alone leaves out outlier rows; =spike,collapse or =all picks the types
+  const excludeArg = args.find(arg => arg.startsWith('--exclude-anomalies='));
+  if (excludeArg) {
+    try {
+      options.excludeAnomalies = parseAnomalyTypes(excludeArg.split('=')[1]);
+    } catch (error) {
+      throw new Error(`--exclude-anomalies: ${error.message}`);
+    }
+  }
+
+  const keepArg = args.find(arg => arg.startsWith('--keep-snapshots='));
+  if (keepArg) {
+    const value = Number(keepArg.split('=')[1]);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error('--keep-snapshots must be a positive integer');
+    }
+    options.keepSnapshots = value;
+  }
+
+  const dropRateArg = args.find(arg => arg.startsWith('--max-drop-rate='));
+  if (dropRateArg) {
+    const value = parseFloat(dropRateArg.split('=')[1]);
+    if (isNaN(value) || value < 0 || value > 1) {
+      throw new Error('--max-drop-rate must be a number between 0 and 1');
+    }
+    options.maxDropRate = value;
+  }
+
+  return options;
+}
+
+/**
+ * Combine per-file ingestion stats into the ingestion report
+ * @param {Array<{file: string, partial: Object}>} fileResults - Partial aggregates by file
+ * @param {Object} options - Parsed command line options
+ * @returns {Object} Ingestion report (written to ingestion-report.json)
+ */
+function buildIngestionReport(fileResults, options) {
+  const addCounts = (target, source) => {
+    Object.entries(source).forEach(([key, count]) => {
+      target[key] = (target[key] || 0) + count;
+    });
+  };
+  const sumCounts = (counts) => Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const dropRate = (dropped, read) => read > 0 ? Math.round(dropped / read * 10000) / 10000 : 0;
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    totals: {
+      files: fileResults.length,
+      rowsRead: 0,
+      rowsKept: 0,
+      rowsDropped: 0,
+      rowsCoerced: 0,
+      dropRate: 0
+    },
+    dropped: {},
+    coerced: {},
+    unmappedGroups: {},
+    strict: {
+      enabled: options.strict,
+      maxDropRate: options.maxDropRate,
+      passed: true,
+      failures: []
+    },
+    files: [],
+    samples: {}
+  };
+
+  fileResults.forEach(({ file, partial }) => {
+    const fileReport = partial.report;
+    const rowsDropped = sumCounts(fileReport.dropped);
+
+    report.totals.rowsRead += fileReport.rowsRead;
+    report.totals.rowsKept += fileReport.rowsKept;
+    report.totals.rowsDropped += rowsDropped;
+    report.totals.rowsCoerced += sumCounts(fileReport.coerced);
+    addCounts(report.dropped, fileReport.dropped);
+    addCounts(report.coerced, fileReport.coerced);
+    addCounts(report.unmappedGroups, fileReport.unmappedGroups);
+
+    Object.entries(fileReport.samples).forEach(([reason, rows]) => {
+      const samples = report.samples[reason] || (report.samples[reason] = []);
+      rows.forEach(row => {
+        if (samples.length < MAX_SAMPLE_ROWS) samples.push({ file, row });
+      });
+    });
+
+    const fileDropRate = dropRate(rowsDropped, fileReport.rowsRead);
+    report.files.push({
+      file: file,
+      rowsRead: fileReport.rowsRead,
+      rowsKept: fileReport.rowsKept,
+      rowsDropped: rowsDropped,
+      dropRate: fileDropRate,
+      dropped: fileReport.dropped,
+      coerced: fileReport.coerced,
+      unmappedGroups: fileReport.unmappedGroups
+    });
+
+    if (fileDropRate > options.maxDropRate) {
+      report.strict.failures.push(`${file}: drop rate ${fileDropRate} exceeds ${options.maxDropRate}`);
+    }
+  });
+
+  report.totals.dropRate = dropRate(report.totals.rowsDropped, report.totals.rowsRead);
+  if (report.totals.dropRate > options.maxDropRate) {
+    report.strict.failures.unshift(`Overall drop rate ${report.totals.dropRate} exceeds ${options.maxDropRate}`);
+  }
+  report.strict.passed = report.strict.failures.length === 0;
+
+  return report;
+}
+
+/**
+ * Collect the anomalies flagged in every file into the anomalies report
+ * Call after merging, so crop IDs resolve the same way as in demand.json
+ * @param {Array<{file: string, partial: Object}>} fileResults - Partial aggregates by file
+ * @param {Object} options - Parsed command line options
+ * @returns {Object} Anomalies report (written to anomalies.json)
+ */
+function buildAnomalyReport(fileResults, options) {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    excludedFromAggregates: options.excludeAnomalies.length > 0,
+    excludedTypes: options.excludeAnomalies,
+    thresholds: ANOMALY_THRESHOLDS,
+    totals: {
+      anomalies: 0,
+      outliers: 0,
+      spikes: 0,
+      collapses: 0,
+      excludedRows: 0,
+      excludedQuantity: 0
+    },
+    anomalies: []
+  };
+
+  fileResults.forEach(({ file, partial }) => {
+    partial.anomalies.forEach(anomaly => {
+      const { observation, observations, ...details } = anomaly;
+      const { cropId, cropName } = resolveCrop(anomaly.cropName, anomaly.category);
+      const rows = getAnomalyRows(anomaly);
+      const excluded = options.excludeAnomalies.includes(anomaly.type);
+
+      // Arrivals of a spike/collapse week per day, so the server can leave them out per request
+      if (observations) {
+        details.days = {};
+        observations.forEach(row => {
+          details.days[row.day] = Math.round(((details.days[row.day] || 0) + row.quantity) * 100) / 100;
+        });
+      }
+
+      report.anomalies.push({ ...details, cropId, cropName, file, excluded });
+      report.totals.anomalies++;
+      report.totals[{ outlier: 'outliers', spike: 'spikes', collapse: 'collapses' }[anomaly.type]]++;
+      if (excluded) {
+        report.totals.excludedRows += rows.length;
+        report.totals.excludedQuantity += rows.reduce((sum, row) => sum + row.quantity, 0);
+      }
+    });
+  });
+
+  report.totals.excludedQuantity = Math.round(report.totals.excludedQuantity * 100) / 100;
+  report.anomalies.sort((a, b) =>
+    a.cropName.localeCompare(b.cropName) ||
+    a.state.localeCompare(b.state) ||
+    a.district.localeCompare(b.district) ||
+    a.market.localeCompare(b.market) ||
+    String(a.date || a.week).localeCompare(String(b.date || b.week))
+  );
+
+  return report;
+}
+
+/**
+ * Escape a value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function toCSVCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write every dropped row to quarantine.csv with its source file and reason
+ * @param {Array<{file: string, partial: Object}>} fileResults - Partial aggregates by file
+ * @returns {number} Number of quarantined rows
+ */
+function writeQuarantineFile(fileResults) {
+  const columns = [];
+  const rows = [];
+
+  fileResults.forEach(({ file, partial }) => {
+    partial.rejectedRows.forEach(({ reason, row }) => {
+      Object.keys(row).forEach(column => {
+        if (!columns.includes(column)) columns.push(column);
+      });
+      rows.push({ file, reason, row });
+    });
+  });
+
+  const lines = [['source_file', 'reason', ...columns].map(toCSVCell).join(',')];
+  rows.forEach(({ file, reason, row }) => {
+    lines.push([file, reason, ...columns.map(column => row[column])].map(toCSVCell).join(','));
+  });
+
+  fs.writeFileSync(QUARANTINE_FILE, lines.join('\n') + '\n', 'utf8');
+  return rows.length;
+}
+
 /**
  * Main processing function
  */
 async function main() {
+  const startedAt = new Date();
+  const options = parseArgs(process.argv.slice(2));
+
   console.log('Starting CSV preprocessing...');
   console.log(`Reading CSV files from: ${DATA_FOLDER}`);
 
@@ -353,7 +1659,7 @@ async function main() {
 
   // Read all CSV files from data folder
   const files = fs.readdirSync(DATA_FOLDER);
-  const csvFiles = files.filter(file => file.toLowerCase().endsWith('.csv'));
+  const csvFiles = files.filter(file => file.toLowerCase().endsWith('.csv')).sort();
 
   if (csvFiles.length === 0) {
     console.error(`Error: No CSV files found in ${DATA_FOLDER}`);
@@ -362,47 +1668,203 @@ async function main() {
 
   console.log(`Found ${csvFiles.length} CSV file(s) to process`);
 
-  // Process all CSV files
-  const filePromises = csvFiles.map(file => {
-    const filePath = path.join(DATA_FOLDER, file);
-    console.log(`Processing: ${file}`);
-    return processCSVFile(filePath);
-  });
+  try {
+    taxonomy = loadTaxonomy();
+    console.log(`Loaded ${taxonomy.categoryNames.length} categories from taxonomy.json`);
+  } catch (error) {
+    console.error('Error loading taxonomy.json:', error.message);
+    process.exit(1);
+  }
+
+  try {
+    cropCatalog = loadCatalog();
+    console.log(`Loaded ${cropCatalog.crops.length} reference crops from crop-catalog.json`);
+  } catch (error) {
+    console.error('Error loading crop-catalog.json:', error.message);
+    process.exit(1);
+  }
 
   try {
-    await Promise.all(filePromises);
-    console.log('All CSV files processed successfully');
+    districtGazetteer = loadGazetteer();
+    console.log(`Loaded ${districtGazetteer.districts.length} districts from district-gazetteer.json`);
+  } catch (error) {
+    console.error('Error loading district-gazetteer.json:', error.message);
+    process.exit(1);
+  }
+
+  // --full ignores the cache and re-parses every file
+  const useCache = !options.full;
+  fs.mkdirSync(PARTIAL_CACHE_DIR, { recursive: true });
+
+  // Process changed CSV files, reuse cached aggregates for the rest
+  const filePromises = csvFiles.map(file => loadPartial(path.join(DATA_FOLDER, file), useCache));
+
+  let results;
+  try {
+    results = await Promise.all(filePromises);
+    const cachedCount = results.filter(result => result.fromCache).length;
+    console.log(`All CSV files processed successfully (${results.length - cachedCount} parsed, ${cachedCount} unchanged from cache)`);
   } catch (error) {
     console.error('Error processing CSV files:', error);
     process.exit(1);
   }
 
+  // Deleted CSV files: drop their cache entries (their data is no longer merged)
+  const removedCount = pruneCache(csvFiles);
+  if (removedCount > 0) {
+    console.log(`Removed ${removedCount} cache entr${removedCount === 1 ? 'y' : 'ies'} for deleted CSV files`);
+  }
+
+  // Ingestion report: what was dropped or coerced, per reason and per file
+  const fileResults = results.map((result, index) => ({ file: csvFiles[index], partial: result.partial }));
+  const ingestionReport = buildIngestionReport(fileResults, options);
+  const writeIngestionReport = () => {
+    console.log(`Writing ingestion report to: ${INGESTION_REPORT_FILE}`);
+    fs.writeFileSync(INGESTION_REPORT_FILE, JSON.stringify(ingestionReport, null, 2), 'utf8');
+  };
+  console.log(`- Rows read: ${ingestionReport.totals.rowsRead}, kept: ${ingestionReport.totals.rowsKept}, ` +
+    `dropped: ${ingestionReport.totals.rowsDropped} (${(ingestionReport.totals.dropRate * 100).toFixed(2)}%)`);
+
+  if (options.quarantine) {
+    const quarantinedCount = writeQuarantineFile(fileResults);
+    console.log(`Wrote ${quarantinedCount} dropped row(s) to: ${QUARANTINE_FILE}`);
+  }
+
+  if (options.strict && !ingestionReport.strict.passed) {
+    writeIngestionReport();
+    console.error('❌ Strict mode: drop rate threshold exceeded, demand.json was not written');
+    ingestionReport.strict.failures.forEach(failure => console.error(`   - ${failure}`));
+    process.exit(1);
+  }
+
+  // Merge per-file aggregates in file order (crop IDs resolved through the registry)
+  loadCropRegistry(options.registry);
+  results.forEach(result => mergePartial(result.partial, options.excludeAnomalies));
+
+  // Unusual arrivals per crop/market; rows of excluded types were left out above with --exclude-anomalies
+  const anomalyReport = buildAnomalyReport(fileResults, options);
+  ingestionReport.anomalies = {
+    ...anomalyReport.totals,
+    excludedFromAggregates: anomalyReport.excludedFromAggregates,
+    excludedTypes: anomalyReport.excludedTypes
+  };
+  console.log(`- Anomalies: ${anomalyReport.totals.outliers} outlier row(s), ${anomalyReport.totals.spikes} spike(s), ` +
+    `${anomalyReport.totals.collapses} collapse(s)` +
+    (anomalyReport.excludedFromAggregates
+      ? `, ${anomalyReport.totals.excludedQuantity} tonnes (${options.excludeAnomalies.join(', ')}) excluded from demand.json`
+      : ''));
+
+  // Catalog matches are made while merging; report crops that didn't match
+  ingestionReport.catalog = buildCatalogReport();
+  ingestionReport.gazetteer = buildGazetteerReport();
+  writeIngestionReport();
+  console.log(`- Catalog: ${ingestionReport.catalog.matched} of ${ingestionReport.catalog.crops} crops matched` +
+    (ingestionReport.catalog.fuzzyMatches.length ? `, ${ingestionReport.catalog.fuzzyMatches.length} by fuzzy match` : ''));
+  if (ingestionReport.catalog.unmatched.length > 0) {
+    console.warn(`⚠️  Not in crop-catalog.json: ${ingestionReport.catalog.unmatched.map(crop => crop.cropName).join(', ')}`);
+  }
+  console.log(`- Gazetteer: ${ingestionReport.gazetteer.matched} of ${ingestionReport.gazetteer.districts} districts located`);
+  if (ingestionReport.gazetteer.unmatched.length > 0) {
+    console.warn(`⚠️  Not in district-gazetteer.json: ${ingestionReport.gazetteer.unmatched
+      .map(entry => `${entry.district} (${entry.state})`).join(', ')}`);
+  }
+
   // Finalize data structure
   console.log('Finalizing data structure...');
   const finalOutput = finalizeData();
+  const timeSeriesOutput = finalizeTimeSeries();
 
-  // Write output JSON file
-  console.log(`Writing output to: ${OUTPUT_FILE}`);
-  fs.writeFileSync(
-    OUTPUT_FILE,
-    JSON.stringify(finalOutput, null, 2),
-    'utf8'
-  );
+  // Demand, dated arrivals and anomalies go to the storage backend (JSON files or SQLite)
+  const storage = createStorage(options.storage);
+  console.log(`Writing output to ${options.storage} storage: ${storage.location}`);
+  const writtenFiles = await storage.write({
+    demandData: finalOutput,
+    timeSeriesData: timeSeriesOutput,
+    anomalyReport: anomalyReport
+  });
+  console.log(`✅ Dataset written: ${writtenFiles.map(file => path.basename(file)).join(', ')}`);
 
-  console.log('✅ demand.json created successfully!');
+  // After the dataset, so a failed write leaves no registry entries for crops that were never served
+  saveCropRegistry();
   console.log(`\nSummary:`);
   console.log(`- Total states: ${finalOutput.length}`);
-  console.log(`- Total categories processed: ${VALID_CATEGORIES.join(', ')}`);
+  console.log(`- Total categories processed: ${taxonomy.categoryNames.join(', ')}`);
   
   const totalCrops = finalOutput.reduce((sum, state) => sum + state.summary.totalCrops, 0);
   const totalDemand = finalOutput.reduce((sum, state) => sum + state.summary.totalDemand, 0);
   console.log(`- Total crops: ${totalCrops}`);
   console.log(`- Total demand: ${totalDemand.toFixed(2)} tons per week`);
+  console.log(`- Time series: ${timeSeriesOutput.series.length} crop/district series` +
+    (timeSeriesOutput.dateRange.from ? ` (${timeSeriesOutput.dateRange.from} to ${timeSeriesOutput.dateRange.to})` : ''));
+
+  // Keep this run's dataset as a versioned snapshot (served with ?version= and /api/datasets)
+  if (options.snapshot) {
+    const districts = new Set();
+    finalOutput.forEach(state => state.categories.forEach(category => category.crops.forEach(crop =>
+      crop.regionalSuitability.forEach(region => districts.add(`${state.state}|${region.district}`))
+    )));
+
+    const finishedAt = new Date();
+    const snapshot = saveSnapshot(storage, {
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      options: { full: options.full, excludeAnomalies: options.excludeAnomalies },
+      counts: {
+        files: ingestionReport.totals.files,
+        rowsRead: ingestionReport.totals.rowsRead,
+        rowsKept: ingestionReport.totals.rowsKept,
+        rowsDropped: ingestionReport.totals.rowsDropped,
+        states: finalOutput.length,
+        crops: totalCrops,
+        districts: districts.size,
+        timeSeries: timeSeriesOutput.series.length,
+        anomalies: anomalyReport.totals.anomalies,
+        totalDemand: Math.round(totalDemand * 100) / 100
+      },
+      sourceFiles: results.map((result, index) => ({
+        file: csvFiles[index],
+        hash: result.hash,
+        size: result.size,
+        rowsRead: result.partial.report.rowsRead,
+        rowsKept: result.partial.report.rowsKept
+      }))
+    });
+    console.log(`📸 Saved snapshot ${snapshot.id}`);
+
+    const removedSnapshots = pruneSnapshots(options.keepSnapshots);
+    if (removedSnapshots.length > 0) {
+      console.log(`Removed ${removedSnapshots.length} old snapshot(s): ${removedSnapshots.join(', ')}`);
+    }
+  }
+}
+
+// Run main function when called as a script (tests require the helpers below)
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
 }
 
-// Run main function
-main().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+module.exports = {
+  getCropKey,
+  loadCropRegistry,
+  resolveCrop,
+  parsePrices,
+  createPriceAccumulator,
+  addPrices,
+  summarizePrices,
+  mergePriceAccumulator,
+  parseArrivalDate,
+  getPeriodStarts,
+  createPartial,
+  processRow,
+  robustZScores,
+  detectAnomalies,
+  computeSuitability,
+  parseArgs,
+  buildIngestionReport,
+  toCSVCell
+};
 
@@ -0,0 +1,102 @@
+/**
+ * Admin routes (POST /admin/reload), open to the ADMIN_TOKEN and to API keys with the admin role
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { hashApiKey, getApiKeyFromRequest } = require('../access');
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+/**
+ * Check for the ADMIN_TOKEN or an API key with the admin role
+ * Either is sent as "Authorization: Bearer <token>"; X-Admin-Token and X-API-Key work too
+ * @param {Object|null} accessConfig - Loaded api-access.json (null without one)
+ * @returns {Function} Express middleware
+ */
+function requireAdmin(accessConfig) {
+  return (req, res, next) => {
+    const adminKeys = accessConfig
+      ? [...accessConfig.keys.values()].filter(entry => entry.role === 'admin' && !entry.disabled)
+      : [];
+    if (!ADMIN_TOKEN && adminKeys.length === 0) {
+      return res.status(403).json({
+        error: 'Admin access disabled',
+        message: 'Set the ADMIN_TOKEN environment variable or add an admin API key to enable admin routes'
+      });
+    }
+
+    const token = getApiKeyFromRequest(req) || req.get('x-admin-token') || '';
+
+    if (ADMIN_TOKEN) {
+      const expected = Buffer.from(ADMIN_TOKEN);
+      const provided = Buffer.from(token);
+      if (provided.length === expected.length && crypto.timingSafeEqual(provided, expected)) {
+        return next();
+      }
+    }
+
+    const entry = accessConfig && token ? accessConfig.keys.get(hashApiKey(token)) : null;
+    if (entry && !entry.disabled) {
+      if (entry.role !== 'admin') {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `API key "${entry.id}" does not have the admin role`
+        });
+      }
+      req.apiKey = entry;
+      return next();
+    }
+
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid admin token or admin API key is required'
+    });
+  };
+}
+
+/**
+ * Create the admin routes
+ * @param {Object} context - Shared with the routes in server.js (accessConfig, loadDemandData, getCurrentDataset)
+ * @returns {Object} Express router
+ */
+function createAdminRoutes({ accessConfig, loadDemandData, getCurrentDataset }) {
+  const router = express.Router();
+
+  /**
+   * POST /admin/reload
+   * Re-read demand.json and demand-timeseries.json without restarting
+   * The current data keeps being served if the new files fail validation
+   */
+  router.post('/admin/reload', requireAdmin(accessConfig), async (req, res) => {
+    try {
+      const outcome = await loadDemandData('admin');
+      const { info } = getCurrentDataset();
+
+      if (outcome.status !== 'ok') {
+        return res.status(422).json({
+          error: 'Reload failed',
+          message: outcome.error,
+          servingVersion: info ? info.version : null
+        });
+      }
+
+      res.json({
+        status: 'reloaded',
+        dataset: info
+      });
+    } catch (error) {
+      console.error('Error reloading demand data:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while reloading demand data'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRoutes
+};
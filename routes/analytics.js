@@ -0,0 +1,149 @@
+/**
+ * Demand analytics routes: top-N rankings with market shares and concentration (HHI)
+ */
+
+const express = require('express');
+const { MAX_TOP_N } = require('../limits');
+
+const TOP_DIMENSIONS = ['crops', 'districts', 'states'];
+
+/**
+ * Herfindahl-Hirschman Index of a set of quantities
+ * @param {Iterable<number>} quantities - Component quantities (e.g. a crop's demand per district)
+ * @returns {number} Sum of squared percentage shares, from near 0 (spread out) to 10000 (one component)
+ */
+function herfindahlIndex(quantities) {
+  const values = Array.from(quantities).filter(quantity => quantity > 0);
+  const total = values.reduce((sum, quantity) => sum + quantity, 0);
+  if (total <= 0) return 0;
+  return Math.round(values.reduce((sum, quantity) => sum + Math.pow(quantity / total * 100, 2), 0) * 100) / 100;
+}
+
+/**
+ * Create the analytics routes
+ * @param {Object} context - Middleware shared by the routes in server.js
+ *   (resolveDataset, validateRequest, applyAnomalyExclusion, requireData, cacheResponse)
+ * @returns {Object} Express router
+ */
+function createAnalyticsRoutes({ resolveDataset, validateRequest, applyAnomalyExclusion, requireData, cacheResponse }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/analytics/top
+   * Rank crops, districts or states by demand, with market shares and concentration
+   *
+   * Query parameters:
+   * - by (optional): crops, districts or states (default: crops)
+   * - n (optional): Number of entries to return (1-100, default: 10)
+   * - state (optional): Only demand in this state
+   * - category (optional): Only demand for crops in this category
+   * - version (optional): Dataset snapshot ID (default: current)
+   */
+  router.get('/api/analytics/top', resolveDataset, validateRequest, applyAnomalyExclusion, requireData('demand'), cacheResponse, async (req, res) => {
+    const { demandData, queries } = req.dataset;
+    const by = req.query.by ? String(req.query.by).trim().toLowerCase() : 'crops';
+    const n = req.query.n !== undefined ? Number(req.query.n) : 10;
+    const stateFilter = req.query.state ? String(req.query.state).trim().toLowerCase() : null;
+    const categoryFilter = req.query.category ? String(req.query.category).trim().toLowerCase() : null;
+
+    if (!TOP_DIMENSIONS.includes(by) || !Number.isInteger(n) || n < 1 || n > MAX_TOP_N) {
+      return res.status(400).json({
+        error: 'Invalid ranking',
+        message: `by must be one of: ${TOP_DIMENSIONS.join(', ')}; n must be an integer from 1 to ${MAX_TOP_N}`
+      });
+    }
+
+    try {
+      const states = stateFilter ? [await queries.getState(stateFilter)].filter(Boolean) : demandData;
+
+      // entity key -> { identity fields, demand, components: key -> demand }
+      // Components are what each entry's HHI is computed over: districts for a crop, crops for a district or state
+      const entities = new Map();
+      const addDemand = (key, identity, componentKey, quantity) => {
+        if (!entities.has(key)) entities.set(key, { ...identity, demandQuantity: 0, components: new Map() });
+        const entity = entities.get(key);
+        entity.demandQuantity += quantity;
+        entity.components.set(componentKey, (entity.components.get(componentKey) || 0) + quantity);
+      };
+
+      states.forEach(stateData => {
+        stateData.categories.forEach(category => {
+          if (categoryFilter && category.name.toLowerCase() !== categoryFilter) return;
+
+          category.crops.forEach(crop => {
+            crop.regionalSuitability.forEach(region => {
+              const quantity = region.demandQuantity || 0;
+              if (quantity <= 0) return;
+
+              if (by === 'crops') {
+                addDemand(crop.cropId, { cropId: crop.cropId, cropName: crop.cropName, category: category.name },
+                  `${region.state}|${region.district}`, quantity);
+              } else if (by === 'districts') {
+                addDemand(`${region.state}|${region.district}`, { state: region.state, district: region.district },
+                  crop.cropId, quantity);
+              } else {
+                addDemand(region.state, { state: region.state }, crop.cropId, quantity);
+              }
+            });
+          });
+        });
+      });
+
+      if (entities.size === 0) {
+        return res.status(404).json({
+          error: 'No data found',
+          message: 'No demand found for the given filters',
+          filters: {
+            state: req.query.state || 'all',
+            category: req.query.category || 'all'
+          }
+        });
+      }
+
+      const ranked = Array.from(entities.values()).sort((a, b) => b.demandQuantity - a.demandQuantity);
+      const total = ranked.reduce((sum, entity) => sum + entity.demandQuantity, 0);
+
+      let cumulative = 0;
+      const top = ranked.slice(0, n).map((entity, index) => {
+        const { components, ...identity } = entity;
+        cumulative += entity.demandQuantity;
+        return {
+          rank: index + 1,
+          ...identity,
+          share: entity.demandQuantity / total,
+          cumulativeShare: cumulative / total,
+          hhi: herfindahlIndex(components.values()),
+          components: components.size
+        };
+      });
+
+      res.json({
+        by: by,
+        n: n,
+        filters: {
+          state: req.query.state || 'all',
+          category: req.query.category || 'all'
+        },
+        totalDemand: total,
+        unit: 'tons per week',
+        totalEntries: ranked.length,
+        hhi: herfindahlIndex(ranked.map(entity => entity.demandQuantity)),
+        top: top
+      });
+    } catch (error) {
+      console.error('Error computing rankings:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while computing rankings'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  TOP_DIMENSIONS,
+  herfindahlIndex,
+  createAnalyticsRoutes
+};
@@ -0,0 +1,212 @@
+/**
+ * Dataset snapshot routes: list the snapshots saved by preprocess.js, show one, and diff two versions
+ */
+
+const express = require('express');
+const { listSnapshots, getSnapshot } = require('../snapshots');
+const { MAX_PAGE_LIMIT } = require('../limits');
+
+/**
+ * Snapshot metadata as returned by /api/datasets (without the per-file source list)
+ * @param {Object} snapshot - Snapshot metadata from snapshot.json
+ * @param {string|null} currentVersion - Version of the dataset being served
+ * @returns {Object} Listing entry, flagged as current if it's the dataset being served
+ */
+function toSnapshotEntry(snapshot, currentVersion) {
+  const { sourceFiles, ...entry } = snapshot;
+  return {
+    ...entry,
+    current: snapshot.version === currentVersion,
+    sourceFileCount: sourceFiles ? sourceFiles.length : 0
+  };
+}
+
+/**
+ * Create the dataset snapshot routes
+ * @param {Object} context - Dataset access and middleware shared by the routes in server.js
+ *   (getCurrentDataset, getDatasetByVersion, isDataLoaded, sendDataUnavailable, validateRequest, cacheResponse)
+ * @returns {Object} Express router
+ */
+function createDatasetRoutes({ getCurrentDataset, getDatasetByVersion, isDataLoaded, sendDataUnavailable, validateRequest, cacheResponse }) {
+  const router = express.Router();
+  const getCurrentVersion = () => {
+    const { info } = getCurrentDataset();
+    return info ? info.version : null;
+  };
+
+  /**
+   * GET /api/datasets
+   * List dataset snapshots saved by preprocess.js runs, newest first
+   */
+  router.get('/api/datasets', (req, res) => {
+    try {
+      const currentVersion = getCurrentVersion();
+      const snapshots = listSnapshots().map(snapshot => toSnapshotEntry(snapshot, currentVersion));
+
+      res.json({
+        currentVersion: currentVersion,
+        totalSnapshots: snapshots.length,
+        snapshots: snapshots
+      });
+    } catch (error) {
+      console.error('Error listing dataset snapshots:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while listing dataset snapshots'
+      });
+    }
+  });
+
+  /**
+   * GET /api/datasets/diff
+   * Compare two dataset versions: crops and districts added or removed, and demand changes per crop
+   *
+   * Query parameters:
+   * - from (required): Snapshot ID to compare from
+   * - to (optional): Snapshot ID to compare to (default: current)
+   * - limit (optional): Maximum number of changed crops to return, largest change first (default: 50, max: 500)
+   */
+  router.get('/api/datasets/diff', validateRequest, cacheResponse, async (req, res) => {
+    const from = req.query.from ? String(req.query.from).trim() : '';
+    const to = req.query.to ? String(req.query.to).trim() : 'current';
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+
+    if (!from) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'The from parameter is required (a snapshot ID from /api/datasets)'
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+      return res.status(400).json({
+        error: 'Invalid limit',
+        message: `limit must be an integer from 1 to ${MAX_PAGE_LIMIT}`
+      });
+    }
+
+    try {
+      const [fromDataset, toDataset] = await Promise.all([getDatasetByVersion(from), getDatasetByVersion(to)]);
+      const missing = [[from, fromDataset], [to, toDataset]].find(([, dataset]) => !dataset);
+      if (missing) {
+        return res.status(404).json({
+          error: 'Unknown version',
+          message: `No dataset snapshot found for version: ${missing[0]}`,
+          availableVersions: ['current', ...listSnapshots().map(snapshot => snapshot.id)]
+        });
+      }
+
+      if (!isDataLoaded(fromDataset, 'demand') || !isDataLoaded(toDataset, 'demand')) {
+        return sendDataUnavailable(res, 'demand');
+      }
+
+      // Crops by ID, so renamed crops (same ID) show up as changed rather than added and removed
+      const fromCrops = new Map(fromDataset.indexes.cropSummaries.map(summary => [summary.cropId, summary]));
+      const toCrops = new Map(toDataset.indexes.cropSummaries.map(summary => [summary.cropId, summary]));
+      const toCropEntry = (summary) => ({
+        cropId: summary.cropId,
+        cropName: summary.cropName,
+        totalDemand: summary.totalDemand,
+        totalDistricts: summary.totalDistricts
+      });
+
+      const addedCrops = Array.from(toCrops.values()).filter(summary => !fromCrops.has(summary.cropId)).map(toCropEntry);
+      const removedCrops = Array.from(fromCrops.values()).filter(summary => !toCrops.has(summary.cropId)).map(toCropEntry);
+      const changedCrops = [];
+      let unchangedCrops = 0;
+      toCrops.forEach((summary, cropId) => {
+        const previous = fromCrops.get(cropId);
+        if (!previous) return;
+
+        const change = summary.totalDemand - previous.totalDemand;
+        if (change === 0 && summary.totalDistricts === previous.totalDistricts) {
+          unchangedCrops++;
+          return;
+        }
+
+        changedCrops.push({
+          cropId: cropId,
+          cropName: summary.cropName,
+          fromDemand: previous.totalDemand,
+          toDemand: summary.totalDemand,
+          change: change,
+          changePercent: previous.totalDemand > 0 ? Math.round(change / previous.totalDemand * 10000) / 100 : null,
+          fromDistricts: previous.totalDistricts,
+          toDistricts: summary.totalDistricts
+        });
+      });
+      changedCrops.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+      const toDistrictEntry = (district) => ({ city: district.city, state: district.state });
+      const fromDistricts = fromDataset.indexes.districts;
+      const toDistricts = toDataset.indexes.districts;
+      const addedDistricts = Array.from(toDistricts.keys()).filter(key => !fromDistricts.has(key)).map(key => toDistrictEntry(toDistricts.get(key)));
+      const removedDistricts = Array.from(fromDistricts.keys()).filter(key => !toDistricts.has(key)).map(key => toDistrictEntry(fromDistricts.get(key)));
+
+      const totalChange = toDataset.indexes.nationalDemand - fromDataset.indexes.nationalDemand;
+
+      res.json({
+        from: { version: from, datasetVersion: fromDataset.info.version },
+        to: { version: to, datasetVersion: toDataset.info.version },
+        totals: {
+          fromDemand: fromDataset.indexes.nationalDemand,
+          toDemand: toDataset.indexes.nationalDemand,
+          change: totalChange,
+          changePercent: fromDataset.indexes.nationalDemand > 0
+            ? Math.round(totalChange / fromDataset.indexes.nationalDemand * 10000) / 100
+            : null,
+          unit: 'tons per week'
+        },
+        crops: {
+          added: addedCrops,
+          removed: removedCrops,
+          totalChanged: changedCrops.length,
+          changed: changedCrops.slice(0, limit),
+          unchanged: unchangedCrops
+        },
+        districts: {
+          added: addedDistricts,
+          removed: removedDistricts,
+          unchanged: toDistricts.size - addedDistricts.length
+        }
+      });
+    } catch (error) {
+      console.error('Error comparing datasets:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while comparing datasets'
+      });
+    }
+  });
+
+  /**
+   * GET /api/datasets/:version
+   * Get one snapshot's metadata: run timing, options, counts and source file hashes
+   */
+  router.get('/api/datasets/:version', validateRequest, cacheResponse, (req, res) => {
+    try {
+      const snapshot = getSnapshot(req.params.version);
+      if (!snapshot) {
+        return res.status(404).json({
+          error: 'Unknown version',
+          message: `No dataset snapshot found for version: ${req.params.version}`,
+          availableVersions: listSnapshots().map(entry => entry.id)
+        });
+      }
+
+      res.json({ ...toSnapshotEntry(snapshot, getCurrentVersion()), sourceFiles: snapshot.sourceFiles || [] });
+    } catch (error) {
+      console.error('Error fetching dataset snapshot:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while fetching the dataset snapshot'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createDatasetRoutes
+};
@@ -0,0 +1,472 @@
+/**
+ * GraphQL endpoint over the state/category/crop/district model (GET and POST /graphql)
+ */
+
+const express = require('express');
+const { buildSchema, parse: parseGraphQL, validate: validateGraphQL, execute: executeGraphQL, GraphQLError } = require('graphql');
+const { MAX_PAGE_LIMIT } = require('../limits');
+
+/**
+ * GraphQL schema for /graphql
+ * Same model as demand.json (State > Category > Crop) with District as a second way in;
+ * quantities are in tons per week like the REST routes
+ */
+const GRAPHQL_SCHEMA = buildSchema(`
+  enum DistrictSort {
+    CITY
+    TOTAL_DEMAND
+    TOTAL_CROPS
+  }
+
+  type Query {
+    "States in demand.json order, optionally only those with crops in a category"
+    states(name: String, category: String): [State!]!
+    state(name: String!): State
+    "Districts sorted by name (or by totals, largest first). name also matches district aliases"
+    districts(name: String, state: String, category: String, minDemand: Float, sort: DistrictSort = CITY, limit: Int, offset: Int = 0): [District!]!
+    "First matching district in demand.json state order"
+    district(name: String!, state: String): District
+    "Crops by national demand, largest first. search matches crop, scientific and local names"
+    crops(search: String, category: String, state: String, limit: Int, offset: Int = 0): [Crop!]!
+    "Crop by ID (merged IDs from crop-registry.json resolve) or exact name"
+    crop(id: ID, name: String): Crop
+    "National totals"
+    summary: Summary!
+  }
+
+  type Summary {
+    totalStates: Int
+    totalCategories: Int
+    totalCrops: Int!
+    totalDistricts: Int
+    totalDemand: Float!
+    unit: String!
+    lastUpdated: String
+  }
+
+  type State {
+    name: String!
+    summary: Summary!
+    categories(name: String): [Category!]!
+    districts(name: String, minDemand: Float): [District!]!
+  }
+
+  type District {
+    name: String!
+    state: String!
+    summary: Summary!
+    categories(name: String): [Category!]!
+    "Crops in demand.json order, or largest district demand first with limit"
+    crops(category: String, minDemand: Float, limit: Int): [CropDemand!]!
+  }
+
+  type Category {
+    name: String!
+    summary: Summary!
+    crops(search: String, minDemand: Float, limit: Int): [CropDemand!]!
+  }
+
+  "A crop's demand in one state or district"
+  type CropDemand {
+    cropId: ID!
+    cropName: String!
+    scientificName: String
+    category: String!
+    subcategory: String
+    state: String!
+    metadata: CropMetadata
+    "Demand in the state, or in the district for District.crops"
+    demandQuantity: Float!
+    stateDemandQuantity: Float!
+    prices: Prices
+    regionalSuitability: [Region!]!
+  }
+
+  "A crop across all states"
+  type Crop {
+    cropId: ID!
+    cropName: String!
+    scientificName: String
+    category: String!
+    subcategory: String
+    metadata: CropMetadata
+    totalStates: Int!
+    totalDistricts: Int!
+    totalDemand: Float!
+    shareOfNationalDemand: Float!
+    unit: String!
+    "The crop's demand in each state, largest first"
+    states(name: String): [CropDemand!]!
+  }
+
+  type Region {
+    district: String
+    state: String
+    suitability: String
+    suitabilityScore: Float
+    demandQuantity: Float
+    prices: Prices
+  }
+
+  type Prices {
+    minPrice: Float
+    maxPrice: Float
+    modalPrice: Float
+    lowestPrice: Float
+    highestPrice: Float
+    weightQuantity: Float
+    unit: String
+  }
+
+  type CropMetadata {
+    catalogName: String
+    matchMethod: String
+    localNames: [String!]
+    perishability: String
+    shelfLifeDays: Int
+    growingSeason: String
+    harvestMonths: [String!]
+  }
+`);
+
+/**
+ * Check a GraphQL limit/offset pair the same way the REST routes check ?limit=&offset=
+ * @param {number|null|undefined} limit - Items to return (null for all)
+ * @param {number} [offset] - Items to skip
+ * @throws {GraphQLError} If either is out of range
+ */
+function checkGraphQLPage(limit, offset = 0) {
+  if ((limit !== null && limit !== undefined && (limit < 1 || limit > MAX_PAGE_LIMIT)) || offset < 0) {
+    throw new GraphQLError(`limit must be an integer from 1 to ${MAX_PAGE_LIMIT} and offset a non-negative integer`);
+  }
+}
+
+/**
+ * Compare a name with an optional case-insensitive filter
+ * @param {string} value - Name from the data
+ * @param {string|null|undefined} filter - Requested name (null or undefined matches everything)
+ * @returns {boolean} True if the name passes the filter
+ */
+function matchesFilter(value, filter) {
+  return filter === null || filter === undefined || String(value).toLowerCase() === filter.trim().toLowerCase();
+}
+
+/**
+ * Wrap a crop object (from demand.json or toDistrictCrop) as a GraphQL CropDemand
+ * @param {Object} crop - Crop with demandQuantity and regionalSuitability
+ * @param {string} state - State the demand is in
+ * @returns {Object} CropDemand
+ */
+function toGraphQLCropDemand(crop, state) {
+  return {
+    ...crop,
+    category: crop.categoryId.name,
+    subcategory: crop.subcategory || null,
+    state: state,
+    stateDemandQuantity: crop.stateDemandQuantity !== undefined ? crop.stateDemandQuantity : crop.demandQuantity,
+    prices: crop.prices || null
+  };
+}
+
+/**
+ * Create the /graphql routes
+ * @param {Object} context - Middleware and demand helpers shared by the routes in server.js
+ *   (resolveDataset, applyAnomalyExclusion, cacheResponse, getDistrictSearchKeys, cropMatchesQuery,
+ *   groupByCategory, toDistrictCrop, toCityStateEntry, sumRegionDemand)
+ * @returns {Object} Express router
+ */
+function createGraphQLRoutes(context) {
+  const { resolveDataset, applyAnomalyExclusion, cacheResponse } = context;
+  const { getDistrictSearchKeys, cropMatchesQuery, groupByCategory, toDistrictCrop, toCityStateEntry, sumRegionDemand } = context;
+  const router = express.Router();
+
+  /**
+   * Apply the CropDemand list arguments shared by Category.crops and District.crops
+   * A limit returns the largest demand first; otherwise the data order is kept
+   * @param {Array<Object>} crops - CropDemand objects
+   * @param {Object} args - { search, minDemand, limit }
+   * @returns {Array<Object>} Filtered crops
+   */
+  function filterGraphQLCrops(crops, { search, minDemand, limit }) {
+    checkGraphQLPage(limit);
+    const query = search ? search.trim().toLowerCase() : null;
+
+    const filtered = crops.filter(crop =>
+      (!query || cropMatchesQuery(crop, query)) &&
+      (minDemand === null || minDemand === undefined || crop.demandQuantity >= minDemand)
+    );
+
+    return limit ? filtered.sort((a, b) => b.demandQuantity - a.demandQuantity).slice(0, limit) : filtered;
+  }
+
+  /**
+   * Build a GraphQL Category from crops already wrapped as CropDemand
+   * @param {string} name - Category name
+   * @param {Array<Object>} crops - CropDemand objects in the category
+   * @returns {Object} Category
+   */
+  function toGraphQLCategory(name, crops) {
+    return {
+      name: name,
+      summary: {
+        totalCrops: crops.length,
+        totalDemand: crops.reduce((sum, crop) => sum + crop.demandQuantity, 0),
+        unit: 'tons per week'
+      },
+      crops: (args) => filterGraphQLCrops(crops, args)
+    };
+  }
+
+  /**
+   * Build a GraphQL District from an index district entry
+   * Categories and summary use the same aggregation as GET /api/demand/city/:cityName
+   * @param {Object} district - District entry from buildIndexes
+   * @returns {Object} District
+   */
+  function toGraphQLDistrict(district) {
+    const categories = groupByCategory(district.cropList, toDistrictCrop).map(category => ({
+      name: category.name,
+      crops: category.crops.map(crop => toGraphQLCropDemand(crop, district.state))
+    }));
+
+    return {
+      name: district.city,
+      state: district.state,
+      summary: toCityStateEntry(district.state, categories).summary,
+      categories: ({ name }) => categories
+        .filter(category => matchesFilter(category.name, name))
+        .map(category => toGraphQLCategory(category.name, category.crops)),
+      crops: ({ category, ...args }) => filterGraphQLCrops(
+        categories.filter(entry => matchesFilter(entry.name, category)).flatMap(entry => entry.crops),
+        args
+      )
+    };
+  }
+
+  /**
+   * Check whether a district has a crop in a category with at least some district demand
+   * @param {Object} district - District entry from buildIndexes
+   * @param {string|null|undefined} category - Category filter
+   * @param {number|null|undefined} minDemand - Minimum district demand
+   * @returns {boolean} True if any crop passes both filters
+   */
+  function districtHasCrops(district, category, minDemand) {
+    if ((category === null || category === undefined) && (minDemand === null || minDemand === undefined)) return true;
+    return district.cropList.some(entry =>
+      matchesFilter(entry.category, category) &&
+      (minDemand === null || minDemand === undefined || sumRegionDemand(entry.regions) >= minDemand)
+    );
+  }
+
+  /**
+   * Build a GraphQL State from a demand.json state entry
+   * @param {Object} stateData - State entry from demand.json
+   * @returns {Object} State
+   */
+  function toGraphQLState(stateData) {
+    return {
+      name: stateData.state,
+      summary: stateData.summary,
+      categories: ({ name }) => stateData.categories
+        .filter(category => category.crops.length > 0 && matchesFilter(category.name, name))
+        .map(category => toGraphQLCategory(
+          category.name,
+          category.crops.map(crop => toGraphQLCropDemand(crop, stateData.state))
+        )),
+      districts: ({ name, minDemand }, { indexes }) => {
+        const keys = name ? getDistrictSearchKeys(name) : null;
+        return indexes.districtList
+          .filter(district => district.state === stateData.state)
+          .filter(district => !keys || keys.has(district.normalized))
+          .filter(district => districtHasCrops(district, null, minDemand))
+          .map(toGraphQLDistrict);
+      }
+    };
+  }
+
+  /**
+   * Build a GraphQL Crop from a national crop summary
+   * @param {Object} summary - Entry of indexes.cropSummaries
+   * @returns {Object} Crop
+   */
+  function toGraphQLCrop(summary) {
+    return {
+      ...summary,
+      category: summary.categoryId.name,
+      states: async ({ name }, { queries }) => (await queries.getCropEntries(summary.cropId))
+        .filter(entry => matchesFilter(entry.state, name))
+        .map(entry => toGraphQLCropDemand(entry.crop, entry.state))
+        .sort((a, b) => b.demandQuantity - a.demandQuantity)
+    };
+  }
+
+  /**
+   * Root resolvers for /graphql; the context is the dataset being queried (req.dataset)
+   */
+  const graphqlRoot = {
+    states: ({ name, category }, { demandData }) => demandData
+      .filter(stateData => matchesFilter(stateData.state, name))
+      .filter(stateData => category === null || category === undefined || stateData.categories
+        .some(entry => entry.crops.length > 0 && matchesFilter(entry.name, category)))
+      .map(toGraphQLState),
+
+    state: async ({ name }, { queries }) => {
+      const stateData = await queries.getState(name.trim());
+      return stateData ? toGraphQLState(stateData) : null;
+    },
+
+    districts: ({ name, state, category, minDemand, sort, limit, offset }, { indexes }) => {
+      checkGraphQLPage(limit, offset);
+      const keys = name ? getDistrictSearchKeys(name) : null;
+      const sortFields = { TOTAL_DEMAND: 'totalDemand', TOTAL_CROPS: 'totalCrops' };
+
+      const districts = indexes.districtList.filter(district =>
+        (!keys || keys.has(district.normalized)) &&
+        matchesFilter(district.state, state) &&
+        districtHasCrops(district, category, minDemand)
+      );
+      if (sortFields[sort]) {
+        districts.sort((a, b) => b[sortFields[sort]] - a[sortFields[sort]] || a.city.localeCompare(b.city));
+      }
+
+      return districts
+        .slice(offset, limit ? offset + limit : undefined)
+        .map(toGraphQLDistrict);
+    },
+
+    district: ({ name, state }, { indexes }) => {
+      const matches = [];
+      getDistrictSearchKeys(name).forEach(key => {
+        (indexes.districtsByName.get(key) || []).forEach(district => {
+          if (matchesFilter(district.state, state)) matches.push(district);
+        });
+      });
+      matches.sort((a, b) => a.stateOrder - b.stateOrder);
+      return matches.length > 0 ? toGraphQLDistrict(matches[0]) : null;
+    },
+
+    crops: ({ search, category, state, limit, offset }, { indexes }) => {
+      checkGraphQLPage(limit, offset);
+      const query = search ? search.trim().toLowerCase() : null;
+
+      return indexes.cropSummaries
+        .filter(summary =>
+          (!query || cropMatchesQuery(summary, query)) &&
+          matchesFilter(summary.categoryId.name, category) &&
+          (!state || (indexes.crops.get(summary.cropId) || []).some(entry => matchesFilter(entry.state, state)))
+        )
+        .slice(offset, limit ? offset + limit : undefined)
+        .map(summary => toGraphQLCrop(summary));
+    },
+
+    crop: ({ id, name }, { indexes }) => {
+      if (!id && !name) {
+        throw new GraphQLError('crop needs an id or a name argument');
+      }
+
+      let cropId = null;
+      if (id) {
+        // Follow merged IDs recorded in crop-registry.json
+        cropId = String(id).toLowerCase();
+        if (!indexes.crops.has(cropId) && indexes.mergedCropIds.has(cropId)) {
+          cropId = indexes.mergedCropIds.get(cropId);
+        }
+      } else {
+        const nameMatches = (indexes.cropsByName.get(name.trim().toLowerCase()) || []).map(entry => entry.crop.cropId);
+        const ranked = indexes.cropSummaries.find(summary => nameMatches.includes(summary.cropId));
+        cropId = ranked ? ranked.cropId : null;
+      }
+
+      const summary = indexes.cropSummaries.find(entry => entry.cropId === cropId);
+      return summary ? toGraphQLCrop(summary) : null;
+    },
+
+    summary: (args, { demandData, indexes, info }) => ({
+      totalStates: demandData.length,
+      totalCategories: indexes.categories.size,
+      totalCrops: indexes.cropSummaries.length,
+      totalDistricts: indexes.districts.size,
+      totalDemand: indexes.nationalDemand,
+      unit: 'tons per week',
+      lastUpdated: info.lastUpdated
+    })
+  };
+
+  /**
+   * GET/POST /graphql
+   * Run a GraphQL query against the demand data (schema: GRAPHQL_SCHEMA)
+   *
+   * GET: ?query=...&variables=<JSON>&operationName=...
+   * POST: JSON body { query, variables, operationName }
+   * Both accept ?version= to query a dataset snapshot (default: current)
+   */
+  async function handleGraphQL(req, res) {
+    const params = req.method === 'POST' ? (req.body || {}) : req.query;
+    const { demandData } = req.dataset;
+
+    if (typeof params.query !== 'string' || !params.query.trim()) {
+      return res.status(400).json({
+        errors: [{ message: 'A GraphQL query is required (the query parameter or the "query" field of a JSON body)' }]
+      });
+    }
+
+    // GET sends variables as a JSON string; an empty one counts as none
+    let variables = params.variables === undefined || params.variables === '' ? null : params.variables;
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch (error) {
+        variables = undefined;
+      }
+    }
+    if (variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+      return res.status(400).json({ errors: [{ message: 'variables must be a JSON object' }] });
+    }
+
+    if (!demandData || demandData.length === 0) {
+      return res.status(503).json({
+        errors: [{ message: 'Demand data has not been loaded. Please run preprocess.js first.' }]
+      });
+    }
+
+    try {
+      let document;
+      try {
+        document = parseGraphQL(params.query);
+      } catch (error) {
+        return res.status(400).json({ errors: [error] });
+      }
+
+      const validationErrors = validateGraphQL(GRAPHQL_SCHEMA, document);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({ errors: validationErrors });
+      }
+
+      const result = await executeGraphQL({
+        schema: GRAPHQL_SCHEMA,
+        document: document,
+        rootValue: graphqlRoot,
+        contextValue: req.dataset,
+        variableValues: variables,
+        operationName: params.operationName || null
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error running GraphQL query:', error);
+      res.status(500).json({
+        errors: [{ message: 'An error occurred while running the query' }]
+      });
+    }
+  }
+
+  router.get('/graphql', resolveDataset, applyAnomalyExclusion, cacheResponse, handleGraphQL);
+  router.post('/graphql', resolveDataset, applyAnomalyExclusion, handleGraphQL);
+
+  return router;
+}
+
+module.exports = {
+  GRAPHQL_SCHEMA,
+  createGraphQLRoutes
+};
@@ -2,421 +2,2839 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
+const compression = require('compression');
+const crypto = require('crypto');
+const { TAXONOMY_FILE, loadTaxonomy } = require('./taxonomy');
+const { GAZETTEER_FILE, loadGazetteer, distanceKm } = require('./gazetteer');
+const { createStorage, createMemoryQueries } = require('./storage');
+const { listSnapshots, getSnapshot, getSnapshotStorage } = require('./snapshots');
+const { buildOpenApiSpec, toOpenApiPath, validateParameters } = require('./openapi');
+const { ACCESS_FILE, hashApiKey, loadAccessConfig, getApiKeyFromRequest, createUsageTracker } = require('./access');
+const { DEFAULT_MAX_BYTES: DEFAULT_RESPONSE_CACHE_BYTES, createResponseCache } = require('./cache');
+const swaggerUiDist = require('swagger-ui-dist');
+const { MODELS: FORECAST_MODELS, SEASON_LENGTHS, Z_SCORES, periodStart, addPeriods, toContinuousSeries, forecastSeries } = require('./forecast');
+const { ANOMALY_TYPES, parseAnomalyTypes, removeAnomalies } = require('./anomalies');
+const { MAX_PAGE_LIMIT, MAX_FORECAST_HORIZON, DEFAULT_NEARBY_RADIUS_KM, MAX_NEARBY_RADIUS_KM } = require('./limits');
+const { createAnalyticsRoutes } = require('./routes/analytics');
+const { createDatasetRoutes } = require('./routes/datasets');
+const { createGraphQLRoutes } = require('./routes/graphql');
+const { createAdminRoutes } = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const DEMAND_FILE = path.join(__dirname, 'demand.json');
+const DISTRICT_ALIASES_FILE = path.join(__dirname, 'district-aliases.json');
+const CROP_REGISTRY_FILE = process.env.CROP_REGISTRY_FILE
+  ? path.resolve(process.env.CROP_REGISTRY_FILE)
+  : path.join(__dirname, 'crop-registry.json');
+const GRANULARITIES = ['day', 'week', 'month'];
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const RELOAD_DEBOUNCE_MS = 1000;
+const ALL_CITIES_SORT_FIELDS = ['city', 'totalDemand', 'totalCrops'];
+const ALL_CITIES_FIELDS = ['city', 'states', 'summary'];
+const EXPORT_FORMATS = ['json', 'csv', 'ndjson', 'geojson'];
+const EXPORT_COLUMNS = [
+  'state', 'district', 'category', 'cropId', 'cropName', 'scientificName', 'suitability',
+  'demandQuantity', 'stateDemandQuantity', 'unit', 'minPrice', 'maxPrice', 'modalPrice', 'priceUnit',
+  'districtCode', 'latitude', 'longitude'
+];
+const EXPORT_CHUNK_SIZE = 64 * 1024;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CROP_SORT_FIELDS = ['name', 'demand'];
+const MAX_FORECAST_SERIES = 50;
+const ANOMALY_SORT_FIELDS = ['score', 'date'];
+const SNAPSHOT_CACHE_SIZE = 3;
+// Requests that picked up a dataset before it was replaced can still query it this long
+const QUERIES_CLOSE_DELAY_MS = 60 * 1000;
+const RESPONSE_CACHE_MAX_BYTES = process.env.RESPONSE_CACHE_MB
+  ? Number(process.env.RESPONSE_CACHE_MB) * 1024 * 1024
+  : DEFAULT_RESPONSE_CACHE_BYTES;
+const CACHED_HEADERS = ['Content-Type', 'Content-Disposition', 'X-Total-Count', 'Link'];
+const CORS_EXPOSED_HEADERS = [
+  'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+  'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset', 'X-Total-Count', 'Link', 'ETag', 'X-Cache'
+];
+
+// API keys, rate limits, quotas and the CORS allow-list (api-access.json)
+// A missing or broken file stops the server rather than opening the API;
+// ALLOW_ANONYMOUS=1 serves /api and /graphql without keys when there is no file
+const ALLOW_ANONYMOUS = process.env.ALLOW_ANONYMOUS === '1';
+let accessConfig = null;
+try {
+  accessConfig = loadAccessConfig();
+} catch (error) {
+  console.error(`❌ Invalid ${path.basename(ACCESS_FILE)}:`, error.message);
+  process.exit(1);
+}
+if (!accessConfig && !ALLOW_ANONYMOUS) {
+  console.error(`❌ ${path.basename(ACCESS_FILE)} not found: create it (npm run api-key -- create <id>) or set ALLOW_ANONYMOUS=1 to serve /api and /graphql without API keys`);
+  process.exit(1);
+}
+const usageTracker = accessConfig ? createUsageTracker() : null;
+
+// CORS_ORIGINS (comma-separated) overrides cors.allowedOrigins; no origins means no cross-origin access
+const CORS_ORIGINS = process.env.CORS_ORIGINS !== undefined
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : (accessConfig ? accessConfig.allowedOrigins : []);
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+  methods: ['GET', 'POST'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Admin-Token', 'If-None-Match', 'If-Modified-Since'],
+  exposedHeaders: CORS_EXPOSED_HEADERS,
+  maxAge: 600
+}));
+// gzip/brotli for everything not served from the response cache (which keeps its own compressed copies)
+app.use(compression());
 app.use(express.json());
 
-// Load demand data
-let demandData = null;
+/**
+ * Turn request body errors (malformed JSON, oversized or unsupported bodies) into JSON responses
+ * /graphql answers in the GraphQL response format; everything else gets the usual error object
+ * Registered right after express.json(), so it only sees errors from body parsing
+ */
+function handleBodyError(error, req, res, next) {
+  if (res.headersSent || !error.type || !error.status || error.status >= 500) return next(error);
+
+  const message = error.type === 'entity.parse.failed'
+    ? `Request body is not valid JSON: ${error.message}`
+    : error.message;
+
+  if (req.path === '/graphql') {
+    return res.status(error.status).json({ errors: [{ message: message }] });
+  }
+  res.status(error.status).json({
+    error: 'Invalid request body',
+    message: message
+  });
+}
+
+app.use(handleBodyError);
+
+/**
+ * Require an API key on /api and /graphql and count the request against its rate limit and quota
+ * Does nothing only when the server was started with ALLOW_ANONYMOUS=1 and no api-access.json
+ */
+function requireApiKey(req, res, next) {
+  if (!accessConfig) return next();
+
+  const key = getApiKeyFromRequest(req);
+  if (!key) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'An API key is required; send it as "X-API-Key: <key>" or "Authorization: Bearer <key>"'
+    });
+  }
+
+  const entry = accessConfig.keys.get(hashApiKey(key));
+  if (!entry) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid API key'
+    });
+  }
+  if (entry.disabled) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `API key "${entry.id}" is disabled`
+    });
+  }
+
+  const outcome = usageTracker.consume(entry);
+  res.set(outcome.headers);
+  if (!outcome.allowed) {
+    res.set('Retry-After', String(outcome.retryAfter));
+    return res.status(429).json({
+      error: outcome.reason === 'quota' ? 'Quota exceeded' : 'Rate limit exceeded',
+      message: outcome.reason === 'quota'
+        ? `API key "${entry.id}" has used its ${entry.quota.requests} requests per ${entry.quota.period}`
+        : `API key "${entry.id}" is limited to ${entry.rateLimit.requests} requests per ${entry.rateLimit.windowSeconds} seconds`,
+      retryAfter: outcome.retryAfter
+    });
+  }
+
+  req.apiKey = entry;
+  next();
+}
+
+app.use(['/api', '/graphql'], requireApiKey);
+
+// Storage backend the dataset is read from: JSON files or SQLite (STORAGE_BACKEND=json|sqlite)
+const storage = createStorage();
+
+// JSON bodies of dataset routes, cleared whenever the dataset is reloaded
+const responseCache = createResponseCache(RESPONSE_CACHE_MAX_BYTES);
+
+// Load demand data
+// demandData/timeSeriesData are only ever replaced as a whole, so a request
+// always sees one consistent dataset even while a reload is running
+let demandData = null;
+let timeSeriesData = null;
+let anomalyReport = null;
+let taxonomy = null;
+let gazetteer = null;
+let indexes = null;
+let queries = null;
+let datasetInfo = null;
+let openApiSpec = buildOpenApiSpec();
+let lastReload = null;
+let reloadInProgress = null;
+// Load to run once the current one finishes: { trigger, promise, resolve }
+let reloadQueued = null;
+
+/**
+ * Check that parsed demand.json has the state -> category -> crop shape the routes expect
+ * @param {*} data - Parsed demand.json
+ * @throws {Error} If the structure is invalid
+ */
+function validateDemandData(data) {
+  if (!Array.isArray(data)) {
+    throw new Error('demand.json must contain an array of states');
+  }
+
+  data.forEach((stateData, stateIndex) => {
+    if (!stateData || typeof stateData.state !== 'string' || !Array.isArray(stateData.categories)) {
+      throw new Error(`State at index ${stateIndex} is missing "state" or "categories"`);
+    }
+
+    stateData.categories.forEach(category => {
+      if (typeof category.name !== 'string' || !Array.isArray(category.crops)) {
+        throw new Error(`Category in ${stateData.state} is missing "name" or "crops"`);
+      }
+
+      category.crops.forEach(crop => {
+        if (typeof crop.cropName !== 'string' || !Array.isArray(crop.regionalSuitability)) {
+          throw new Error(`Crop in ${stateData.state}/${category.name} is missing "cropName" or "regionalSuitability"`);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Read and validate the dataset (demand, time series, anomalies) from the storage backend
+ * @param {Object} [source] - Storage adapter to read from (default: the configured backend)
+ * @returns {Promise<Object>} Dataset ready to be swapped in
+ */
+async function readDataset(source = storage) {
+  const stored = await source.read();
+  try {
+    return await buildDataset(stored, source);
+  } catch (error) {
+    stored.queries.close();
+    throw error;
+  }
+}
+
+/**
+ * Validate what a storage adapter read and index it
+ * @param {Object} stored - Result of the adapter's read()
+ * @param {Object} source - Storage adapter it was read from
+ * @returns {Promise<Object>} Dataset ready to be swapped in
+ */
+async function buildDataset(stored, source) {
+  const data = stored.demandData;
+  validateDemandData(data);
+
+  const series = stored.timeSeriesData;
+  if (series) {
+    if (!Array.isArray(series.series)) {
+      throw new Error('Time series data must contain a "series" array');
+    }
+  } else {
+    console.warn('⚠️  Time series data not found. Time series endpoint will be unavailable.');
+  }
+
+  const anomalies = stored.anomalyReport;
+  if (anomalies) {
+    if (!Array.isArray(anomalies.anomalies)) {
+      throw new Error('Anomalies report must contain an "anomalies" array');
+    }
+  } else {
+    console.warn('⚠️  Anomalies report not found. Anomalies endpoint will be unavailable.');
+  }
+
+  const datasetTaxonomy = loadTaxonomy();
+
+  // Optional: district boundaries for GeoJSON (locations themselves are in demand.json)
+  let datasetGazetteer = null;
+  if (fs.existsSync(GAZETTEER_FILE)) {
+    datasetGazetteer = loadGazetteer();
+  } else {
+    console.warn('⚠️  district-gazetteer.json not found. GeoJSON output will use district centroids only.');
+  }
+
+  // Optional: lets IDs of crops merged into another crop keep resolving
+  let registry = null;
+  if (fs.existsSync(CROP_REGISTRY_FILE)) {
+    registry = JSON.parse(await fs.promises.readFile(CROP_REGISTRY_FILE, 'utf8'));
+  }
+
+  const datasetIndexes = buildIndexes(data, series, registry);
+
+  return {
+    demandData: data,
+    timeSeriesData: series,
+    anomalyReport: anomalies,
+    taxonomy: datasetTaxonomy,
+    gazetteer: datasetGazetteer,
+    indexes: datasetIndexes,
+    queries: stored.queries,
+    info: {
+      version: stored.version,
+      storage: source.backend,
+      file: stored.file,
+      fileModifiedAt: stored.modifiedAt,
+      lastUpdated: data.map(stateData => stateData.summary.lastUpdated).filter(Boolean).sort().pop() || null,
+      loadedAt: new Date().toISOString(),
+      counts: datasetIndexes.counts
+    }
+  };
+}
+
+/**
+ * Close the storage queries of a dataset that is no longer served
+ * Waits a while so requests still holding the old dataset can finish
+ * @param {Object|null} datasetQueries - Queries of the replaced dataset
+ */
+function closeQueriesLater(datasetQueries) {
+  if (!datasetQueries) return;
+  setTimeout(() => datasetQueries.close(), QUERIES_CLOSE_DELAY_MS).unref();
+}
+
+/**
+ * Load the dataset and swap it in, keeping the current data if the new files are broken
+ * Calls made while a load runs queue one more load and share it, since the running one
+ * may have read the files before they changed; the queued load reports the latest trigger
+ * @param {string} trigger - What caused the load (startup, watch, admin)
+ * @returns {Promise<Object>} Outcome of the load (also kept for /health)
+ */
+function loadDemandData(trigger) {
+  if (reloadInProgress) {
+    if (!reloadQueued) {
+      let resolve;
+      const promise = new Promise(done => {
+        resolve = done;
+      });
+      reloadQueued = { trigger, promise, resolve };
+    }
+    reloadQueued.trigger = trigger;
+    return reloadQueued.promise;
+  }
+
+  reloadInProgress = readDataset()
+    .then(dataset => {
+      demandData = dataset.demandData;
+      timeSeriesData = dataset.timeSeriesData;
+      anomalyReport = dataset.anomalyReport;
+      taxonomy = dataset.taxonomy;
+      gazetteer = dataset.gazetteer;
+      indexes = dataset.indexes;
+      closeQueriesLater(queries);
+      queries = dataset.queries;
+      datasetInfo = dataset.info;
+      openApiSpec = buildOpenApiSpec(getAllowedValues(dataset));
+      loadDistrictAliases();
+      responseCache.clear();
+      lastReload = { trigger, status: 'ok', at: dataset.info.loadedAt, version: dataset.info.version };
+      console.log(`✅ Demand data loaded successfully (version ${dataset.info.version}, trigger: ${trigger})`);
+      return lastReload;
+    })
+    .catch(error => {
+      lastReload = { trigger, status: 'failed', at: new Date().toISOString(), error: error.message };
+      if (demandData === null) {
+        console.error('❌ Error loading demand data:', error.message);
+        demandData = [];
+      } else {
+        console.error(`❌ Reload failed, keeping version ${datasetInfo ? datasetInfo.version : 'unknown'}:`, error.message);
+      }
+      return lastReload;
+    })
+    .finally(() => {
+      reloadInProgress = null;
+      if (reloadQueued) {
+        const queued = reloadQueued;
+        reloadQueued = null;
+        loadDemandData(queued.trigger).then(queued.resolve);
+      }
+    });
+
+  return reloadInProgress;
+}
+
+/**
+ * Reload the dataset when preprocess.js rewrites the storage files
+ * Changes are debounced since the JSON backend writes its files one after the other
+ */
+function watchDemandFiles() {
+  const watchedFiles = [...storage.files, CROP_REGISTRY_FILE, TAXONOMY_FILE, GAZETTEER_FILE, DISTRICT_ALIASES_FILE];
+  let debounceTimer = null;
+
+  // One watcher per directory (the SQLite file can live outside the project folder)
+  const directories = new Map();
+  watchedFiles.forEach(file => {
+    const directory = path.dirname(file);
+    if (!directories.has(directory)) directories.set(directory, new Set());
+    directories.get(directory).add(path.basename(file));
+  });
+
+  try {
+    directories.forEach((fileNames, directory) => {
+      fs.watch(directory, (eventType, fileName) => {
+        if (!fileNames.has(fileName)) return;
+
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => loadDemandData('watch'), RELOAD_DEBOUNCE_MS);
+      });
+    });
+    console.log(`👀 Watching ${watchedFiles.map(file => path.basename(file)).join(', ')} for changes`);
+  } catch (error) {
+    console.error('Error watching demand data files:', error.message);
+  }
+}
+
+// District aliases: normalized name -> Set of normalized equivalent names
+let districtAliases = new Map();
+// Normalized alias -> name as written in district-aliases.json
+let districtAliasNames = new Map();
+
+/**
+ * (Re)load district-aliases.json; called with every dataset load
+ * The previous aliases stay in use if the file is broken
+ */
+function loadDistrictAliases() {
+  try {
+    if (!fs.existsSync(DISTRICT_ALIASES_FILE)) {
+      console.warn('⚠️  district-aliases.json not found. District lookups will not resolve renamed districts.');
+      districtAliases = new Map();
+      districtAliasNames = new Map();
+      return;
+    }
+
+    const aliasConfig = JSON.parse(fs.readFileSync(DISTRICT_ALIASES_FILE, 'utf8'));
+    const aliases = new Map();
+    const aliasNames = new Map();
+    Object.entries(aliasConfig).forEach(([canonicalName, names]) => {
+      // Every name in a group resolves to the whole group
+      [canonicalName, ...names].forEach(name => aliasNames.set(normalizeDistrictName(name), name));
+      const group = new Set([canonicalName, ...names].map(normalizeDistrictName));
+      group.forEach(name => {
+        const existing = aliases.get(name);
+        aliases.set(name, existing ? new Set([...existing, ...group]) : group);
+      });
+    });
+    districtAliases = aliases;
+    districtAliasNames = aliasNames;
+    console.log(`✅ District aliases loaded (${districtAliases.size} names)`);
+  } catch (error) {
+    console.error('Error loading district aliases:', error);
+  }
+}
+
+/**
+ * Normalize a district name for comparison
+ * Strips diacritics and punctuation, lowercases and collapses whitespace
+ * @param {string} name - District name
+ * @returns {string} Normalized name
+ */
+function normalizeDistrictName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get the normalized names a district query should match, including aliases
+ * @param {string} query - District name as requested
+ * @returns {Set<string>} Normalized names to match against
+ */
+function getDistrictSearchKeys(query) {
+  const normalized = normalizeDistrictName(query);
+  return new Set([normalized, ...(districtAliases.get(normalized) || [])]);
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Rank dataset districts by how closely they match a query
+ * Aliases of a district count as its names, so "Gurugram" ranks "Gurgaon"
+ * @param {string} query - District name as requested
+ * @param {number} limit - Maximum number of suggestions
+ * @param {Array<Object>} districtList - Districts to rank (indexes.districtList of the dataset queried)
+ * @returns {Array<{city: string, state: string, distance: number}>} Closest districts
+ */
+function suggestDistricts(query, limit, districtList) {
+  const normalizedQuery = normalizeDistrictName(query);
+  const maxDistance = Math.max(2, Math.ceil(normalizedQuery.length * 0.4));
+
+  return districtList
+    .map(district => {
+      const names = [district.normalized, ...(districtAliases.get(district.normalized) || [])];
+      const distance = Math.min(...names.map(name =>
+        name.includes(normalizedQuery) || normalizedQuery.includes(name)
+          ? Math.abs(name.length - normalizedQuery.length) / 10
+          : editDistance(normalizedQuery, name)
+      ));
+      return { city: district.city, state: district.state, distance: distance };
+    })
+    .filter(candidate => candidate.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.city.localeCompare(b.city))
+    .slice(0, limit)
+    .map(candidate => ({ ...candidate, distance: Math.round(candidate.distance) }));
+}
+
+/**
+ * Round a demand total to 2 decimals, the precision preprocess.js writes totals with
+ * @param {number} value - Demand in tons per week
+ * @returns {number} Rounded demand
+ */
+function roundDemand(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Sum district-level demand across regional suitability entries
+ * @param {Array} regions - Regional suitability entries
+ * @returns {number} Total demand in tons per week, rounded to 2 decimals
+ */
+function sumRegionDemand(regions) {
+  return roundDemand(regions.reduce((sum, region) => sum + (region.demandQuantity || 0), 0));
+}
+
+/**
+ * Merge price stats by weighting each with the arrivals it was computed from
+ * @param {Array} statsList - Price stats objects (null entries are ignored)
+ * @returns {Object|null} Combined price stats or null if none had prices
+ */
+function mergePriceStats(statsList) {
+  const valid = statsList.filter(stats => stats && stats.weightQuantity > 0);
+  if (valid.length === 0) return null;
+
+  const weight = valid.reduce((sum, stats) => sum + stats.weightQuantity, 0);
+  const weightedAverage = (field) => Math.round(
+    valid.reduce((sum, stats) => sum + stats[field] * stats.weightQuantity, 0) / weight * 100
+  ) / 100;
+
+  return {
+    minPrice: weightedAverage('minPrice'),
+    maxPrice: weightedAverage('maxPrice'),
+    modalPrice: weightedAverage('modalPrice'),
+    lowestPrice: Math.min(...valid.map(stats => stats.lowestPrice)),
+    highestPrice: Math.max(...valid.map(stats => stats.highestPrice)),
+    weightQuantity: Math.round(weight * 100) / 100,
+    unit: 'Rs./Quintal'
+  };
+}
+
+/**
+ * Build the crop object returned for a district: the crop with its demand and prices in that district
+ * @param {Object} entry - Index crop entry ({ crop, regions })
+ * @returns {Object} District crop
+ */
+function toDistrictCrop({ crop, regions }) {
+  return {
+    cropId: crop.cropId,
+    cropName: crop.cropName,
+    scientificName: crop.scientificName,
+    categoryId: crop.categoryId,
+    metadata: crop.metadata || null,
+    demandQuantity: sumRegionDemand(regions),
+    stateDemandQuantity: crop.demandQuantity,
+    prices: mergePriceStats(regions.map(region => region.prices)),
+    regionalSuitability: regions
+  };
+}
+
+/**
+ * Group crops into category objects, keeping the order they are given in
+ * @param {Array} cropEntries - Index crop entries ({ crop, category, order, regions })
+ * @param {Function} toCrop - Builds the crop object returned for an entry (null to skip it)
+ * @returns {Array<{name: string, count: number, crops: Array}>} Categories with crops
+ */
+function groupByCategory(cropEntries, toCrop) {
+  const categories = new Map();
+
+  cropEntries.forEach(entry => {
+    const crop = toCrop(entry);
+    if (!crop) return;
+
+    if (!categories.has(entry.category)) categories.set(entry.category, []);
+    categories.get(entry.category).push(crop);
+  });
+
+  return Array.from(categories, ([name, crops]) => ({ name, count: crops.length, crops }));
+}
+
+/**
+ * Build the all-cities view: every district with its crops that have demand, grouped by state
+ * @param {Map} districts - "state|district" -> district entry (from buildIndexes)
+ * @returns {Array} City entries sorted by name
+ */
+function buildAllCities(districts) {
+  // City name -> district entries in every state that has a district with that name
+  const citiesMap = new Map();
+  districts.forEach(district => {
+    if (!citiesMap.has(district.city)) citiesMap.set(district.city, []);
+    citiesMap.get(district.city).push(district);
+  });
+
+  const cities = [];
+  citiesMap.forEach((cityDistricts, cityName) => {
+    const states = [];
+
+    cityDistricts.forEach(district => {
+      // Only crops with district demand greater than 0
+      const categories = groupByCategory(district.cropList, ({ crop, regions }) => {
+        const demandRegions = regions.filter(region => (region.demandQuantity || 0) > 0);
+        if (demandRegions.length === 0) return null;
+
+        return {
+          cropId: crop.cropId,
+          cropName: crop.cropName,
+          scientificName: crop.scientificName,
+          categoryId: crop.categoryId,
+          metadata: crop.metadata || null,
+          demandQuantity: sumRegionDemand(demandRegions),
+          stateDemandQuantity: crop.demandQuantity,
+          // Same district with several suitability levels: merge their prices
+          prices: demandRegions.length === 1
+            ? demandRegions[0].prices || null
+            : mergePriceStats(demandRegions.map(region => region.prices)),
+          regionalSuitability: demandRegions
+        };
+      });
+
+      if (categories.length > 0) {
+        states.push(toCityStateEntry(district.state, categories));
+      }
+    });
+
+    if (states.length > 0) {
+      cities.push(toCityEntry(cityName, states));
+    }
+  });
+
+  return cities.sort((a, b) => a.city.localeCompare(b.city));
+}
+
+/**
+ * Build an all-cities state entry with category totals and a state summary
+ * @param {string} state - State name
+ * @param {Array<{name: string, crops: Array}>} categories - Categories with their crops (non-empty)
+ * @returns {Object} State entry
+ */
+function toCityStateEntry(state, categories) {
+  const categoryEntries = categories.map(category => ({
+    name: category.name,
+    count: category.crops.length,
+    totalDemand: roundDemand(category.crops.reduce((sum, crop) => sum + crop.demandQuantity, 0)),
+    crops: category.crops
+  }));
+
+  return {
+    state: state,
+    categories: categoryEntries,
+    summary: {
+      totalCategories: categoryEntries.length,
+      totalCrops: categoryEntries.reduce((sum, category) => sum + category.count, 0),
+      totalDemand: roundDemand(categoryEntries.reduce((sum, category) => sum + category.totalDemand, 0)),
+      unit: 'tons per week'
+    }
+  };
+}
+
+/**
+ * Build an all-cities city entry with a summary over its states
+ * @param {string} city - City/district name
+ * @param {Array} states - State entries (from toCityStateEntry)
+ * @returns {Object} City entry
+ */
+function toCityEntry(city, states) {
+  return {
+    city: city,
+    states: states,
+    summary: {
+      totalStates: states.length,
+      totalCategories: new Set(states.flatMap(state => state.categories.map(category => category.name))).size,
+      totalCrops: states.reduce((sum, state) => sum + state.summary.totalCrops, 0),
+      totalDemand: roundDemand(states.reduce((sum, state) => sum + state.summary.totalDemand, 0)),
+      unit: 'tons per week'
+    }
+  };
+}
+
+/**
+ * Narrow an all-cities city entry to a state, a category and a minimum crop demand
+ * Summaries are recomputed from what is left
+ * @param {Object} city - Precomputed city entry
+ * @param {Object} filters - { state, category } (lowercased or null) and minDemand
+ * @returns {Object|null} Filtered city entry, or null if nothing is left
+ */
+function filterCityEntry(city, filters) {
+  const states = [];
+
+  city.states.forEach(state => {
+    if (filters.state && state.state.toLowerCase() !== filters.state) return;
+
+    const categories = state.categories
+      .filter(category => !filters.category || category.name.toLowerCase() === filters.category)
+      .map(category => ({
+        name: category.name,
+        crops: category.crops.filter(crop => crop.demandQuantity >= filters.minDemand)
+      }))
+      .filter(category => category.crops.length > 0);
+
+    if (categories.length > 0) {
+      states.push(toCityStateEntry(state.state, categories));
+    }
+  });
+
+  return states.length > 0 ? toCityEntry(city.city, states) : null;
+}
+
+/**
+ * Cut one page out of a list and link to the neighbouring pages
+ * Links keep the request's other query parameters and only move the offset
+ * @param {Object} req - Express request
+ * @param {Array} items - Full, sorted list
+ * @param {number} offset - Index of the first item on the page
+ * @param {number|null} limit - Page size (null for everything from offset on)
+ * @returns {{page: Array, links: {self: string, next: string|null, prev: string|null}}} Page and links
+ */
+function paginate(req, items, offset, limit) {
+  const pageLink = (pageOffset) => {
+    const params = new URLSearchParams(req.query);
+    params.set('offset', pageOffset);
+    return `${req.path}?${params.toString()}`;
+  };
+
+  return {
+    page: limit !== null ? items.slice(offset, offset + limit) : items.slice(offset),
+    links: {
+      self: pageLink(offset),
+      next: limit !== null && offset + limit < items.length ? pageLink(offset + limit) : null,
+      prev: limit !== null && offset > 0 ? pageLink(Math.max(0, offset - limit)) : null
+    }
+  };
+}
+
+/**
+ * Keep only the requested fields of a value
+ * Paths use dots for nested fields and apply to every element of an array,
+ * so "states.summary" keeps the summary of each state
+ * @param {*} value - Object or array to project
+ * @param {Object} fieldTree - Parsed paths, e.g. { city: true, states: { summary: true } }
+ * @returns {*} Projected copy
+ */
+function projectFields(value, fieldTree) {
+  if (fieldTree === true || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => projectFields(item, fieldTree));
+
+  const result = {};
+  Object.entries(fieldTree).forEach(([field, subtree]) => {
+    if (field in value) result[field] = projectFields(value[field], subtree);
+  });
+  return result;
+}
+
+/**
+ * Parse a fields= list into the tree projectFields expects
+ * @param {string} fields - Comma-separated paths, e.g. "city,summary,states.state"
+ * @returns {Object} Field tree
+ */
+function parseFieldTree(fields) {
+  const tree = {};
+
+  fields.split(',').map(field => field.trim()).filter(Boolean).forEach(field => {
+    const parts = field.split('.');
+    let node = tree;
+    for (let i = 0; i < parts.length; i++) {
+      // A parent that is already requested whole covers its nested fields
+      if (node[parts[i]] === true) break;
+
+      if (i === parts.length - 1) {
+        node[parts[i]] = true;
+      } else {
+        node[parts[i]] = node[parts[i]] || {};
+        node = node[parts[i]];
+      }
+    }
+  });
+
+  return tree;
+}
+
+/**
+ * Build the lookup indexes and precomputed summaries the routes read from
+ * Built once per dataset load, so a request only touches the entries in its result
+ * instead of walking every state, category, crop and region. Single state, crop,
+ * district and time series lookups go to the storage backend (dataset.queries) instead
+ * @param {Array} data - Validated demand.json
+ * @param {Object|null} series - Parsed demand-timeseries.json
+ * @param {Object|null} registry - Parsed crop-registry.json
+ * @returns {Object} Indexes for the dataset
+ */
+function buildIndexes(data, series, registry) {
+  const crops = new Map(); // cropId -> [{ state, category, crop }]
+  const cropsByName = new Map(); // lowercased crop name -> [{ state, category, crop }]
+  const categories = new Map(); // category name -> counts for /api/categories
+  const districts = new Map(); // "state|district" -> district entry
+  const districtsByName = new Map(); // normalized district name -> [district entries]
+  const addTo = (map, key, value) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+  };
+
+  let order = 0;
+  let totalCrops = 0;
+  let totalRegions = 0;
+
+  data.forEach((stateData, stateOrder) => {
+    stateData.categories.forEach(category => {
+      if (category.crops.length === 0) return;
+
+      if (!categories.has(category.name)) {
+        categories.set(category.name, {
+          states: new Set(),
+          crops: new Set(),
+          districts: new Set(),
+          subcategories: new Map(),
+          totalDemand: 0
+        });
+      }
+      const counts = categories.get(category.name);
+      counts.states.add(stateData.state);
+
+      category.crops.forEach(crop => {
+        const cropEntry = { state: stateData.state, category: category.name, crop: crop };
+        addTo(crops, crop.cropId, cropEntry);
+        addTo(cropsByName, crop.cropName.toLowerCase(), cropEntry);
+        totalCrops++;
+        order++;
+
+        counts.crops.add(crop.cropId);
+        counts.totalDemand += crop.demandQuantity;
+        if (crop.subcategory) {
+          if (!counts.subcategories.has(crop.subcategory)) counts.subcategories.set(crop.subcategory, new Set());
+          counts.subcategories.get(crop.subcategory).add(crop.cropId);
+        }
+
+        crop.regionalSuitability.forEach(region => {
+          totalRegions++;
+          counts.districts.add(`${region.state}|${region.district}`);
+          if (!region.district) return;
+
+          const districtKey = `${region.state}|${region.district}`;
+          if (!districts.has(districtKey)) {
+            const district = {
+              city: region.district,
+              state: region.state,
+              normalized: normalizeDistrictName(region.district),
+              stateOrder: stateOrder,
+              location: null,
+              crops: new Map() // cropId -> { crop, category, order, regions }
+            };
+            districts.set(districtKey, district);
+            addTo(districtsByName, district.normalized, district);
+          }
+
+          const district = districts.get(districtKey);
+          // Datasets preprocessed before the gazetteer have no locations
+          if (!district.location && region.location) district.location = region.location;
+          if (!district.crops.has(crop.cropId)) {
+            district.crops.set(crop.cropId, { crop: crop, category: category.name, order: order, regions: [] });
+          }
+          district.crops.get(crop.cropId).regions.push(region);
+        });
+      });
+    });
+  });
+
+  // Per-district summaries (crops are in demand.json order already)
+  districts.forEach(district => {
+    district.cropList = Array.from(district.crops.values());
+    district.totalCrops = district.crops.size;
+    district.totalDemand = roundDemand(district.cropList.reduce((sum, entry) => sum + sumRegionDemand(entry.regions), 0));
+  });
+
+  const districtList = Array.from(districts.values()).sort((a, b) => a.city.localeCompare(b.city));
+
+  // IDs of crops merged into another crop -> surviving crop ID
+  const mergedCropIds = new Map();
+  if (registry && registry.crops) {
+    Object.entries(registry.crops).forEach(([cropId, entry]) => {
+      (entry.previousIds || []).forEach(previousId => mergedCropIds.set(previousId, cropId));
+    });
+  }
+
+  // National totals per crop for /api/crops, largest share first
+  const nationalDemand = data.reduce((sum, stateData) => sum + (stateData.summary.totalDemand || 0), 0);
+  const cropSummaries = Array.from(crops, ([cropId, entries]) => {
+    const { crop } = entries[0];
+    const cropDistricts = new Set();
+    entries.forEach(entry => entry.crop.regionalSuitability.forEach(region => cropDistricts.add(`${region.state}|${region.district}`)));
+    const totalDemand = entries.reduce((sum, entry) => sum + entry.crop.demandQuantity, 0);
+
+    return {
+      cropId: cropId,
+      cropName: crop.cropName,
+      scientificName: crop.scientificName,
+      categoryId: crop.categoryId,
+      subcategory: crop.subcategory || null,
+      metadata: crop.metadata || null,
+      totalStates: entries.length,
+      totalDistricts: cropDistricts.size,
+      totalDemand: totalDemand,
+      shareOfNationalDemand: nationalDemand > 0 ? totalDemand / nationalDemand : 0,
+      unit: 'tons per week'
+    };
+  }).sort((a, b) => b.totalDemand - a.totalDemand);
+
+  categories.forEach((counts, name) => {
+    categories.set(name, {
+      states: counts.states.size,
+      crops: counts.crops.size,
+      districts: counts.districts.size,
+      subcategories: new Map(Array.from(counts.subcategories, ([subcategory, ids]) => [subcategory, ids.size])),
+      totalDemand: counts.totalDemand
+    });
+  });
+
+  return {
+    crops: crops,
+    cropsByName: cropsByName,
+    cropSummaries: cropSummaries,
+    nationalDemand: nationalDemand,
+    categories: categories,
+    districts: districts,
+    districtsByName: districtsByName,
+    districtList: districtList,
+    mergedCropIds: mergedCropIds,
+    cities: Array.from(new Set(districtList.map(district => district.city))).sort(),
+    districtSummaries: districtList
+      .map(district => ({
+        city: district.city,
+        state: district.state,
+        totalCrops: district.totalCrops,
+        totalDemand: district.totalDemand,
+        unit: 'tons per week',
+        location: district.location
+      }))
+      .sort((a, b) => a.city.localeCompare(b.city) || a.state.localeCompare(b.state)),
+    allCities: buildAllCities(districts),
+    counts: {
+      states: data.length,
+      crops: totalCrops,
+      districts: districts.size,
+      locatedDistricts: districtList.filter(district => district.location).length,
+      regionalEntries: totalRegions,
+      timeSeries: series ? series.series.length : 0
+    }
+  };
+}
+
+/**
+ * Pick the response format from ?format= or, failing that, the Accept header
+ * @param {Object} req - Express request
+ * @returns {string|null} json, csv, ndjson or geojson; null if ?format= is not supported
+ */
+function getResponseFormat(req) {
+  if (req.query.format) {
+    const format = String(req.query.format).trim().toLowerCase();
+    return EXPORT_FORMATS.includes(format) ? format : null;
+  }
+
+  const accepted = req.accepts(['application/json', 'text/csv', 'application/x-ndjson', 'application/ndjson', 'application/geo+json']);
+  if (accepted === 'text/csv') return 'csv';
+  if (accepted === 'application/geo+json') return 'geojson';
+  if (accepted === 'application/x-ndjson' || accepted === 'application/ndjson') return 'ndjson';
+  return 'json';
+}
+
+/**
+ * Flatten state entries into one row per state/district/category/crop
+ * Regional entries for the same district (different suitability levels) are combined
+ * @param {Array<{state: string, categories: Array}>} states - State entries with categories and crops
+ * @returns {Generator<Object>} Rows with the EXPORT_COLUMNS fields
+ */
+function* demandRows(states) {
+  for (const stateEntry of states) {
+    for (const category of stateEntry.categories) {
+      for (const crop of category.crops) {
+        // district -> regional entries
+        const districts = new Map();
+        crop.regionalSuitability.forEach(region => {
+          if (!districts.has(region.district)) districts.set(region.district, []);
+          districts.get(region.district).push(region);
+        });
+
+        for (const [district, regions] of districts) {
+          const prices = regions.length === 1 ? regions[0].prices || null : mergePriceStats(regions.map(region => region.prices));
+          const location = (regions.find(region => region.location) || {}).location || null;
+          yield {
+            state: stateEntry.state,
+            district: district,
+            category: category.name,
+            cropId: crop.cropId,
+            cropName: crop.cropName,
+            scientificName: crop.scientificName || '',
+            suitability: Array.from(new Set(regions.map(region => region.suitability).filter(Boolean))).join(';'),
+            demandQuantity: sumRegionDemand(regions),
+            stateDemandQuantity: crop.stateDemandQuantity !== undefined ? crop.stateDemandQuantity : crop.demandQuantity,
+            unit: 'tons per week',
+            minPrice: prices ? prices.minPrice : null,
+            maxPrice: prices ? prices.maxPrice : null,
+            modalPrice: prices ? prices.modalPrice : null,
+            priceUnit: prices ? prices.unit : null,
+            districtCode: location ? location.districtCode : null,
+            latitude: location ? location.latitude : null,
+            longitude: location ? location.longitude : null
+          };
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Escape a value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function toCSVCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Stream rows as CSV or NDJSON
+ * Rows are written in chunks as they are generated, pausing while the client's
+ * buffer is full, so large exports are never held in memory as one string
+ * @param {Object} res - Express response
+ * @param {Iterable<Object>} rows - Rows with the EXPORT_COLUMNS fields
+ * @param {string} format - csv or ndjson
+ * @param {string} fileName - Download name for CSV (without extension)
+ * @returns {Promise<void>} Resolves when the response has ended
+ */
+async function streamRows(res, rows, format, fileName) {
+  if (format === 'csv') {
+    res.type('text/csv');
+    res.attachment(`${fileName}.csv`);
+  } else {
+    res.type('application/x-ndjson');
+  }
+
+  let chunk = format === 'csv' ? `${EXPORT_COLUMNS.join(',')}\n` : '';
+  for (const row of rows) {
+    chunk += format === 'csv'
+      ? `${EXPORT_COLUMNS.map(column => toCSVCell(row[column])).join(',')}\n`
+      : `${JSON.stringify(row)}\n`;
+
+    if (chunk.length >= EXPORT_CHUNK_SIZE) {
+      if (res.destroyed) return;
+      const flushed = res.write(chunk);
+      chunk = '';
+      if (!flushed) {
+        await new Promise(resolve => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+      }
+    }
+  }
+
+  if (!res.destroyed) res.end(chunk);
+}
+
+/**
+ * Build a GeoJSON FeatureCollection with one feature per district
+ * The geometry is the district's boundary when the gazetteer has one, otherwise its
+ * centroid; districts missing from the gazetteer get a null geometry
+ * @param {Iterable<Object>} rows - Rows from demandRows
+ * @param {Object|null} districtGazetteer - Gazetteer to take boundaries from
+ * @param {Function} [extraProperties] - (state, district) -> properties to add, e.g. distanceKm
+ * @returns {Object} FeatureCollection
+ */
+function toFeatureCollection(rows, districtGazetteer, extraProperties = () => ({})) {
+  const features = new Map(); // "state|district" -> feature
+
+  for (const row of rows) {
+    const key = `${row.state}|${row.district}`;
+    if (!features.has(key)) {
+      const entry = districtGazetteer && row.districtCode ? districtGazetteer.codeIndex.get(row.districtCode) : null;
+      let geometry = null;
+      if (entry && entry.boundary) {
+        geometry = entry.boundary;
+      } else if (row.latitude !== null) {
+        geometry = { type: 'Point', coordinates: [row.longitude, row.latitude] };
+      }
+
+      features.set(key, {
+        type: 'Feature',
+        id: row.districtCode || key,
+        geometry: geometry,
+        properties: {
+          district: row.district,
+          state: row.state,
+          districtCode: row.districtCode,
+          latitude: row.latitude,
+          longitude: row.longitude,
+          ...extraProperties(row.state, row.district),
+          totalCrops: 0,
+          totalDemand: 0,
+          unit: 'tons per week',
+          crops: []
+        }
+      });
+    }
+
+    const { properties } = features.get(key);
+    properties.totalCrops++;
+    properties.totalDemand += row.demandQuantity;
+    properties.crops.push({
+      cropId: row.cropId,
+      cropName: row.cropName,
+      category: row.category,
+      suitability: row.suitability,
+      demandQuantity: row.demandQuantity,
+      modalPrice: row.modalPrice,
+      priceUnit: row.priceUnit
+    });
+  }
+
+  return { type: 'FeatureCollection', features: Array.from(features.values()) };
+}
+
+/**
+ * Send a demand result as JSON or GeoJSON, or stream its rows as CSV/NDJSON
+ * @param {Object} res - Express response
+ * @param {string} format - json, csv, ndjson or geojson
+ * @param {Object} result - JSON response body
+ * @param {Array} states - State entries to flatten for CSV/NDJSON/GeoJSON
+ * @param {string} fileName - Download name for CSV (without extension)
+ * @param {Object} [geo] - { gazetteer, extraProperties } for GeoJSON (see toFeatureCollection)
+ */
+async function sendDemandResult(res, format, result, states, fileName, geo = {}) {
+  if (format === 'json') {
+    res.json(result);
+    return;
+  }
+  if (format === 'geojson') {
+    res.type('application/geo+json');
+    res.send(JSON.stringify(toFeatureCollection(demandRows(states), geo.gazetteer || null, geo.extraProperties)));
+    return;
+  }
+  await streamRows(res, demandRows(states), format, fileName);
+}
+
+/**
+ * Turn a name into a safe download file name
+ * @param {string} name - City or state name
+ * @returns {string} Lowercase name with dashes
+ */
+function toFileName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'demand';
+}
+
+/**
+ * Values the state and category filters accept for a dataset
+ * @param {Object} dataset - Dataset with demandData, taxonomy and indexes
+ * @returns {{states: Array<string>, categories: Array<string>}} Allowed values
+ */
+function getAllowedValues(dataset) {
+  const categories = new Set((dataset.taxonomy || taxonomy || { categoryNames: [] }).categoryNames);
+  if (dataset.indexes) dataset.indexes.categories.forEach((counts, name) => categories.add(name));
+
+  return {
+    states: (dataset.demandData || []).map(stateData => stateData.state),
+    categories: Array.from(categories)
+  };
+}
+
+/**
+ * Validate query and path parameters against the route's operation in the OpenAPI spec
+ * Runs after resolveDataset on versioned routes, so states are checked against the dataset queried
+ */
+function validateRequest(req, res, next) {
+  const pathItem = openApiSpec.paths[toOpenApiPath(req.route.path)];
+  const operation = pathItem && pathItem[req.method.toLowerCase()];
+  if (!operation) return next();
+
+  const problem = validateParameters(openApiSpec, operation, req, getAllowedValues(req.dataset || getCurrentDataset()));
+  if (problem) {
+    return res.status(400).json(problem);
+  }
+
+  next();
+}
+
+// Snapshot datasets recently queried with ?version= (ID -> Promise of the dataset), oldest first
+const snapshotDatasets = new Map();
+
+/**
+ * Get the dataset currently being served
+ * @returns {Object} { demandData, timeSeriesData, anomalyReport, taxonomy, gazetteer, indexes, queries, info }
+ */
+function getCurrentDataset() {
+  return { demandData, timeSeriesData, anomalyReport, taxonomy, gazetteer, indexes, queries, info: datasetInfo };
+}
+
+/**
+ * Get the dataset for a version: "current" (or the loaded version's hash) or a snapshot ID
+ * Snapshots are read and indexed on first use and the last few are kept in memory
+ * @param {string|null} version - Requested version (null for the current dataset)
+ * @returns {Promise<Object|null>} Dataset, or null if there is no such snapshot
+ */
+async function getDatasetByVersion(version) {
+  if (!version || version === 'current' || (datasetInfo && version === datasetInfo.version)) {
+    return getCurrentDataset();
+  }
+
+  const snapshot = getSnapshot(version);
+  if (!snapshot) return null;
+  if (datasetInfo && snapshot.version === datasetInfo.version) {
+    return getCurrentDataset();
+  }
+
+  if (snapshotDatasets.has(snapshot.id)) {
+    // Move to the end so the least recently used snapshot is evicted first
+    const loading = snapshotDatasets.get(snapshot.id);
+    snapshotDatasets.delete(snapshot.id);
+    snapshotDatasets.set(snapshot.id, loading);
+    return loading;
+  }
+
+  const loading = readDataset(getSnapshotStorage(snapshot))
+    .then(dataset => ({ ...dataset, info: { ...dataset.info, snapshot: snapshot.id } }))
+    .catch(error => {
+      snapshotDatasets.delete(snapshot.id);
+      throw error;
+    });
+  snapshotDatasets.set(snapshot.id, loading);
+  if (snapshotDatasets.size > SNAPSHOT_CACHE_SIZE) {
+    const evictedId = snapshotDatasets.keys().next().value;
+    snapshotDatasets.get(evictedId).then(dataset => closeQueriesLater(dataset.queries), () => {});
+    snapshotDatasets.delete(evictedId);
+  }
+  return loading;
+}
+
+/**
+ * Resolve ?version= to the dataset a demand route reads, as req.dataset
+ */
+async function resolveDataset(req, res, next) {
+  const version = req.query.version ? String(req.query.version).trim() : null;
+
+  try {
+    const dataset = await getDatasetByVersion(version);
+    if (!dataset) {
+      return res.status(404).json({
+        error: 'Unknown version',
+        message: `No dataset snapshot found for version: ${version}`,
+        availableVersions: ['current', ...listSnapshots().map(snapshot => snapshot.id)]
+      });
+    }
+
+    req.dataset = dataset;
+    next();
+  } catch (error) {
+    console.error(`Error loading dataset version ${version}:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: `Dataset version ${version} could not be loaded`
+    });
+  }
+}
+
+// Datasets with anomalies left out, per dataset (keyed by its indexes) and excluded types
+const anomalyFreeDatasets = new WeakMap();
+
+/**
+ * Get a dataset with the anomalies of some types left out of its demand and time series
+ * Built (with its own indexes) on first use and kept until the dataset is replaced
+ * @param {Object} dataset - Dataset from getDatasetByVersion
+ * @param {Array<string>} types - Anomaly types to leave out
+ * @returns {Object} Adjusted dataset; info.excludedAnomalies says what was removed
+ */
+function getDatasetWithoutAnomalies(dataset, types) {
+  if (!anomalyFreeDatasets.has(dataset.indexes)) anomalyFreeDatasets.set(dataset.indexes, new Map());
+  const variants = anomalyFreeDatasets.get(dataset.indexes);
+  const key = types.join(',');
+
+  if (!variants.has(key)) {
+    const { demandData: data, timeSeriesData: series, removed } = removeAnomalies(dataset, types);
+    // Merged crop IDs come from the registry, which doesn't change with the anomalies
+    const datasetIndexes = { ...buildIndexes(data, series, null), mergedCropIds: dataset.indexes.mergedCropIds };
+    variants.set(key, {
+      ...dataset,
+      demandData: data,
+      timeSeriesData: series,
+      indexes: datasetIndexes,
+      queries: createMemoryQueries(data, series),
+      info: { ...dataset.info, counts: datasetIndexes.counts, excludedAnomalies: { types, ...removed } }
+    });
+  }
+  return variants.get(key);
+}
+
+/**
+ * Apply ?excludeAnomalies= (a comma-separated list of types, or "all") to req.dataset
+ * Aggregates are then computed without the flagged arrivals; see getDatasetWithoutAnomalies
+ * Sets req.dataset to the current dataset on routes without resolveDataset
+ */
+function applyAnomalyExclusion(req, res, next) {
+  const dataset = req.dataset || getCurrentDataset();
+  if (req.query.excludeAnomalies === undefined) {
+    req.dataset = dataset;
+    return next();
+  }
+
+  let types;
+  try {
+    types = parseAnomalyTypes(req.query.excludeAnomalies);
+  } catch (error) {
+    // Same body as validateRequest problems
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message: `excludeAnomalies: ${error.message}`,
+      parameter: 'excludeAnomalies',
+      in: 'query'
+    });
+  }
+
+  // Without demand data requireData answers 503
+  if (!isDataLoaded(dataset, 'anomalies') && isDataLoaded(dataset, 'demand')) {
+    return sendDataUnavailable(res, 'anomalies');
+  }
+
+  req.dataset = dataset.anomalyReport ? getDatasetWithoutAnomalies(dataset, types) : dataset;
+  req.excludedAnomalies = types;
+  next();
+}
+
+/**
+ * Parts of a dataset a route can depend on, with the name used in 503 responses
+ */
+const DATASET_PARTS = {
+  demand: { label: 'Demand data', isLoaded: dataset => Boolean(dataset.demandData && dataset.demandData.length > 0) },
+  timeSeries: { label: 'Time series data', isLoaded: dataset => Boolean(dataset.timeSeriesData && dataset.timeSeriesData.series) },
+  anomalies: { label: 'Anomalies report', isLoaded: dataset => Boolean(dataset.anomalyReport) }
+};
+
+/**
+ * Check whether a part of a dataset has been loaded
+ * @param {Object} dataset - Dataset (req.dataset or the current one)
+ * @param {string} part - Key of DATASET_PARTS
+ * @returns {boolean} True if the part is available
+ */
+function isDataLoaded(dataset, part) {
+  return DATASET_PARTS[part].isLoaded(dataset);
+}
+
+/**
+ * Answer 503 for a part of the dataset that hasn't been loaded
+ * @param {Object} res - Express response
+ * @param {string} part - Key of DATASET_PARTS
+ */
+function sendDataUnavailable(res, part) {
+  res.status(503).json({
+    error: 'Data not available',
+    message: `${DATASET_PARTS[part].label} has not been loaded. Please run preprocess.js first.`
+  });
+}
+
+/**
+ * Answer 503 until the parts of the dataset a route reads have been loaded
+ * Runs after resolveDataset/applyAnomalyExclusion so it checks the dataset being queried
+ * @param {...string} parts - Keys of DATASET_PARTS
+ * @returns {Function} Express middleware
+ */
+function requireData(...parts) {
+  return (req, res, next) => {
+    const dataset = req.dataset || getCurrentDataset();
+    const missing = parts.find(part => !isDataLoaded(dataset, part));
+    if (missing) return sendDataUnavailable(res, missing);
+    next();
+  };
+}
+
+/**
+ * Conditional requests and caching for routes whose responses only change with the dataset
+ * The strong ETag is derived from the dataset version and the request, Last-Modified from the
+ * data's lastUpdated; 200 JSON bodies are kept (with gzip/brotli copies) until the next reload
+ */
+async function cacheResponse(req, res, next) {
+  const info = (req.dataset || getCurrentDataset()).info;
+  if (!info || !datasetInfo) return next();
+
+  // Both versions are in the key: snapshot responses can mention the current version.
+  // The format can be picked from the Accept header, so that is part of it too
+  const key = [datasetInfo.version, info.version, req.originalUrl, req.get('accept') || ''].join('\n');
+  res.set('ETag', `"${crypto.createHash('sha256').update(key).digest('base64url').slice(0, 32)}"`);
+  if (info.lastUpdated) res.set('Last-Modified', new Date(info.lastUpdated).toUTCString());
+  // Clients must revalidate, which costs a 304; keyed responses must not be shared by proxies
+  res.set('Cache-Control', accessConfig ? 'private, no-cache' : 'no-cache');
+  res.vary('Accept');
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const cached = responseCache.get(key);
+  if (cached) {
+    res.set(cached.headers);
+    res.set('X-Cache', 'HIT');
+    res.vary('Accept-Encoding');
+
+    const encoding = req.acceptsEncodings('br', 'gzip', 'identity');
+    let body = cached.body;
+    if (encoding === 'br' || encoding === 'gzip') {
+      try {
+        const encoded = await responseCache.encode(cached, encoding);
+        if (encoded) {
+          res.set('Content-Encoding', encoding);
+          body = encoded;
+        }
+      } catch (error) {
+        console.error(`Error compressing cached response (${encoding}):`, error.message);
+      }
+    }
+    return res.send(body);
+  }
+
+  res.set('X-Cache', 'MISS');
+  const send = res.send;
+  res.send = function (body) {
+    if (res.statusCode === 200 && typeof body === 'string') {
+      const headers = {};
+      CACHED_HEADERS.forEach(name => {
+        if (res.get(name) !== undefined) headers[name] = res.get(name);
+      });
+      responseCache.set(key, headers, Buffer.from(body));
+    } else if (res.statusCode !== 200) {
+      // Errors may not happen again, so they must not be revalidated as if they were the data
+      res.removeHeader('ETag');
+      res.removeHeader('Last-Modified');
+    }
+    return send.call(this, body);
+  };
+
+  next();
+}
+
+// Dataset access, middleware and demand helpers for the route modules in routes/
+const routeContext = {
+  accessConfig,
+  loadDemandData,
+  getCurrentDataset,
+  resolveDataset,
+  getDatasetByVersion,
+  isDataLoaded,
+  sendDataUnavailable,
+  validateRequest,
+  applyAnomalyExclusion,
+  requireData,
+  cacheResponse,
+  getDistrictSearchKeys,
+  cropMatchesQuery,
+  groupByCategory,
+  toDistrictCrop,
+  toCityStateEntry,
+  sumRegionDemand
+};
+
+/**
+ * GET /api/demand/city/:cityName
+ * Get crop demand data filtered by city/district name
+ * 
+ * Query parameters:
+ * - state (optional): Filter by state name
+ * - category (optional): Filter by category name from taxonomy.json (e.g. Vegetables, Cereals, Spices)
+ * - format (optional): json, csv, ndjson or geojson (default: from the Accept header, else json)
+ * - version (optional): Dataset snapshot ID (default: current)
+ */
+app.get('/api/demand/city/:cityName', resolveDataset, validateRequest, applyAnomalyExclusion, requireData('demand'), cacheResponse, async (req, res) => {
+  const { indexes, queries } = req.dataset;
+  const cityName = req.params.cityName.trim();
+  const stateFilter = req.query.state ? req.query.state.trim() : null;
+  const categoryFilter = req.query.category ? req.query.category.trim() : null;
+  const format = getResponseFormat(req);
+
+  if (!cityName) {
+    return res.status(400).json({
+      error: 'City name is required',
+      message: 'Please provide a valid city/district name'
+    });
+  }
+
+  if (!format) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  try {
+    // Match the requested name, its normalized spelling and any aliases
+    const districtKeys = getDistrictSearchKeys(cityName);
+    const matchedDistricts = new Set();
+
+    const result = {
+      city: cityName,
+      filters: {
+        state: stateFilter || 'all',
+        category: categoryFilter || 'all'
+      },
+      data: []
+    };
+
+    // Districts with the requested name or one of its aliases, grouped by state
+    const stateDistricts = new Map();
+    districtKeys.forEach(key => {
+      (indexes.districtsByName.get(key) || []).forEach(district => {
+        // Apply state filter if provided
+        if (stateFilter && district.state.toLowerCase() !== stateFilter.toLowerCase()) {
+          return;
+        }
+
+        if (!stateDistricts.has(district.state)) stateDistricts.set(district.state, []);
+        stateDistricts.get(district.state).push(district);
+      });
+    });
+
+    const sortedStates = Array.from(stateDistricts.values()).sort((a, b) => a[0].stateOrder - b[0].stateOrder);
+    for (const districts of sortedStates) {
+      // Crops grown in any of the matching districts, with the regions from all of them
+      const cropEntries = new Map();
+      for (const district of districts) {
+        const districtCrops = await queries.getDistrictCrops(district.state, district.city);
+        districtCrops.forEach(entry => {
+          // Apply category filter if provided
+          if (categoryFilter && entry.category.toLowerCase() !== categoryFilter.toLowerCase()) {
+            return;
+          }
+
+          matchedDistricts.add(district.city);
+          const existing = cropEntries.get(entry.crop.cropId);
+          if (existing) {
+            existing.regions = existing.regions.concat(entry.regions);
+          } else {
+            cropEntries.set(entry.crop.cropId, { ...entry });
+          }
+        });
+      }
+
+      const sortedEntries = Array.from(cropEntries.values()).sort((a, b) => a.order - b.order);
+      const categories = groupByCategory(sortedEntries, toDistrictCrop);
+
+      // Only add state if it has matching categories
+      if (categories.length > 0) {
+        result.data.push({
+          state: districts[0].state,
+          categories: categories,
+          summary: {
+            totalCategories: categories.length,
+            totalCrops: categories.reduce((sum, cat) => sum + cat.count, 0),
+            totalDemand: roundDemand(categories.reduce((sum, cat) =>
+              sum + cat.crops.reduce((cropSum, crop) => cropSum + crop.demandQuantity, 0), 0
+            )),
+            unit: 'tons per week'
+          }
+        });
+      }
+    }
+
+    // Calculate overall summary
+    const overallTotalCrops = result.data.reduce((sum, state) => 
+      sum + (state.summary?.totalCrops || 0), 0
+    );
+    const overallTotalDemand = roundDemand(result.data.reduce((sum, state) => 
+      sum + (state.summary?.totalDemand || 0), 0
+    ));
+
+    result.summary = {
+      totalStates: result.data.length,
+      totalCategories: result.data.reduce((sum, state) => 
+        sum + (state.summary?.totalCategories || 0), 0
+      ),
+      totalCrops: overallTotalCrops,
+      totalDemand: overallTotalDemand,
+      unit: 'tons per week'
+    };
+
+    if (result.data.length === 0) {
+      return res.status(404).json({
+        error: 'No data found',
+        message: `No crop demand data found for city/district: ${cityName}`,
+        city: cityName,
+        suggestions: suggestDistricts(cityName, 5, indexes.districtList)
+      });
+    }
+
+    result.matchedDistricts = Array.from(matchedDistricts).sort();
+
+    await sendDemandResult(res, format, result, result.data, toFileName(cityName), { gazetteer: req.dataset.gazetteer });
+  } catch (error) {
+    console.error('Error processing request:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while processing your request'
+    });
+  }
+});
+
+/**
+ * GET /api/demand/cities
+ * Get list of all available cities/districts
+ *
+ * Query parameters:
+ * - version (optional): Dataset snapshot ID (default: current)
+ */
+app.get('/api/demand/cities', resolveDataset, validateRequest, applyAnomalyExclusion, requireData('demand'), cacheResponse, (req, res) => {
+  const { indexes } = req.dataset;
+
+  try {
+    // Precomputed when the dataset loads
+    res.json({
+      totalCities: indexes.cities.length,
+      cities: indexes.cities,
+      districts: indexes.districtSummaries
+    });
+  } catch (error) {
+    console.error('Error fetching cities:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while fetching cities list'
+    });
+  }
+});
+
+/**
+ * GET /api/demand/districts/autocomplete
+ * Suggest district names for a search box
+ *
+ * Query parameters:
+ * - q (required): Partial district name
+ * - limit (optional): Maximum number of results (default: 10, max: 50)
+ * - version (optional): Dataset snapshot ID (default: current)
+ */
+app.get('/api/demand/districts/autocomplete', resolveDataset, validateRequest, requireData('demand'), cacheResponse, (req, res) => {
+  const { indexes } = req.dataset;
+  const query = req.query.q ? String(req.query.q).trim() : '';
+  // validateRequest has checked the range; Number() reads "1e1" the way the validator does
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : 10;
+
+  if (!query) {
+    return res.status(400).json({
+      error: 'Query is required',
+      message: 'Please provide a partial district name in the q parameter'
+    });
+  }
+
+  try {
+    const normalizedQuery = normalizeDistrictName(query);
+    const results = [];
+    const seen = new Set();
+
+    const addResult = (district, matchType, alias) => {
+      const key = `${district.state}|${district.city}`;
+      if (seen.has(key) || results.length >= limit) return;
+      seen.add(key);
+      results.push({
+        city: district.city,
+        state: district.state,
+        matchType: matchType,
+        ...(alias ? { alias: alias } : {})
+      });
+    };
+
+    const districts = indexes.districtList;
+
+    // Best matches first: prefix, then alias prefix, then substring
+    districts
+      .filter(district => district.normalized.startsWith(normalizedQuery))
+      .forEach(district => addResult(district, 'prefix'));
+
+    districts.forEach(district => {
+      const alias = Array.from(districtAliases.get(district.normalized) || [])
+        .find(name => name !== district.normalized && name.startsWith(normalizedQuery));
+      if (alias) addResult(district, 'alias', districtAliasNames.get(alias) || alias);
+    });
+
+    districts
+      .filter(district => district.normalized.includes(normalizedQuery))
+      .forEach(district => addResult(district, 'contains'));
+
+    // Fill the remaining slots with spelling-tolerant matches
+    suggestDistricts(query, limit, indexes.districtList).forEach(district => addResult(district, 'fuzzy'));
+
+    res.json({
+      query: query,
+      totalResults: results.length,
+      results: results
+    });
+  } catch (error) {
+    console.error('Error fetching district suggestions:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while fetching district suggestions'
+    });
+  }
+});
+
+/**
+ * GET /api/demand/all-cities
+ * Get all cities with their crops, categories, and demand data
+ *
+ * Query parameters:
+ * - limit (optional): Cities per page (1-500, default: all)
+ * - offset (optional): Number of cities to skip (default: 0)
+ * - sort (optional): city, totalDemand or totalCrops (default: city)
+ * - order (optional): asc or desc (default: asc for city, desc otherwise)
+ * - state (optional): Only this state's entries
+ * - category (optional): Only this category's crops
+ * - minDemand (optional): Only crops with at least this district demand (tons per week)
+ * - fields (optional): Comma-separated fields to return per city, e.g. city,summary or states.summary (JSON only)
+ * - format (optional): json, csv, ndjson or geojson (default: from the Accept header, else json)
+ * - version (optional): Dataset snapshot ID (default: current)
+ */
+app.get('/api/demand/all-cities', resolveDataset, validateRequest, applyAnomalyExclusion, requireData('demand'), cacheResponse, async (req, res) => {
+  const { indexes } = req.dataset;
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : null;
+  const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+  const sort = req.query.sort ? String(req.query.sort).trim() : 'city';
+  const order = req.query.order ? String(req.query.order).trim().toLowerCase() : (sort === 'city' ? 'asc' : 'desc');
+  const minDemand = req.query.minDemand !== undefined ? Number(req.query.minDemand) : 0;
+  const filters = {
+    state: req.query.state ? String(req.query.state).trim().toLowerCase() : null,
+    category: req.query.category ? String(req.query.category).trim().toLowerCase() : null,
+    minDemand: minDemand
+  };
+  const fieldTree = req.query.fields ? parseFieldTree(String(req.query.fields)) : null;
+  const format = getResponseFormat(req);
+
+  if (!format) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  if ((limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT)) ||
+      !Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({
+      error: 'Invalid pagination',
+      message: `limit must be an integer from 1 to ${MAX_PAGE_LIMIT} and offset a non-negative integer`
+    });
+  }
+
+  if (!ALL_CITIES_SORT_FIELDS.includes(sort) || !['asc', 'desc'].includes(order)) {
+    return res.status(400).json({
+      error: 'Invalid sort',
+      message: `sort must be one of: ${ALL_CITIES_SORT_FIELDS.join(', ')}; order must be asc or desc`
+    });
+  }
+
+  if (isNaN(minDemand) || minDemand < 0) {
+    return res.status(400).json({
+      error: 'Invalid filter',
+      message: 'minDemand must be a non-negative number'
+    });
+  }
+
+  const unknownFields = fieldTree ? Object.keys(fieldTree).filter(field => !ALL_CITIES_FIELDS.includes(field)) : [];
+  if (fieldTree && (unknownFields.length > 0 || Object.keys(fieldTree).length === 0)) {
+    return res.status(400).json({
+      error: 'Invalid fields',
+      message: `fields must be a comma-separated list of: ${ALL_CITIES_FIELDS.join(', ')} (nested fields with dots, e.g. states.summary)`
+    });
+  }
+
+  try {
+    // Built once per dataset load (see buildAllCities); only filtered requests rebuild summaries
+    let cities = indexes.allCities;
+    if (filters.state || filters.category || filters.minDemand > 0) {
+      cities = cities.map(city => filterCityEntry(city, filters)).filter(Boolean);
+    }
+
+    if (sort !== 'city' || order !== 'asc') {
+      const direction = order === 'asc' ? 1 : -1;
+      cities = cities.slice().sort((a, b) => direction * (sort === 'city'
+        ? a.city.localeCompare(b.city)
+        : a.summary[sort] - b.summary[sort] || a.city.localeCompare(b.city)));
+    }
+
+    const { page, links } = paginate(req, cities, offset, limit);
+
+    const result = {
+      totalCities: cities.length,
+      count: page.length,
+      offset: offset,
+      limit: limit,
+      sort: sort,
+      order: order,
+      filters: {
+        state: req.query.state || 'all',
+        category: req.query.category || 'all',
+        minDemand: minDemand
+      },
+      links: links,
+      cities: fieldTree ? projectFields(page, fieldTree) : page
+    };
+
+    // CSV/NDJSON/GeoJSON bodies have no envelope, so paging details go in headers
+    if (format !== 'json') {
+      res.set('X-Total-Count', String(cities.length));
+      if (result.links.next) res.links({ next: result.links.next });
+    }
+
+    await sendDemandResult(res, format, result, page.flatMap(city => city.states), 'all-cities', { gazetteer: req.dataset.gazetteer });
+  } catch (error) {
+    console.error('Error fetching all cities data:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while fetching all cities data'
+    });
+  }
+});
+
+/**
+ * GET /api/demand/state/:stateName
+ * Get crop demand for every district of a state
+ *
+ * Query parameters:
+ * - category (optional): Filter by category name from taxonomy.json
+ * - format (optional): json, csv, ndjson or geojson (default: from the Accept header, else json)
+ * - version (optional): Dataset snapshot ID (default: current)
+ */
+app.get('/api/demand/state/:stateName', resolveDataset, validateRequest, applyAnomalyExclusion, requireData('demand'), cacheResponse, async (req, res) => {
+  const { demandData, queries } = req.dataset;
+  const stateName = req.params.stateName.trim();
+  const categoryFilter = req.query.category ? req.query.category.trim().toLowerCase() : null;
+  const format = getResponseFormat(req);
+
+  if (!format) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  try {
+    const stateData = await queries.getState(stateName);
+    if (!stateData) {
+      return res.status(404).json({
+        error: 'No data found',
+        message: `No crop demand data found for state: ${stateName}`,
+        state: stateName,
+        availableStates: demandData.map(entry => entry.state).sort()
+      });
+    }
+
+    const categories = categoryFilter
+      ? stateData.categories.filter(category => category.name.toLowerCase() === categoryFilter)
+      : stateData.categories;
+
+    const result = {
+      state: stateData.state,
+      filters: {
+        category: req.query.category || 'all'
+      },
+      categories: categories,
+      summary: categoryFilter
+        ? {
+          totalCategories: categories.length,
+          totalCrops: categories.reduce((sum, category) => sum + category.crops.length, 0),
+          totalDemand: categories.reduce((sum, category) =>
+            sum + category.crops.reduce((cropSum, crop) => cropSum + crop.demandQuantity, 0), 0
+          ),
+          unit: 'tons per week',
+          lastUpdated: stateData.summary.lastUpdated
+        }
+        : stateData.summary
+    };
+
+    await sendDemandResult(res, format, result, [{ state: stateData.state, categories: categories }], toFileName(stateData.state),
+      { gazetteer: req.dataset.gazetteer });
+  } catch (error) {
+    console.error('Error fetching state data:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while fetching state data'
+    });
+  }
+});
+
+/**
+ * GET /api/demand/nearby
+ * Get crop demand in the districts within a distance of a point
+ * Distances are from the point to each district's centroid in district-gazetteer.json;
+ * districts that are not in the gazetteer have no location and are never returned
+ *
+ * Query parameters:
+ * - lat (required): Latitude of the point (-90 to 90)
+ * - lon (required): Longitude of the point (-180 to 180)
+ * - radiusKm (optional): Search radius in km (default: 50, max: 1000)
+ * - state (optional): Only districts in this state
+ * - category (optional): Only this category's crops
+ * - crop (optional): Only this crop (name, case-insensitive, or crop ID)
+ * - limit (optional): Maximum number of districts, closest first (1-500, default: all)
+ * - format (optional): json, csv, ndjson or geojson (default: from the Accept header, else json)
+ * - version (optional): Dataset snapshot ID (default: current)
+ */
+app.get('/api/demand/nearby', resolveDataset, validateRequest, applyAnomalyExclusion, requireData('demand'), cacheResponse, async (req, res) => {
+  const { indexes } = req.dataset;
+  const latitude = Number(req.query.lat);
+  const longitude = Number(req.query.lon);
+  const radiusKm = req.query.radiusKm !== undefined ? Number(req.query.radiusKm) : DEFAULT_NEARBY_RADIUS_KM;
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : null;
+  const stateFilter = req.query.state ? String(req.query.state).trim().toLowerCase() : null;
+  const categoryFilter = req.query.category ? String(req.query.category).trim().toLowerCase() : null;
+  const cropFilter = req.query.crop ? String(req.query.crop).trim().toLowerCase() : null;
+  const format = getResponseFormat(req);
+
+  if (!format) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  if (req.query.lat === undefined || req.query.lon === undefined ||
+      !Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+    return res.status(400).json({
+      error: 'Invalid location',
+      message: 'lat must be a number from -90 to 90 and lon a number from -180 to 180'
+    });
+  }
+
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_NEARBY_RADIUS_KM) {
+    return res.status(400).json({
+      error: 'Invalid radius',
+      message: `radiusKm must be greater than 0 and at most ${MAX_NEARBY_RADIUS_KM}`
+    });
+  }
+
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT)) {
+    return res.status(400).json({
+      error: 'Invalid limit',
+      message: `limit must be an integer from 1 to ${MAX_PAGE_LIMIT}`
+    });
+  }
+
+  try {
+    const located = indexes.districtList
+      .filter(district => district.location && (!stateFilter || district.state.toLowerCase() === stateFilter))
+      .map(district => ({
+        district: district,
+        distanceKm: distanceKm(latitude, longitude, district.location.latitude, district.location.longitude)
+      }))
+      .sort((a, b) => a.distanceKm - b.distanceKm || a.district.city.localeCompare(b.district.city));
+
+    const districts = [];
+    located
+      .filter(candidate => candidate.distanceKm <= radiusKm)
+      .forEach(({ district, distanceKm: distance }) => {
+        if (limit !== null && districts.length >= limit) return;
+
+        const categories = groupByCategory(district.cropList, entry => {
+          if (categoryFilter && entry.category.toLowerCase() !== categoryFilter) return null;
+          if (cropFilter && entry.crop.cropName.toLowerCase() !== cropFilter && entry.crop.cropId !== cropFilter) return null;
+          return toDistrictCrop(entry);
+        });
+        if (categories.length === 0) return;
+
+        districts.push({
+          city: district.city,
+          distanceKm: Math.round(distance * 100) / 100,
+          location: district.location,
+          ...toCityStateEntry(district.state, categories)
+        });
+      });
+
+    const result = {
+      center: { latitude: latitude, longitude: longitude },
+      radiusKm: radiusKm,
+      filters: {
+        state: req.query.state || 'all',
+        category: req.query.category || 'all',
+        crop: req.query.crop || 'all'
+      },
+      totalDistricts: districts.length,
+      // Districts in the dataset without a gazetteer location can't be searched by distance
+      unlocatedDistricts: indexes.districtList.length - indexes.counts.locatedDistricts,
+      districts: districts,
+      summary: {
+        totalDistricts: districts.length,
+        totalCrops: districts.reduce((sum, district) => sum + district.summary.totalCrops, 0),
+        totalDemand: roundDemand(districts.reduce((sum, district) => sum + district.summary.totalDemand, 0)),
+        unit: 'tons per week'
+      }
+    };
+
+    // Nothing in range: point to the closest district instead of only returning an empty list
+    if (districts.length === 0 && located.length > 0) {
+      result.nearest = {
+        city: located[0].district.city,
+        state: located[0].district.state,
+        distanceKm: Math.round(located[0].distanceKm * 100) / 100
+      };
+    }
+
+    const distances = new Map(districts.map(district => [`${district.state}|${district.city}`, district.distanceKm]));
+    await sendDemandResult(res, format, result, districts, 'nearby', {
+      gazetteer: req.dataset.gazetteer,
+      extraProperties: (state, district) => ({ distanceKm: distances.get(`${state}|${district}`) })
+    });
+  } catch (error) {
+    console.error('Error fetching nearby demand:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while fetching nearby demand'
+    });
+  }
+});
+
+/**
+ * GET /api/demand/timeseries
+ * Get arrivals over time for crop/district series
+ *
+ * Query parameters:
+ * - crop (optional): Filter by crop name
+ * - district (optional): Filter by district name
+ * - state (optional): Filter by state name
+ * - granularity (optional): day, week or month (default: week)
+ * - from (optional): Start date, YYYY-MM-DD (inclusive)
+ * - to (optional): End date, YYYY-MM-DD (inclusive)
+ * - version (optional): Dataset snapshot ID (default: current)
+ */
+app.get('/api/demand/timeseries', resolveDataset, validateRequest, applyAnomalyExclusion, requireData('timeSeries'), cacheResponse, async (req, res) => {
+  const { timeSeriesData, queries } = req.dataset;
+  const cropFilter = req.query.crop ? req.query.crop.trim().toLowerCase() : null;
+  const districtFilter = req.query.district ? req.query.district.trim().toLowerCase() : null;
+  const stateFilter = req.query.state ? req.query.state.trim().toLowerCase() : null;
+  const granularity = req.query.granularity ? req.query.granularity.trim().toLowerCase() : 'week';
+  const from = req.query.from ? req.query.from.trim() : null;
+  const to = req.query.to ? req.query.to.trim() : null;
+
+  if (!GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({
+      error: 'Invalid granularity',
+      message: `granularity must be one of: ${GRANULARITIES.join(', ')}`
+    });
+  }
+
+  if ((from && !ISO_DATE_PATTERN.test(from)) || (to && !ISO_DATE_PATTERN.test(to))) {
+    return res.status(400).json({
+      error: 'Invalid date range',
+      message: 'from and to must be dates in YYYY-MM-DD format'
+    });
+  }
+
+  if (from && to && from > to) {
+    return res.status(400).json({
+      error: 'Invalid date range',
+      message: 'from must not be after to'
+    });
+  }
+
+  try {
+    // Buckets are keyed by their start date; widen "from" to the start of its bucket
+    // so a partial first week/month is still included
+    const fromBucket = from ? periodStart(from, granularity) : null;
+    const totals = new Map();
+
+    const matching = await queries.getSeries({ crop: cropFilter, district: districtFilter, state: stateFilter });
+    const series = matching
+      .map(entry => {
+        const points = Object.entries(entry[granularity] || {})
+          .filter(([period]) => (!fromBucket || period >= fromBucket) && (!to || period <= to))
+          .map(([period, quantity]) => {
+            totals.set(period, (totals.get(period) || 0) + quantity);
+            return { period, quantity };
+          });
+
+        return {
+          cropId: entry.cropId,
+          cropName: entry.cropName,
+          category: entry.category,
+          state: entry.state,
+          district: entry.district,
+          total: points.reduce((sum, point) => sum + point.quantity, 0),
+          points: points
+        };
+      })
+      .filter(entry => entry.points.length > 0);
+
+    if (series.length === 0) {
+      return res.status(404).json({
+        error: 'No data found',
+        message: 'No dated arrivals found for the given filters',
+        filters: {
+          crop: req.query.crop || 'all',
+          district: req.query.district || 'all',
+          state: req.query.state || 'all'
+        }
+      });
+    }
+
+    const total = Array.from(totals.keys()).sort().map(period => ({
+      period,
+      quantity: totals.get(period)
+    }));
+
+    res.json({
+      filters: {
+        crop: req.query.crop || 'all',
+        district: req.query.district || 'all',
+        state: req.query.state || 'all',
+        from: from || timeSeriesData.dateRange.from,
+        to: to || timeSeriesData.dateRange.to
+      },
+      granularity: granularity,
+      unit: timeSeriesData.unit,
+      totalSeries: series.length,
+      total: total,
+      series: series
+    });
+  } catch (error) {
+    console.error('Error fetching time series:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while fetching time series data'
+    });
+  }
+});
+
+/**
+ * GET /api/forecast
+ * Forecast arrivals for each crop/district series
+ *
+ * Query parameters:
+ * - crop (crop or district required): Filter by crop name
+ * - district (crop or district required): Filter by district name
+ * - state (optional): Filter by state name
+ * - granularity (optional): day, week or month (default: week)
+ * - horizon (optional): Periods to forecast (1-52, default: 4)
+ * - model (optional): auto, seasonal-naive, moving-average or holt-winters (default: auto)
+ * - level (optional): Prediction interval level: 80, 90, 95 or 99 (default: 80)
+ * - window (optional): Moving average window in periods (default: 4)
+ * - includeHistory (optional): true to return the history the forecast was fitted on
+ * - version (optional): Dataset snapshot ID (default: current)
+ */
+app.get('/api/forecast', resolveDataset, validateRequest, applyAnomalyExclusion, requireData('timeSeries'), cacheResponse, async (req, res) => {
+  const { timeSeriesData, queries } = req.dataset;
+  const cropFilter = req.query.crop ? req.query.crop.trim().toLowerCase() : null;
+  const districtFilter = req.query.district ? req.query.district.trim().toLowerCase() : null;
+  const stateFilter = req.query.state ? req.query.state.trim().toLowerCase() : null;
+  const granularity = req.query.granularity ? req.query.granularity.trim().toLowerCase() : 'week';
+  const horizon = req.query.horizon !== undefined ? Number(req.query.horizon) : 4;
+  const model = req.query.model ? req.query.model.trim().toLowerCase() : 'auto';
+  const level = req.query.level !== undefined ? Number(req.query.level) : 80;
+  const window = req.query.window !== undefined ? Number(req.query.window) : 4;
+  const includeHistory = req.query.includeHistory === 'true';
+
+  if (!cropFilter && !districtFilter) {
+    return res.status(400).json({
+      error: 'Filter required',
+      message: 'Please provide a crop and/or district to forecast'
+    });
+  }
+
+  if (!GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({
+      error: 'Invalid granularity',
+      message: `granularity must be one of: ${GRANULARITIES.join(', ')}`
+    });
+  }
+
+  if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_FORECAST_HORIZON ||
+      !Number.isInteger(window) || window < 1 || window > MAX_FORECAST_HORIZON) {
+    return res.status(400).json({
+      error: 'Invalid forecast parameters',
+      message: `horizon and window must be integers from 1 to ${MAX_FORECAST_HORIZON}`
+    });
+  }
+
+  if (model !== 'auto' && !FORECAST_MODELS.includes(model)) {
+    return res.status(400).json({
+      error: 'Invalid model',
+      message: `model must be one of: auto, ${FORECAST_MODELS.join(', ')}`
+    });
+  }
+
+  if (!Z_SCORES[level]) {
+    return res.status(400).json({
+      error: 'Invalid level',
+      message: `level must be one of: ${Object.keys(Z_SCORES).join(', ')}`
+    });
+  }
 
-function loadDemandData() {
   try {
-    if (fs.existsSync(DEMAND_FILE)) {
-      const fileContent = fs.readFileSync(DEMAND_FILE, 'utf8');
-      demandData = JSON.parse(fileContent);
-      console.log('✅ Demand data loaded successfully');
-    } else {
-      console.error('❌ demand.json not found. Please run preprocess.js first.');
-      demandData = [];
+    const matching = (await queries.getSeries({ crop: cropFilter, district: districtFilter, state: stateFilter }))
+      .filter(entry => Object.keys(entry[granularity] || {}).length > 0);
+
+    if (matching.length === 0) {
+      return res.status(404).json({
+        error: 'No data found',
+        message: 'No dated arrivals found for the given filters',
+        filters: {
+          crop: req.query.crop || 'all',
+          district: req.query.district || 'all',
+          state: req.query.state || 'all'
+        }
+      });
     }
+
+    // Largest series first; very broad queries are cut off at MAX_FORECAST_SERIES
+    const seriesTotal = (entry) => Object.values(entry[granularity]).reduce((sum, quantity) => sum + quantity, 0);
+    const selected = matching
+      .map(entry => ({ entry, total: seriesTotal(entry) }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, MAX_FORECAST_SERIES)
+      .map(({ entry }) => entry);
+
+    const lastPeriod = timeSeriesData.dateRange.to ? periodStart(timeSeriesData.dateRange.to, granularity) : null;
+    const options = { model, level, window, seasonLength: SEASON_LENGTHS[granularity] };
+
+    const series = selected.map(entry => {
+      const history = toContinuousSeries(entry[granularity], granularity, lastPeriod);
+      const { chosen, results } = forecastSeries(history.values, horizon, options);
+      const lastHistoryPeriod = history.periods[history.periods.length - 1];
+
+      return {
+        cropId: entry.cropId,
+        cropName: entry.cropName,
+        category: entry.category,
+        state: entry.state,
+        district: entry.district,
+        history: {
+          from: history.periods[0],
+          to: lastHistoryPeriod,
+          periods: history.periods.length,
+          ...(includeHistory
+            ? { points: history.periods.map((period, index) => ({ period, quantity: history.values[index] })) }
+            : {})
+        },
+        model: chosen ? chosen.model : null,
+        models: results.map(result => ({
+          model: result.model,
+          applicable: result.applicable,
+          ...(result.applicable
+            ? { parameters: result.parameters, backtest: result.backtest }
+            : { reason: result.reason })
+        })),
+        forecast: chosen
+          ? chosen.forecast.map((quantity, index) => ({
+            period: addPeriods(lastHistoryPeriod, granularity, index + 1),
+            quantity: quantity,
+            lower: chosen.lower[index],
+            upper: chosen.upper[index]
+          }))
+          : []
+      };
+    });
+
+    res.json({
+      filters: {
+        crop: req.query.crop || 'all',
+        district: req.query.district || 'all',
+        state: req.query.state || 'all'
+      },
+      granularity: granularity,
+      horizon: horizon,
+      model: model,
+      level: level,
+      unit: timeSeriesData.unit,
+      totalSeries: matching.length,
+      truncated: matching.length > selected.length,
+      series: series
+    });
   } catch (error) {
-    console.error('Error loading demand data:', error);
-    demandData = [];
+    console.error('Error computing forecast:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while computing the forecast'
+    });
   }
-}
-
-// Load data on startup
-loadDemandData();
+});
 
 /**
- * GET /api/demand/city/:cityName
- * Get crop demand data filtered by city/district name
- * 
+ * GET /api/anomalies
+ * List arrival outliers and week-over-week spikes/collapses flagged by preprocess.js
+ *
  * Query parameters:
- * - state (optional): Filter by state name
- * - category (optional): Filter by category (Vegetables, Fruits, Dairy, Timber)
+ * - type (optional): outlier, spike or collapse
+ * - crop, state, district, market (optional): Filter by name (case-insensitive)
+ * - from, to (optional): Date range (YYYY-MM-DD) on the row date or week start
+ * - minScore (optional): Minimum absolute robust z-score
+ * - excluded (optional): true/false to list only anomalies that were (not) left out of the aggregates
+ * - excludeAnomalies (optional): Types also left out at query time (outlier,spike,collapse or all),
+ *   as on the aggregate routes; marks those entries as excluded
+ * - sort (optional): score or date (default: score)
+ * - limit, offset (optional): Pagination (default: all)
+ * - version (optional): Dataset snapshot ID (default: current)
  */
-app.get('/api/demand/city/:cityName', (req, res) => {
-  const cityName = req.params.cityName.trim();
-  const stateFilter = req.query.state ? req.query.state.trim() : null;
-  const categoryFilter = req.query.category ? req.query.category.trim() : null;
+app.get('/api/anomalies', resolveDataset, validateRequest, applyAnomalyExclusion, requireData('anomalies'), cacheResponse, (req, res) => {
+  const { anomalyReport } = req.dataset;
+  const typeFilter = req.query.type ? String(req.query.type).trim().toLowerCase() : null;
+  const textFilters = ['crop', 'state', 'district', 'market']
+    .filter(name => req.query[name])
+    .map(name => [name === 'crop' ? 'cropName' : name, String(req.query[name]).trim().toLowerCase()]);
+  const from = req.query.from || null;
+  const to = req.query.to || null;
+  const minScore = req.query.minScore !== undefined ? Number(req.query.minScore) : 0;
+  const excludedFilter = req.query.excluded !== undefined ? req.query.excluded === 'true' : null;
+  const sort = req.query.sort ? String(req.query.sort).trim().toLowerCase() : 'score';
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : null;
+  const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
 
-  if (!cityName) {
+  if (typeFilter && !ANOMALY_TYPES.includes(typeFilter)) {
     return res.status(400).json({
-      error: 'City name is required',
-      message: 'Please provide a valid city/district name'
+      error: 'Invalid type',
+      message: `type must be one of: ${ANOMALY_TYPES.join(', ')}`
+    });
+  }
+
+  if ((from && !ISO_DATE_PATTERN.test(from)) || (to && !ISO_DATE_PATTERN.test(to))) {
+    return res.status(400).json({
+      error: 'Invalid date',
+      message: 'from and to must be dates in YYYY-MM-DD format'
+    });
+  }
+
+  if (isNaN(minScore) || minScore < 0) {
+    return res.status(400).json({
+      error: 'Invalid minScore',
+      message: 'minScore must be a non-negative number'
+    });
+  }
+
+  if (!ANOMALY_SORT_FIELDS.includes(sort)) {
+    return res.status(400).json({
+      error: 'Invalid sort',
+      message: `sort must be one of: ${ANOMALY_SORT_FIELDS.join(', ')}`
     });
   }
 
-  if (!demandData || demandData.length === 0) {
-    return res.status(503).json({
-      error: 'Data not available',
-      message: 'Demand data has not been loaded. Please run preprocess.js first.'
+  if ((limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT)) ||
+      !Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({
+      error: 'Invalid pagination',
+      message: `limit must be an integer from 1 to ${MAX_PAGE_LIMIT} and offset a non-negative integer`
     });
   }
 
   try {
-    const result = {
-      city: cityName,
+    // Outliers are dated by row, spikes and collapses by the week they happened in
+    const anomalyDate = (anomaly) => anomaly.date || anomaly.week || '';
+    const queryExcluded = req.excludedAnomalies || [];
+    const anomalies = anomalyReport.anomalies
+      .map(anomaly => !anomaly.excluded && queryExcluded.includes(anomaly.type) ? { ...anomaly, excluded: true } : anomaly)
+      .filter(anomaly =>
+        (!typeFilter || anomaly.type === typeFilter) &&
+        textFilters.every(([field, value]) => String(anomaly[field] || '').toLowerCase() === value) &&
+        (!from || anomalyDate(anomaly) >= from) &&
+        (!to || anomalyDate(anomaly) <= to) &&
+        Math.abs(anomaly.robustZ) >= minScore &&
+        (excludedFilter === null || anomaly.excluded === excludedFilter)
+      )
+      .sort((a, b) => sort === 'score'
+        ? Math.abs(b.robustZ) - Math.abs(a.robustZ)
+        : anomalyDate(b).localeCompare(anomalyDate(a)));
+
+    const { page, links } = paginate(req, anomalies, offset, limit);
+
+    res.json({
+      generatedAt: anomalyReport.generatedAt,
+      excludedFromAggregates: anomalyReport.excludedFromAggregates || queryExcluded.length > 0,
+      excludedTypes: ANOMALY_TYPES.filter(type =>
+        (anomalyReport.excludedTypes || (anomalyReport.excludedFromAggregates ? ['outlier'] : [])).includes(type) ||
+        queryExcluded.includes(type)
+      ),
+      thresholds: anomalyReport.thresholds,
+      totals: anomalyReport.totals,
       filters: {
-        state: stateFilter || 'all',
-        category: categoryFilter || 'all'
+        type: typeFilter || 'all',
+        crop: req.query.crop || 'all',
+        state: req.query.state || 'all',
+        district: req.query.district || 'all',
+        market: req.query.market || 'all',
+        from: from,
+        to: to,
+        minScore: minScore
       },
-      note: "demandQuantity represents the total demand for this crop across all districts in the state, not just this city",
-      data: []
-    };
+      totalAnomalies: anomalies.length,
+      count: page.length,
+      offset: offset,
+      limit: limit,
+      sort: sort,
+      links: links,
+      anomalies: page
+    });
+  } catch (error) {
+    console.error('Error listing anomalies:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while listing anomalies'
+    });
+  }
+});
 
-    // Iterate through all states
-    demandData.forEach(stateData => {
-      // Apply state filter if provided
-      if (stateFilter && stateData.state.toLowerCase() !== stateFilter.toLowerCase()) {
-        return;
-      }
+/**
+ * GET /api/prices/:cropName
+ * Get arrival-weighted min/max/modal prices for a crop
+ *
+ * Query parameters:
+ * - state (optional): Filter by state name
+ * - district (optional): Filter by district name
+ * - from (optional): Start date, YYYY-MM-DD (inclusive)
+ * - to (optional): End date, YYYY-MM-DD (inclusive)
+ * - granularity (optional): day, week or month - adds a price series per period
+ * - version (optional): Dataset snapshot ID (default: current)
+ */
+app.get('/api/prices/:cropName', resolveDataset, validateRequest, requireData('demand'), cacheResponse, async (req, res) => {
+  const { indexes, queries, timeSeriesData } = req.dataset;
+  const cropName = req.params.cropName.trim().toLowerCase();
+  const stateFilter = req.query.state ? req.query.state.trim().toLowerCase() : null;
+  const districtFilter = req.query.district ? req.query.district.trim().toLowerCase() : null;
+  const granularity = req.query.granularity ? req.query.granularity.trim().toLowerCase() : null;
+  const from = req.query.from ? req.query.from.trim() : null;
+  const to = req.query.to ? req.query.to.trim() : null;
+  const useTimeSeries = Boolean(from || to || granularity);
 
-      const stateResult = {
-        state: stateData.state,
-        categories: []
-      };
+  if (granularity && !GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({
+      error: 'Invalid granularity',
+      message: `granularity must be one of: ${GRANULARITIES.join(', ')}`
+    });
+  }
 
-      // Iterate through categories
-      stateData.categories.forEach(category => {
-        // Apply category filter if provided
-        if (categoryFilter && category.name.toLowerCase() !== categoryFilter.toLowerCase()) {
-          return;
-        }
+  if ((from && !ISO_DATE_PATTERN.test(from)) || (to && !ISO_DATE_PATTERN.test(to))) {
+    return res.status(400).json({
+      error: 'Invalid date range',
+      message: 'from and to must be dates in YYYY-MM-DD format'
+    });
+  }
 
-        // Filter crops that have this city in their regionalSuitability AND belong to this state
-        const matchingCrops = category.crops.filter(crop => {
-          return crop.regionalSuitability.some(region => 
-            region.district.toLowerCase() === cityName.toLowerCase() &&
-            region.state.toLowerCase() === stateData.state.toLowerCase()
-          );
-        });
+  if (useTimeSeries && !isDataLoaded(req.dataset, 'timeSeries')) {
+    return sendDataUnavailable(res, 'timeSeries');
+  }
 
-        if (matchingCrops.length > 0) {
-          // For each matching crop, extract only the relevant district data for this state
-          const cityCrops = matchingCrops.map(crop => {
-            // Find the specific regional suitability entry for this city in this state
-            const cityRegion = crop.regionalSuitability.find(region => 
-              region.district.toLowerCase() === cityName.toLowerCase() &&
-              region.state.toLowerCase() === stateData.state.toLowerCase()
-            );
-
-            return {
-              cropId: crop.cropId,
-              cropName: crop.cropName,
-              scientificName: crop.scientificName,
-              categoryId: crop.categoryId,
-              demandQuantity: crop.demandQuantity,
-              regionalSuitability: cityRegion ? [cityRegion] : []
-            };
-          });
+  try {
+    // "state|district" -> list of price stats to merge
+    const districtPrices = new Map();
+    const periodPrices = new Map();
+    let matchedCropName = null;
 
-          stateResult.categories.push({
-            name: category.name,
-            count: cityCrops.length,
-            crops: cityCrops
-          });
-        }
-      });
+    const addDistrictPrices = (state, district, prices) => {
+      const key = `${state}|${district}`;
+      if (!districtPrices.has(key)) {
+        districtPrices.set(key, { state, district, stats: [] });
+      }
+      districtPrices.get(key).stats.push(prices);
+    };
 
-      // Only add state if it has matching categories
-      if (stateResult.categories.length > 0) {
-        // Calculate summary for this state
-        const totalCrops = stateResult.categories.reduce((sum, cat) => sum + cat.count, 0);
-        const totalDemand = stateResult.categories.reduce((sum, cat) => 
-          sum + cat.crops.reduce((cropSum, crop) => cropSum + crop.demandQuantity, 0), 0
-        );
-
-        stateResult.summary = {
-          totalCategories: stateResult.categories.length,
-          totalCrops: totalCrops,
-          totalDemand: totalDemand,
-          unit: 'tons per week'
-        };
+    if (useTimeSeries) {
+      // Dated prices: merge daily stats that fall in the range
+      const series = await queries.getSeries({ crop: cropName, state: stateFilter, district: districtFilter });
+      series.forEach(entry => {
+        matchedCropName = entry.cropName;
 
-        result.data.push(stateResult);
-      }
-    });
+        Object.entries(entry.prices || {}).forEach(([day, prices]) => {
+          if ((from && day < from) || (to && day > to)) return;
+          addDistrictPrices(entry.state, entry.district, prices);
 
-    // Calculate overall summary
-    const overallTotalCrops = result.data.reduce((sum, state) => 
-      sum + (state.summary?.totalCrops || 0), 0
-    );
-    const overallTotalDemand = result.data.reduce((sum, state) => 
-      sum + (state.summary?.totalDemand || 0), 0
-    );
+          if (granularity) {
+            const period = periodStart(day, granularity);
+            if (!periodPrices.has(period)) periodPrices.set(period, []);
+            periodPrices.get(period).push(prices);
+          }
+        });
+      });
+    } else {
+      // No date range: use the all-time stats stored in demand.json
+      (indexes.cropsByName.get(cropName) || []).forEach(({ state, crop }) => {
+        if (stateFilter && state.toLowerCase() !== stateFilter) return;
+        matchedCropName = crop.cropName;
 
-    result.summary = {
-      totalStates: result.data.length,
-      totalCategories: result.data.reduce((sum, state) => 
-        sum + (state.summary?.totalCategories || 0), 0
-      ),
-      totalCrops: overallTotalCrops,
-      totalDemand: overallTotalDemand,
-      unit: 'tons per week'
-    };
+        crop.regionalSuitability.forEach(region => {
+          if (districtFilter && region.district.toLowerCase() !== districtFilter) return;
+          addDistrictPrices(region.state, region.district, region.prices);
+        });
+      });
+    }
 
-    if (result.data.length === 0) {
+    const districts = Array.from(districtPrices.values())
+      .map(entry => ({
+        state: entry.state,
+        district: entry.district,
+        prices: mergePriceStats(entry.stats)
+      }))
+      .filter(entry => entry.prices)
+      .sort((a, b) => b.prices.weightQuantity - a.prices.weightQuantity);
+
+    if (districts.length === 0) {
       return res.status(404).json({
         error: 'No data found',
-        message: `No crop demand data found for city/district: ${cityName}`,
-        city: cityName,
-        suggestions: 'Try checking the spelling or use a different city name'
+        message: `No price data found for crop: ${req.params.cropName.trim()}`,
+        crop: req.params.cropName.trim()
       });
     }
 
+    const result = {
+      cropName: matchedCropName,
+      filters: {
+        state: req.query.state || 'all',
+        district: req.query.district || 'all',
+        from: from || (useTimeSeries ? timeSeriesData.dateRange.from : 'all'),
+        to: to || (useTimeSeries ? timeSeriesData.dateRange.to : 'all')
+      },
+      unit: 'Rs./Quintal',
+      weighting: 'arrivals (tonnes)',
+      summary: mergePriceStats(districts.map(entry => entry.prices)),
+      totalDistricts: districts.length,
+      districts: districts
+    };
+
+    if (granularity) {
+      result.granularity = granularity;
+      result.series = Array.from(periodPrices.keys()).sort().map(period => ({
+        period,
+        ...mergePriceStats(periodPrices.get(period))
+      }));
+    }
+
     res.json(result);
   } catch (error) {
-    console.error('Error processing request:', error);
+    console.error('Error fetching prices:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'An error occurred while processing your request'
+      message: 'An error occurred while fetching price data'
     });
   }
 });
 
 /**
- * GET /api/demand/cities
- * Get list of all available cities/districts
+ * Check whether a crop summary matches a search query
+ * Searches the crop name, scientific name, catalog name and local names
+ * @param {Object} summary - Crop summary from the indexes
+ * @param {string} query - Lowercased search text
+ * @returns {boolean} True if any name contains the query
+ */
+function cropMatchesQuery(summary, query) {
+  const metadata = summary.metadata || {};
+  return [summary.cropName, summary.scientificName, metadata.catalogName, ...(metadata.localNames || [])]
+    .some(name => name && name.toLowerCase().includes(query));
+}
+
+/**
+ * Rank crops by how closely their name matches a query, for "did you mean" suggestions
+ * @param {Object} indexes - Indexes of the dataset queried
+ * @param {string} query - Crop name as requested
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array<{cropId: string, cropName: string, category: string}>} Closest crops
+ */
+function suggestCrops(indexes, query, limit) {
+  const normalizedQuery = query.toLowerCase();
+  const maxDistance = Math.max(2, Math.ceil(normalizedQuery.length * 0.4));
+
+  return indexes.cropSummaries
+    .map(summary => ({
+      summary: summary,
+      distance: cropMatchesQuery(summary, normalizedQuery) ? 0 : editDistance(normalizedQuery, summary.cropName.toLowerCase())
+    }))
+    .filter(candidate => candidate.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || b.summary.totalDemand - a.summary.totalDemand)
+    .slice(0, limit)
+    .map(({ summary }) => ({ cropId: summary.cropId, cropName: summary.cropName, category: summary.categoryId.name }));
+}
+
+/**
+ * GET /api/crops
+ * List or search crops with their national demand
+ *
+ * Query parameters:
+ * - q (optional): Search crop, scientific and local names
+ * - category (optional): Filter by category name
+ * - state (optional): Only crops with demand in this state
+ * - sort (optional): name or demand (default: name)
+ * - order (optional): asc or desc (default: asc for name, desc for demand)
+ * - limit (optional): Crops per page (1-500, default: all)
+ * - offset (optional): Number of crops to skip (default: 0)
  */
-app.get('/api/demand/cities', (req, res) => {
-  if (!demandData || demandData.length === 0) {
-    return res.status(503).json({
-      error: 'Data not available',
-      message: 'Demand data has not been loaded. Please run preprocess.js first.'
+app.get('/api/crops', resolveDataset, validateRequest, applyAnomalyExclusion, requireData('demand'), cacheResponse, (req, res) => {
+  const { indexes } = req.dataset;
+  const query = req.query.q ? String(req.query.q).trim().toLowerCase() : null;
+  const categoryFilter = req.query.category ? String(req.query.category).trim().toLowerCase() : null;
+  const stateFilter = req.query.state ? String(req.query.state).trim().toLowerCase() : null;
+  const sort = req.query.sort ? String(req.query.sort).trim() : 'name';
+  const order = req.query.order ? String(req.query.order).trim().toLowerCase() : (sort === 'name' ? 'asc' : 'desc');
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : null;
+  const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+
+  if ((limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT)) ||
+      !Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({
+      error: 'Invalid pagination',
+      message: `limit must be an integer from 1 to ${MAX_PAGE_LIMIT} and offset a non-negative integer`
+    });
+  }
+
+  if (!CROP_SORT_FIELDS.includes(sort) || !['asc', 'desc'].includes(order)) {
+    return res.status(400).json({
+      error: 'Invalid sort',
+      message: `sort must be one of: ${CROP_SORT_FIELDS.join(', ')}; order must be asc or desc`
     });
   }
 
   try {
-    const citiesSet = new Set();
-    
-    demandData.forEach(stateData => {
-      stateData.categories.forEach(category => {
-        category.crops.forEach(crop => {
-          crop.regionalSuitability.forEach(region => {
-            if (region.district) {
-              citiesSet.add(region.district);
-            }
-          });
-        });
+    const crops = indexes.cropSummaries
+      .filter(summary =>
+        (!query || cropMatchesQuery(summary, query)) &&
+        (!categoryFilter || summary.categoryId.name.toLowerCase() === categoryFilter) &&
+        (!stateFilter || (indexes.crops.get(summary.cropId) || []).some(entry => entry.state.toLowerCase() === stateFilter))
+      )
+      .sort((a, b) => {
+        const direction = order === 'asc' ? 1 : -1;
+        return direction * (sort === 'name'
+          ? a.cropName.localeCompare(b.cropName)
+          : a.totalDemand - b.totalDemand || a.cropName.localeCompare(b.cropName));
       });
-    });
 
-    const cities = Array.from(citiesSet).sort();
-    
+    const { page, links } = paginate(req, crops, offset, limit);
+
     res.json({
-      totalCities: cities.length,
-      cities: cities
+      totalCrops: crops.length,
+      count: page.length,
+      offset: offset,
+      limit: limit,
+      sort: sort,
+      order: order,
+      filters: {
+        q: req.query.q || null,
+        category: req.query.category || 'all',
+        state: req.query.state || 'all'
+      },
+      links: links,
+      crops: page
     });
   } catch (error) {
-    console.error('Error fetching cities:', error);
+    console.error('Error listing crops:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'An error occurred while fetching cities list'
+      message: 'An error occurred while listing crops'
     });
   }
 });
 
 /**
- * GET /api/demand/all-cities
- * Get all cities with their crops, categories, and demand data
+ * GET /api/crops/:crop
+ * Get where a crop is in demand: its demand in every state and district, ranked,
+ * with shares of the crop's national demand
+ *
+ * :crop is a stable crop ID or a crop name (case-insensitive). IDs of crops that
+ * were merged into another crop resolve to the surviving crop. A name used in more
+ * than one category resolves to the crop with the most demand; the others are listed
+ * in otherMatches.
  */
-app.get('/api/demand/all-cities', (req, res) => {
-  if (!demandData || demandData.length === 0) {
-    return res.status(503).json({
-      error: 'Data not available',
-      message: 'Demand data has not been loaded. Please run preprocess.js first.'
-    });
-  }
+app.get('/api/crops/:crop', resolveDataset, validateRequest, applyAnomalyExclusion, requireData('demand'), cacheResponse, async (req, res) => {
+  const { indexes, queries } = req.dataset;
+  const requested = req.params.crop.trim();
 
   try {
-    // Create a map to organize data by city
-    const citiesMap = new Map();
-
-    // Iterate through all states
-    demandData.forEach(stateData => {
-      // Iterate through all categories
-      stateData.categories.forEach(category => {
-        // Iterate through all crops
-        category.crops.forEach(crop => {
-          // Iterate through regional suitability to find all cities for this crop
-          crop.regionalSuitability.forEach(region => {
-            const cityName = region.district;
-            const stateName = region.state;
-
-            if (!cityName) return;
-
-            // Get or create city entry
-            if (!citiesMap.has(cityName)) {
-              citiesMap.set(cityName, {
-                city: cityName,
-                states: new Map()
-              });
-            }
-
-            const cityData = citiesMap.get(cityName);
-
-            // Get or create state entry for this city
-            if (!cityData.states.has(stateName)) {
-              cityData.states.set(stateName, {
-                state: stateName,
-                categories: new Map()
-              });
-            }
-
-            const stateDataForCity = cityData.states.get(stateName);
-
-            // Get or create category entry
-            if (!stateDataForCity.categories.has(category.name)) {
-              stateDataForCity.categories.set(category.name, {
-                name: category.name,
-                crops: []
-              });
-            }
-
-            const categoryData = stateDataForCity.categories.get(category.name);
-
-            // Check if crop already exists in this city/state/category
-            const existingCrop = categoryData.crops.find(c => c.cropId === crop.cropId);
-
-            // Only add crops with demand quantity greater than 0
-            if (crop.demandQuantity > 0) {
-              if (!existingCrop) {
-                // Add crop with its data
-                categoryData.crops.push({
-                  cropId: crop.cropId,
-                  cropName: crop.cropName,
-                  scientificName: crop.scientificName,
-                  categoryId: crop.categoryId,
-                  demandQuantity: crop.demandQuantity,
-                  regionalSuitability: [region]
-                });
-              } else {
-                // Add this region to existing crop if not already present
-                const regionExists = existingCrop.regionalSuitability.some(
-                  r => r.district === region.district && r.state === region.state
-                );
-                if (!regionExists) {
-                  existingCrop.regionalSuitability.push(region);
-                }
-              }
-            }
-          });
-        });
-      });
-    });
+    let cropId = null;
+    let otherMatches = [];
+    const matchedBy = UUID_PATTERN.test(requested) ? 'id' : 'name';
 
-    // Convert Map structures to arrays
-    const result = {
-      totalCities: citiesMap.size,
-      cities: []
-    };
+    if (matchedBy === 'id') {
+      // Follow merged IDs recorded in crop-registry.json
+      cropId = requested.toLowerCase();
+      if (!indexes.crops.has(cropId) && indexes.mergedCropIds.has(cropId)) {
+        cropId = indexes.mergedCropIds.get(cropId);
+      }
+    } else {
+      const nameMatches = Array.from(new Set((indexes.cropsByName.get(requested.toLowerCase()) || []).map(entry => entry.crop.cropId)));
+      const ranked = indexes.cropSummaries.filter(summary => nameMatches.includes(summary.cropId));
+      if (ranked.length > 0) {
+        cropId = ranked[0].cropId;
+        otherMatches = ranked.slice(1).map(summary => ({ cropId: summary.cropId, category: summary.categoryId.name }));
+      }
+    }
 
-    citiesMap.forEach((cityData, cityName) => {
-      const cityEntry = {
-        city: cityName,
-        states: []
-      };
+    const entries = cropId ? await queries.getCropEntries(cropId) : [];
+    if (entries.length === 0) {
+      return res.status(404).json({
+        error: 'No data found',
+        message: `No crop found with ${matchedBy === 'id' ? 'ID' : 'name'}: ${requested}`,
+        crop: requested,
+        suggestions: matchedBy === 'name' ? suggestCrops(indexes, requested, 5) : []
+      });
+    }
 
-      cityData.states.forEach((stateData, stateName) => {
-        const stateEntry = {
-          state: stateName,
-          categories: []
-        };
+    const { crop } = entries[0];
+    const totalDemand = entries.reduce((sum, entry) => sum + entry.crop.demandQuantity, 0);
+    const share = (quantity) => totalDemand > 0 ? quantity / totalDemand : 0;
 
-        stateData.categories.forEach((categoryData, categoryName) => {
-          // Filter out crops with 0 demand (should already be filtered, but double-check)
-          const validCrops = categoryData.crops.filter(crop => crop.demandQuantity > 0);
-          
-          // Only add category if it has crops with demand > 0
-          if (validCrops.length > 0) {
-            // Calculate category summary
-            const categorySummary = {
-              name: categoryName,
-              count: validCrops.length,
-              totalDemand: validCrops.reduce(
-                (sum, crop) => sum + crop.demandQuantity,
-                0
-              ),
-              crops: validCrops
-            };
+    const states = entries
+      .map(entry => ({
+        state: entry.state,
+        demandQuantity: entry.crop.demandQuantity,
+        share: share(entry.crop.demandQuantity),
+        prices: entry.crop.prices || null,
+        regionalSuitability: entry.crop.regionalSuitability
+      }))
+      .sort((a, b) => b.demandQuantity - a.demandQuantity)
+      .map((state, index) => ({ rank: index + 1, ...state }));
 
-            stateEntry.categories.push(categorySummary);
-          }
+    // One entry per district; suitability levels in the same district are combined
+    const districts = [];
+    entries.forEach(entry => {
+      const byDistrict = new Map();
+      entry.crop.regionalSuitability.forEach(region => {
+        if (!byDistrict.has(region.district)) byDistrict.set(region.district, []);
+        byDistrict.get(region.district).push(region);
+      });
+
+      byDistrict.forEach((regions, district) => {
+        const demandQuantity = sumRegionDemand(regions);
+        districts.push({
+          state: entry.state,
+          district: district,
+          demandQuantity: demandQuantity,
+          share: share(demandQuantity),
+          stateShare: entry.crop.demandQuantity > 0 ? demandQuantity / entry.crop.demandQuantity : 0,
+          suitability: Array.from(new Set(regions.map(region => region.suitability).filter(Boolean))).join(';'),
+          prices: regions.length === 1 ? regions[0].prices || null : mergePriceStats(regions.map(region => region.prices))
         });
+      });
+    });
+    districts.sort((a, b) => b.demandQuantity - a.demandQuantity || a.district.localeCompare(b.district));
 
-        // Only add state if it has categories with crops
-        if (stateEntry.categories.length > 0) {
-          // Calculate state summary
-          const totalCrops = stateEntry.categories.reduce(
-            (sum, cat) => sum + cat.count,
-            0
-          );
-          const totalDemand = stateEntry.categories.reduce(
-            (sum, cat) => sum + cat.totalDemand,
-            0
-          );
-
-          stateEntry.summary = {
-            totalCategories: stateEntry.categories.length,
-            totalCrops: totalCrops,
-            totalDemand: totalDemand,
-            unit: 'tons per week'
-          };
+    res.json({
+      cropId: crop.cropId,
+      cropName: crop.cropName,
+      scientificName: crop.scientificName,
+      categoryId: crop.categoryId,
+      metadata: crop.metadata || null,
+      matchedBy: matchedBy,
+      ...(matchedBy === 'id' && cropId !== requested.toLowerCase() ? { resolvedFrom: requested.toLowerCase() } : {}),
+      ...(otherMatches.length > 0 ? { otherMatches: otherMatches } : {}),
+      summary: {
+        totalStates: states.length,
+        totalDistricts: districts.length,
+        totalDemand: totalDemand,
+        shareOfNationalDemand: indexes.nationalDemand > 0 ? totalDemand / indexes.nationalDemand : 0,
+        unit: 'tons per week'
+      },
+      states: states,
+      districts: districts.map((district, index) => ({ rank: index + 1, ...district }))
+    });
+  } catch (error) {
+    console.error('Error fetching crop:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while fetching crop data'
+    });
+  }
+});
 
-          cityEntry.states.push(stateEntry);
-        }
-      });
+app.use(createAnalyticsRoutes(routeContext));
 
-      // Only add city if it has states with crops
-      if (cityEntry.states.length > 0) {
-        // Calculate city summary
-        const cityTotalCrops = cityEntry.states.reduce(
-          (sum, state) => sum + (state.summary?.totalCrops || 0),
-          0
-        );
-        const cityTotalDemand = cityEntry.states.reduce(
-          (sum, state) => sum + (state.summary?.totalDemand || 0),
-          0
-        );
-        const cityTotalCategories = new Set();
-        cityEntry.states.forEach(state => {
-          state.categories.forEach(cat => {
-            cityTotalCategories.add(cat.name);
-          });
-        });
+/**
+ * GET /api/categories
+ * Get the category taxonomy with per-category counts from the loaded data
+ *
+ * Query parameters:
+ * - version (optional): Dataset snapshot ID (default: current)
+ */
+app.get('/api/categories', resolveDataset, validateRequest, applyAnomalyExclusion, requireData('demand'), cacheResponse, (req, res) => {
+  const { taxonomy, indexes } = req.dataset;
+  try {
+    // category name -> counts, precomputed when the dataset loads
+    const emptyCounts = { states: 0, crops: 0, districts: 0, subcategories: new Map(), totalDemand: 0 };
+    const getCounts = (name) => indexes.categories.get(name) || emptyCounts;
 
-        cityEntry.summary = {
-          totalStates: cityEntry.states.length,
-          totalCategories: cityTotalCategories.size,
-          totalCrops: cityTotalCrops,
-          totalDemand: cityTotalDemand,
+    const toEntry = (category, inTaxonomy) => {
+      const counts = getCounts(category.name);
+      return {
+        id: category.id,
+        name: category.name,
+        inTaxonomy: inTaxonomy,
+        aliases: category.aliases || [],
+        subcategories: (category.subcategories || []).map(subcategory => ({
+          name: subcategory,
+          cropCount: counts.subcategories.get(subcategory) || 0
+        })),
+        counts: {
+          states: counts.states,
+          crops: counts.crops,
+          districts: counts.districts,
+          totalDemand: counts.totalDemand,
           unit: 'tons per week'
-        };
+        }
+      };
+    };
 
-        result.cities.push(cityEntry);
-      }
-    });
+    const categories = taxonomy.categories.map(category => toEntry(category, true));
 
-    // Sort cities alphabetically
-    result.cities.sort((a, b) => a.city.localeCompare(b.city));
+    // Categories in demand.json that were removed from taxonomy.json since the last preprocess run
+    Array.from(indexes.categories.keys())
+      .filter(name => !taxonomy.categoryNames.includes(name))
+      .forEach(name => {
+        categories.push(toEntry({ id: name.toLowerCase().replace(/\s+/g, '_'), name: name }, false));
+      });
 
-    res.json(result);
+    res.json({
+      taxonomyVersion: taxonomy.version,
+      totalCategories: categories.length,
+      categories: categories
+    });
   } catch (error) {
-    console.error('Error fetching all cities data:', error);
+    console.error('Error fetching categories:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'An error occurred while fetching all cities data'
+      message: 'An error occurred while fetching categories'
     });
   }
 });
 
+app.use(createGraphQLRoutes(routeContext));
+
+app.use(createDatasetRoutes(routeContext));
+
 /**
  * Health check endpoint
  */
@@ -424,17 +2842,115 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     dataLoaded: demandData !== null && demandData.length > 0,
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    dataset: datasetInfo,
+    lastReload: lastReload,
+    responseCache: responseCache.stats()
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📊 Endpoints available:`);
-  console.log(`   GET /api/demand/city/:cityName - Get crop demand by city`);
-  console.log(`   GET /api/demand/cities - Get list of all cities`);
-  console.log(`   GET /api/demand/all-cities - Get all cities with crops, categories, and demand`);
-  console.log(`   GET /health - Health check`);
+app.use(createAdminRoutes(routeContext));
+
+/**
+ * GET /openapi.json
+ * OpenAPI 3 spec of every route; state and category enums follow the loaded dataset
+ */
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+// Swagger UI assets, served from node_modules so the docs page works offline
+app.use('/docs/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+/**
+ * GET /docs
+ * Interactive API docs (Swagger UI) for /openapi.json
+ */
+app.get('/docs', (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>City-wise Crop Demand API</title>
+  <link rel="stylesheet" href="/docs/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/docs/assets/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`);
 });
 
+/**
+ * Start the server once the initial data load has finished, then watch for new preprocess output
+ */
+function start() {
+  loadDemandData('startup').then(() => {
+    watchDemandFiles();
+
+    app.listen(PORT, () => {
+      console.log(`🚀 Server running on http://localhost:${PORT}`);
+      console.log(`📊 Endpoints available:`);
+      console.log(`   GET /api/demand/city/:cityName - Get crop demand by city`);
+      console.log(`   GET /api/demand/cities - Get list of all cities`);
+      console.log(`   GET /api/demand/districts/autocomplete?q= - Suggest district names`);
+      console.log(`   GET /api/demand/state/:stateName - Get crop demand for a state`);
+      console.log(`   GET /api/demand/all-cities - Get all cities with crops (paginated, sortable, filterable)`);
+      console.log(`   GET /api/demand/nearby?lat=&lon=&radiusKm= - Get crop demand in districts near a point`);
+      console.log(`   GET /api/demand/timeseries - Get arrivals over time by crop/district`);
+      console.log(`   GET /api/forecast - Forecast arrivals by crop/district`);
+      console.log(`   GET /api/anomalies - Flagged arrival outliers and spikes`);
+      console.log(`   GET /api/prices/:cropName - Get min/max/modal prices for a crop`);
+      console.log(`   GET /api/crops - List and search crops by national demand`);
+      console.log(`   GET /api/crops/:crop - Where a crop is in demand (by crop ID or name)`);
+      console.log(`   GET /api/analytics/top - Top crops, districts or states by demand with shares and HHI`);
+      console.log(`   GET /api/categories - Get category taxonomy with counts`);
+      console.log(`   GET/POST /graphql - GraphQL queries over states, districts, categories and crops`);
+      console.log(`   GET /api/datasets - List dataset snapshots`);
+      console.log(`   GET /api/datasets/diff?from=<id>&to=<id> - Compare two dataset versions`);
+      console.log(`   GET /api/datasets/:version - Get a snapshot's metadata`);
+      console.log(`   GET /health - Health check`);
+      console.log(`   POST /admin/reload - Reload demand data (requires ADMIN_TOKEN or an admin API key)`);
+      console.log(`   GET /openapi.json - OpenAPI 3 spec (interactive docs at /docs)`);
+      if (accessConfig) {
+        console.log(`🔐 API keys required on /api and /graphql (${accessConfig.keys.size} keys in ${path.basename(ACCESS_FILE)})`);
+      } else {
+        console.warn(`⚠️  ALLOW_ANONYMOUS=1 and no ${path.basename(ACCESS_FILE)}: /api and /graphql are open to anyone without rate limits`);
+      }
+      console.log(`🌐 CORS origins: ${CORS_ORIGINS.length > 0 ? CORS_ORIGINS.join(', ') : 'none (same-origin only)'}`);
+    });
+  });
+
+  // Write quota counts before exiting so a restart doesn't hand out a fresh quota
+  if (usageTracker) {
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+      process.once(signal, () => {
+        usageTracker.flush();
+        process.exit(0);
+      });
+    });
+  }
+}
+
+// Start when run as a script (tests require the app and helpers below)
+if (require.main === module) {
+  start();
+}
+
+module.exports = {
+  app,
+  loadDemandData,
+  buildIndexes,
+  getDistrictSearchKeys,
+  cropMatchesQuery,
+  groupByCategory,
+  toDistrictCrop,
+  toCityStateEntry,
+  sumRegionDemand,
+  streamRows,
+  suggestDistricts
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { createStorage, hashContent } = require('./storage');
+
+const SNAPSHOTS_DIR = process.env.SNAPSHOTS_DIR
+  ? path.resolve(process.env.SNAPSHOTS_DIR)
+  : path.join(__dirname, 'snapshots');
+const SNAPSHOT_METADATA_FILE = 'snapshot.json';
+
+/**
+ * Number of snapshots kept when preprocess.js doesn't get --keep-snapshots
+ */
+const DEFAULT_KEEP_SNAPSHOTS = 30;
+
+/**
+ * Snapshot IDs are the run's UTC start time, e.g. 20240501T103000Z (with -2, -3... on collisions)
+ */
+const SNAPSHOT_ID_PATTERN = /^\d{8}T\d{6}Z(-\d+)?$/;
+
+/**
+ * Build a snapshot ID from a run's start time
+ * @param {Date} date - Run start time
+ * @returns {string} Snapshot ID that isn't taken yet
+ */
+function createSnapshotId(date) {
+  const base = date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  let id = base;
+  for (let suffix = 2; fs.existsSync(path.join(SNAPSHOTS_DIR, id)); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+}
+
+/**
+ * Copy the dataset just written by a storage adapter into a new snapshot
+ * @param {Object} storage - Storage adapter the dataset was written with
+ * @param {Object} metadata - Run metadata (startedAt, sourceFiles, counts, ...)
+ * @returns {Object} Snapshot metadata as written to snapshot.json
+ */
+function saveSnapshot(storage, metadata) {
+  const id = createSnapshotId(new Date(metadata.startedAt));
+  const directory = path.join(SNAPSHOTS_DIR, id);
+  fs.mkdirSync(directory, { recursive: true });
+
+  // Same backend in the snapshot folder, so the copy can be read back with the same adapter
+  const target = createStorage(storage.backend, directory);
+  const files = [];
+  storage.files.forEach((file, index) => {
+    if (!fs.existsSync(file)) return;
+    fs.copyFileSync(file, target.files[index]);
+    files.push(path.basename(target.files[index]));
+  });
+
+  // Same hash the server reports as the dataset version, so /health and snapshots can be matched
+  const version = hashContent(fs.readFileSync(target.location));
+  const snapshot = { id: id, version: version, backend: storage.backend, files: files, ...metadata };
+  fs.writeFileSync(path.join(directory, SNAPSHOT_METADATA_FILE), JSON.stringify(snapshot, null, 2), 'utf8');
+  return snapshot;
+}
+
+/**
+ * List snapshots, newest first
+ * Folders without a readable snapshot.json (e.g. a run that crashed while copying) are skipped
+ * @returns {Array<Object>} Snapshot metadata
+ */
+function listSnapshots() {
+  if (!fs.existsSync(SNAPSHOTS_DIR)) return [];
+
+  return fs.readdirSync(SNAPSHOTS_DIR)
+    .filter(id => SNAPSHOT_ID_PATTERN.test(id))
+    .map(id => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(SNAPSHOTS_DIR, id, SNAPSHOT_METADATA_FILE), 'utf8'));
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.id.localeCompare(a.id, 'en', { numeric: true }));
+}
+
+/**
+ * Find a snapshot by ID
+ * @param {string} id - Snapshot ID
+ * @returns {Object|null} Snapshot metadata, or null if there is no such snapshot
+ */
+function getSnapshot(id) {
+  // The ID becomes part of a path, so anything but the ID format is rejected
+  if (!SNAPSHOT_ID_PATTERN.test(String(id))) return null;
+  return listSnapshots().find(snapshot => snapshot.id === id) || null;
+}
+
+/**
+ * Get a storage adapter that reads a snapshot's dataset
+ * @param {Object} snapshot - Snapshot metadata
+ * @returns {Object} Storage adapter
+ */
+function getSnapshotStorage(snapshot) {
+  return createStorage(snapshot.backend, path.join(SNAPSHOTS_DIR, snapshot.id));
+}
+
+/**
+ * Delete the oldest snapshots beyond the number to keep
+ * @param {number} keep - Number of snapshots to keep
+ * @returns {Array<string>} IDs of the deleted snapshots
+ */
+function pruneSnapshots(keep) {
+  const removed = listSnapshots().slice(keep).map(snapshot => snapshot.id);
+  removed.forEach(id => {
+    fs.rmSync(path.join(SNAPSHOTS_DIR, id), { recursive: true, force: true });
+  });
+  return removed;
+}
+
+module.exports = {
+  SNAPSHOTS_DIR,
+  DEFAULT_KEEP_SNAPSHOTS,
+  saveSnapshot,
+  listSnapshots,
+  getSnapshot,
+  getSnapshotStorage,
+  pruneSnapshots
+};
@@ -0,0 +1,625 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEMAND_FILE = path.join(__dirname, 'demand.json');
+const TIMESERIES_FILE = path.join(__dirname, 'demand-timeseries.json');
+const ANOMALIES_FILE = path.join(__dirname, 'anomalies.json');
+const SQLITE_FILE = process.env.SQLITE_FILE
+  ? path.resolve(process.env.SQLITE_FILE)
+  : path.join(__dirname, 'demand.sqlite');
+
+const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+/**
+ * Bump when the SQLite schema changes; older database files are rejected
+ */
+const SQLITE_SCHEMA_VERSION = 1;
+
+/**
+ * SQLite schema
+ * Every row keeps its full object in `data` (so reads return exactly what was written)
+ * next to the columns the dataset queries (createSqliteQueries) filter and join on
+ */
+const SQLITE_SCHEMA = `
+  CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  CREATE TABLE states (
+    id INTEGER PRIMARY KEY, position INTEGER NOT NULL, name TEXT NOT NULL UNIQUE,
+    total_crops INTEGER, total_demand REAL, data TEXT NOT NULL
+  );
+  CREATE TABLE categories (
+    id INTEGER PRIMARY KEY, state_id INTEGER NOT NULL REFERENCES states(id), position INTEGER NOT NULL,
+    name TEXT NOT NULL, crop_count INTEGER, data TEXT NOT NULL
+  );
+  CREATE TABLE crops (
+    id INTEGER PRIMARY KEY, category_id INTEGER NOT NULL REFERENCES categories(id), position INTEGER NOT NULL,
+    crop_id TEXT NOT NULL, crop_name TEXT NOT NULL, scientific_name TEXT, demand_quantity REAL, data TEXT NOT NULL
+  );
+  CREATE TABLE regions (
+    id INTEGER PRIMARY KEY, crop_row_id INTEGER NOT NULL REFERENCES crops(id), position INTEGER NOT NULL,
+    state TEXT, district TEXT, suitability TEXT, demand_quantity REAL, data TEXT NOT NULL
+  );
+  CREATE TABLE series (
+    id INTEGER PRIMARY KEY, position INTEGER NOT NULL, crop_id TEXT NOT NULL, crop_name TEXT NOT NULL,
+    category TEXT NOT NULL, state TEXT NOT NULL, district TEXT NOT NULL
+  );
+  CREATE TABLE series_points (
+    series_id INTEGER NOT NULL REFERENCES series(id), granularity TEXT NOT NULL, period TEXT NOT NULL,
+    quantity REAL NOT NULL, PRIMARY KEY (series_id, granularity, period)
+  );
+  CREATE TABLE series_prices (
+    series_id INTEGER NOT NULL REFERENCES series(id), day TEXT NOT NULL, data TEXT NOT NULL,
+    PRIMARY KEY (series_id, day)
+  );
+  CREATE TABLE anomalies (
+    id INTEGER PRIMARY KEY, position INTEGER NOT NULL, type TEXT NOT NULL, crop_id TEXT, crop_name TEXT,
+    state TEXT, district TEXT, market TEXT, period TEXT, robust_z REAL, excluded INTEGER, data TEXT NOT NULL
+  );
+  CREATE INDEX crops_crop_id ON crops (crop_id);
+  CREATE INDEX regions_district ON regions (state, district);
+  CREATE INDEX series_crop ON series (crop_id);
+  CREATE INDEX series_district ON series (state, district);
+  CREATE INDEX anomalies_crop ON anomalies (crop_id);
+`;
+
+/**
+ * Short content hash used as the dataset version
+ * @param {string|Buffer} content - File contents
+ * @returns {string} First 16 hex characters of the SHA-256 digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Write a file next to its destination and rename it into place,
+ * so readers (and the server's file watcher) never see a half-written file
+ * @param {string} filePath - Destination path
+ * @param {string|Buffer} content - File contents
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Lookups the routes run against a dataset, answered from the parsed dataset in memory
+ * Used by the JSON backend and for datasets derived in memory (e.g. with anomalies left out);
+ * the SQLite backend answers the same calls with SQL (see createSqliteQueries)
+ * @param {Array} demandData - demand.json
+ * @param {Object|null} timeSeriesData - demand-timeseries.json
+ * @returns {Object} Dataset queries
+ */
+function createMemoryQueries(demandData, timeSeriesData) {
+  const states = new Map(); // lowercased state name -> state
+  const crops = new Map(); // cropId -> [{ state, category, crop }]
+  const districts = new Map(); // "state|district" -> [{ crop, category, order, regions }]
+  const series = { crop: new Map(), district: new Map(), state: new Map() }; // lowercased name -> series
+  const addTo = (map, key, value) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+  };
+
+  let order = 0;
+  demandData.forEach(stateData => {
+    if (!states.has(stateData.state.toLowerCase())) states.set(stateData.state.toLowerCase(), stateData);
+
+    stateData.categories.forEach(category => {
+      category.crops.forEach(crop => {
+        order++;
+        addTo(crops, crop.cropId, { state: stateData.state, category: category.name, crop: crop });
+
+        const { regionalSuitability, ...details } = crop;
+        const cropDistricts = new Map();
+        regionalSuitability.forEach(region => {
+          const key = `${region.state}|${region.district}`;
+          if (!cropDistricts.has(key)) {
+            const entry = { crop: details, category: category.name, order: order, regions: [] };
+            cropDistricts.set(key, entry);
+            addTo(districts, key, entry);
+          }
+          cropDistricts.get(key).regions.push(region);
+        });
+      });
+    });
+  });
+
+  (timeSeriesData ? timeSeriesData.series : []).forEach(entry => {
+    addTo(series.crop, entry.cropName.toLowerCase(), entry);
+    addTo(series.district, entry.district.toLowerCase(), entry);
+    addTo(series.state, entry.state.toLowerCase(), entry);
+  });
+
+  return {
+    /**
+     * Find a state by name (case-insensitive)
+     * @param {string} name - State name
+     * @returns {Promise<Object|null>} State as in demand.json
+     */
+    async getState(name) {
+      return states.get(name.toLowerCase()) || null;
+    },
+
+    /**
+     * Every state's entry for a crop, in dataset order
+     * @param {string} cropId - Crop ID
+     * @returns {Promise<Array<{state: string, category: string, crop: Object}>>} Entries
+     */
+    async getCropEntries(cropId) {
+      return crops.get(cropId) || [];
+    },
+
+    /**
+     * Crops grown in a district, in dataset order
+     * `crop` has no regionalSuitability; `regions` are the district's regional entries
+     * @param {string} state - State name as in the regional entries
+     * @param {string} district - District name as in the regional entries
+     * @returns {Promise<Array<{crop: Object, category: string, order: number, regions: Array}>>} Entries
+     */
+    async getDistrictCrops(state, district) {
+      return districts.get(`${state}|${district}`) || [];
+    },
+
+    /**
+     * Time series matching every given filter (case-insensitive), in dataset order
+     * @param {Object} [filters] - { crop, district, state }
+     * @returns {Promise<Array<Object>>} Series as in demand-timeseries.json
+     */
+    async getSeries(filters = {}) {
+      const crop = filters.crop ? filters.crop.toLowerCase() : null;
+      const district = filters.district ? filters.district.toLowerCase() : null;
+      const state = filters.state ? filters.state.toLowerCase() : null;
+
+      // Start from the smallest index that applies, then apply the remaining filters
+      const candidates = crop ? series.crop.get(crop)
+        : district ? series.district.get(district)
+        : state ? series.state.get(state)
+        : timeSeriesData ? timeSeriesData.series : [];
+
+      return (candidates || []).filter(entry =>
+        (!crop || entry.cropName.toLowerCase() === crop) &&
+        (!district || entry.district.toLowerCase() === district) &&
+        (!state || entry.state.toLowerCase() === state)
+      );
+    },
+
+    /**
+     * Release the dataset (nothing to do in memory)
+     */
+    close() {}
+  };
+}
+
+/**
+ * Storage adapter for the JSON files (demand.json, demand-timeseries.json, anomalies.json)
+ * @param {string} [directory] - Folder holding the files (defaults to the project folder)
+ * @returns {Object} Storage adapter
+ */
+function createJsonStorage(directory) {
+  const demandFile = directory ? path.join(directory, path.basename(DEMAND_FILE)) : DEMAND_FILE;
+  const timeSeriesFile = directory ? path.join(directory, path.basename(TIMESERIES_FILE)) : TIMESERIES_FILE;
+  const anomaliesFile = directory ? path.join(directory, path.basename(ANOMALIES_FILE)) : ANOMALIES_FILE;
+
+  return {
+    backend: 'json',
+    location: demandFile,
+    files: [demandFile, timeSeriesFile, anomaliesFile],
+
+    /**
+     * Write a dataset as the three JSON files
+     * @param {Object} dataset - { demandData, timeSeriesData, anomalyReport }
+     * @returns {Promise<Array<string>>} Written file paths
+     */
+    async write(dataset) {
+      // demand.json last: the server reloads when it changes
+      writeFileAtomic(timeSeriesFile, JSON.stringify(dataset.timeSeriesData, null, 2));
+      writeFileAtomic(anomaliesFile, JSON.stringify(dataset.anomalyReport, null, 2));
+      writeFileAtomic(demandFile, JSON.stringify(dataset.demandData, null, 2));
+      return [demandFile, timeSeriesFile, anomaliesFile];
+    },
+
+    /**
+     * Read the dataset; time series and anomalies are optional
+     * @returns {Promise<Object>} { demandData, timeSeriesData, anomalyReport, queries, version, file, modifiedAt }
+     * @throws {Error} If demand.json is missing or a file is not valid JSON
+     */
+    async read() {
+      if (!fs.existsSync(demandFile)) {
+        throw new Error('demand.json not found. Please run preprocess.js first.');
+      }
+
+      const [content, stats] = await Promise.all([
+        fs.promises.readFile(demandFile, 'utf8'),
+        fs.promises.stat(demandFile)
+      ]);
+      const readOptional = async (filePath) => fs.existsSync(filePath)
+        ? JSON.parse(await fs.promises.readFile(filePath, 'utf8'))
+        : null;
+
+      const demandData = JSON.parse(content);
+      const timeSeriesData = await readOptional(timeSeriesFile);
+
+      return {
+        demandData: demandData,
+        timeSeriesData: timeSeriesData,
+        anomalyReport: await readOptional(anomaliesFile),
+        queries: createMemoryQueries(demandData, timeSeriesData),
+        version: hashContent(content),
+        file: path.basename(demandFile),
+        modifiedAt: stats.mtime.toISOString()
+      };
+    }
+  };
+}
+
+/**
+ * Load the sql.js (SQLite compiled to WebAssembly) engine once
+ * Required lazily so the JSON backend works without it
+ */
+let sqlEngine = null;
+function getSqlEngine() {
+  if (!sqlEngine) {
+    const initSqlJs = require('sql.js');
+    sqlEngine = initSqlJs();
+  }
+  return sqlEngine;
+}
+
+/**
+ * Run a query and return every row as an object
+ * @param {Object} db - sql.js database
+ * @param {string} sql - SELECT statement
+ * @param {Array} [params] - Bound parameters
+ * @returns {Array<Object>} Rows
+ */
+function selectAll(db, sql, params = []) {
+  const statement = db.prepare(sql);
+  const rows = [];
+  try {
+    statement.bind(params);
+    while (statement.step()) rows.push(statement.getAsObject());
+  } finally {
+    statement.free();
+  }
+  return rows;
+}
+
+/**
+ * Rebuild a crop as it appears in demand.json from its row and regions
+ * @param {string} data - crops.data
+ * @param {Array<Object>} regions - Its regional entries
+ * @returns {Object} Crop
+ */
+function toCrop(data, regions) {
+  const { prices, ...crop } = JSON.parse(data);
+  // regionalSuitability sits before prices in demand.json
+  return { ...crop, regionalSuitability: regions, ...(prices !== undefined ? { prices } : {}) };
+}
+
+/**
+ * Read states with their categories, crops and regions
+ * @param {Object} db - sql.js database
+ * @param {string} [where] - WHERE clause on the states table (all states if omitted)
+ * @param {Array} [params] - Parameters of the WHERE clause
+ * @returns {Array<Object>} States as in demand.json, in dataset order
+ */
+function selectStates(db, where = '', params = []) {
+  const stateIds = `SELECT id FROM states ${where}`;
+
+  // Parent rows first, then attach children in position order
+  const states = new Map();
+  selectAll(db, `SELECT id, data FROM states ${where} ORDER BY position`, params).forEach(row => {
+    const { summary, ...state } = JSON.parse(row.data);
+    states.set(row.id, { ...state, categories: [], summary });
+  });
+  const categories = new Map();
+  selectAll(db, `SELECT id, state_id, data FROM categories WHERE state_id IN (${stateIds}) ORDER BY state_id, position`, params).forEach(row => {
+    const category = { ...JSON.parse(row.data), crops: [] };
+    categories.set(row.id, category);
+    states.get(row.state_id).categories.push(category);
+  });
+  const regions = new Map();
+  selectAll(db, `SELECT regions.crop_row_id, regions.data FROM regions
+    JOIN crops ON crops.id = regions.crop_row_id JOIN categories ON categories.id = crops.category_id
+    WHERE categories.state_id IN (${stateIds}) ORDER BY regions.crop_row_id, regions.position`, params).forEach(row => {
+    if (!regions.has(row.crop_row_id)) regions.set(row.crop_row_id, []);
+    regions.get(row.crop_row_id).push(JSON.parse(row.data));
+  });
+  selectAll(db, `SELECT crops.id, crops.category_id, crops.data FROM crops JOIN categories ON categories.id = crops.category_id
+    WHERE categories.state_id IN (${stateIds}) ORDER BY crops.category_id, crops.position`, params).forEach(row => {
+    categories.get(row.category_id).crops.push(toCrop(row.data, regions.get(row.id) || []));
+  });
+
+  return Array.from(states.values());
+}
+
+/**
+ * Read time series with their points and prices
+ * @param {Object} db - sql.js database
+ * @param {string} [where] - WHERE clause on the series table (all series if omitted)
+ * @param {Array} [params] - Parameters of the WHERE clause
+ * @returns {Array<Object>} Series as in demand-timeseries.json, in dataset order
+ */
+function selectSeries(db, where = '', params = []) {
+  const seriesIds = `SELECT id FROM series ${where}`;
+
+  const series = new Map();
+  selectAll(db, `SELECT id, crop_id, crop_name, category, state, district FROM series ${where} ORDER BY position`, params).forEach(row => {
+    series.set(row.id, {
+      cropId: row.crop_id,
+      cropName: row.crop_name,
+      category: row.category,
+      state: row.state,
+      district: row.district,
+      day: {},
+      week: {},
+      month: {},
+      prices: {}
+    });
+  });
+  selectAll(db, `SELECT series_id, granularity, period, quantity FROM series_points
+    WHERE series_id IN (${seriesIds}) ORDER BY series_id, granularity, period`, params).forEach(row => {
+    series.get(row.series_id)[row.granularity][row.period] = row.quantity;
+  });
+  selectAll(db, `SELECT series_id, day, data FROM series_prices
+    WHERE series_id IN (${seriesIds}) ORDER BY series_id, day`, params).forEach(row => {
+    series.get(row.series_id).prices[row.day] = JSON.parse(row.data);
+  });
+
+  return Array.from(series.values());
+}
+
+/**
+ * Same lookups as createMemoryQueries, answered with SQL against an open database
+ * Names are compared with lower(), so only ASCII letters match case-insensitively
+ * @param {Object} db - sql.js database (closed by close())
+ * @returns {Object} Dataset queries
+ */
+function createSqliteQueries(db) {
+  return {
+    async getState(name) {
+      return selectStates(db, 'WHERE lower(name) = lower(?)', [name])[0] || null;
+    },
+
+    async getCropEntries(cropId) {
+      const regions = new Map();
+      selectAll(db, `SELECT crop_row_id, data FROM regions
+        WHERE crop_row_id IN (SELECT id FROM crops WHERE crop_id = ?) ORDER BY crop_row_id, position`, [cropId]).forEach(row => {
+        if (!regions.has(row.crop_row_id)) regions.set(row.crop_row_id, []);
+        regions.get(row.crop_row_id).push(JSON.parse(row.data));
+      });
+
+      return selectAll(db, `SELECT crops.id, crops.data, categories.name AS category, states.name AS state FROM crops
+        JOIN categories ON categories.id = crops.category_id JOIN states ON states.id = categories.state_id
+        WHERE crops.crop_id = ? ORDER BY crops.id`, [cropId])
+        .map(row => ({ state: row.state, category: row.category, crop: toCrop(row.data, regions.get(row.id) || []) }));
+    },
+
+    async getDistrictCrops(state, district) {
+      const regions = new Map();
+      selectAll(db, 'SELECT crop_row_id, data FROM regions WHERE state = ? AND district = ? ORDER BY crop_row_id, position',
+        [state, district]).forEach(row => {
+        if (!regions.has(row.crop_row_id)) regions.set(row.crop_row_id, []);
+        regions.get(row.crop_row_id).push(JSON.parse(row.data));
+      });
+
+      // Row IDs follow dataset order, so they double as the crop's position in the dataset
+      return selectAll(db, `SELECT crops.id, crops.data, categories.name AS category FROM crops
+        JOIN categories ON categories.id = crops.category_id
+        WHERE crops.id IN (SELECT crop_row_id FROM regions WHERE state = ? AND district = ?) ORDER BY crops.id`, [state, district])
+        .map(row => ({ crop: JSON.parse(row.data), category: row.category, order: row.id, regions: regions.get(row.id) }));
+    },
+
+    async getSeries(filters = {}) {
+      const conditions = [];
+      const params = [];
+      [['crop_name', filters.crop], ['district', filters.district], ['state', filters.state]].forEach(([column, value]) => {
+        if (!value) return;
+        conditions.push(`lower(${column}) = lower(?)`);
+        params.push(value);
+      });
+      return selectSeries(db, conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Storage adapter for an embedded SQLite database file (demand.sqlite)
+ * Uses sql.js, so no native build or database server is needed; the whole
+ * database is read into memory and written back as one file
+ * @param {string} [filePath] - Database file (defaults to SQLITE_FILE)
+ * @returns {Object} Storage adapter
+ */
+function createSqliteStorage(filePath = SQLITE_FILE) {
+  return {
+    backend: 'sqlite',
+    location: filePath,
+    files: [filePath],
+
+    /**
+     * Write a dataset into a new database file, replacing the old one
+     * @param {Object} dataset - { demandData, timeSeriesData, anomalyReport }
+     * @returns {Promise<Array<string>>} Written file paths
+     */
+    async write(dataset) {
+      const SQL = await getSqlEngine();
+      const db = new SQL.Database();
+
+      try {
+        db.run(SQLITE_SCHEMA);
+        db.run('BEGIN');
+
+        const insertMeta = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)');
+        insertMeta.run(['schemaVersion', JSON.stringify(SQLITE_SCHEMA_VERSION)]);
+        if (dataset.timeSeriesData) {
+          const { series, ...timeSeriesMeta } = dataset.timeSeriesData;
+          insertMeta.run(['timeSeries', JSON.stringify(timeSeriesMeta)]);
+        }
+        if (dataset.anomalyReport) {
+          const { anomalies, ...anomalyMeta } = dataset.anomalyReport;
+          insertMeta.run(['anomalies', JSON.stringify(anomalyMeta)]);
+        }
+        insertMeta.free();
+
+        const insertState = db.prepare('INSERT INTO states (position, name, total_crops, total_demand, data) VALUES (?, ?, ?, ?, ?)');
+        const insertCategory = db.prepare('INSERT INTO categories (state_id, position, name, crop_count, data) VALUES (?, ?, ?, ?, ?)');
+        const insertCrop = db.prepare('INSERT INTO crops (category_id, position, crop_id, crop_name, scientific_name, demand_quantity, data) VALUES (?, ?, ?, ?, ?, ?, ?)');
+        const insertRegion = db.prepare('INSERT INTO regions (crop_row_id, position, state, district, suitability, demand_quantity, data) VALUES (?, ?, ?, ?, ?, ?, ?)');
+        const lastId = () => db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+
+        dataset.demandData.forEach((stateData, statePosition) => {
+          const { categories, ...stateRow } = stateData;
+          insertState.run([statePosition, stateData.state, stateData.summary.totalCrops, stateData.summary.totalDemand, JSON.stringify(stateRow)]);
+          const stateId = lastId();
+
+          categories.forEach((category, categoryPosition) => {
+            const { crops, ...categoryRow } = category;
+            insertCategory.run([stateId, categoryPosition, category.name, category.count, JSON.stringify(categoryRow)]);
+            const categoryId = lastId();
+
+            crops.forEach((crop, cropPosition) => {
+              const { regionalSuitability, ...cropRow } = crop;
+              insertCrop.run([categoryId, cropPosition, crop.cropId, crop.cropName, crop.scientificName || null,
+                crop.demandQuantity, JSON.stringify(cropRow)]);
+              const cropRowId = lastId();
+
+              regionalSuitability.forEach((region, regionPosition) => {
+                insertRegion.run([cropRowId, regionPosition, region.state, region.district, region.suitability,
+                  region.demandQuantity, JSON.stringify(region)]);
+              });
+            });
+          });
+        });
+        [insertState, insertCategory, insertCrop, insertRegion].forEach(statement => statement.free());
+
+        if (dataset.timeSeriesData) {
+          const insertSeries = db.prepare('INSERT INTO series (position, crop_id, crop_name, category, state, district) VALUES (?, ?, ?, ?, ?, ?)');
+          const insertPoint = db.prepare('INSERT INTO series_points (series_id, granularity, period, quantity) VALUES (?, ?, ?, ?)');
+          const insertPrice = db.prepare('INSERT INTO series_prices (series_id, day, data) VALUES (?, ?, ?)');
+
+          dataset.timeSeriesData.series.forEach((entry, position) => {
+            insertSeries.run([position, entry.cropId, entry.cropName, entry.category, entry.state, entry.district]);
+            const seriesId = lastId();
+
+            ['day', 'week', 'month'].forEach(granularity => {
+              Object.entries(entry[granularity] || {}).forEach(([period, quantity]) => {
+                insertPoint.run([seriesId, granularity, period, quantity]);
+              });
+            });
+            Object.entries(entry.prices || {}).forEach(([day, stats]) => {
+              insertPrice.run([seriesId, day, JSON.stringify(stats)]);
+            });
+          });
+          [insertSeries, insertPoint, insertPrice].forEach(statement => statement.free());
+        }
+
+        if (dataset.anomalyReport) {
+          const insertAnomaly = db.prepare('INSERT INTO anomalies (position, type, crop_id, crop_name, state, district, market, period, robust_z, excluded, data) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+          dataset.anomalyReport.anomalies.forEach((anomaly, position) => {
+            insertAnomaly.run([position, anomaly.type, anomaly.cropId, anomaly.cropName, anomaly.state, anomaly.district,
+              anomaly.market, anomaly.date || anomaly.week || null, anomaly.robustZ, anomaly.excluded ? 1 : 0, JSON.stringify(anomaly)]);
+          });
+          insertAnomaly.free();
+        }
+
+        db.run('COMMIT');
+        writeFileAtomic(filePath, Buffer.from(db.export()));
+      } finally {
+        db.close();
+      }
+
+      return [filePath];
+    },
+
+    /**
+     * Read the dataset back into the same shape as the JSON files
+     * The database stays open for the returned queries until queries.close()
+     * @returns {Promise<Object>} { demandData, timeSeriesData, anomalyReport, queries, version, file, modifiedAt }
+     * @throws {Error} If the database file is missing or from another schema version
+     */
+    async read() {
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`${path.basename(filePath)} not found. Please run preprocess.js --storage=sqlite first.`);
+      }
+
+      const [content, stats] = await Promise.all([
+        fs.promises.readFile(filePath),
+        fs.promises.stat(filePath)
+      ]);
+      const SQL = await getSqlEngine();
+      const db = new SQL.Database(content);
+
+      try {
+        const meta = new Map(selectAll(db, 'SELECT key, value FROM meta').map(row => [row.key, JSON.parse(row.value)]));
+        if (meta.get('schemaVersion') !== SQLITE_SCHEMA_VERSION) {
+          throw new Error(`${path.basename(filePath)} has schema version ${meta.get('schemaVersion')}, expected ${SQLITE_SCHEMA_VERSION}. Please re-run preprocess.js.`);
+        }
+
+        const timeSeriesData = meta.has('timeSeries')
+          ? { ...meta.get('timeSeries'), series: selectSeries(db) }
+          : null;
+
+        let anomalyReport = null;
+        if (meta.has('anomalies')) {
+          anomalyReport = {
+            ...meta.get('anomalies'),
+            anomalies: selectAll(db, 'SELECT data FROM anomalies ORDER BY position').map(row => JSON.parse(row.data))
+          };
+        }
+
+        return {
+          demandData: selectStates(db),
+          timeSeriesData: timeSeriesData,
+          anomalyReport: anomalyReport,
+          queries: createSqliteQueries(db),
+          version: hashContent(content),
+          file: path.basename(filePath),
+          modifiedAt: stats.mtime.toISOString()
+        };
+      } catch (error) {
+        db.close();
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Create the storage adapter for a backend
+ *
+ * Adapters share one interface:
+ * - backend: backend name
+ * - location: main file of the backend
+ * - files: files to watch for changes
+ * - write(dataset): store { demandData, timeSeriesData, anomalyReport }
+ * - read(): load them back, with version (content hash), file and modifiedAt, and
+ *   queries: getState, getCropEntries, getDistrictCrops and getSeries lookups
+ *   (see createMemoryQueries) plus close() once the dataset is no longer served
+ *
+ * @param {string} [backend] - json or sqlite (default: STORAGE_BACKEND environment variable, then json)
+ * @param {string} [directory] - Keep the files in this folder instead of their default location (used for snapshots)
+ * @returns {Object} Storage adapter
+ * @throws {Error} If the backend is unknown
+ */
+function createStorage(backend = process.env.STORAGE_BACKEND || 'json', directory = null) {
+  if (backend === 'json') return createJsonStorage(directory);
+  if (backend === 'sqlite') return createSqliteStorage(directory ? path.join(directory, path.basename(SQLITE_FILE)) : SQLITE_FILE);
+  throw new Error(`Unknown storage backend "${backend}". Use one of: ${STORAGE_BACKENDS.join(', ')}`);
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  DEMAND_FILE,
+  TIMESERIES_FILE,
+  ANOMALIES_FILE,
+  SQLITE_FILE,
+  hashContent,
+  writeFileAtomic,
+  createMemoryQueries,
+  createStorage
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TAXONOMY_FILE = path.join(__dirname, 'taxonomy.json');
+
+/**
+ * Normalize a category, group or crop name for comparison
+ * @param {string} value - Name to normalize
+ * @returns {string} Lowercased name with collapsed whitespace
+ */
+function normalizeName(value) {
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Load and validate the category taxonomy
+ *
+ * taxonomy.json lists the canonical categories in output order. Each category can have:
+ * - aliases: CSV Group values that map to it
+ * - groupContains: substrings that map any Group containing them (e.g. "Live Stock,Poultry,Fisheries")
+ * - subcategories: subcategory name -> crop names
+ * cropOverrides maps a crop name (from the CSV filename) to a category regardless of its Group.
+ *
+ * @param {string} [filePath] - Taxonomy file (defaults to taxonomy.json next to this module)
+ * @returns {Object} Taxonomy with category list and lookup maps
+ * @throws {Error} If the file is missing or invalid
+ */
+function loadTaxonomy(filePath = TAXONOMY_FILE) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const config = JSON.parse(content);
+
+  if (!config || !Array.isArray(config.categories) || config.categories.length === 0) {
+    throw new Error(`${path.basename(filePath)} must contain a non-empty "categories" array`);
+  }
+
+  const categories = [];
+  const groupIndex = new Map(); // normalized group/alias -> category name
+  const containsRules = []; // [normalized substring, category name]
+  const subcategoryIndex = new Map(); // "category|crop" -> subcategory name
+
+  config.categories.forEach((category, index) => {
+    if (!category || typeof category.name !== 'string' || !category.name.trim()) {
+      throw new Error(`Category at index ${index} in ${path.basename(filePath)} is missing "name"`);
+    }
+
+    const name = category.name.trim();
+    if (categories.some(existing => existing.name === name)) {
+      throw new Error(`Duplicate category "${name}" in ${path.basename(filePath)}`);
+    }
+
+    categories.push({
+      id: name.toLowerCase().replace(/\s+/g, '_'),
+      name: name,
+      aliases: category.aliases || [],
+      subcategories: Object.keys(category.subcategories || {})
+    });
+
+    [name, ...(category.aliases || [])].forEach(group => groupIndex.set(normalizeName(group), name));
+    (category.groupContains || []).forEach(fragment => containsRules.push([normalizeName(fragment), name]));
+    Object.entries(category.subcategories || {}).forEach(([subcategory, crops]) => {
+      crops.forEach(crop => subcategoryIndex.set(`${name}|${normalizeName(crop)}`, subcategory));
+    });
+  });
+
+  const categoryNames = categories.map(category => category.name);
+  const cropOverrides = new Map();
+  Object.entries(config.cropOverrides || {}).forEach(([crop, category]) => {
+    if (!categoryNames.includes(category)) {
+      throw new Error(`cropOverrides["${crop}"] refers to unknown category "${category}"`);
+    }
+    cropOverrides.set(normalizeName(crop), category);
+  });
+
+  return {
+    version: crypto.createHash('sha256').update(content).digest('hex').slice(0, 16),
+    categories: categories,
+    categoryNames: categoryNames,
+    groupIndex: groupIndex,
+    containsRules: containsRules,
+    subcategoryIndex: subcategoryIndex,
+    cropOverrides: cropOverrides
+  };
+}
+
+/**
+ * Map a CSV Group value (and crop name) to a canonical category
+ * Order: per-crop override, exact name/alias match, then groupContains rules
+ * @param {Object} taxonomy - Loaded taxonomy
+ * @param {string} csvGroup - The Group value from CSV
+ * @param {string} cropName - The crop name (from filename)
+ * @returns {string|null} Category name or null if no mapping
+ */
+function mapCategory(taxonomy, csvGroup, cropName) {
+  const override = taxonomy.cropOverrides.get(normalizeName(cropName));
+  if (override) return override;
+
+  const group = normalizeName(csvGroup);
+  if (!group) return null;
+
+  if (taxonomy.groupIndex.has(group)) {
+    return taxonomy.groupIndex.get(group);
+  }
+
+  const rule = taxonomy.containsRules.find(([fragment]) => group.includes(fragment));
+  return rule ? rule[1] : null;
+}
+
+/**
+ * Get the configured subcategory of a crop, if any
+ * @param {Object} taxonomy - Loaded taxonomy
+ * @param {string} category - Canonical category name
+ * @param {string} cropName - Crop name
+ * @returns {string|null} Subcategory name or null
+ */
+function getSubcategory(taxonomy, category, cropName) {
+  return taxonomy.subcategoryIndex.get(`${category}|${normalizeName(cropName)}`) || null;
+}
+
+module.exports = {
+  TAXONOMY_FILE,
+  loadTaxonomy,
+  mapCategory,
+  getSubcategory
+};
@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hashApiKey, loadAccessConfig, getApiKeyFromRequest, createUsageTracker } = require('../access');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('API access', () => {
+  let directory;
+
+  const writeConfig = (name, config) => {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    return filePath;
+  };
+  const key = (id, extra = {}) => ({ id, keyHash: hashApiKey(`${id}-key`), ...extra });
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'access-test-'));
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('hashes keys with SHA-256', () => {
+    assert.strictEqual(hashApiKey('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  it('reads the key from X-API-Key or a bearer token', () => {
+    const request = (headers) => ({ get: (name) => headers[name.toLowerCase()] });
+    assert.strictEqual(getApiKeyFromRequest(request({ 'x-api-key': ' abc ' })), 'abc');
+    assert.strictEqual(getApiKeyFromRequest(request({ authorization: 'Bearer abc' })), 'abc');
+    assert.strictEqual(getApiKeyFromRequest(request({ authorization: 'Basic abc' })), null);
+    assert.strictEqual(getApiKeyFromRequest(request({})), null);
+  });
+
+  it('indexes keys by hash with default and per-key limits', () => {
+    const config = loadAccessConfig(writeConfig('api-access.json', {
+      cors: { allowedOrigins: ['https://example.org'] },
+      defaults: { rateLimit: { requests: 5, windowSeconds: 1 } },
+      keys: [key('app'), key('ops', { role: 'admin', quota: null, disabled: true })]
+    }));
+
+    assert.deepStrictEqual(config.allowedOrigins, ['https://example.org']);
+    assert.deepStrictEqual(config.keys.get(hashApiKey('app-key')), {
+      id: 'app',
+      name: 'app',
+      role: 'client',
+      disabled: false,
+      rateLimit: { requests: 5, windowSeconds: 1 },
+      quota: { requests: 10000, period: 'day' }
+    });
+    const ops = config.keys.get(hashApiKey('ops-key'));
+    assert.deepStrictEqual([ops.role, ops.disabled, ops.quota], ['admin', true, null]);
+  });
+
+  it('returns null without a file and rejects invalid ones', () => {
+    assert.strictEqual(loadAccessConfig(path.join(directory, 'missing.json')), null);
+
+    const invalid = [
+      [{}, /must contain a "keys" array/],
+      [{ keys: [{ id: 'app', keyHash: 'plain-text-key' }] }, /needs "keyHash"/],
+      [{ keys: [key('app'), key('app')] }, /Duplicate key id "app"/],
+      [{ keys: [key('app', { role: 'owner' })] }, /role must be one of: client, admin/],
+      [{ keys: [key('app', { rateLimit: { requests: 0, windowSeconds: 60 } })] }, /rateLimit needs positive integer/],
+      [{ keys: [key('app', { quota: { requests: 10, period: 'week' } })] }, /quota needs a positive integer/],
+      [{ cors: { allowedOrigins: 'https://example.org' }, keys: [] }, /cors.allowedOrigins must be an array/]
+    ];
+    invalid.forEach(([config, message], index) => {
+      assert.throws(() => loadAccessConfig(writeConfig(`invalid-${index}.json`, config)), message);
+    });
+  });
+
+  it('refuses requests over the rate limit until the window resets', () => {
+    const tracker = createUsageTracker(path.join(directory, 'rate-usage.json'));
+    const entry = { id: 'app', rateLimit: { requests: 2, windowSeconds: 60 }, quota: null };
+    const start = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+    assert.deepStrictEqual(tracker.consume(entry, start).headers, {
+      'X-RateLimit-Limit': 2,
+      'X-RateLimit-Remaining': 1,
+      'X-RateLimit-Reset': 60
+    });
+    assert.strictEqual(tracker.consume(entry, start + 1000).allowed, true);
+
+    const refused = tracker.consume(entry, start + 20000);
+    assert.deepStrictEqual([refused.allowed, refused.reason, refused.retryAfter], [false, 'rateLimit', 40]);
+    assert.strictEqual(tracker.consume(entry, start + 60000).allowed, true);
+  });
+
+  it('keeps quota counts across restarts and resets them each UTC day', () => {
+    const usageFile = path.join(directory, 'quota-usage.json');
+    const entry = { id: 'app', rateLimit: null, quota: { requests: 2, period: 'day' } };
+    const noon = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+    const tracker = createUsageTracker(usageFile);
+    assert.strictEqual(tracker.consume(entry, noon).allowed, true);
+    tracker.flush();
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(usageFile, 'utf8')), { app: { period: '2024-01-01', count: 1 } });
+
+    const restarted = createUsageTracker(usageFile);
+    assert.strictEqual(restarted.consume(entry, noon).headers['X-Quota-Remaining'], 0);
+    const refused = restarted.consume(entry, noon);
+    assert.deepStrictEqual([refused.allowed, refused.reason, refused.retryAfter], [false, 'quota', 12 * 60 * 60]);
+    assert.strictEqual(refused.headers['X-Quota-Reset'], '2024-01-02T00:00:00.000Z');
+
+    assert.strictEqual(restarted.consume(entry, noon + DAY_MS).allowed, true);
+    restarted.flush();
+  });
+
+  it('keeps the server from starting without api-access.json', () => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      env: { ...process.env, API_ACCESS_FILE: path.join(directory, 'missing.json'), ALLOW_ANONYMOUS: '', PORT: '0' },
+      encoding: 'utf8',
+      timeout: 30000
+    });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /missing\.json not found/);
+  });
+
+  it('keeps the server from starting with a broken api-access.json', () => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      env: { ...process.env, API_ACCESS_FILE: writeConfig('broken.json', { keys: {} }), PORT: '0' },
+      encoding: 'utf8',
+      timeout: 30000
+    });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Invalid broken\.json/);
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ANOMALY_TYPES, parseAnomalyTypes, removeAnomalies } = require('../anomalies');
+
+const onion = {
+  cropId: 'onion',
+  cropName: 'Onion',
+  demandQuantity: 390,
+  regionalSuitability: [
+    { geography: 'India', state: 'Goa', district: 'North Goa', suitability: 'High', demandQuantity: 340 },
+    { geography: 'India', state: 'Goa', district: 'South Goa', suitability: 'Low', demandQuantity: 50 }
+  ]
+};
+
+const dataset = {
+  demandData: [
+    {
+      state: 'Goa',
+      categories: [{ name: 'Vegetables', count: 1, crops: [onion] }],
+      summary: { totalCategories: 1, totalCrops: 1, totalDemand: 390, unit: 'tons per week' }
+    },
+    {
+      state: 'Kerala',
+      categories: [{ name: 'Vegetables', count: 1, crops: [{ ...onion, regionalSuitability: [] }] }],
+      summary: { totalCategories: 1, totalCrops: 1, totalDemand: 0, unit: 'tons per week' }
+    }
+  ],
+  timeSeriesData: {
+    series: [{
+      cropId: 'onion',
+      cropName: 'Onion',
+      state: 'Goa',
+      district: 'North Goa',
+      day: { '2024-01-16': 50, '2024-01-17': 210, '2024-03-04': 40, '2024-03-05': 40 },
+      week: { '2024-01-15': 260, '2024-03-04': 80 },
+      month: { '2024-01-01': 260, '2024-03-01': 80 }
+    }]
+  },
+  anomalyReport: {
+    anomalies: [
+      { type: 'outlier', cropId: 'onion', state: 'Goa', district: 'North Goa', date: '2024-01-17', quantity: 200 },
+      { type: 'spike', cropId: 'onion', state: 'Goa', district: 'North Goa', days: { '2024-03-04': 40, '2024-03-05': 40 } },
+      // Written before anomalies.json listed a spike's daily arrivals
+      { type: 'spike', cropId: 'onion', state: 'Goa', district: 'North Goa', quantity: 99 },
+      // Already left out by preprocess.js --exclude-anomalies
+      { type: 'collapse', cropId: 'onion', state: 'Goa', district: 'North Goa', excluded: true, days: { '2024-01-16': 50 } },
+      { type: 'outlier', cropId: 'onion', state: 'Goa', district: 'South Goa', date: '2024-01-20', quantity: 50 }
+    ]
+  }
+};
+
+describe('parseAnomalyTypes', () => {
+  it('returns the listed types in canonical order', () => {
+    assert.deepStrictEqual(parseAnomalyTypes(' Spike, outlier '), ['outlier', 'spike']);
+    assert.deepStrictEqual(parseAnomalyTypes('all'), ANOMALY_TYPES);
+  });
+
+  it('rejects empty lists and unknown types', () => {
+    assert.throws(() => parseAnomalyTypes(''), /anomaly types must be/);
+    assert.throws(() => parseAnomalyTypes('outlier,dip'), /anomaly types must be/);
+  });
+});
+
+describe('removeAnomalies', () => {
+  it('subtracts outliers from regional, crop and state demand and from the time series', () => {
+    const { demandData, timeSeriesData, removed } = removeAnomalies(dataset, ['outlier']);
+    const goa = demandData[0];
+    const crop = goa.categories[0].crops[0];
+
+    assert.deepStrictEqual(removed, { anomalies: 2, quantity: 250, skipped: 0 });
+    assert.strictEqual(crop.demandQuantity, 140);
+    // Nothing is left in South Goa, so its entry is dropped
+    assert.deepStrictEqual(crop.regionalSuitability.map(region => [region.district, region.demandQuantity]), [['North Goa', 140]]);
+    assert.deepStrictEqual(goa.summary, { totalCategories: 1, totalCrops: 1, totalDemand: 140, unit: 'tons per week' });
+
+    const series = timeSeriesData.series[0];
+    assert.deepStrictEqual(series.day, { '2024-01-16': 50, '2024-01-17': 10, '2024-03-04': 40, '2024-03-05': 40 });
+    assert.deepStrictEqual(series.week, { '2024-01-15': 60, '2024-03-04': 80 });
+    assert.deepStrictEqual(series.month, { '2024-01-01': 60, '2024-03-01': 80 });
+  });
+
+  it('removes every day of a spike and skips spikes without a daily breakdown', () => {
+    const { demandData, timeSeriesData, removed } = removeAnomalies(dataset, ['spike']);
+
+    assert.deepStrictEqual(removed, { anomalies: 1, quantity: 80, skipped: 1 });
+    assert.strictEqual(demandData[0].categories[0].crops[0].regionalSuitability[0].demandQuantity, 260);
+    assert.deepStrictEqual(timeSeriesData.series[0].week, { '2024-01-15': 260 });
+    assert.deepStrictEqual(timeSeriesData.series[0].month, { '2024-01-01': 260 });
+  });
+
+  it('skips anomalies preprocess.js already excluded', () => {
+    const { demandData, removed } = removeAnomalies(dataset, ['collapse']);
+    assert.deepStrictEqual(removed, { anomalies: 0, quantity: 0, skipped: 0 });
+    assert.strictEqual(demandData, dataset.demandData);
+  });
+
+  it('shares unchanged states and leaves the original dataset alone', () => {
+    const { demandData } = removeAnomalies(dataset, ANOMALY_TYPES);
+    assert.strictEqual(demandData[1], dataset.demandData[1]);
+    assert.strictEqual(dataset.demandData[0].summary.totalDemand, 390);
+    assert.strictEqual(onion.regionalSuitability[0].demandQuantity, 340);
+    assert.strictEqual(dataset.timeSeriesData.series[0].day['2024-01-17'], 210);
+  });
+
+  it('rounds adjusted quantities to 2 decimals', () => {
+    const crop = {
+      ...onion,
+      demandQuantity: 4012.96,
+      regionalSuitability: [{ ...onion.regionalSuitability[0], demandQuantity: 4012.96 }]
+    };
+    const noisy = {
+      demandData: [{ ...dataset.demandData[0], categories: [{ name: 'Vegetables', count: 1, crops: [crop] }],
+        summary: { ...dataset.demandData[0].summary, totalDemand: 4012.96 } }],
+      timeSeriesData: {
+        series: [{ ...dataset.timeSeriesData.series[0], day: { '2024-01-17': 326.01 }, week: { '2024-01-15': 326.01 }, month: { '2024-01-01': 326.01 } }]
+      },
+      anomalyReport: {
+        anomalies: [{ type: 'outlier', cropId: 'onion', state: 'Goa', district: 'North Goa', date: '2024-01-17', quantity: 162.99 }]
+      }
+    };
+
+    // 4012.96 - 162.99 is 3849.9700000000003 and 326.01 - 162.99 is 163.01999999999998 in floating point
+    const { demandData, timeSeriesData } = removeAnomalies(noisy, ['outlier']);
+    const [adjusted] = demandData[0].categories[0].crops;
+    assert.strictEqual(adjusted.demandQuantity, 3849.97);
+    assert.strictEqual(adjusted.regionalSuitability[0].demandQuantity, 3849.97);
+    assert.strictEqual(demandData[0].summary.totalDemand, 3849.97);
+    assert.deepStrictEqual(timeSeriesData.series[0].day, { '2024-01-17': 163.02 });
+  });
+
+  it('returns the dataset as it is without an anomalies report', () => {
+    const result = removeAnomalies({ ...dataset, anomalyReport: null }, ANOMALY_TYPES);
+    assert.strictEqual(result.demandData, dataset.demandData);
+    assert.strictEqual(result.timeSeriesData, dataset.timeSeriesData);
+  });
+});
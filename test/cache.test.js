@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { createResponseCache } = require('../cache');
+
+const body = (size, fill = 'a') => Buffer.alloc(size, fill);
+
+describe('response cache', () => {
+  it('returns cached bodies with their headers and counts hits and misses', () => {
+    const cache = createResponseCache(1000);
+    assert.strictEqual(cache.get('/api/crops'), null);
+
+    cache.set('/api/crops', { 'Content-Type': 'application/json' }, body(100));
+    const entry = cache.get('/api/crops');
+    assert.deepStrictEqual(entry.headers, { 'Content-Type': 'application/json' });
+    assert.strictEqual(entry.body.length, 100);
+    assert.deepStrictEqual(cache.stats(), { entries: 1, bytes: 100, maxBytes: 1000, hits: 1, misses: 1 });
+  });
+
+  it('evicts the least recently used entries over the memory budget', () => {
+    const cache = createResponseCache(250);
+    cache.set('a', {}, body(100));
+    cache.set('b', {}, body(100));
+    cache.get('a');
+    cache.set('c', {}, body(100));
+
+    assert.strictEqual(cache.get('b'), null);
+    assert.ok(cache.get('a'));
+    assert.ok(cache.get('c'));
+    assert.strictEqual(cache.stats().bytes, 200);
+  });
+
+  it('replaces an entry with the same key and skips bodies over the budget', () => {
+    const cache = createResponseCache(250);
+    cache.set('a', {}, body(100));
+    cache.set('a', {}, body(50));
+    assert.strictEqual(cache.stats().bytes, 50);
+
+    cache.set('a', {}, body(300));
+    assert.deepStrictEqual([cache.stats().entries, cache.stats().bytes], [0, 0]);
+  });
+
+  it('compresses a body once per encoding and counts the copies against the budget', async () => {
+    const cache = createResponseCache(100000);
+    cache.set('big', {}, body(4096));
+    const entry = cache.get('big');
+
+    const [first, second] = await Promise.all([cache.encode(entry, 'gzip'), cache.encode(entry, 'gzip')]);
+    assert.strictEqual(first, second);
+    assert.deepStrictEqual(zlib.gunzipSync(first), body(4096));
+
+    const brotli = await cache.encode(entry, 'br');
+    assert.deepStrictEqual(zlib.brotliDecompressSync(brotli), body(4096));
+    assert.strictEqual(cache.stats().bytes, 4096 + first.length + brotli.length);
+  });
+
+  it('leaves small bodies and unknown encodings uncompressed', async () => {
+    const cache = createResponseCache();
+    cache.set('small', {}, body(10));
+    cache.set('big', {}, body(4096));
+    assert.strictEqual(await cache.encode(cache.get('small'), 'gzip'), null);
+    assert.strictEqual(await cache.encode(cache.get('big'), 'deflate'), null);
+  });
+
+  it('drops every entry on clear', async () => {
+    const cache = createResponseCache();
+    cache.set('big', {}, body(4096));
+    const entry = cache.get('big');
+    cache.clear();
+
+    // A copy finished after the clear doesn't count towards the new budget
+    await cache.encode(entry, 'gzip');
+    assert.deepStrictEqual([cache.stats().entries, cache.stats().bytes], [0, 0]);
+    assert.strictEqual(cache.get('big'), null);
+  });
+});
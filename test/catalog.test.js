@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadCatalog, matchCrop, getCropMetadata } = require('../catalog');
+
+describe('crop catalog', () => {
+  let directory;
+  let catalog;
+
+  const writeCatalog = (name, config) => {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    return filePath;
+  };
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-test-'));
+    catalog = loadCatalog(writeCatalog('crop-catalog.json', {
+      crops: [
+        { name: 'Onion', localNames: ['Pyaz'], perishability: 'Medium', shelfLifeDays: 30, growingSeason: 'Rabi', harvestMonths: ['Jan'] },
+        { name: 'Bengal Gram', aliases: ['Gram'], localNames: ['Chana'] },
+        { name: 'Bhindi', aliases: ['Ladies Finger'] }
+      ]
+    }));
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('loads the bundled crop-catalog.json', () => {
+    assert.ok(loadCatalog().crops.length > 0);
+  });
+
+  it('matches exact names and aliases or local names', () => {
+    assert.deepStrictEqual(matchCrop(catalog, 'ONION'), { entry: catalog.crops[0], method: 'exact', score: 1 });
+    assert.strictEqual(matchCrop(catalog, 'pyaz').method, 'alias');
+    assert.strictEqual(matchCrop(catalog, 'Chana').entry.name, 'Bengal Gram');
+  });
+
+  it('matches a bracketed part of a filename crop name', () => {
+    const match = matchCrop(catalog, 'Bengal Gram(Gram)(Whole)');
+    assert.strictEqual(match.entry.name, 'Bengal Gram');
+    assert.strictEqual(match.method, 'partial');
+    assert.strictEqual(matchCrop(catalog, 'Okra(Ladies Finger)').entry.name, 'Bhindi');
+  });
+
+  it('matches close misspellings and nothing else', () => {
+    assert.deepStrictEqual(matchCrop(catalog, 'Onions'), { entry: catalog.crops[0], method: 'fuzzy', score: 0.83 });
+    assert.strictEqual(matchCrop(catalog, 'Goat'), null);
+    assert.strictEqual(matchCrop(catalog, ''), null);
+  });
+
+  it('builds crop metadata with defaults for missing fields', () => {
+    assert.deepStrictEqual(getCropMetadata(matchCrop(catalog, 'Onion')), {
+      catalogName: 'Onion',
+      matchMethod: 'exact',
+      localNames: ['Pyaz'],
+      perishability: 'Medium',
+      shelfLifeDays: 30,
+      growingSeason: 'Rabi',
+      harvestMonths: ['Jan']
+    });
+    assert.deepStrictEqual(getCropMetadata(matchCrop(catalog, 'Bhindi')), {
+      catalogName: 'Bhindi',
+      matchMethod: 'exact',
+      localNames: [],
+      perishability: null,
+      shelfLifeDays: null,
+      growingSeason: null,
+      harvestMonths: []
+    });
+  });
+
+  it('rejects duplicate crops', () => {
+    assert.throws(
+      () => loadCatalog(writeCatalog('duplicate.json', { crops: [{ name: 'Onion' }, { name: 'onion' }] })),
+      /Duplicate crop "onion"/
+    );
+  });
+});
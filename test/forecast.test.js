@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { periodStart, addPeriods, toContinuousSeries, forecastSeries } = require('../forecast');
+
+const options = (overrides) => ({ model: 'auto', seasonLength: 7, window: 3, level: 90, ...overrides });
+
+describe('periods', () => {
+  it('finds the day, Monday week and month a date falls into', () => {
+    assert.strictEqual(periodStart('2024-03-10', 'day'), '2024-03-10');
+    assert.strictEqual(periodStart('2024-03-10', 'week'), '2024-03-04');
+    assert.strictEqual(periodStart('2024-03-10', 'month'), '2024-03-01');
+  });
+
+  it('moves by whole periods, backwards too', () => {
+    assert.strictEqual(addPeriods('2024-12-30', 'day', 3), '2025-01-02');
+    assert.strictEqual(addPeriods('2024-03-04', 'week', 2), '2024-03-18');
+    assert.strictEqual(addPeriods('2024-01-01', 'month', -2), '2023-11-01');
+  });
+
+  it('fills missing periods with 0 and extends the series to the dataset end', () => {
+    assert.deepStrictEqual(toContinuousSeries({ '2024-03-01': 5, '2024-01-01': 2 }, 'month', '2024-04-01'), {
+      periods: ['2024-01-01', '2024-02-01', '2024-03-01', '2024-04-01'],
+      values: [2, 0, 5, 0]
+    });
+    assert.deepStrictEqual(toContinuousSeries({}, 'week', '2024-04-01'), { periods: [], values: [] });
+  });
+});
+
+describe('forecastSeries', () => {
+  it('repeats the last season with the seasonal naive model', () => {
+    const values = [];
+    for (let i = 0; i < 21; i++) values.push([5, 1, 1, 1, 1, 1, 10][i % 7]);
+
+    const { chosen } = forecastSeries(values, 7, options({ model: 'seasonal-naive' }));
+    assert.deepStrictEqual(chosen.forecast, [5, 1, 1, 1, 1, 1, 10]);
+    assert.deepStrictEqual(chosen.backtest, { holdout: 4, mae: 0, rmse: 0, mape: 0 });
+  });
+
+  it('picks the model with the lowest backtest error for "auto"', () => {
+    const values = [];
+    for (let i = 0; i < 21; i++) values.push([5, 1, 1, 1, 1, 1, 10][i % 7]);
+
+    const { chosen, results } = forecastSeries(values, 7, options());
+    assert.deepStrictEqual(results.map(result => result.model), ['seasonal-naive', 'moving-average', 'holt-winters']);
+    assert.strictEqual(chosen.model, 'seasonal-naive');
+    assert.ok(results[1].backtest.mae > chosen.backtest.mae);
+  });
+
+  it('forecasts the mean of the last window with the moving average', () => {
+    const { chosen } = forecastSeries([1, 2, 3, 4, 5], 2, options({ model: 'moving-average' }));
+    assert.deepStrictEqual(chosen.forecast, [4, 4]);
+    assert.deepStrictEqual(chosen.parameters, { window: 3 });
+  });
+
+  it('continues a trend with Holt-Winters when there are fewer than two seasons', () => {
+    const { chosen } = forecastSeries([10, 20, 30, 40, 50, 60, 70, 80, 90, 100], 3, options({ model: 'holt-winters' }));
+    assert.deepStrictEqual(chosen.forecast, [110, 120, 130]);
+    assert.strictEqual(chosen.parameters.seasonal, false);
+  });
+
+  it('widens non-negative intervals with each step', () => {
+    const { chosen } = forecastSeries([1, 2, 3, 4, 5], 2, options({ model: 'moving-average' }));
+    chosen.forecast.forEach((value, index) => {
+      assert.ok(chosen.lower[index] >= 0 && chosen.lower[index] <= value && value <= chosen.upper[index]);
+    });
+    assert.ok(chosen.upper[1] - chosen.forecast[1] > chosen.upper[0] - chosen.forecast[0]);
+  });
+
+  it('marks models without enough history as not applicable', () => {
+    const { chosen, results } = forecastSeries([1, 2], 2, options());
+    assert.strictEqual(chosen, null);
+    results.forEach(result => {
+      assert.deepStrictEqual(result, { model: result.model, applicable: false, reason: 'Not enough history for this model' });
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadGazetteer, matchDistrict, getDistrictLocation, distanceKm } = require('../gazetteer');
+
+const square = [[[74.0, 15.0], [74.1, 15.0], [74.1, 15.1], [74.0, 15.1], [74.0, 15.0]]];
+const district = (name, code, extra = {}) => ({
+  name,
+  state: 'Goa',
+  code,
+  centroid: { lat: 15.5, lon: 73.9 },
+  ...extra
+});
+
+describe('district gazetteer', () => {
+  let directory;
+
+  const writeGazetteer = (name, districts) => {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, JSON.stringify({ districts }));
+    return filePath;
+  };
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gazetteer-test-'));
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('loads the bundled gazetteer', () => {
+    const gazetteer = loadGazetteer();
+    assert.ok(gazetteer.districts.length > 0);
+    assert.strictEqual(gazetteer.codeIndex.get('IN-KA-MYS').name, 'Mysuru');
+    assert.match(gazetteer.version, /^[0-9a-f]{16}$/);
+  });
+
+  it('matches names within a state by exact name, then alias', () => {
+    const gazetteer = loadGazetteer();
+    assert.strictEqual(matchDistrict(gazetteer, 'KARNATAKA', ' mysuru ').method, 'exact');
+
+    const alias = matchDistrict(gazetteer, 'Karnataka', 'Mysore');
+    assert.deepStrictEqual([alias.entry.code, alias.method], ['IN-KA-MYS', 'alias']);
+
+    assert.strictEqual(matchDistrict(gazetteer, 'Kerala', 'Mysuru'), null);
+    assert.strictEqual(matchDistrict(gazetteer, 'Karnataka', 'Atlantis'), null);
+  });
+
+  it('ignores diacritics and punctuation and keeps the first entry for a shared alias', () => {
+    const gazetteer = loadGazetteer(writeGazetteer('aliases.json', [
+      district('North Goa', 'IN-GA-NG', { aliases: ['Goa'] }),
+      district('South Goa', 'IN-GA-SG', { aliases: ['Goa', 'Salcete'] })
+    ]));
+
+    assert.strictEqual(matchDistrict(gazetteer, 'Goa', 'north-goa').entry.code, 'IN-GA-NG');
+    assert.strictEqual(matchDistrict(gazetteer, 'Goa', 'Sálcete').entry.code, 'IN-GA-SG');
+    assert.strictEqual(matchDistrict(gazetteer, 'Goa', 'Goa').entry.code, 'IN-GA-NG');
+  });
+
+  it('builds the location attached to suitability entries', () => {
+    const gazetteer = loadGazetteer(writeGazetteer('location.json', [
+      district('North Goa', 'IN-GA-NG', { boundary: { type: 'Polygon', coordinates: square } })
+    ]));
+
+    assert.deepStrictEqual(getDistrictLocation(matchDistrict(gazetteer, 'Goa', 'North Goa')), {
+      districtCode: 'IN-GA-NG',
+      gazetteerName: 'North Goa',
+      matchMethod: 'exact',
+      latitude: 15.5,
+      longitude: 73.9,
+      hasBoundary: true
+    });
+  });
+
+  it('rejects invalid gazetteers', () => {
+    const invalid = [
+      [[], /non-empty "districts" array/],
+      [[{ state: 'Goa', code: 'IN-GA-NG' }], /missing "name" or "state"/],
+      [[district('North Goa', '')], /missing "code"/],
+      [[district('North Goa', 'IN-GA-NG'), district('South Goa', 'IN-GA-NG')], /Duplicate district code "IN-GA-NG"/],
+      [[district('North Goa', 'IN-GA-NG'), district('north goa', 'IN-GA-N2')], /Duplicate district "north goa"/],
+      [[district('North Goa', 'IN-GA-NG', { centroid: { lat: 95, lon: 73.9 } })], /needs a centroid/],
+      [[district('North Goa', 'IN-GA-NG', { boundary: { type: 'Polygon', coordinates: [square[0].slice(0, 4)] } })],
+        /not a valid GeoJSON Polygon or MultiPolygon/],
+      [[district('North Goa', 'IN-GA-NG', { boundary: { type: 'Point', coordinates: [74, 15] } })],
+        /not a valid GeoJSON Polygon or MultiPolygon/]
+    ];
+    invalid.forEach(([districts, message], index) => {
+      assert.throws(() => loadGazetteer(writeGazetteer(`invalid-${index}.json`, districts)), message);
+    });
+  });
+
+  it('accepts MultiPolygon boundaries', () => {
+    const gazetteer = loadGazetteer(writeGazetteer('multipolygon.json', [
+      district('North Goa', 'IN-GA-NG', { boundary: { type: 'MultiPolygon', coordinates: [square, square] } })
+    ]));
+    assert.strictEqual(gazetteer.districts.length, 1);
+  });
+
+  it('measures great-circle distances in kilometres', () => {
+    assert.strictEqual(distanceKm(12.97, 77.59, 12.97, 77.59), 0);
+    // One degree of latitude is about 111.2 km
+    assert.ok(Math.abs(distanceKm(0, 0, 1, 0) - 111.19) < 0.01);
+    // Bengaluru to Mysuru
+    assert.ok(Math.abs(distanceKm(12.9716, 77.5946, 12.2958, 76.6394) - 128) < 2);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Small dataset in the shape preprocess.js writes, shared by the route tests
+ *
+ * Karnataka: Onion in Bangalore and Mysore, Tomato in Mysore, Mango in Bangalore
+ * Haryana: Onion in Gurgaon, Wheat in Gurgaon and Hisar
+ * Demand quantities are sums of the region quantities, with the float noise of a plain sum
+ */
+
+const CROP_IDS = {
+  onion: '930e5685-eb49-517c-8aa5-f170930f0c71',
+  tomato: '62c88d62-af83-5137-9ecb-7cc6ae08d199',
+  mango: 'cee96b33-d251-541d-bdcb-42a99e4a249f',
+  wheat: 'be15e74f-a271-5113-a8b0-ae3dee520d42'
+};
+
+const CATEGORY_NAMES = ['Vegetables', 'Fruits', 'Cereals'];
+
+const region = (state, district, demandQuantity, suitability = 'High') => ({
+  geography: 'India',
+  district,
+  state,
+  suitability,
+  demandQuantity,
+  prices: null
+});
+
+const crop = (key, cropName, category, regions, extra = {}) => ({
+  cropId: CROP_IDS[key],
+  cropName,
+  scientificName: null,
+  categoryId: { _id: category.toLowerCase(), name: category },
+  subcategory: null,
+  metadata: null,
+  demandQuantity: regions.reduce((sum, entry) => sum + entry.demandQuantity, 0),
+  regionalSuitability: regions,
+  prices: null,
+  ...extra
+});
+
+const state = (name, cropsByCategory) => {
+  const categories = CATEGORY_NAMES.map(category => {
+    const crops = cropsByCategory[category] || [];
+    return { name: category, count: crops.length, crops };
+  });
+  const crops = categories.flatMap(category => category.crops);
+
+  return {
+    state: name,
+    categories,
+    summary: {
+      totalCategories: CATEGORY_NAMES.length,
+      totalCrops: crops.length,
+      totalDemand: crops.reduce((sum, entry) => sum + entry.demandQuantity, 0),
+      unit: 'tons per week',
+      lastUpdated: '2024-05-01T00:00:00.000Z'
+    }
+  };
+};
+
+/**
+ * Build a fresh copy of the test dataset
+ * @returns {Object} { demandData, timeSeriesData, anomalyReport }
+ */
+function createDataset() {
+  const onionMetadata = { catalogName: 'Onion', matchMethod: 'exact', localNames: ['Pyaz', 'Kanda'] };
+
+  const demandData = [
+    state('Karnataka', {
+      Vegetables: [
+        crop('onion', 'Onion', 'Vegetables', [region('Karnataka', 'Bangalore', 10.1), region('Karnataka', 'Mysore', 20.2, 'Medium')],
+          { scientificName: 'Allium cepa', metadata: onionMetadata }),
+        crop('tomato', 'Tomato', 'Vegetables', [region('Karnataka', 'Mysore', 5.5)])
+      ],
+      Fruits: [crop('mango', 'Mango', 'Fruits', [region('Karnataka', 'Bangalore', 40)])]
+    }),
+    state('Haryana', {
+      Vegetables: [
+        crop('onion', 'Onion', 'Vegetables', [region('Haryana', 'Gurgaon', 12)],
+          { scientificName: 'Allium cepa', metadata: onionMetadata })
+      ],
+      Cereals: [crop('wheat', 'Wheat', 'Cereals', [region('Haryana', 'Gurgaon', 100), region('Haryana', 'Hisar', 50, 'Medium')])]
+    })
+  ];
+
+  const timeSeriesData = {
+    unit: 'tonnes',
+    priceUnit: 'Rs./Quintal',
+    weekStartsOn: 'Monday',
+    dateRange: { from: '2024-01-01', to: '2024-01-02' },
+    generatedAt: '2024-05-01T00:00:00.000Z',
+    series: [{
+      cropId: CROP_IDS.onion,
+      cropName: 'Onion',
+      category: 'Vegetables',
+      state: 'Karnataka',
+      district: 'Mysore',
+      day: { '2024-01-01': 12, '2024-01-02': 8.2 },
+      week: { '2024-01-01': 20.2 },
+      month: { '2024-01-01': 20.2 },
+      prices: { '2024-01-01': { minPrice: 1000, maxPrice: 1400, modalPrice: 1200, lowestPrice: 1000, highestPrice: 1400, weightQuantity: 12 } }
+    }]
+  };
+
+  const anomalyReport = {
+    generatedAt: '2024-05-01T00:00:00.000Z',
+    excludedFromAggregates: false,
+    excludedTypes: [],
+    totals: { anomalies: 0, outliers: 0, spikes: 0, collapses: 0, excludedQuantity: 0 },
+    anomalies: []
+  };
+
+  return { demandData, timeSeriesData, anomalyReport };
+}
+
+module.exports = {
+  CROP_IDS,
+  createDataset
+};
@@ -0,0 +1,92 @@
+/**
+ * Shared setup for route tests: serve an Express app on a free port, or load server.js on a dataset
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let serverModule = null;
+let root = null;
+
+/**
+ * Serve an Express app on a free local port
+ * @param {Object} app - Express app
+ * @returns {Promise<{baseUrl: string, close: Function}>} Base URL and a function that stops the server
+ */
+async function listen(app) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Load server.js without starting it
+ * No API keys are required, and the SQLite dataset, snapshots and crop registry live in a
+ * temp folder. storage.js reads SQLITE_FILE when it is loaded, so this has to run first
+ * @param {Object} [options] - { registry } content of crop-registry.json
+ * @returns {Object} server.js exports
+ * @throws {Error} If storage.js was loaded before
+ */
+function requireServer(options = {}) {
+  if (serverModule) return serverModule;
+
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+  process.on('exit', () => fs.rmSync(root, { recursive: true, force: true }));
+
+  process.env.ALLOW_ANONYMOUS = '1';
+  process.env.API_ACCESS_FILE = path.join(root, 'api-access.json');
+  process.env.STORAGE_BACKEND = 'sqlite';
+  process.env.SQLITE_FILE = path.join(root, 'demand.sqlite');
+  process.env.SNAPSHOTS_DIR = path.join(root, 'snapshots');
+  process.env.CROP_REGISTRY_FILE = path.join(root, 'crop-registry.json');
+  if (options.registry) {
+    fs.writeFileSync(process.env.CROP_REGISTRY_FILE, JSON.stringify(options.registry));
+  }
+
+  if (require('../../storage').SQLITE_FILE !== process.env.SQLITE_FILE) {
+    throw new Error('requireServer() has to run before storage.js is loaded');
+  }
+  serverModule = require('../../server');
+  return serverModule;
+}
+
+/**
+ * Load server.js on a dataset and serve it on a free port
+ * @param {Object} dataset - { demandData, timeSeriesData, anomalyReport } as preprocess.js writes it
+ * @param {Object} [options] - Options for requireServer
+ * @returns {Promise<{baseUrl: string, close: Function, server: Object}>} Base URL, stop function and server.js exports
+ */
+async function startServer(dataset, options = {}) {
+  const server = requireServer(options);
+  await require('../../storage').createStorage('sqlite', root).write(dataset);
+
+  const outcome = await server.loadDemandData('startup');
+  if (outcome.status !== 'ok') {
+    throw new Error(`Test dataset failed to load: ${outcome.error}`);
+  }
+
+  return { ...(await listen(server.app)), server };
+}
+
+/**
+ * GET a path and parse the JSON body
+ * @param {string} baseUrl - Base URL from listen or startServer
+ * @param {string} urlPath - Path with query string
+ * @returns {Promise<{status: number, headers: Headers, body: *}>} Response
+ */
+async function getJSON(baseUrl, urlPath) {
+  const response = await fetch(`${baseUrl}${urlPath}`);
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+module.exports = {
+  listen,
+  requireServer,
+  startServer,
+  getJSON
+};
@@ -0,0 +1,168 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { requireServer } = require('./helpers/server');
+const { createDataset } = require('./helpers/dataset');
+
+const { buildIndexes } = requireServer();
+
+// Sums are compared after rounding, since the indexes add the same numbers in another order
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Build the test dataset plus a district name used in two states and a crop
+ * with two suitability entries in one district
+ * @returns {Array} demandData
+ */
+function createFixture() {
+  const { demandData } = createDataset();
+  const [karnataka, haryana] = demandData;
+
+  const wheat = haryana.categories[2].crops[0];
+  wheat.regionalSuitability.push({ ...wheat.regionalSuitability[1], suitability: 'Low', demandQuantity: 7.25 });
+  wheat.demandQuantity += 7.25;
+  haryana.summary.totalDemand += 7.25;
+
+  const ragi = {
+    ...wheat,
+    cropId: '0b6f5c52-2d4b-5b7e-9a53-6f1c2f0d9e11',
+    cropName: 'Ragi',
+    subcategory: 'Millets',
+    demandQuantity: 3.3,
+    regionalSuitability: [{ geography: 'India', district: 'Hisar', state: 'Karnataka', suitability: 'High', demandQuantity: 3.3, prices: null }]
+  };
+  karnataka.categories[2].crops.push(ragi);
+  karnataka.categories[2].count = 1;
+  karnataka.summary.totalCrops += 1;
+  karnataka.summary.totalDemand += 3.3;
+
+  return demandData;
+}
+
+/**
+ * Flatten demandData into one row per regional suitability entry
+ * @param {Array} demandData - States as preprocess.js writes them
+ * @returns {Array<Object>} { state, category, crop, region }
+ */
+function scan(demandData) {
+  return demandData.flatMap(stateData => stateData.categories.flatMap(category =>
+    category.crops.flatMap(crop => crop.regionalSuitability.map(region =>
+      ({ state: stateData.state, category: category.name, crop, region })))));
+}
+
+describe('buildIndexes', () => {
+  const demandData = createFixture();
+  const rows = scan(demandData);
+  const indexes = buildIndexes(demandData, null, {});
+
+  const unique = (values) => Array.from(new Set(values));
+  const districtKeys = unique(rows.map(row => `${row.region.state}|${row.region.district}`));
+
+  it('indexes every state and district pair with its crops and demand', () => {
+    assert.deepStrictEqual(Array.from(indexes.districts.keys()).sort(), districtKeys.sort());
+
+    districtKeys.forEach(key => {
+      const districtRows = rows.filter(row => `${row.region.state}|${row.region.district}` === key);
+      const district = indexes.districts.get(key);
+      assert.deepStrictEqual([district.state, district.city].join('|'), key);
+      assert.deepStrictEqual(district.cropList.map(entry => entry.crop.cropId), unique(districtRows.map(row => row.crop.cropId)), key);
+      assert.strictEqual(district.totalCrops, unique(districtRows.map(row => row.crop.cropId)).length, key);
+      assert.strictEqual(round(district.totalDemand), round(districtRows.reduce((sum, row) => sum + row.region.demandQuantity, 0)), key);
+    });
+
+    const hisar = indexes.districts.get('Haryana|Hisar').cropList[0];
+    assert.deepStrictEqual(hisar.regions.map(region => region.suitability), ['Medium', 'Low']);
+  });
+
+  it('groups districts with the same name across states', () => {
+    const names = unique(rows.map(row => row.region.district.toLowerCase()));
+    assert.deepStrictEqual(Array.from(indexes.districtsByName.keys()).sort(), names.sort());
+
+    names.forEach(name => {
+      const states = unique(rows.filter(row => row.region.district.toLowerCase() === name).map(row => row.region.state));
+      assert.deepStrictEqual(indexes.districtsByName.get(name).map(district => district.state), states, name);
+    });
+    assert.strictEqual(indexes.districtsByName.get('hisar').length, 2);
+  });
+
+  it('indexes crops by ID and by name in dataset order', () => {
+    const cropRows = demandData.flatMap(stateData => stateData.categories.flatMap(category =>
+      category.crops.map(crop => ({ state: stateData.state, category: category.name, crop }))));
+
+    assert.deepStrictEqual(Array.from(indexes.crops.keys()), unique(cropRows.map(row => row.crop.cropId)));
+    indexes.crops.forEach((entries, cropId) => {
+      assert.deepStrictEqual(entries, cropRows.filter(row => row.crop.cropId === cropId));
+    });
+    indexes.cropsByName.forEach((entries, name) => {
+      assert.deepStrictEqual(entries, cropRows.filter(row => row.crop.cropName.toLowerCase() === name));
+    });
+    assert.deepStrictEqual(Array.from(indexes.cropsByName.keys()), ['onion', 'tomato', 'mango', 'ragi', 'wheat']);
+  });
+
+  it('counts states, crops, districts and demand per category', () => {
+    const categoryNames = unique(rows.map(row => row.category));
+    assert.deepStrictEqual(Array.from(indexes.categories.keys()), categoryNames);
+
+    categoryNames.forEach(name => {
+      const categoryRows = rows.filter(row => row.category === name);
+      const categoryCrops = demandData.flatMap(stateData => stateData.categories.filter(category => category.name === name))
+        .flatMap(category => category.crops);
+      const counts = indexes.categories.get(name);
+
+      assert.strictEqual(counts.states, unique(categoryRows.map(row => row.state)).length, name);
+      assert.strictEqual(counts.crops, unique(categoryRows.map(row => row.crop.cropId)).length, name);
+      assert.strictEqual(counts.districts, unique(categoryRows.map(row => `${row.region.state}|${row.region.district}`)).length, name);
+      assert.strictEqual(round(counts.totalDemand), round(categoryCrops.reduce((sum, crop) => sum + crop.demandQuantity, 0)), name);
+    });
+    assert.deepStrictEqual(Array.from(indexes.categories.get('Cereals').subcategories), [['Millets', 1]]);
+  });
+
+  it('summarizes crops and districts the way a full scan does', () => {
+    const nationalDemand = demandData.reduce((sum, stateData) => sum + stateData.summary.totalDemand, 0);
+    assert.strictEqual(round(indexes.nationalDemand), round(nationalDemand));
+
+    const expectedCrops = unique(rows.map(row => row.crop.cropId)).map(cropId => {
+      const cropRows = rows.filter(row => row.crop.cropId === cropId);
+      const totalDemand = unique(cropRows.map(row => row.crop)).reduce((sum, crop) => sum + crop.demandQuantity, 0);
+      return {
+        cropId,
+        totalStates: unique(cropRows.map(row => row.state)).length,
+        totalDistricts: unique(cropRows.map(row => `${row.region.state}|${row.region.district}`)).length,
+        totalDemand: round(totalDemand),
+        shareOfNationalDemand: round(totalDemand / nationalDemand)
+      };
+    }).sort((a, b) => b.totalDemand - a.totalDemand);
+    assert.deepStrictEqual(indexes.cropSummaries.map(summary => ({
+      cropId: summary.cropId,
+      totalStates: summary.totalStates,
+      totalDistricts: summary.totalDistricts,
+      totalDemand: round(summary.totalDemand),
+      shareOfNationalDemand: round(summary.shareOfNationalDemand)
+    })), expectedCrops);
+
+    const expectedDistricts = districtKeys.map(key => {
+      const districtRows = rows.filter(row => `${row.region.state}|${row.region.district}` === key);
+      return {
+        city: districtRows[0].region.district,
+        state: districtRows[0].region.state,
+        totalCrops: unique(districtRows.map(row => row.crop.cropId)).length,
+        totalDemand: round(districtRows.reduce((sum, row) => sum + row.region.demandQuantity, 0))
+      };
+    }).sort((a, b) => a.city.localeCompare(b.city) || a.state.localeCompare(b.state));
+    assert.deepStrictEqual(indexes.districtSummaries.map(summary => ({
+      city: summary.city,
+      state: summary.state,
+      totalCrops: summary.totalCrops,
+      totalDemand: round(summary.totalDemand)
+    })), expectedDistricts);
+
+    assert.deepStrictEqual(indexes.cities, unique(expectedDistricts.map(district => district.city)));
+    assert.deepStrictEqual(indexes.counts, {
+      states: demandData.length,
+      crops: demandData.reduce((sum, stateData) => sum + stateData.summary.totalCrops, 0),
+      districts: districtKeys.length,
+      locatedDistricts: 0,
+      regionalEntries: rows.length,
+      timeSeries: 0
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildOpenApiSpec, toOpenApiPath, validateParameters } = require('../openapi');
+const { MAX_PAGE_LIMIT, MAX_FORECAST_HORIZON, MAX_TOP_N, MAX_NEARBY_RADIUS_KM } = require('../limits');
+
+const allowedValues = { states: ['Goa', 'Kerala'], categories: ['Vegetables'] };
+const spec = buildOpenApiSpec(allowedValues);
+
+/**
+ * Validate a GET request against the spec
+ * @param {string} routePath - OpenAPI path
+ * @param {Object} [query] - req.query
+ * @param {Object} [params] - req.params
+ * @returns {Object|null} Error body or null
+ */
+function validate(routePath, query = {}, params = {}) {
+  return validateParameters(spec, spec.paths[routePath].get, { query, params }, allowedValues);
+}
+
+/**
+ * Find a parameter of a GET operation, following $refs
+ * @param {string} routePath - OpenAPI path
+ * @param {string} name - Parameter name
+ * @returns {Object} Parameter
+ */
+function getParameter(routePath, name) {
+  return spec.paths[routePath].get.parameters
+    .map(parameter => parameter.$ref ? spec.components.parameters[parameter.$ref.split('/').pop()] : parameter)
+    .find(parameter => parameter.name === name);
+}
+
+describe('OpenAPI spec', () => {
+  it('documents every route the server and route modules register', () => {
+    const routes = [];
+    [path.join(__dirname, '..', 'server.js'), ...fs.readdirSync(path.join(__dirname, '..', 'routes'))
+      .map(file => path.join(__dirname, '..', 'routes', file))]
+      .forEach(file => {
+        const source = fs.readFileSync(file, 'utf8');
+        for (const match of source.matchAll(/(?:app|router)\.(get|post)\('([^']+)'/g)) {
+          routes.push([match[1], match[2]]);
+        }
+      });
+
+    const undocumented = routes
+      .filter(([, routePath]) => routePath !== '/docs')
+      .filter(([method, routePath]) => !(spec.paths[toOpenApiPath(routePath)] || {})[method])
+      .map(([method, routePath]) => `${method.toUpperCase()} ${routePath}`);
+    assert.ok(routes.length > 20);
+    assert.deepStrictEqual(undocumented, []);
+  });
+
+  it('turns Express path parameters into OpenAPI ones', () => {
+    assert.strictEqual(toOpenApiPath('/api/datasets/:version'), '/api/datasets/{version}');
+    assert.strictEqual(toOpenApiPath('/api/crops'), '/api/crops');
+  });
+
+  it('lists the loaded states and categories as enums', () => {
+    assert.deepStrictEqual(spec.components.parameters.State.schema.enum, ['Goa', 'Kerala']);
+    assert.deepStrictEqual(spec.components.parameters.Category.schema.enum, ['Vegetables']);
+    assert.strictEqual(buildOpenApiSpec().components.parameters.State.schema.enum, undefined);
+  });
+
+  it('documents the limits the routes enforce', () => {
+    assert.strictEqual(spec.components.parameters.Limit.schema.maximum, MAX_PAGE_LIMIT);
+    assert.strictEqual(getParameter('/api/forecast', 'horizon').schema.maximum, MAX_FORECAST_HORIZON);
+    assert.strictEqual(getParameter('/api/analytics/top', 'n').schema.maximum, MAX_TOP_N);
+    assert.strictEqual(getParameter('/api/demand/nearby', 'radiusKm').schema.maximum, MAX_NEARBY_RADIUS_KM);
+  });
+});
+
+describe('validateParameters', () => {
+  it('accepts valid requests', () => {
+    assert.strictEqual(validate('/api/demand/all-cities', { limit: '10', offset: '0', state: 'goa' }), null);
+    assert.strictEqual(validate('/api/demand/timeseries', { from: '2024-01-01', granularity: 'MONTH' }), null);
+    assert.strictEqual(validate('/api/demand/state/{stateName}', {}, { stateName: 'Goa' }), null);
+  });
+
+  it('names the missing required parameter', () => {
+    assert.deepStrictEqual(validate('/api/demand/nearby', { lat: '15.5' }), {
+      error: 'Missing parameter',
+      message: 'lon is required',
+      parameter: 'lon',
+      in: 'query'
+    });
+    assert.strictEqual(validate('/api/demand/districts/autocomplete', { q: '' }).message, 'q is required');
+  });
+
+  it('checks numbers against their type and range', () => {
+    assert.strictEqual(validate('/api/demand/all-cities', { limit: 'ten' }).message, 'limit must be an integer');
+    assert.strictEqual(validate('/api/demand/all-cities', { limit: '2.5' }).message, 'limit must be an integer');
+    assert.strictEqual(
+      validate('/api/demand/all-cities', { limit: String(MAX_PAGE_LIMIT + 1) }).message,
+      `limit must be an integer from 1 to ${MAX_PAGE_LIMIT}`
+    );
+    assert.strictEqual(validate('/api/demand/all-cities', { offset: '-1' }).message, 'offset must be an integer at least 0');
+  });
+
+  it('checks dates, enums and repeated parameters', () => {
+    assert.strictEqual(
+      validate('/api/demand/timeseries', { from: '01/02/2024' }).message,
+      'from must be a date in YYYY-MM-DD format'
+    );
+    assert.deepStrictEqual(validate('/api/demand/all-cities', { state: 'Punjab' }), {
+      error: 'Invalid parameter',
+      message: 'state must be one of: Goa, Kerala',
+      parameter: 'state',
+      in: 'query',
+      allowedValues: ['Goa', 'Kerala']
+    });
+    assert.strictEqual(
+      validate('/api/demand/all-cities', { limit: ['1', '2'] }).message,
+      'limit must be given once, as a single value'
+    );
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+
+const HEADER = 'State Name,District Name,Market Name,Variety,Group,Arrivals (Tonnes),' +
+  'Min Price (Rs./Quintal),Max Price (Rs./Quintal),Modal Price (Rs./Quintal),Reported Date';
+
+/**
+ * Build a CSV file with one row per day for a district
+ * @param {string} district - District name
+ * @param {Array<number>} arrivals - Arrivals per day from 1 Jan 2024
+ * @returns {string} CSV content
+ */
+function toCSV(district, arrivals) {
+  const rows = arrivals.map((quantity, index) =>
+    `Karnataka,${district},"${district}",Other,"Vegetables",${quantity},1000,1400,1200,${String(index + 1).padStart(2, '0')} Jan 2024`);
+  return [HEADER, ...rows].join('\n') + '\n';
+}
+
+describe('incremental preprocessing', () => {
+  let root;
+  let dataDir;
+  let cacheDir;
+
+  /**
+   * Run preprocess.js on the test data folder, writing the dataset to <root>/<output>/demand.sqlite
+   * @param {string} output - Output folder name
+   * @param {Array<string>} [args] - Extra flags
+   * @returns {string} stdout
+   */
+  const preprocess = (output, args = []) => {
+    fs.mkdirSync(path.join(root, output));
+    const result = spawnSync(process.execPath, [
+      path.join(__dirname, '..', 'preprocess.js'), '--storage=sqlite', '--no-registry', '--no-snapshot', ...args
+    ], {
+      env: {
+        ...process.env,
+        DATA_DIR: dataDir,
+        PREPROCESS_CACHE_DIR: cacheDir,
+        INGESTION_REPORT_FILE: path.join(root, 'ingestion-report.json'),
+        SQLITE_FILE: path.join(root, output, 'demand.sqlite')
+      },
+      encoding: 'utf8',
+      timeout: 60000
+    });
+    assert.strictEqual(result.status, 0, result.stderr);
+    return result.stdout;
+  };
+
+  /**
+   * Read a run's dataset without the timestamps that differ between runs
+   * @param {string} output - Output folder name
+   * @returns {Promise<Object>} { demandData, timeSeriesData, anomalyReport }
+   */
+  const readOutput = async (output) => {
+    const stored = await createStorage('sqlite', path.join(root, output)).read();
+    stored.queries.close();
+    const { demandData, timeSeriesData, anomalyReport } = stored;
+    return JSON.parse(JSON.stringify({ demandData, timeSeriesData, anomalyReport },
+      (key, value) => (key === 'lastUpdated' || key === 'generatedAt' ? undefined : value)));
+  };
+
+  const readCacheEntry = (fileName) => JSON.parse(fs.readFileSync(path.join(cacheDir, `${fileName}.json`), 'utf8'));
+  const writeCacheEntry = (fileName, entry) => fs.writeFileSync(path.join(cacheDir, `${fileName}.json`), JSON.stringify(entry));
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'preprocess-cache-test-'));
+    dataDir = path.join(root, 'data');
+    cacheDir = path.join(root, 'cache');
+    fs.mkdirSync(dataDir);
+    fs.writeFileSync(path.join(dataDir, 'Onion.csv'), toCSV('Mysore', [10, 12, 11, 9]));
+    fs.writeFileSync(path.join(dataDir, 'Tomato.csv'), toCSV('Mysore', [5.5, 6, 4.25]));
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it('parses every file on the first run and caches each one', () => {
+    const stdout = preprocess('first');
+    assert.match(stdout, /2 parsed, 0 unchanged from cache/);
+    assert.deepStrictEqual(fs.readdirSync(cacheDir).sort(), ['Onion.csv.json', 'Tomato.csv.json']);
+
+    const entry = readCacheEntry('Onion.csv');
+    const stats = fs.statSync(path.join(dataDir, 'Onion.csv'));
+    assert.deepStrictEqual([entry.fileName, entry.mtimeMs, entry.size], ['Onion.csv', stats.mtimeMs, stats.size]);
+    assert.match(entry.hash, /^[0-9a-f]{64}$/);
+  });
+
+  it('reuses files with unchanged mtime and size without reading them', () => {
+    // A wrong hash is never noticed while mtime and size match
+    writeCacheEntry('Onion.csv', { ...readCacheEntry('Onion.csv'), hash: 'not-checked' });
+    const stdout = preprocess('unchanged');
+    assert.match(stdout, /0 parsed, 2 unchanged from cache/);
+    assert.strictEqual(readCacheEntry('Onion.csv').hash, 'not-checked');
+  });
+
+  it('checks the content hash when mtime changes and refreshes the cached mtime', async () => {
+    const touched = new Date(Date.UTC(2024, 5, 1));
+    fs.utimesSync(path.join(dataDir, 'Tomato.csv'), touched, touched);
+    const stdout = preprocess('touched');
+    assert.match(stdout, /0 parsed, 2 unchanged from cache/);
+    assert.doesNotMatch(stdout, /Processing: Tomato\.csv/);
+    assert.strictEqual(readCacheEntry('Tomato.csv').mtimeMs, fs.statSync(path.join(dataDir, 'Tomato.csv')).mtimeMs);
+    assert.deepStrictEqual(await readOutput('touched'), await readOutput('first'));
+  });
+
+  it('re-parses a file whose content changed', () => {
+    // Same size, different content: only the hash tells them apart
+    fs.writeFileSync(path.join(dataDir, 'Onion.csv'), toCSV('Mysore', [10, 12, 11, 8]));
+    const stdout = preprocess('changed');
+    assert.match(stdout, /Processing: Onion\.csv/);
+    assert.doesNotMatch(stdout, /Processing: Tomato\.csv/);
+  });
+
+  it('ignores cache entries from another cache version or taxonomy', () => {
+    writeCacheEntry('Onion.csv', { ...readCacheEntry('Onion.csv'), cacheVersion: readCacheEntry('Onion.csv').cacheVersion - 1 });
+    writeCacheEntry('Tomato.csv', { ...readCacheEntry('Tomato.csv'), taxonomyVersion: 'previous-taxonomy' });
+    const stdout = preprocess('invalidated');
+    assert.match(stdout, /2 parsed, 0 unchanged from cache/);
+    assert.notStrictEqual(readCacheEntry('Tomato.csv').taxonomyVersion, 'previous-taxonomy');
+  });
+
+  it('drops the data of deleted files, matching a full rebuild', async () => {
+    fs.unlinkSync(path.join(dataDir, 'Tomato.csv'));
+    const stdout = preprocess('incremental');
+    assert.match(stdout, /Removed 1 cache entry for deleted CSV files/);
+    assert.deepStrictEqual(fs.readdirSync(cacheDir), ['Onion.csv.json']);
+
+    preprocess('full', ['--full']);
+    const incremental = await readOutput('incremental');
+    assert.deepStrictEqual(incremental, await readOutput('full'));
+
+    const crops = incremental.demandData[0].categories.flatMap(category => category.crops.map(crop => crop.cropName));
+    assert.deepStrictEqual(crops, ['Onion']);
+    assert.strictEqual(incremental.demandData[0].summary.totalDemand, 41);
+    assert.deepStrictEqual(incremental.timeSeriesData.series.map(entry => entry.cropName), ['Onion']);
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CSV = 'State Name,District Name,Market Name,Variety,Group,Arrivals (Tonnes),' +
+  'Min Price (Rs./Quintal),Max Price (Rs./Quintal),Modal Price (Rs./Quintal),Reported Date\n' +
+  'Karnataka,Mysore,"Mysore",Other,"Vegetables",10,1000,1400,1200,01 Jan 2024\n';
+
+describe('crop registry writes', () => {
+  let root;
+  let registryFile;
+
+  /**
+   * Run preprocess.js with the registry in the test folder
+   * @param {string} sqliteFile - Where the dataset goes
+   * @returns {Object} spawnSync result
+   */
+  const preprocess = (sqliteFile) => spawnSync(process.execPath, [
+    path.join(__dirname, '..', 'preprocess.js'), '--storage=sqlite', '--no-snapshot', '--full'
+  ], {
+    env: {
+      ...process.env,
+      DATA_DIR: path.join(root, 'data'),
+      PREPROCESS_CACHE_DIR: path.join(root, 'cache'),
+      INGESTION_REPORT_FILE: path.join(root, 'ingestion-report.json'),
+      CROP_REGISTRY_FILE: registryFile,
+      SQLITE_FILE: sqliteFile
+    },
+    encoding: 'utf8',
+    timeout: 60000
+  });
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'preprocess-registry-test-'));
+    registryFile = path.join(root, 'crop-registry.json');
+    fs.mkdirSync(path.join(root, 'data'));
+    fs.writeFileSync(path.join(root, 'data', 'Onion.csv'), CSV);
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it('leaves the registry alone when the dataset cannot be written', () => {
+    const result = preprocess(path.join(root, 'missing', 'demand.sqlite'));
+    assert.notStrictEqual(result.status, 0);
+    assert.strictEqual(fs.existsSync(registryFile), false);
+  });
+
+  it('adds new crops without a lastSeen timestamp', () => {
+    const result = preprocess(path.join(root, 'demand.sqlite'));
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const entries = Object.values(JSON.parse(fs.readFileSync(registryFile, 'utf8')).crops);
+    assert.deepStrictEqual(entries.map(entry => [entry.cropName, entry.keys, entry.lastSeen]), [['Onion', ['vegetables|onion'], undefined]]);
+    assert.deepStrictEqual(fs.readdirSync(root).filter(file => file.endsWith('.tmp')), []);
+  });
+
+  it('does not rewrite an unchanged registry', () => {
+    const stale = new Date(Date.UTC(2024, 0, 1));
+    fs.utimesSync(registryFile, stale, stale);
+    const content = fs.readFileSync(registryFile, 'utf8');
+
+    assert.strictEqual(preprocess(path.join(root, 'demand.sqlite')).status, 0);
+    assert.strictEqual(fs.statSync(registryFile).mtimeMs, stale.getTime());
+    assert.strictEqual(fs.readFileSync(registryFile, 'utf8'), content);
+  });
+
+  it('drops lastSeen from registries that still have it', () => {
+    const registry = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+    Object.values(registry.crops).forEach(entry => {
+      entry.lastSeen = '2024-05-08T10:30:00.000Z';
+    });
+    fs.writeFileSync(registryFile, JSON.stringify(registry, null, 2));
+
+    assert.strictEqual(preprocess(path.join(root, 'demand.sqlite')).status, 0);
+    const entries = Object.values(JSON.parse(fs.readFileSync(registryFile, 'utf8')).crops);
+    assert.strictEqual(entries[0].lastSeen, undefined);
+    assert.strictEqual(entries[0].firstSeen, registry.crops[Object.keys(registry.crops)[0]].firstSeen);
+  });
+});
@@ -0,0 +1,306 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  getCropKey,
+  loadCropRegistry,
+  resolveCrop,
+  parsePrices,
+  createPriceAccumulator,
+  addPrices,
+  summarizePrices,
+  mergePriceAccumulator,
+  parseArrivalDate,
+  getPeriodStarts,
+  createPartial,
+  processRow,
+  robustZScores,
+  detectAnomalies,
+  computeSuitability,
+  parseArgs,
+  buildIngestionReport,
+  toCSVCell
+} = require('../preprocess');
+
+describe('crop IDs', () => {
+  it('normalizes case and whitespace in the key', () => {
+    assert.strictEqual(getCropKey('Vegetables', '  Green   Chilli '), 'vegetables|green chilli');
+  });
+
+  it('derives the same UUIDv5 from the same category and name on every run', () => {
+    loadCropRegistry(false);
+    assert.deepStrictEqual(resolveCrop('Onion', 'Vegetables'), {
+      cropId: '930e5685-eb49-517c-8aa5-f170930f0c71',
+      cropName: 'Onion'
+    });
+    assert.strictEqual(resolveCrop(' ONION ', 'vegetables').cropId, '930e5685-eb49-517c-8aa5-f170930f0c71');
+  });
+
+  it('gives a crop in another category its own ID', () => {
+    loadCropRegistry(false);
+    assert.notStrictEqual(resolveCrop('Onion', 'Spices').cropId, resolveCrop('Onion', 'Vegetables').cropId);
+  });
+});
+
+describe('parsePrices', () => {
+  it('reads the market CSV price columns', () => {
+    const row = {
+      'Min Price (Rs./Quintal)': '1,200',
+      'Max Price (Rs./Quintal)': '1,800',
+      'Modal Price (Rs./Quintal)': '1,500'
+    };
+    assert.deepStrictEqual(parsePrices(row), { min: 1200, max: 1800, modal: 1500, usedModalFallback: false });
+  });
+
+  it('falls back to the modal price for a missing min or max', () => {
+    assert.deepStrictEqual(
+      parsePrices({ modal_price: '900', max_price: '1000' }),
+      { min: 900, max: 1000, modal: 900, usedModalFallback: true }
+    );
+  });
+
+  it('returns null without a positive modal price', () => {
+    assert.strictEqual(parsePrices({ min_price: '100', max_price: '200' }), null);
+    assert.strictEqual(parsePrices({ modal_price: '0' }), null);
+    assert.strictEqual(parsePrices({ modal_price: 'n/a' }), null);
+  });
+});
+
+describe('price accumulators', () => {
+  it('averages prices weighted by arrivals', () => {
+    const accumulator = createPriceAccumulator();
+    addPrices(accumulator, { min: 1000, max: 2000, modal: 1500 }, 3);
+    addPrices(accumulator, { min: 2000, max: 4000, modal: 3000 }, 1);
+
+    assert.deepStrictEqual(summarizePrices(accumulator), {
+      minPrice: 1250,
+      maxPrice: 2500,
+      modalPrice: 1875,
+      lowestPrice: 1000,
+      highestPrice: 4000,
+      weightQuantity: 4,
+      unit: 'Rs./Quintal'
+    });
+  });
+
+  it('merges accumulators as if the rows had been added to one', () => {
+    const first = createPriceAccumulator();
+    addPrices(first, { min: 1000, max: 2000, modal: 1500 }, 3);
+    const second = createPriceAccumulator();
+    addPrices(second, { min: 2000, max: 4000, modal: 3000 }, 1);
+    const merged = createPriceAccumulator();
+    mergePriceAccumulator(merged, first);
+    mergePriceAccumulator(merged, second);
+    mergePriceAccumulator(merged, null);
+
+    const combined = createPriceAccumulator();
+    addPrices(combined, { min: 1000, max: 2000, modal: 1500 }, 3);
+    addPrices(combined, { min: 2000, max: 4000, modal: 3000 }, 1);
+    assert.deepStrictEqual(summarizePrices(merged), summarizePrices(combined));
+  });
+
+  it('summarizes an empty accumulator as null', () => {
+    assert.strictEqual(summarizePrices(createPriceAccumulator()), null);
+    assert.strictEqual(summarizePrices(null), null);
+  });
+});
+
+describe('parseArrivalDate', () => {
+  it('parses every date format found in the market CSVs', () => {
+    const expected = '2024-03-05T00:00:00.000Z';
+    ['05 Mar 2024', '5-Mar-2024', '05 March 2024', '05-03-2024', '5/3/2024', '2024-03-05', '2024-03-05 10:30:00']
+      .forEach(value => {
+        assert.strictEqual(parseArrivalDate(value).toISOString(), expected, value);
+      });
+  });
+
+  it('returns null for missing, unparsable and impossible dates', () => {
+    [undefined, '', 'yesterday', '05 Foo 2024', '2024-13-01', '32/01/2024', '31 Feb 2024', '2023-02-29']
+      .forEach(value => {
+        assert.strictEqual(parseArrivalDate(value), null, String(value));
+      });
+  });
+
+  it('accepts 29 February in leap years', () => {
+    assert.strictEqual(parseArrivalDate('29/02/2024').toISOString().slice(0, 10), '2024-02-29');
+  });
+});
+
+describe('getPeriodStarts', () => {
+  it('buckets a date into its day, Monday week and month', () => {
+    // Sunday 10 March 2024 belongs to the week starting Monday 4 March
+    assert.deepStrictEqual(getPeriodStarts(parseArrivalDate('2024-03-10')), {
+      day: '2024-03-10',
+      week: '2024-03-04',
+      month: '2024-03-01'
+    });
+  });
+
+  it('starts a week on the Monday itself', () => {
+    assert.strictEqual(getPeriodStarts(parseArrivalDate('2024-03-04')).week, '2024-03-04');
+  });
+
+  it('lets a week start in the previous month or year', () => {
+    assert.deepStrictEqual(getPeriodStarts(parseArrivalDate('2025-01-01')), {
+      day: '2025-01-01',
+      week: '2024-12-30',
+      month: '2025-01-01'
+    });
+  });
+});
+
+describe('computeSuitability', () => {
+  const config = {
+    weights: { share: 0.5, consistency: 0.25, seasonLength: 0.25 },
+    thresholds: { high: 0.6, medium: 0.3 }
+  };
+  const datasetWeeks = ['2024-01-01', '2024-01-08', '2024-01-15', '2024-01-22'];
+  const toSeries = (weeks) => ({ week: new Map(Object.entries(weeks)) });
+
+  it('scores on arrival share alone without dated arrivals', () => {
+    assert.deepStrictEqual(computeSuitability({ demandQuantity: 60 }, { demandQuantity: 100 }, undefined, datasetWeeks, config), {
+      suitability: 'High',
+      suitabilityMethod: 'computed-share-only',
+      suitabilityScore: 0.6,
+      suitabilityMetrics: { share: 0.6 }
+    });
+  });
+
+  it('rewards steady arrivals over the whole dataset', () => {
+    const series = toSeries({ '2024-01-01': 10, '2024-01-08': 10, '2024-01-15': 10, '2024-01-22': 10 });
+    assert.deepStrictEqual(computeSuitability({ demandQuantity: 10 }, { demandQuantity: 100 }, series, datasetWeeks, config), {
+      suitability: 'Medium',
+      suitabilityMethod: 'computed',
+      suitabilityScore: 0.55,
+      suitabilityMetrics: { share: 0.1, consistency: 1, seasonLength: 1 }
+    });
+  });
+
+  it('counts weeks without arrivals inside the season as zero', () => {
+    const series = toSeries({ '2024-01-01': 10, '2024-01-15': 10 });
+    const result = computeSuitability({ demandQuantity: 0 }, { demandQuantity: 100 }, series, datasetWeeks, config);
+    assert.strictEqual(result.suitability, 'Low');
+    assert.deepStrictEqual(result.suitabilityMetrics, { share: 0, consistency: 0.586, seasonLength: 0.5 });
+  });
+
+  it('uses the configured thresholds', () => {
+    const strict = { ...config, thresholds: { high: 0.9, medium: 0.5 } };
+    assert.strictEqual(computeSuitability({ demandQuantity: 60 }, { demandQuantity: 100 }, undefined, [], strict).suitability, 'Medium');
+  });
+});
+
+describe('ingestion report', () => {
+  const validRow = { 'State Name': 'Goa', Group: 'Vegetables', 'District Name': 'North Goa', 'Arrivals (Tonnes)': '5' };
+
+  it('drops rows with a reason and keeps samples of them', () => {
+    const partial = createPartial();
+    processRow({ ...validRow, 'State Name': '' }, 'Onion', partial);
+    processRow({ ...validRow, Group: ' ' }, 'Onion', partial);
+    processRow({ ...validRow, 'Arrivals (Tonnes)': '0' }, 'Onion', partial);
+    processRow({ ...validRow, 'Arrivals (Tonnes)': 'abc' }, 'Onion', partial);
+    processRow(validRow, '', partial);
+
+    assert.strictEqual(partial.report.rowsRead, 5);
+    assert.strictEqual(partial.report.rowsKept, 0);
+    assert.deepStrictEqual(partial.report.dropped, {
+      missing_state: 1,
+      missing_category: 1,
+      zero_or_negative_arrivals: 1,
+      invalid_arrivals: 1,
+      missing_crop_name: 1
+    });
+    assert.deepStrictEqual(partial.rejectedRows.map(rejected => rejected.reason), [
+      'missing_state', 'missing_category', 'zero_or_negative_arrivals', 'invalid_arrivals', 'missing_crop_name'
+    ]);
+    assert.deepStrictEqual(partial.report.samples.missing_state, [{ ...validRow, 'State Name': '' }]);
+  });
+
+  it('combines file stats into totals and fails strict mode above the drop rate', () => {
+    const toPartial = (rowsRead, rowsKept, dropped) => ({
+      report: { rowsRead, rowsKept, dropped, coerced: { missing_date: 1 }, unmappedGroups: {}, samples: {} }
+    });
+    const report = buildIngestionReport([
+      { file: 'Onion.csv', partial: toPartial(100, 99, { missing_state: 1 }) },
+      { file: 'Goat.csv', partial: toPartial(10, 5, { unmapped_category: 5 }) }
+    ], { strict: true, maxDropRate: 0.1 });
+
+    assert.deepStrictEqual(report.totals, {
+      files: 2,
+      rowsRead: 110,
+      rowsKept: 104,
+      rowsDropped: 6,
+      rowsCoerced: 2,
+      dropRate: 0.0545
+    });
+    assert.deepStrictEqual(report.dropped, { missing_state: 1, unmapped_category: 5 });
+    assert.strictEqual(report.strict.passed, false);
+    assert.deepStrictEqual(report.strict.failures, ['Goat.csv: drop rate 0.5 exceeds 0.1']);
+  });
+
+  it('parses --strict and --max-drop-rate', () => {
+    const options = parseArgs(['--strict', '--max-drop-rate=0.25', '--quarantine']);
+    assert.strictEqual(options.strict, true);
+    assert.strictEqual(options.maxDropRate, 0.25);
+    assert.strictEqual(options.quarantine, true);
+    assert.throws(() => parseArgs(['--max-drop-rate=2']), /between 0 and 1/);
+  });
+
+  it('escapes quarantine.csv cells', () => {
+    assert.strictEqual(toCSVCell('Onion'), 'Onion');
+    assert.strictEqual(toCSVCell('1,200'), '"1,200"');
+    assert.strictEqual(toCSVCell('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(toCSVCell(null), '');
+  });
+});
+
+describe('anomaly detection', () => {
+  // 12 weeks of daily rows from Monday 1 January 2024, with a 4x week starting 4 March
+  const toRows = () => {
+    const rows = [];
+    for (let index = 0; index < 84; index++) {
+      rows.push({
+        state: 'Goa',
+        category: 'Vegetables',
+        cropName: 'Onion',
+        district: 'North Goa',
+        market: 'Mapusa',
+        rowNumber: index + 1,
+        day: new Date(Date.UTC(2024, 0, 1 + index)).toISOString().slice(0, 10),
+        quantity: Math.floor(index / 7) === 9 ? 40 : [9, 10, 11, 10, 9, 10, 11][index % 7]
+      });
+    }
+    return rows;
+  };
+
+  it('scores values by distance from the median', () => {
+    const scores = robustZScores([1, 2, 3, 4, 100]);
+    assert.strictEqual(scores[2], 0);
+    assert.ok(scores[4] > 60);
+    assert.strictEqual(robustZScores([5, 5, 5]), null);
+  });
+
+  it('flags a mistyped row as an outlier', () => {
+    const rows = toRows();
+    rows.push({ ...rows[16], rowNumber: 85, quantity: 200 });
+
+    const outliers = detectAnomalies(rows).filter(anomaly => anomaly.type === 'outlier');
+    assert.strictEqual(outliers.length, 1);
+    assert.deepStrictEqual(
+      [outliers[0].direction, outliers[0].rowNumber, outliers[0].date, outliers[0].expected, outliers[0].ratio],
+      ['high', 85, '2024-01-17', 10, 20]
+    );
+    assert.strictEqual(outliers[0].observation, rows[84]);
+  });
+
+  it('flags a week-over-week spike and the collapse after it with their rows', () => {
+    const rows = toRows();
+    const weekly = detectAnomalies(rows).map(anomaly => [anomaly.type, anomaly.week, anomaly.ratio, anomaly.observations.length]);
+    assert.deepStrictEqual(weekly, [
+      ['spike', '2024-03-04', 4, 7],
+      ['collapse', '2024-03-11', 0.25, 7]
+    ]);
+  });
+
+  it('needs enough rows per market before checking', () => {
+    assert.deepStrictEqual(detectAnomalies(toRows().slice(0, 6).concat({ ...toRows()[0], quantity: 500 })), []);
+  });
+});
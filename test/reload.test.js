@@ -0,0 +1,55 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, getJSON } = require('./helpers/server');
+const { createDataset } = require('./helpers/dataset');
+
+describe('loadDemandData', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer(createDataset());
+  });
+
+  after(() => server.close());
+
+  it('has callers during a load wait for one queued load with the latest trigger', async () => {
+    const { loadDemandData } = server.server;
+
+    const running = loadDemandData('watch');
+    const queued = loadDemandData('watch');
+    const latest = loadDemandData('admin');
+    assert.notStrictEqual(queued, running);
+    assert.strictEqual(latest, queued);
+
+    assert.strictEqual((await running).trigger, 'watch');
+    const outcome = await latest;
+    assert.deepStrictEqual([outcome.status, outcome.trigger], ['ok', 'admin']);
+
+    const { body } = await getJSON(server.baseUrl, '/health');
+    assert.strictEqual(body.lastReload.trigger, 'admin');
+  });
+
+  it('serves files written during a load once the queued load finishes', async () => {
+    const { loadDemandData } = server.server;
+    // Loaded after startServer, which points storage.js at the test folder
+    const { SQLITE_FILE, createStorage } = require('../storage');
+    const dataset = createDataset();
+    dataset.demandData.pop();
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reload-test-'));
+    const [nextFile] = await createStorage('sqlite', directory).write(dataset);
+
+    const running = loadDemandData('watch');
+    const queued = loadDemandData('admin');
+    // Replaced while the running load may already have read the old file
+    fs.renameSync(nextFile, SQLITE_FILE);
+    fs.rmSync(directory, { recursive: true, force: true });
+    await running;
+
+    assert.strictEqual((await queued).status, 'ok');
+    const { status } = await getJSON(server.baseUrl, '/api/demand/state/Haryana');
+    assert.strictEqual(status, 404);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { listen } = require('../helpers/server');
+
+// routes/admin.js reads ADMIN_TOKEN when it is loaded
+process.env.ADMIN_TOKEN = 'test-admin-token';
+const { createAdminRoutes } = require('../../routes/admin');
+const { hashApiKey } = require('../../access');
+
+const accessConfig = {
+  keys: new Map([
+    [hashApiKey('admin-key'), { id: 'ops', role: 'admin', disabled: false }],
+    [hashApiKey('client-key'), { id: 'app', role: 'client', disabled: false }],
+    [hashApiKey('disabled-admin-key'), { id: 'old-ops', role: 'admin', disabled: true }]
+  ])
+};
+
+describe('POST /admin/reload', () => {
+  const info = { version: 'abc123' };
+  const reloads = [];
+  let outcome = { status: 'ok' };
+  let server;
+
+  const reload = (headers = {}) => fetch(`${server.baseUrl}/admin/reload`, { method: 'POST', headers });
+
+  before(async () => {
+    const app = express();
+    app.use(createAdminRoutes({
+      accessConfig,
+      loadDemandData: async (trigger) => {
+        reloads.push(trigger);
+        return outcome;
+      },
+      getCurrentDataset: () => ({ info })
+    }));
+    server = await listen(app);
+  });
+
+  after(() => server.close());
+
+  it('reloads with the ADMIN_TOKEN', async () => {
+    reloads.length = 0;
+    const response = await reload({ 'X-Admin-Token': 'test-admin-token' });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { status: 'reloaded', dataset: info });
+    assert.deepStrictEqual(reloads, ['admin']);
+  });
+
+  it('reloads with an admin API key', async () => {
+    const response = await reload({ Authorization: 'Bearer admin-key' });
+    assert.strictEqual(response.status, 200);
+  });
+
+  it('refuses client keys', async () => {
+    const response = await reload({ 'X-API-Key': 'client-key' });
+    assert.strictEqual(response.status, 403);
+    assert.match((await response.json()).message, /"app" does not have the admin role/);
+  });
+
+  it('refuses disabled, unknown and missing keys', async () => {
+    reloads.length = 0;
+    for (const headers of [{ Authorization: 'Bearer disabled-admin-key' }, { Authorization: 'Bearer nope' }, {}]) {
+      const response = await reload(headers);
+      assert.strictEqual(response.status, 401);
+      assert.strictEqual((await response.json()).error, 'Unauthorized');
+    }
+    assert.deepStrictEqual(reloads, []);
+  });
+
+  it('reports a failed reload with the version still being served', async () => {
+    outcome = { status: 'failed', error: 'demand.json: Unexpected end of JSON input' };
+    try {
+      const response = await reload({ 'X-Admin-Token': 'test-admin-token' });
+      assert.strictEqual(response.status, 422);
+      assert.deepStrictEqual(await response.json(), {
+        error: 'Reload failed',
+        message: 'demand.json: Unexpected end of JSON input',
+        servingVersion: 'abc123'
+      });
+    } finally {
+      outcome = { status: 'ok' };
+    }
+  });
+});
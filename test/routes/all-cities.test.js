@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, getJSON } = require('../helpers/server');
+const { createDataset } = require('../helpers/dataset');
+
+describe('GET /api/demand/all-cities', () => {
+  let server;
+
+  const get = (query) => getJSON(server.baseUrl, `/api/demand/all-cities${query}`);
+  const cityNames = (body) => body.cities.map(city => city.city);
+
+  before(async () => {
+    server = await startServer(createDataset());
+  });
+
+  after(() => server.close());
+
+  it('lists every city by name with its states and summary', async () => {
+    const { status, body } = await get('');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(cityNames(body), ['Bangalore', 'Gurgaon', 'Hisar', 'Mysore']);
+    assert.deepStrictEqual([body.totalCities, body.count, body.offset, body.limit, body.sort, body.order], [4, 4, 0, null, 'city', 'asc']);
+    assert.deepStrictEqual(body.links, { self: '/api/demand/all-cities?offset=0', next: null, prev: null });
+
+    const gurgaon = body.cities[1];
+    assert.deepStrictEqual(gurgaon.summary, { totalStates: 1, totalCategories: 2, totalCrops: 2, totalDemand: 112, unit: 'tons per week' });
+    assert.deepStrictEqual(gurgaon.states[0].categories.map(category => [category.name, category.totalDemand]), [
+      ['Vegetables', 12],
+      ['Cereals', 100]
+    ]);
+  });
+
+  it('pages with offset and limit and links to the neighbouring pages', async () => {
+    const first = await get('?limit=3');
+    assert.deepStrictEqual(cityNames(first.body), ['Bangalore', 'Gurgaon', 'Hisar']);
+    assert.strictEqual(first.body.links.next, '/api/demand/all-cities?limit=3&offset=3');
+    assert.strictEqual(first.body.links.prev, null);
+
+    // The next link keeps the other parameters
+    const filtered = await get('?limit=1&sort=totalCrops&state=Karnataka');
+    assert.strictEqual(filtered.body.links.next, '/api/demand/all-cities?limit=1&sort=totalCrops&state=Karnataka&offset=1');
+
+    const last = await get('?limit=3&offset=3');
+    assert.deepStrictEqual(cityNames(last.body), ['Mysore']);
+    assert.deepStrictEqual([last.body.count, last.body.totalCities], [1, 4]);
+    assert.strictEqual(last.body.links.next, null);
+    assert.strictEqual(last.body.links.prev, '/api/demand/all-cities?limit=3&offset=0');
+
+    // A page that ends exactly at the last city has no next link
+    assert.strictEqual((await get('?limit=2&offset=2')).body.links.next, null);
+
+    const past = await get('?limit=2&offset=4');
+    assert.deepStrictEqual([past.status, past.body.count, past.body.cities], [200, 0, []]);
+
+    assert.strictEqual((await get('?limit=500')).body.count, 4);
+  });
+
+  it('refuses limits and offsets out of range', async () => {
+    for (const query of ['?limit=0', '?limit=501', '?limit=1.5', '?offset=-1']) {
+      const { status, body } = await get(query);
+      assert.strictEqual(status, 400, query);
+      assert.ok(['limit', 'offset'].includes(body.parameter), query);
+    }
+  });
+
+  it('sorts by city, total demand and total crops', async () => {
+    assert.deepStrictEqual(cityNames((await get('?sort=city&order=desc')).body), ['Mysore', 'Hisar', 'Gurgaon', 'Bangalore']);
+
+    const byDemand = await get('?sort=totalDemand');
+    assert.strictEqual(byDemand.body.order, 'desc');
+    assert.deepStrictEqual(cityNames(byDemand.body), ['Gurgaon', 'Bangalore', 'Hisar', 'Mysore']);
+    assert.deepStrictEqual(cityNames((await get('?sort=totalDemand&order=asc')).body), ['Mysore', 'Hisar', 'Bangalore', 'Gurgaon']);
+
+    // Ties are broken by city name, in the same order
+    assert.deepStrictEqual(cityNames((await get('?sort=totalCrops')).body), ['Mysore', 'Gurgaon', 'Bangalore', 'Hisar']);
+    assert.deepStrictEqual(cityNames((await get('?sort=totalCrops&order=asc')).body), ['Hisar', 'Bangalore', 'Gurgaon', 'Mysore']);
+
+    const invalid = await get('?sort=population');
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.parameter, 'sort');
+  });
+
+  it('filters by state, category and minimum demand and recomputes the summaries', async () => {
+    const haryana = await get('?state=haryana');
+    assert.deepStrictEqual(cityNames(haryana.body), ['Gurgaon', 'Hisar']);
+    assert.strictEqual(haryana.body.filters.state, 'haryana');
+
+    const vegetables = await get('?category=Vegetables');
+    assert.deepStrictEqual(cityNames(vegetables.body), ['Bangalore', 'Gurgaon', 'Mysore']);
+    assert.deepStrictEqual(vegetables.body.cities[1].summary, {
+      totalStates: 1, totalCategories: 1, totalCrops: 1, totalDemand: 12, unit: 'tons per week'
+    });
+
+    const big = await get('?minDemand=20');
+    assert.deepStrictEqual(big.body.cities.map(city => [city.city, city.summary.totalCrops, city.summary.totalDemand]), [
+      ['Bangalore', 1, 40],
+      ['Gurgaon', 1, 100],
+      ['Hisar', 1, 50],
+      ['Mysore', 1, 20.2]
+    ]);
+
+    const combined = await get('?state=Karnataka&category=Fruits&minDemand=1');
+    assert.deepStrictEqual(cityNames(combined.body), ['Bangalore']);
+    assert.deepStrictEqual(combined.body.filters, { state: 'Karnataka', category: 'Fruits', minDemand: 1 });
+
+    const invalid = await get('?minDemand=-1');
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.parameter, 'minDemand');
+  });
+
+  it('returns only the requested fields', async () => {
+    const { body } = await get('?fields=city,states.summary&limit=1');
+    assert.deepStrictEqual(body.cities, [{
+      city: 'Bangalore',
+      states: [{ summary: { totalCategories: 2, totalCrops: 2, totalDemand: 50.1, unit: 'tons per week' } }]
+    }]);
+
+    const invalid = await get('?fields=city,population');
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.error, 'Invalid fields');
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { listen, getJSON } = require('../helpers/server');
+const { herfindahlIndex, createAnalyticsRoutes } = require('../../routes/analytics');
+const { createMemoryQueries } = require('../../storage');
+
+const toCrop = (cropId, cropName, regions) => ({
+  cropId,
+  cropName,
+  demandQuantity: regions.reduce((sum, region) => sum + region.demandQuantity, 0),
+  regionalSuitability: regions
+});
+
+const demandData = [
+  {
+    state: 'Andhra',
+    categories: [{
+      name: 'Vegetables',
+      crops: [
+        toCrop('onion', 'Onion', [
+          { state: 'Andhra', district: 'Guntur', demandQuantity: 60 },
+          { state: 'Andhra', district: 'Kurnool', demandQuantity: 20 }
+        ]),
+        toCrop('tomato', 'Tomato', [{ state: 'Andhra', district: 'Guntur', demandQuantity: 20 }])
+      ]
+    }]
+  },
+  {
+    state: 'Bihar',
+    categories: [{
+      name: 'Fruits',
+      crops: [toCrop('mango', 'Mango', [{ state: 'Bihar', district: 'Patna', demandQuantity: 100 }])]
+    }]
+  }
+];
+
+describe('herfindahlIndex', () => {
+  it('is 10000 for a single component and lower the more evenly demand is spread', () => {
+    assert.strictEqual(herfindahlIndex([42]), 10000);
+    assert.strictEqual(herfindahlIndex([75, 25]), 6250);
+    assert.strictEqual(herfindahlIndex([1, 1, 1, 1]), 2500);
+  });
+
+  it('ignores empty components and is 0 without demand', () => {
+    assert.strictEqual(herfindahlIndex([50, 0, 50]), 5000);
+    assert.strictEqual(herfindahlIndex([]), 0);
+    assert.strictEqual(herfindahlIndex(new Map([['a', 0]]).values()), 0);
+  });
+});
+
+describe('GET /api/analytics/top', () => {
+  let server;
+
+  const getTop = (query) => getJSON(server.baseUrl, `/api/analytics/top?${query}`);
+
+  before(async () => {
+    const dataset = { demandData, queries: createMemoryQueries(demandData, null) };
+    const next = (req, res, callback) => callback();
+    const app = express();
+    app.use(createAnalyticsRoutes({
+      resolveDataset: (req, res, callback) => {
+        req.dataset = dataset;
+        callback();
+      },
+      validateRequest: next,
+      applyAnomalyExclusion: next,
+      requireData: () => next,
+      cacheResponse: next
+    }));
+    server = await listen(app);
+  });
+
+  after(() => server.close());
+
+  it('ranks crops with shares and per-crop concentration over districts', async () => {
+    const { status, body } = await getTop('by=crops');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.totalDemand, 200);
+    assert.strictEqual(body.totalEntries, 3);
+    assert.strictEqual(body.hhi, 4200);
+    assert.deepStrictEqual(body.top.map(entry => [entry.rank, entry.cropName, entry.share, entry.cumulativeShare, entry.hhi, entry.components]), [
+      [1, 'Mango', 0.5, 0.5, 10000, 1],
+      [2, 'Onion', 0.4, 0.9, 6250, 2],
+      [3, 'Tomato', 0.1, 1, 10000, 1]
+    ]);
+  });
+
+  it('ranks states and districts over their crops', async () => {
+    const states = await getTop('by=states');
+    assert.deepStrictEqual(states.body.top.map(entry => [entry.state, entry.demandQuantity, entry.hhi]), [
+      ['Andhra', 100, 6800],
+      ['Bihar', 100, 10000]
+    ]);
+
+    const districts = await getTop('by=districts&n=1');
+    assert.strictEqual(districts.body.totalEntries, 3);
+    assert.deepStrictEqual(districts.body.top, [{
+      rank: 1,
+      state: 'Bihar',
+      district: 'Patna',
+      demandQuantity: 100,
+      share: 0.5,
+      cumulativeShare: 0.5,
+      hhi: 10000,
+      components: 1
+    }]);
+  });
+
+  it('filters by state and category', async () => {
+    const byState = await getTop('state=andhra');
+    assert.deepStrictEqual(byState.body.top.map(entry => entry.cropName), ['Onion', 'Tomato']);
+    assert.deepStrictEqual(byState.body.filters, { state: 'andhra', category: 'all' });
+
+    const byCategory = await getTop('category=Fruits');
+    assert.deepStrictEqual(byCategory.body.top.map(entry => entry.cropName), ['Mango']);
+  });
+
+  it('answers 404 when the filters match nothing and 400 for an invalid ranking', async () => {
+    assert.strictEqual((await getTop('state=Goa')).status, 404);
+    assert.strictEqual((await getTop('state=Bihar&category=Vegetables')).status, 404);
+    assert.strictEqual((await getTop('by=markets')).status, 400);
+    assert.strictEqual((await getTop('n=0')).status, 400);
+  });
+});
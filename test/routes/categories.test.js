@@ -0,0 +1,30 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, getJSON } = require('../helpers/server');
+const { createDataset } = require('../helpers/dataset');
+
+describe('GET /api/categories', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer(createDataset());
+  });
+
+  after(() => server.close());
+
+  it('counts crops per category', async () => {
+    const { status, body } = await getJSON(server.baseUrl, '/api/categories?excludeAnomalies=all');
+    assert.strictEqual(status, 200);
+
+    const vegetables = body.categories.find(category => category.name === 'Vegetables');
+    assert.deepStrictEqual([vegetables.counts.states, vegetables.counts.crops, vegetables.counts.districts], [2, 2, 3]);
+  });
+
+  it('validates its query parameters', async () => {
+    const { status, body } = await getJSON(server.baseUrl, '/api/categories?excludeAnomalies=bogus');
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.parameter, 'excludeAnomalies');
+    assert.strictEqual(body.in, 'query');
+    assert.strictEqual(body.error, 'Invalid parameter');
+  });
+});
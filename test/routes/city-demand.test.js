@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, getJSON } = require('../helpers/server');
+const { createDataset } = require('../helpers/dataset');
+
+describe('city demand totals', () => {
+  let server;
+
+  const get = (urlPath) => getJSON(server.baseUrl, urlPath);
+
+  before(async () => {
+    // A second Mysore entry for Onion: 20.2 + 10.1 adds up to 30.299999999999997
+    const dataset = createDataset();
+    const onion = dataset.demandData[0].categories[0].crops[0];
+    onion.regionalSuitability.push({ ...onion.regionalSuitability[1], suitability: 'Low', demandQuantity: 10.1 });
+    onion.demandQuantity += 10.1;
+    dataset.demandData[0].summary.totalDemand += 10.1;
+    server = await startServer(dataset);
+  });
+
+  after(() => server.close());
+
+  it('sums district demand, rounded to 2 decimals, for /api/demand/city', async () => {
+    const { status, body } = await get('/api/demand/city/Mysuru');
+    assert.strictEqual(status, 200);
+
+    const [karnataka] = body.data;
+    assert.deepStrictEqual(karnataka.categories[0].crops.map(crop => [crop.cropName, crop.demandQuantity]), [
+      ['Onion', 30.3],
+      ['Tomato', 5.5]
+    ]);
+    // The state totals would give 40.4 for Onion
+    assert.strictEqual(karnataka.summary.totalDemand, 35.8);
+    assert.strictEqual(body.summary.totalDemand, 35.8);
+  });
+
+  it('sums district demand for /api/demand/cities', async () => {
+    const { body } = await get('/api/demand/cities');
+    assert.deepStrictEqual(body.districts.map(district => [district.city, district.totalDemand]), [
+      ['Bangalore', 50.1],
+      ['Gurgaon', 112],
+      ['Hisar', 50],
+      ['Mysore', 35.8]
+    ]);
+  });
+
+  it('sums district demand for /api/demand/all-cities', async () => {
+    const { body } = await get('/api/demand/all-cities?state=Karnataka');
+    const mysore = body.cities.find(city => city.city === 'Mysore');
+    const [vegetables] = mysore.states[0].categories;
+
+    assert.deepStrictEqual(vegetables.crops.map(crop => crop.demandQuantity), [30.3, 5.5]);
+    assert.strictEqual(vegetables.totalDemand, 35.8);
+    assert.strictEqual(mysore.states[0].summary.totalDemand, 35.8);
+    assert.strictEqual(mysore.summary.totalDemand, 35.8);
+
+    // Filtered requests recompute the totals the same way
+    const filtered = await get('/api/demand/all-cities?category=Vegetables&minDemand=30');
+    assert.deepStrictEqual(filtered.body.cities.map(city => [city.city, city.summary.totalDemand]), [['Mysore', 30.3]]);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, getJSON } = require('../helpers/server');
+const { CROP_IDS, createDataset } = require('../helpers/dataset');
+
+const MERGED_ONION_ID = '11111111-2222-5333-8444-555555555555';
+const NATIONAL_DEMAND = 237.8;
+
+describe('/api/crops', () => {
+  let server;
+
+  const get = (urlPath) => getJSON(server.baseUrl, urlPath);
+
+  before(async () => {
+    server = await startServer(createDataset(), {
+      registry: { crops: { [CROP_IDS.onion]: { cropName: 'Onion', previousIds: [MERGED_ONION_ID] } } }
+    });
+  });
+
+  after(() => server.close());
+
+  it('lists crops by name or ranked by national demand', async () => {
+    const byName = await get('/api/crops');
+    assert.strictEqual(byName.status, 200);
+    assert.deepStrictEqual(byName.body.crops.map(crop => crop.cropName), ['Mango', 'Onion', 'Tomato', 'Wheat']);
+
+    const byDemand = await get('/api/crops?sort=demand');
+    assert.strictEqual(byDemand.body.order, 'desc');
+    assert.deepStrictEqual(byDemand.body.crops.map(crop => [crop.cropName, crop.totalStates, crop.totalDistricts, crop.totalDemand]), [
+      ['Wheat', 1, 2, 150],
+      ['Onion', 2, 3, 30.299999999999997 + 12],
+      ['Mango', 1, 1, 40],
+      ['Tomato', 1, 1, 5.5]
+    ]);
+    byDemand.body.crops.forEach(crop => {
+      assert.strictEqual(crop.shareOfNationalDemand, crop.totalDemand / NATIONAL_DEMAND, crop.cropName);
+    });
+
+    const shares = byDemand.body.crops.reduce((sum, crop) => sum + crop.shareOfNationalDemand, 0);
+    assert.strictEqual(Math.round(shares * 1e9) / 1e9, 1);
+  });
+
+  it('filters and pages the crop list', async () => {
+    assert.deepStrictEqual((await get('/api/crops?state=haryana')).body.crops.map(crop => crop.cropName), ['Onion', 'Wheat']);
+    assert.deepStrictEqual((await get('/api/crops?category=Vegetables&sort=demand&order=asc')).body.crops.map(crop => crop.cropName),
+      ['Tomato', 'Onion']);
+    assert.deepStrictEqual((await get('/api/crops?q=kanda')).body.crops.map(crop => crop.cropName), ['Onion']);
+
+    const page = await get('/api/crops?sort=demand&limit=2&offset=1');
+    assert.deepStrictEqual(page.body.crops.map(crop => crop.cropName), ['Onion', 'Mango']);
+    assert.strictEqual(page.body.links.next, '/api/crops?sort=demand&limit=2&offset=3');
+
+    assert.strictEqual((await get('/api/crops?sort=popularity')).status, 400);
+  });
+
+  it('breaks a crop down by state and district with shares of its demand', async () => {
+    const { status, body } = await get('/api/crops/Onion');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.cropId, CROP_IDS.onion);
+    assert.strictEqual(body.matchedBy, 'name');
+
+    const totalDemand = 30.299999999999997 + 12;
+    assert.deepStrictEqual(body.summary, {
+      totalStates: 2,
+      totalDistricts: 3,
+      totalDemand: totalDemand,
+      shareOfNationalDemand: totalDemand / NATIONAL_DEMAND,
+      unit: 'tons per week'
+    });
+
+    assert.deepStrictEqual(body.states.map(state => [state.rank, state.state, state.demandQuantity, state.share]), [
+      [1, 'Karnataka', 30.299999999999997, 30.299999999999997 / totalDemand],
+      [2, 'Haryana', 12, 12 / totalDemand]
+    ]);
+    assert.deepStrictEqual(body.districts.map(district => [district.rank, district.state, district.district, district.demandQuantity,
+      district.share, district.stateShare, district.suitability]), [
+      [1, 'Karnataka', 'Mysore', 20.2, 20.2 / totalDemand, 20.2 / 30.299999999999997, 'Medium'],
+      [2, 'Haryana', 'Gurgaon', 12, 12 / totalDemand, 1, 'High'],
+      [3, 'Karnataka', 'Bangalore', 10.1, 10.1 / totalDemand, 10.1 / 30.299999999999997, 'High']
+    ]);
+  });
+
+  it('finds a crop by ID and follows merged IDs', async () => {
+    const byId = await get(`/api/crops/${CROP_IDS.wheat.toUpperCase()}`);
+    assert.deepStrictEqual([byId.status, byId.body.cropName, byId.body.matchedBy], [200, 'Wheat', 'id']);
+    assert.strictEqual(byId.body.resolvedFrom, undefined);
+
+    const merged = await get(`/api/crops/${MERGED_ONION_ID}`);
+    assert.strictEqual(merged.status, 200);
+    assert.deepStrictEqual([merged.body.cropId, merged.body.cropName, merged.body.resolvedFrom], [CROP_IDS.onion, 'Onion', MERGED_ONION_ID]);
+    assert.strictEqual(merged.body.summary.totalStates, 2);
+  });
+
+  it('answers 404 with suggestions for unknown crops', async () => {
+    const typo = await get('/api/crops/Onoin');
+    assert.strictEqual(typo.status, 404);
+    assert.strictEqual(typo.body.crop, 'Onoin');
+    assert.strictEqual(typo.body.suggestions[0].cropName, 'Onion');
+
+    const unknownId = await get('/api/crops/99999999-2222-5333-8444-555555555555');
+    assert.strictEqual(unknownId.status, 404);
+    assert.deepStrictEqual(unknownId.body.suggestions, []);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, getJSON } = require('../helpers/server');
+const { createDataset } = require('../helpers/dataset');
+
+// Districts under their current names; district-aliases.json lists the old ones
+const RENAMED = { Bangalore: 'Bengaluru Urban', Gurgaon: 'Gurugram' };
+
+/**
+ * Build the test dataset with Bangalore and Gurgaon under their current names
+ * @returns {Object} Dataset
+ */
+function createRenamedDataset() {
+  const dataset = createDataset();
+  dataset.demandData.forEach(state => state.categories.forEach(category => category.crops.forEach(crop => {
+    crop.regionalSuitability.forEach(region => {
+      region.district = RENAMED[region.district] || region.district;
+    });
+  })));
+  return dataset;
+}
+
+describe('district suggestions', () => {
+  let server;
+  let suggest;
+
+  const autocomplete = (query) => getJSON(server.baseUrl, `/api/demand/districts/autocomplete${query}`);
+
+  before(async () => {
+    const dataset = createRenamedDataset();
+    server = await startServer(dataset);
+    const { suggestDistricts, buildIndexes } = server.server;
+    const { districtList } = buildIndexes(dataset.demandData, null, {});
+    suggest = (query, limit = 5) => suggestDistricts(query, limit, districtList);
+  });
+
+  after(() => server.close());
+
+  it('suggests districts by their old names', () => {
+    assert.deepStrictEqual(suggest('Bangalore')[0], { city: 'Bengaluru Urban', state: 'Karnataka', distance: 0 });
+    assert.deepStrictEqual(suggest('gurgaon')[0], { city: 'Gurugram', state: 'Haryana', distance: 0 });
+  });
+
+  it('tolerates a one-letter typo and leaves out distant names', () => {
+    assert.deepStrictEqual(suggest('Hiser'), [{ city: 'Hisar', state: 'Haryana', distance: 1 }]);
+    assert.deepStrictEqual(suggest('Mysorr'), [{ city: 'Mysore', state: 'Karnataka', distance: 1 }]);
+    assert.deepStrictEqual(suggest('Atlantis'), []);
+    assert.strictEqual(suggest('Hisar', 0).length, 0);
+  });
+
+  it('completes district names by prefix, alias and spelling', async () => {
+    const prefix = await autocomplete('?q=beng');
+    assert.strictEqual(prefix.status, 200);
+    assert.deepStrictEqual(prefix.body.results[0], { city: 'Bengaluru Urban', state: 'Karnataka', matchType: 'prefix' });
+
+    const alias = await autocomplete('?q=Bangal');
+    assert.deepStrictEqual(alias.body.results[0], { city: 'Bengaluru Urban', state: 'Karnataka', matchType: 'alias', alias: 'Bangalore' });
+
+    const oldName = await autocomplete('?q=gurg');
+    assert.deepStrictEqual(oldName.body.results[0], { city: 'Gurugram', state: 'Haryana', matchType: 'alias', alias: 'Gurgaon' });
+
+    const typo = await autocomplete('?q=Hiser');
+    assert.deepStrictEqual(typo.body, {
+      query: 'Hiser',
+      totalResults: 1,
+      results: [{ city: 'Hisar', state: 'Haryana', matchType: 'fuzzy' }]
+    });
+
+    const missing = await autocomplete('');
+    assert.strictEqual(missing.status, 400);
+  });
+
+  it('reads limit as the validator does', async () => {
+    assert.strictEqual((await autocomplete('?q=a&limit=1')).body.totalResults, 1);
+    // parseInt would read 1e1 as 1
+    assert.strictEqual((await autocomplete('?q=a&limit=1e1')).body.totalResults, 3);
+    assert.strictEqual((await autocomplete('?q=a&limit=51')).status, 400);
+  });
+
+  it('suggests close districts when a city is not found', async () => {
+    const { status, body } = await getJSON(server.baseUrl, '/api/demand/city/Hiser');
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.city, 'Hiser');
+    assert.deepStrictEqual(body.suggestions, [{ city: 'Hisar', state: 'Haryana', distance: 1 }]);
+
+    // Old names are found rather than suggested
+    assert.strictEqual((await getJSON(server.baseUrl, '/api/demand/city/Gurgaon')).status, 200);
+  });
+});
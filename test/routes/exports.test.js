@@ -0,0 +1,130 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { startServer } = require('../helpers/server');
+const { CROP_IDS, createDataset } = require('../helpers/dataset');
+
+const HEADER = 'state,district,category,cropId,cropName,scientificName,suitability,demandQuantity,stateDemandQuantity,' +
+  'unit,minPrice,maxPrice,modalPrice,priceUnit,districtCode,latitude,longitude';
+
+/**
+ * Fake Express response that records what streamRows writes
+ * write() reports a full buffer until the test emits 'drain'
+ * @returns {Object} Response stub
+ */
+function createSlowResponse() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    destroyed: false,
+    chunks: [],
+    ended: false,
+    type: () => res,
+    attachment: () => res,
+    write: (chunk) => {
+      res.chunks.push(chunk);
+      return false;
+    },
+    end: (chunk) => {
+      res.chunks.push(chunk);
+      res.ended = true;
+    }
+  });
+  return res;
+}
+
+describe('CSV and NDJSON exports', () => {
+  let server;
+
+  const get = (urlPath, headers = {}) => fetch(`${server.baseUrl}${urlPath}`, { headers });
+
+  before(async () => {
+    const dataset = createDataset();
+    const mango = dataset.demandData[0].categories[1].crops[0];
+    mango.scientificName = 'Mangifera indica "Alphonso", grafted\nvariety';
+    server = await startServer(dataset);
+  });
+
+  after(() => server.close());
+
+  it('streams one CSV row per district and crop with a header row', async () => {
+    const response = await get('/api/demand/state/Karnataka?format=csv');
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.strictEqual(response.headers.get('content-disposition'), 'attachment; filename="karnataka.csv"');
+
+    const text = await response.text();
+    const [header, ...rows] = text.trimEnd().split('\n');
+    assert.strictEqual(header, HEADER);
+    assert.strictEqual(rows[0], `Karnataka,Bangalore,Vegetables,${CROP_IDS.onion},Onion,Allium cepa,High,10.1,30.299999999999997,tons per week,,,,,,,`);
+  });
+
+  it('escapes quotes, commas and newlines in CSV cells', async () => {
+    const text = await (await get('/api/demand/state/Karnataka?format=csv&category=Fruits')).text();
+    assert.ok(text.includes(',Mango,"Mangifera indica ""Alphonso"", grafted\nvariety",High,40,'));
+  });
+
+  it('streams one NDJSON line per district and crop', async () => {
+    const response = await get('/api/demand/state/Karnataka?format=ndjson');
+    assert.match(response.headers.get('content-type'), /^application\/x-ndjson/);
+
+    const lines = (await response.text()).trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(line => [line.district, line.cropName, line.demandQuantity]), [
+      ['Bangalore', 'Onion', 10.1],
+      ['Mysore', 'Onion', 20.2],
+      ['Mysore', 'Tomato', 5.5],
+      ['Bangalore', 'Mango', 40]
+    ]);
+  });
+
+  it('picks the format from the Accept header unless ?format= is given', async () => {
+    const csv = await get('/api/demand/city/Mysore', { Accept: 'text/csv' });
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    assert.strictEqual((await csv.text()).split('\n')[0], HEADER);
+
+    const ndjson = await get('/api/demand/city/Mysore', { Accept: 'application/ndjson' });
+    assert.match(ndjson.headers.get('content-type'), /^application\/x-ndjson/);
+    assert.strictEqual((await ndjson.text()).trimEnd().split('\n').length, 2);
+
+    const json = await get('/api/demand/city/Mysore?format=json', { Accept: 'text/csv' });
+    assert.match(json.headers.get('content-type'), /^application\/json/);
+    assert.strictEqual((await json.json()).city, 'Mysore');
+
+    const invalid = await get('/api/demand/city/Mysore?format=xml');
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual((await invalid.json()).parameter, 'format');
+  });
+
+  it('waits for drain while the client buffer is full', async () => {
+    const { streamRows } = server.server;
+    const rows = Array.from({ length: 3000 }, (value, index) => ({ state: 'Karnataka', district: `District ${index}`, cropName: 'Onion' }));
+    const res = createSlowResponse();
+
+    const streaming = streamRows(res, rows, 'ndjson', 'karnataka');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(res.chunks.length, 1);
+    assert.strictEqual(res.ended, false);
+
+    while (!res.ended) {
+      res.emit('drain');
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    await streaming;
+    assert.strictEqual(res.chunks.join('').trimEnd().split('\n').length, 3000);
+    assert.strictEqual(res.listenerCount('drain') + res.listenerCount('close'), 0);
+  });
+
+  it('stops writing when the client goes away', async () => {
+    const { streamRows } = server.server;
+    const rows = Array.from({ length: 3000 }, (value, index) => ({ state: 'Karnataka', district: `District ${index}` }));
+    const res = createSlowResponse();
+
+    const streaming = streamRows(res, rows, 'csv', 'karnataka');
+    await new Promise(resolve => setImmediate(resolve));
+    res.destroyed = true;
+    res.emit('close');
+    await streaming;
+
+    assert.strictEqual(res.chunks.length, 1);
+    assert.strictEqual(res.ended, false);
+  });
+});
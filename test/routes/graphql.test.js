@@ -0,0 +1,243 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { listen, requireServer } = require('../helpers/server');
+const { CROP_IDS, createDataset } = require('../helpers/dataset');
+
+const { buildIndexes, getDistrictSearchKeys, cropMatchesQuery, groupByCategory, toDistrictCrop, toCityStateEntry, sumRegionDemand } = requireServer();
+const { createGraphQLRoutes } = require('../../routes/graphql');
+const { createMemoryQueries } = require('../../storage');
+
+const MERGED_ONION_ID = '11111111-2222-5333-8444-555555555555';
+
+describe('/graphql', () => {
+  const { demandData } = createDataset();
+  const registry = { crops: { [CROP_IDS.onion]: { cropName: 'Onion', previousIds: [MERGED_ONION_ID] } } };
+  const loaded = {
+    demandData,
+    indexes: buildIndexes(demandData, null, registry),
+    queries: createMemoryQueries(demandData, null),
+    info: { lastUpdated: '2024-05-01T00:00:00.000Z' }
+  };
+  let dataset = loaded;
+  let server;
+
+  const post = async (body) => {
+    const response = await fetch(`${server.baseUrl}/graphql`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    const next = (req, res, callback) => callback();
+    const app = express();
+    app.use(express.json());
+    app.use(createGraphQLRoutes({
+      resolveDataset: (req, res, callback) => {
+        req.dataset = dataset;
+        callback();
+      },
+      applyAnomalyExclusion: next,
+      cacheResponse: next,
+      getDistrictSearchKeys,
+      cropMatchesQuery,
+      groupByCategory,
+      toDistrictCrop,
+      toCityStateEntry,
+      sumRegionDemand
+    }));
+    server = await listen(app);
+  });
+
+  after(() => server.close());
+
+  it('returns nested states, categories and crops in the requested shape', async () => {
+    const { status, body } = await post({
+      query: '{ states(name: "haryana") { name summary { totalDemand } categories { name crops { cropName state demandQuantity } } } }'
+    });
+    assert.strictEqual(status, 200);
+    // Categories without crops are left out
+    assert.deepStrictEqual(body, {
+      data: {
+        states: [{
+          name: 'Haryana',
+          summary: { totalDemand: 162 },
+          categories: [
+            { name: 'Vegetables', crops: [{ cropName: 'Onion', state: 'Haryana', demandQuantity: 12 }] },
+            { name: 'Cereals', crops: [{ cropName: 'Wheat', state: 'Haryana', demandQuantity: 150 }] }
+          ]
+        }]
+      }
+    });
+  });
+
+  it('looks up a state through the dataset queries and takes variables over GET', async () => {
+    const query = encodeURIComponent('query($name: String!) { state(name: $name) { name categories(name: "vegetables") { crops(limit: 1) { cropName } } } }');
+    const variables = encodeURIComponent(JSON.stringify({ name: ' karnataka ' }));
+    const response = await fetch(`${server.baseUrl}/graphql?query=${query}&variables=${variables}`);
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), {
+      data: { state: { name: 'Karnataka', categories: [{ crops: [{ cropName: 'Onion' }] }] } }
+    });
+  });
+
+  it('filters category crops by search and minimum demand', async () => {
+    const { body } = await post({
+      query: '{ state(name: "Karnataka") { categories(name: "Vegetables") { search: crops(search: "pyaz") { cropName } big: crops(minDemand: 10) { cropName } } } }'
+    });
+    assert.deepStrictEqual(body.data.state.categories[0], {
+      search: [{ cropName: 'Onion' }],
+      big: [{ cropName: 'Onion' }]
+    });
+  });
+
+  it('returns districts with their own demand and sorts them by totals', async () => {
+    const { body } = await post({
+      query: '{ districts(state: "Karnataka", sort: TOTAL_DEMAND) { name state summary { totalCrops totalDemand } ' +
+        'crops { cropName demandQuantity stateDemandQuantity } } }'
+    });
+    assert.deepStrictEqual(body.data.districts, [
+      {
+        name: 'Bangalore',
+        state: 'Karnataka',
+        summary: { totalCrops: 2, totalDemand: 50.1 },
+        crops: [
+          { cropName: 'Onion', demandQuantity: 10.1, stateDemandQuantity: 30.299999999999997 },
+          { cropName: 'Mango', demandQuantity: 40, stateDemandQuantity: 40 }
+        ]
+      },
+      {
+        name: 'Mysore',
+        state: 'Karnataka',
+        summary: { totalCrops: 2, totalDemand: 25.7 },
+        crops: [
+          { cropName: 'Onion', demandQuantity: 20.2, stateDemandQuantity: 30.299999999999997 },
+          { cropName: 'Tomato', demandQuantity: 5.5, stateDemandQuantity: 5.5 }
+        ]
+      }
+    ]);
+
+    const filtered = await post({ query: '{ districts(category: "cereals", minDemand: 60, limit: 5) { name } }' });
+    assert.deepStrictEqual(filtered.body.data.districts, [{ name: 'Gurgaon' }]);
+  });
+
+  it('finds one district by name, its categories and its largest crops', async () => {
+    const { body } = await post({
+      query: '{ district(name: " GURGAON ") { name state categories(name: "Cereals") { name crops { cropName } } ' +
+        'crops(limit: 1) { cropName demandQuantity } } missing: district(name: "Atlantis") { name } }'
+    });
+    assert.deepStrictEqual(body.data, {
+      district: {
+        name: 'Gurgaon',
+        state: 'Haryana',
+        categories: [{ name: 'Cereals', crops: [{ cropName: 'Wheat' }] }],
+        crops: [{ cropName: 'Wheat', demandQuantity: 100 }]
+      },
+      missing: null
+    });
+  });
+
+  it('ranks crops by national demand and filters them', async () => {
+    const { body } = await post({
+      query: '{ all: crops { cropName totalStates totalDistricts totalDemand } ' +
+        'haryana: crops(state: "Haryana", category: "Vegetables") { cropName } page: crops(limit: 1, offset: 1) { cropName } ' +
+        'search: crops(search: "allium") { cropName } }'
+    });
+    assert.deepStrictEqual(body.data.all, [
+      { cropName: 'Wheat', totalStates: 1, totalDistricts: 2, totalDemand: 150 },
+      { cropName: 'Onion', totalStates: 2, totalDistricts: 3, totalDemand: 42.3 },
+      { cropName: 'Mango', totalStates: 1, totalDistricts: 1, totalDemand: 40 },
+      { cropName: 'Tomato', totalStates: 1, totalDistricts: 1, totalDemand: 5.5 }
+    ]);
+    assert.deepStrictEqual(body.data.haryana, [{ cropName: 'Onion' }]);
+    assert.deepStrictEqual(body.data.page, [{ cropName: 'Onion' }]);
+    assert.deepStrictEqual(body.data.search, [{ cropName: 'Onion' }]);
+  });
+
+  it('finds a crop by name, by ID and by a merged ID', async () => {
+    const { body } = await post({
+      query: `{ byName: crop(name: "onion") { cropId shareOfNationalDemand states { state demandQuantity } }
+        byId: crop(id: "${CROP_IDS.wheat}") { cropName }
+        merged: crop(id: "${MERGED_ONION_ID}") { cropName states(name: "Haryana") { state } }
+        missing: crop(name: "Durian") { cropName } }`
+    });
+    assert.deepStrictEqual(body.data.byName.cropId, CROP_IDS.onion);
+    assert.strictEqual(body.data.byName.shareOfNationalDemand, 42.3 / 237.8);
+    assert.deepStrictEqual(body.data.byName.states, [
+      { state: 'Karnataka', demandQuantity: 30.299999999999997 },
+      { state: 'Haryana', demandQuantity: 12 }
+    ]);
+    assert.deepStrictEqual(body.data.byId, { cropName: 'Wheat' });
+    assert.deepStrictEqual(body.data.merged, { cropName: 'Onion', states: [{ state: 'Haryana' }] });
+    assert.strictEqual(body.data.missing, null);
+
+    const noArguments = await post({ query: '{ crop { cropName } }' });
+    assert.match(noArguments.body.errors[0].message, /crop needs an id or a name argument/);
+  });
+
+  it('returns national totals', async () => {
+    const { body } = await post({ query: '{ summary { totalStates totalCategories totalCrops totalDistricts totalDemand unit lastUpdated } }' });
+    assert.deepStrictEqual(body.data.summary, {
+      totalStates: 2,
+      totalCategories: 3,
+      totalCrops: 4,
+      totalDistricts: 4,
+      totalDemand: 237.8,
+      unit: 'tons per week',
+      lastUpdated: '2024-05-01T00:00:00.000Z'
+    });
+  });
+
+  it('answers bad requests in the GraphQL error format', async () => {
+    const missing = await post({});
+    assert.strictEqual(missing.status, 400);
+    assert.match(missing.body.errors[0].message, /A GraphQL query is required/);
+
+    const syntax = await post({ query: '{ states { name ' });
+    assert.strictEqual(syntax.status, 400);
+    assert.match(syntax.body.errors[0].message, /Syntax Error/);
+
+    const unknownField = await post({ query: '{ states { population } }' });
+    assert.strictEqual(unknownField.status, 400);
+    assert.match(unknownField.body.errors[0].message, /Cannot query field "population"/);
+
+    const variables = await fetch(`${server.baseUrl}/graphql?query=${encodeURIComponent('{ summary { unit } }')}&variables=nope`);
+    assert.strictEqual(variables.status, 400);
+    assert.deepStrictEqual(await variables.json(), { errors: [{ message: 'variables must be a JSON object' }] });
+  });
+
+  it('refuses variables that are not a JSON object', async () => {
+    const query = '{ summary { unit } }';
+    for (const variables of [5, [1], 'nope', true]) {
+      const { status, body } = await post({ query, variables });
+      assert.strictEqual(status, 400);
+      assert.deepStrictEqual(body, { errors: [{ message: 'variables must be a JSON object' }] });
+    }
+
+    for (const variables of ['5', '[1]', 'null']) {
+      const response = await fetch(`${server.baseUrl}/graphql?query=${encodeURIComponent(query)}&variables=${variables}`);
+      assert.strictEqual(response.status, variables === 'null' ? 200 : 400);
+    }
+  });
+
+  it('reports out-of-range limits as field errors', async () => {
+    const { status, body } = await post({ query: '{ state(name: "Karnataka") { categories { crops(limit: 0) { cropName } } } }' });
+    assert.strictEqual(status, 200);
+    assert.match(body.errors[0].message, /limit must be an integer from 1 to/);
+  });
+
+  it('answers 503 before any data is loaded', async () => {
+    dataset = { demandData: [], queries: createMemoryQueries([], null) };
+    try {
+      const { status, body } = await post({ query: '{ states { name } }' });
+      assert.strictEqual(status, 503);
+      assert.match(body.errors[0].message, /has not been loaded/);
+    } finally {
+      dataset = loaded;
+    }
+  });
+});
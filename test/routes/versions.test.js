@@ -0,0 +1,49 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, getJSON } = require('../helpers/server');
+const { createDataset } = require('../helpers/dataset');
+
+// REST routes that answer from a dataset, with a query that succeeds on the test dataset
+const ROUTES = [
+  '/api/demand/city/Mysore',
+  '/api/demand/cities',
+  '/api/demand/all-cities',
+  '/api/demand/state/Karnataka',
+  '/api/demand/districts/autocomplete?q=mys',
+  '/api/demand/timeseries?crop=Onion',
+  '/api/prices/Onion?granularity=day',
+  '/api/crops',
+  '/api/crops/Onion',
+  '/api/analytics/top',
+  '/api/forecast?crop=Onion',
+  '/api/anomalies',
+  '/api/categories'
+];
+
+describe('?version= on the REST routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer(createDataset());
+  });
+
+  after(() => server.close());
+
+  it('answers from the current dataset for version=current', async () => {
+    for (const route of ROUTES) {
+      const separator = route.includes('?') ? '&' : '?';
+      const { status } = await getJSON(server.baseUrl, `${route}${separator}version=current`);
+      assert.strictEqual(status, 200, route);
+    }
+  });
+
+  it('answers 404 with the available versions for an unknown version', async () => {
+    for (const route of ROUTES) {
+      const separator = route.includes('?') ? '&' : '?';
+      const { status, body } = await getJSON(server.baseUrl, `${route}${separator}version=nope`);
+      assert.strictEqual(status, 404, route);
+      assert.strictEqual(body.error, 'Unknown version', route);
+      assert.deepStrictEqual(body.availableVersions, ['current'], route);
+    }
+  });
+});
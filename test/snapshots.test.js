@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// snapshots.js reads SNAPSHOTS_DIR when it is loaded
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-test-'));
+process.env.SNAPSHOTS_DIR = path.join(root, 'snapshots');
+const { saveSnapshot, listSnapshots, getSnapshot, getSnapshotStorage, pruneSnapshots } = require('../snapshots');
+const { createStorage } = require('../storage');
+
+const toDataset = (totalDemand) => ({
+  demandData: [{ state: 'Goa', categories: [], summary: { totalCategories: 0, totalCrops: 0, totalDemand } }],
+  timeSeriesData: { series: [] },
+  anomalyReport: null
+});
+
+describe('dataset snapshots', () => {
+  let storage;
+
+  before(() => {
+    fs.mkdirSync(path.join(root, 'current'));
+    storage = createStorage('json', path.join(root, 'current'));
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it('copies the dataset into a snapshot named after the run start', async () => {
+    await storage.write(toDataset(10));
+    const snapshot = saveSnapshot(storage, { startedAt: '2024-05-01T10:30:00.123Z', sourceFiles: 3 });
+
+    assert.strictEqual(snapshot.id, '20240501T103000Z');
+    assert.strictEqual(snapshot.backend, 'json');
+    assert.strictEqual(snapshot.sourceFiles, 3);
+    assert.deepStrictEqual(snapshot.files.sort(), ['anomalies.json', 'demand-timeseries.json', 'demand.json']);
+    // Same version the server reports for the dataset
+    assert.strictEqual(snapshot.version, (await storage.read()).version);
+    assert.deepStrictEqual((await getSnapshotStorage(snapshot).read()).demandData, toDataset(10).demandData);
+  });
+
+  it('adds a suffix when two runs start in the same second', async () => {
+    await storage.write(toDataset(20));
+    const snapshot = saveSnapshot(storage, { startedAt: '2024-05-01T10:30:00.999Z' });
+    assert.strictEqual(snapshot.id, '20240501T103000Z-2');
+  });
+
+  it('lists snapshots newest first and skips folders without metadata', async () => {
+    await storage.write(toDataset(30));
+    saveSnapshot(storage, { startedAt: '2024-06-01T00:00:00.000Z' });
+    fs.mkdirSync(path.join(process.env.SNAPSHOTS_DIR, '20240701T000000Z'));
+
+    assert.deepStrictEqual(listSnapshots().map(snapshot => snapshot.id), [
+      '20240601T000000Z',
+      '20240501T103000Z-2',
+      '20240501T103000Z'
+    ]);
+  });
+
+  it('finds snapshots by ID and rejects anything that is not an ID', () => {
+    assert.strictEqual(getSnapshot('20240601T000000Z').id, '20240601T000000Z');
+    assert.strictEqual(getSnapshot('20990101T000000Z'), null);
+    assert.strictEqual(getSnapshot('../current'), null);
+  });
+
+  it('deletes the oldest snapshots beyond the number to keep', () => {
+    assert.deepStrictEqual(pruneSnapshots(2), ['20240501T103000Z']);
+    assert.strictEqual(fs.existsSync(path.join(process.env.SNAPSHOTS_DIR, '20240501T103000Z')), false);
+    assert.deepStrictEqual(listSnapshots().map(snapshot => snapshot.id), ['20240601T000000Z', '20240501T103000Z-2']);
+  });
+});
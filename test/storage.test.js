@@ -0,0 +1,164 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STORAGE_BACKENDS, hashContent, createStorage } = require('../storage');
+
+const region = (state, district, demandQuantity) => ({
+  geography: 'India', state, district, suitability: 'High', demandQuantity
+});
+
+const dataset = {
+  demandData: [
+    {
+      state: 'Goa',
+      categories: [{
+        name: 'Vegetables',
+        count: 2,
+        crops: [
+          {
+            cropId: 'onion-id',
+            cropName: 'Onion',
+            scientificName: 'Allium cepa',
+            categoryId: { _id: 'vegetables', name: 'Vegetables' },
+            demandQuantity: 30,
+            regionalSuitability: [region('Goa', 'North Goa', 20), region('Goa', 'South Goa', 10)],
+            prices: { minPrice: 1000, maxPrice: 1500, modalPrice: 1200, unit: 'Rs./Quintal' }
+          },
+          {
+            cropId: 'tomato-id',
+            cropName: 'Tomato',
+            scientificName: '',
+            categoryId: { _id: 'vegetables', name: 'Vegetables' },
+            demandQuantity: 5,
+            regionalSuitability: [region('Goa', 'North Goa', 5)]
+          }
+        ]
+      }],
+      summary: { totalCategories: 1, totalCrops: 2, totalDemand: 35, unit: 'tons per week', lastUpdated: '2024-01-01T00:00:00.000Z' }
+    },
+    {
+      state: 'Kerala',
+      categories: [{
+        name: 'Vegetables',
+        count: 1,
+        crops: [{
+          cropId: 'onion-id',
+          cropName: 'Onion',
+          scientificName: 'Allium cepa',
+          categoryId: { _id: 'vegetables', name: 'Vegetables' },
+          demandQuantity: 7,
+          regionalSuitability: [region('Kerala', 'Ernakulam', 7)]
+        }]
+      }],
+      summary: { totalCategories: 1, totalCrops: 1, totalDemand: 7, unit: 'tons per week', lastUpdated: '2024-01-01T00:00:00.000Z' }
+    }
+  ],
+  timeSeriesData: {
+    generatedAt: '2024-01-01T00:00:00.000Z',
+    series: [
+      {
+        cropId: 'onion-id',
+        cropName: 'Onion',
+        category: 'Vegetables',
+        state: 'Goa',
+        district: 'North Goa',
+        day: { '2024-01-01': 12, '2024-01-02': 8 },
+        week: { '2024-01-01': 20 },
+        month: { '2024-01-01': 20 },
+        prices: { '2024-01-01': { minPrice: 1000, maxPrice: 1500, modalPrice: 1200 } }
+      },
+      {
+        cropId: 'onion-id',
+        cropName: 'Onion',
+        category: 'Vegetables',
+        state: 'Kerala',
+        district: 'Ernakulam',
+        day: { '2024-01-03': 7 },
+        week: { '2024-01-01': 7 },
+        month: { '2024-01-01': 7 },
+        prices: {}
+      }
+    ]
+  },
+  anomalyReport: {
+    generatedAt: '2024-01-01T00:00:00.000Z',
+    anomalies: [
+      { type: 'outlier', cropId: 'onion-id', cropName: 'Onion', state: 'Goa', district: 'North Goa', market: 'Mapusa', date: '2024-01-01', robustZ: 5.1, quantity: 12 }
+    ]
+  }
+};
+
+describe('storage backends', () => {
+  let directory;
+  const stored = {};
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    for (const backend of STORAGE_BACKENDS) {
+      fs.mkdirSync(path.join(directory, backend));
+      const storage = createStorage(backend, path.join(directory, backend));
+      await storage.write(dataset);
+      stored[backend] = { storage, read: await storage.read() };
+    }
+  });
+
+  after(() => {
+    Object.values(stored).forEach(({ read }) => read.queries.close());
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  STORAGE_BACKENDS.forEach(backend => {
+    it(`${backend} reads back what it wrote`, () => {
+      const { storage, read } = stored[backend];
+      assert.deepStrictEqual(read.demandData, dataset.demandData);
+      assert.deepStrictEqual(read.timeSeriesData, dataset.timeSeriesData);
+      assert.deepStrictEqual(read.anomalyReport, dataset.anomalyReport);
+      assert.strictEqual(read.version, hashContent(fs.readFileSync(storage.location)));
+    });
+
+    it(`${backend} leaves no temporary files behind`, () => {
+      assert.deepStrictEqual(fs.readdirSync(path.join(directory, backend)).filter(file => file.endsWith('.tmp')), []);
+    });
+  });
+
+  it('answers the dataset queries the same way on both backends', async () => {
+    const json = stored.json.read.queries;
+    const sqlite = stored.sqlite.read.queries;
+
+    assert.deepStrictEqual(await json.getState('goa'), dataset.demandData[0]);
+    assert.deepStrictEqual(await sqlite.getState('GOA'), await json.getState('goa'));
+    assert.strictEqual(await sqlite.getState('Punjab'), null);
+    assert.strictEqual(await json.getState('Punjab'), null);
+
+    const cropEntries = await json.getCropEntries('onion-id');
+    assert.deepStrictEqual(cropEntries.map(entry => [entry.state, entry.category, entry.crop.demandQuantity]), [
+      ['Goa', 'Vegetables', 30],
+      ['Kerala', 'Vegetables', 7]
+    ]);
+    assert.deepStrictEqual(await sqlite.getCropEntries('onion-id'), cropEntries);
+    assert.deepStrictEqual(await sqlite.getCropEntries('missing'), []);
+
+    const districtCrops = await json.getDistrictCrops('Goa', 'North Goa');
+    assert.deepStrictEqual(districtCrops.map(entry => [entry.crop.cropName, entry.order, entry.regions.length]), [
+      ['Onion', 1, 1],
+      ['Tomato', 2, 1]
+    ]);
+    assert.strictEqual(districtCrops[0].crop.regionalSuitability, undefined);
+    assert.deepStrictEqual(await sqlite.getDistrictCrops('Goa', 'North Goa'), districtCrops);
+
+    for (const filters of [{}, { crop: 'onion' }, { state: 'kerala' }, { crop: 'Onion', district: 'north goa' }, { district: 'Nowhere' }]) {
+      assert.deepStrictEqual(await sqlite.getSeries(filters), await json.getSeries(filters), JSON.stringify(filters));
+    }
+    assert.strictEqual((await json.getSeries({ crop: 'onion', state: 'goa' })).length, 1);
+  });
+
+  it('reports missing files and unknown backends', async () => {
+    const empty = path.join(directory, 'empty');
+    fs.mkdirSync(empty);
+    await assert.rejects(createStorage('json', empty).read(), /demand\.json not found/);
+    await assert.rejects(createStorage('sqlite', empty).read(), /demand\.sqlite not found/);
+    assert.throws(() => createStorage('postgres'), /Unknown storage backend "postgres"/);
+  });
+});
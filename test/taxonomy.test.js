@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTaxonomy, mapCategory, getSubcategory } = require('../taxonomy');
+
+describe('taxonomy', () => {
+  let directory;
+  let taxonomy;
+
+  const writeTaxonomy = (name, config) => {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    return filePath;
+  };
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'taxonomy-test-'));
+    taxonomy = loadTaxonomy(writeTaxonomy('taxonomy.json', {
+      categories: [
+        { name: 'Vegetables', aliases: ['Veg'], subcategories: { 'Bulb Vegetables': ['Onion', 'Garlic'] } },
+        { name: 'Livestock', groupContains: ['live stock'] },
+        { name: 'Fruits' }
+      ],
+      cropOverrides: { Mango: 'Fruits' }
+    }));
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('loads the bundled taxonomy.json', () => {
+    assert.ok(loadTaxonomy().categoryNames.length > 0);
+  });
+
+  it('lists categories in file order with IDs', () => {
+    assert.deepStrictEqual(taxonomy.categoryNames, ['Vegetables', 'Livestock', 'Fruits']);
+    assert.deepStrictEqual(taxonomy.categories[0], {
+      id: 'vegetables',
+      name: 'Vegetables',
+      aliases: ['Veg'],
+      subcategories: ['Bulb Vegetables']
+    });
+    assert.match(taxonomy.version, /^[0-9a-f]{16}$/);
+  });
+
+  it('maps groups by name, alias and substring', () => {
+    assert.strictEqual(mapCategory(taxonomy, 'vegetables', 'Onion'), 'Vegetables');
+    assert.strictEqual(mapCategory(taxonomy, ' VEG ', 'Onion'), 'Vegetables');
+    assert.strictEqual(mapCategory(taxonomy, 'Live Stock,Poultry,Fisheries', 'Goat'), 'Livestock');
+    assert.strictEqual(mapCategory(taxonomy, 'Oil Seeds', 'Mustard'), null);
+    assert.strictEqual(mapCategory(taxonomy, '', 'Onion'), null);
+  });
+
+  it('lets a crop override win over its group', () => {
+    assert.strictEqual(mapCategory(taxonomy, 'Vegetables', 'mango'), 'Fruits');
+    assert.strictEqual(mapCategory(taxonomy, '', 'Mango'), 'Fruits');
+  });
+
+  it('looks up subcategories per category', () => {
+    assert.strictEqual(getSubcategory(taxonomy, 'Vegetables', 'garlic'), 'Bulb Vegetables');
+    assert.strictEqual(getSubcategory(taxonomy, 'Fruits', 'Garlic'), null);
+  });
+
+  it('rejects invalid files', () => {
+    assert.throws(() => loadTaxonomy(writeTaxonomy('empty.json', { categories: [] })), /non-empty "categories"/);
+    assert.throws(
+      () => loadTaxonomy(writeTaxonomy('duplicate.json', { categories: [{ name: 'Fruits' }, { name: 'Fruits' }] })),
+      /Duplicate category "Fruits"/
+    );
+    assert.throws(
+      () => loadTaxonomy(writeTaxonomy('override.json', { categories: [{ name: 'Fruits' }], cropOverrides: { Onion: 'Bulbs' } })),
+      /unknown category "Bulbs"/
+    );
+  });
+});